@@ -0,0 +1,204 @@
+const express = require('express');
+
+const { requireAuth } = require('../src/auth-middleware');
+const { getUserRepository, UserConflictError } = require('../src/user-store');
+const { verifySiweSignature } = require('../src/siwe');
+const { validateEmail } = require('../src/validador');
+const { validatePassword, hashPassword } = require('../src/password');
+const { reissueCredential, revokeCurrentCredential, toPublicUser } = require('../src/accounts');
+const { sendVerificationEmail } = require('../src/email-verification');
+
+const router = express.Router();
+const userRepository = getUserRepository();
+
+// ============================================
+// ENDPOINT: Cuenta actual
+// ============================================
+router.get('/api/account', requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        did: req.user.did,
+        user: toPublicUser(req.user),
+        credential: req.user.credential,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// ============================================
+// ENDPOINT: Vincular wallet a una cuenta email
+// ============================================
+/**
+ * POST /api/account/link-wallet (Bearer)
+ * Body: { "message": "<mensaje SIWE>", "signature": "0x..." }
+ *
+ * La wallet se prueba con el mismo desafío SIWE de /api/wallet-auth/nonce.
+ * La cuenta pasa a 'hybrid' y conserva su DID; la credencial vigente se
+ * revoca y se emite una nueva.
+ */
+router.post('/api/account/link-wallet', requireAuth, async (req, res) => {
+    try {
+        const { message, signature } = req.body;
+        const user = req.user;
+
+        if (!message || !signature) {
+            return res.status(400).json({
+                success: false,
+                error: 'Faltan message y signature'
+            });
+        }
+
+        if (user.walletAddress) {
+            return res.status(409).json({
+                success: false,
+                error: 'La cuenta ya tiene una wallet vinculada'
+            });
+        }
+
+        const siwe = verifySiweSignature(message, signature);
+        if (!siwe.valid) {
+            return res.status(401).json({
+                success: false,
+                error: 'Firma SIWE inválida',
+                details: siwe.error
+            });
+        }
+
+        const owner = await userRepository.getUserByWallet(siwe.walletAddress);
+        if (owner) {
+            return res.status(409).json({
+                success: false,
+                error: 'La wallet ya pertenece a otra cuenta'
+            });
+        }
+
+        console.log('[LinkWallet] Vinculando', siwe.walletAddress, 'a', user.id);
+
+        const linkedUser = await userRepository.saveUser({
+            id: user.id,
+            walletAddress: siwe.walletAddress,
+            authMethod: 'hybrid'
+        });
+        // La credencial anterior no tiene la wallet: no quedan dos válidas
+        await revokeCurrentCredential(linkedUser, 'wallet_linked');
+        const result = await reissueCredential(linkedUser);
+
+        res.json({
+            success: true,
+            did: result.user.did,
+            user: toPublicUser(result.user),
+            credential: result.credential,
+            message: 'Wallet vinculada. Credencial re-emitida como hybrid.',
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (error instanceof UserConflictError) {
+            return res.status(409).json({
+                success: false,
+                error: 'La wallet ya pertenece a otra cuenta'
+            });
+        }
+        console.error('[LinkWallet] Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Error al vincular wallet',
+            details: error.message
+        });
+    }
+});
+
+// ============================================
+// ENDPOINT: Vincular email a una cuenta wallet
+// ============================================
+/**
+ * POST /api/account/link-email (Bearer)
+ * Body: { "email": "...", "password": "..." }
+ *
+ * Después de vincular se puede entrar también con /api/login.
+ */
+router.post('/api/account/link-email', requireAuth, async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        const user = req.user;
+
+        if (!email || !password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Faltan email y password'
+            });
+        }
+
+        if (!validateEmail(email)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Email inválido'
+            });
+        }
+
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contraseña inválida',
+                details: passwordError
+            });
+        }
+
+        if (user.email) {
+            return res.status(409).json({
+                success: false,
+                error: 'La cuenta ya tiene un email vinculado'
+            });
+        }
+
+        if (await userRepository.userExists(email)) {
+            return res.status(409).json({
+                success: false,
+                error: 'El email ya pertenece a otra cuenta'
+            });
+        }
+
+        console.log('[LinkEmail] Vinculando', email, 'a', user.id);
+
+        const linkedUser = await userRepository.saveUser({
+            id: user.id,
+            email: email,
+            password: await hashPassword(password),
+            authMethod: 'hybrid',
+            emailVerified: false
+        });
+        await revokeCurrentCredential(linkedUser, 'email_linked');
+        const result = await reissueCredential(linkedUser);
+
+        try {
+            await sendVerificationEmail(linkedUser);
+        } catch (mailError) {
+            console.warn('[LinkEmail] ⚠️ No se pudo enviar verificación:', mailError.message);
+        }
+
+        res.json({
+            success: true,
+            did: result.user.did,
+            user: toPublicUser(result.user),
+            credential: result.credential,
+            message: 'Email vinculado. Credencial re-emitida como hybrid.',
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (error instanceof UserConflictError) {
+            return res.status(409).json({
+                success: false,
+                error: 'El email ya pertenece a otra cuenta'
+            });
+        }
+        console.error('[LinkEmail] Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Error al vincular email',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+
+const { requireAdmin } = require('../src/auth-middleware');
+const {
+    JOB_STATUSES,
+    runSyncTick,
+    listJobs,
+    getJob,
+    retryJob
+} = require('../src/sync-queue');
+const {
+    NullifierCampaignError,
+    createCampaign,
+    listCampaigns
+} = require('../src/nullifier-campaigns');
+
+const router = express.Router();
+
+// ============================================
+// ADMIN: Cola de sincronización con Issuer Node
+// ============================================
+/**
+ * GET /api/admin/sync-jobs?status=pending|running|done|failed
+ */
+router.get('/api/admin/sync-jobs', requireAdmin, (req, res) => {
+    const { status } = req.query;
+
+    if (status && !JOB_STATUSES.includes(status)) {
+        return res.status(400).json({
+            success: false,
+            error: `status debe ser: ${JOB_STATUSES.join(', ')}`
+        });
+    }
+
+    const jobs = listJobs({ status });
+    const summary = Object.fromEntries(
+        JOB_STATUSES.map(jobStatus => [jobStatus, listJobs({ status: jobStatus }).length])
+    );
+
+    res.json({
+        success: true,
+        jobs: jobs,
+        summary: summary,
+        timestamp: new Date().toISOString()
+    });
+});
+
+router.get('/api/admin/sync-jobs/:id', requireAdmin, (req, res) => {
+    const job = getJob(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: 'Job no encontrado'
+        });
+    }
+
+    res.json({
+        success: true,
+        job: job
+    });
+});
+
+/**
+ * POST /api/admin/sync-jobs/:id/retry
+ * Reinicia los intentos de un job pendiente o fallido
+ */
+router.post('/api/admin/sync-jobs/:id/retry', requireAdmin, (req, res) => {
+    const job = retryJob(req.params.id);
+
+    if (!job) {
+        return res.status(409).json({
+            success: false,
+            error: 'Job inexistente, en curso o ya completado'
+        });
+    }
+
+    res.json({
+        success: true,
+        job: job
+    });
+});
+
+/**
+ * POST /api/admin/sync-jobs/run
+ * Fuerza un ciclo del worker sin esperar al intervalo
+ */
+router.post('/api/admin/sync-jobs/run', requireAdmin, async (req, res) => {
+    try {
+        const result = await runSyncTick();
+
+        res.json({
+            success: true,
+            ...result,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('[SyncQueue] Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Error al ejecutar la sincronización',
+            details: error.message
+        });
+    }
+});
+
+// ============================================
+// ADMIN: Campañas de nullifier (V3)
+// ============================================
+/**
+ * GET /api/admin/nullifier-campaigns
+ */
+router.get('/api/admin/nullifier-campaigns', requireAdmin, (req, res) => {
+    res.json({
+        success: true,
+        campaigns: listCampaigns()
+    });
+});
+
+/**
+ * POST /api/admin/nullifier-campaigns { id, description? }
+ * Registra una campaña; el nullifierSessionId lo genera el servidor
+ */
+router.post('/api/admin/nullifier-campaigns', requireAdmin, (req, res) => {
+    try {
+        const campaign = createCampaign(req.body || {});
+
+        res.status(201).json({
+            success: true,
+            campaign: campaign
+        });
+    } catch (error) {
+        if (error instanceof NullifierCampaignError) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('[Nullifier] Error registrando campaña:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Error al registrar la campaña',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
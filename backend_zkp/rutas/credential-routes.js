@@ -0,0 +1,210 @@
+const express = require('express');
+
+const { requireAuth, requireAdmin } = require('../src/auth-middleware');
+const { revokeUserCredential } = require('../src/accounts');
+const { getCredentialSchemas } = require('../src/credential-schemas');
+const { validateIssuanceRequest, issueSchemaCredential } = require('../src/credential-issuance');
+const {
+    STATUSES,
+    getUserCredentials,
+    summarizeStatuses,
+    paginateCredentials,
+    findCredential
+} = require('../src/credential-wallet');
+
+const router = express.Router();
+
+/**
+ * Busca una credencial en el historial del usuario.
+ * Acepta el id completo (urn:uuid:..., URL del Issuer Node) o solo el UUID final.
+ */
+function findUserCredential(user, credentialId) {
+    return (user.credentials || []).find(entry =>
+        entry.id === credentialId
+        || entry.id?.replace('urn:uuid:', '') === credentialId
+        || entry.id?.endsWith(`/${credentialId}`)
+    ) || null;
+}
+
+// ============================================
+// ENDPOINT: Emitir credencial de un schema registrado
+// ============================================
+/**
+ * POST /api/credentials (X-Admin-Key)
+ * Body: { type, subjectDID, claims, expiration?, revocable?, proofTypes? }
+ *
+ * type: $metadata.type de un schema de issure-schemes (GET /api/schemas).
+ * expiration: fecha ISO o unix en segundos (1 año por defecto).
+ * proofTypes: ["SIG"] por defecto, "MTP" para BJJ + Merkle tree.
+ * Sin Issuer Node se emite una credencial local (status pending_issuer)
+ * que se sincroniza cuando vuelve.
+ */
+router.post('/api/credentials', requireAdmin, async (req, res) => {
+    try {
+        const { errors, request } = validateIssuanceRequest(req.body || {});
+
+        if (errors.length > 0) {
+            const unknownType = errors.some(item => item.field === 'type');
+            return res.status(400).json({
+                success: false,
+                error: 'Solicitud de credencial inválida',
+                errors: errors,
+                availableTypes: unknownType ? [...getCredentialSchemas().keys()] : undefined
+            });
+        }
+
+        const { record, syncJob } = await issueSchemaCredential(request);
+
+        res.status(201).json({
+            success: true,
+            credentialId: record.id,
+            issuedBy: record.issuedBy,
+            status: record.status,
+            syncJobId: syncJob?.id,
+            credential: record.credential,
+            message: record.issuedBy === 'issuer_node'
+                ? 'Credencial emitida en el Issuer Node'
+                : 'Credencial generada localmente. Pendiente de sincronizar con Issuer Node.',
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('[IssueCredential] Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Error al emitir la credencial',
+            details: error.message
+        });
+    }
+});
+
+// ============================================
+// ENDPOINT: Revocar credencial
+// ============================================
+/**
+ * POST /api/credentials/:id/revoke (Bearer)
+ * Body opcional: { "reason": "..." }
+ *
+ * Solo el dueño puede revocar sus credenciales.
+ */
+router.post('/api/credentials/:id/revoke', requireAuth, async (req, res) => {
+    try {
+        const entry = findUserCredential(req.user, req.params.id);
+        const reason = req.body?.reason || 'revoked_by_user';
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                error: 'Credencial no encontrada'
+            });
+        }
+
+        if (entry.status === 'revoked') {
+            return res.status(409).json({
+                success: false,
+                error: 'La credencial ya está revocada',
+                revokedAt: entry.revokedAt
+            });
+        }
+
+        console.log('[RevokeCredential] Revocando', entry.id, 'de', req.user.id);
+
+        const result = await revokeUserCredential(req.user, entry.credential, reason);
+
+        res.json({
+            success: true,
+            revoked: true,
+            ...result,
+            message: result.issuerRevoked
+                ? 'Credencial revocada en el Issuer Node'
+                : 'Credencial revocada en el registro local',
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('[RevokeCredential] Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Error al revocar credencial',
+            details: error.message
+        });
+    }
+});
+
+// ============================================
+// ENDPOINTS: Mis credenciales
+// ============================================
+/**
+ * GET /api/me/credentials (Bearer)
+ * Query: page (1), limit (20, máx 100), type (ej. ZKPAuthCredential), status
+ */
+router.get('/api/me/credentials', requireAuth, async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+        const { type, status } = req.query;
+
+        if (status && !STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `status debe ser: ${STATUSES.join(', ')}`
+            });
+        }
+
+        const { credentials, issuerAvailable } = await getUserCredentials(req.user);
+        const { items, pagination } = paginateCredentials(credentials, { type, status, page, limit });
+
+        res.json({
+            success: true,
+            did: req.user.did,
+            credentials: items,
+            pagination: pagination,
+            summary: summarizeStatuses(credentials),
+            issuerAvailable: issuerAvailable,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('[MyCredentials] Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Error al listar credenciales',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/me/credentials/:id (Bearer)
+ * :id puede ser el id completo o solo el UUID
+ */
+router.get('/api/me/credentials/:id', requireAuth, async (req, res) => {
+    try {
+        const { credentials, issuerAvailable } = await getUserCredentials(req.user);
+        const entry = findCredential(credentials, req.params.id);
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                error: 'Credencial no encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            credential: entry,
+            issuerAvailable: issuerAvailable,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('[MyCredentials] Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Error al obtener la credencial',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
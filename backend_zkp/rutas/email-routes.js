@@ -0,0 +1,158 @@
+const express = require('express');
+
+const { requireAuth } = require('../src/auth-middleware');
+const { getUserRepository } = require('../src/user-store');
+const { sendVerificationEmail, consumeVerificationToken } = require('../src/email-verification');
+const { reissueCredential, revokeCurrentCredential, toPublicUser } = require('../src/accounts');
+
+const router = express.Router();
+const userRepository = getUserRepository();
+
+// ============================================
+// ENDPOINT: Reenviar verificación de email
+// ============================================
+router.post('/api/email/verify/resend', requireAuth, async (req, res) => {
+    try {
+        const user = req.user;
+
+        if (!user.email) {
+            return res.status(400).json({
+                success: false,
+                error: 'La cuenta no tiene email'
+            });
+        }
+
+        if (user.emailVerified) {
+            return res.status(409).json({
+                success: false,
+                error: 'El email ya está verificado'
+            });
+        }
+
+        const result = await sendVerificationEmail(user);
+        if (!result.sent) {
+            res.set('Retry-After', String(result.retryAfter));
+            return res.status(429).json({
+                success: false,
+                error: 'Espera antes de pedir otro correo',
+                retryAfter: result.retryAfter
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Correo de verificación enviado',
+            expiresAt: result.expiresAt,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('[EmailVerify] Error reenviando:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Error al enviar verificación',
+            details: error.message
+        });
+    }
+});
+
+// ============================================
+// ENDPOINT: Confirmar email
+// ============================================
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function renderPage(title, body) {
+    return `<!DOCTYPE html>
+<html lang="es">
+<head><meta charset="utf-8"><meta name="robots" content="noindex"><title>${escapeHtml(title)}</title></head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * GET /api/email/verify?token=...  (enlace del correo)
+ *
+ * Solo muestra un botón que hace el POST: los que abren enlaces por su
+ * cuenta (prefetch, escáneres de correo) no consumen el token.
+ */
+router.get('/api/email/verify', (req, res) => {
+    const token = typeof req.query.token === 'string' ? req.query.token : '';
+
+    res.set('Cache-Control', 'no-store');
+    res.type('html').send(renderPage('Verifica tu email', token
+        ? `<form method="post" action="/api/email/verify">
+<input type="hidden" name="token" value="${escapeHtml(token)}">
+<button type="submit">Confirmar mi email</button>
+</form>`
+        : '<p>El enlace no tiene token. Solicita un nuevo correo de verificación.</p>'));
+});
+
+/**
+ * POST /api/email/verify { token }  (botón del enlace o el frontend)
+ *
+ * Marca la cuenta como verificada, revoca la credencial vigente
+ * y emite una nueva con isVerified: true.
+ * El formulario de la página recibe HTML; el frontend (JSON) recibe JSON.
+ */
+router.post('/api/email/verify', express.urlencoded({ extended: false }), async (req, res) => {
+    const fromForm = req.is('application/x-www-form-urlencoded');
+    const reply = (status, body) => fromForm
+        ? res.status(status).type('html').send(renderPage(
+            body.success ? 'Email verificado' : 'No se pudo verificar el email',
+            `<p>${escapeHtml(body.success ? body.message : body.error)}</p>`))
+        : res.status(status).json(body);
+
+    try {
+        const token = req.body?.token;
+
+        const result = consumeVerificationToken(token);
+        if (!result.valid) {
+            return reply(400, {
+                success: false,
+                error: result.error
+            });
+        }
+
+        const user = await userRepository.getUserById(result.userId);
+        if (!user || user.email?.toLowerCase() !== result.email) {
+            return reply(400, {
+                success: false,
+                error: 'El email de la cuenta cambió, solicita un nuevo correo'
+            });
+        }
+
+        console.log('[EmailVerify] ✅ Email verificado:', user.email);
+
+        const verifiedUser = await userRepository.saveUser({
+            id: user.id,
+            emailVerified: true,
+            isVerified: true
+        });
+        await revokeCurrentCredential(verifiedUser, 'email_verified');
+        const reissued = await reissueCredential(verifiedUser);
+
+        reply(200, {
+            success: true,
+            did: reissued.user.did,
+            user: toPublicUser(reissued.user),
+            credential: reissued.credential,
+            message: 'Email verificado. Credencial re-emitida con isVerified: true.',
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('[EmailVerify] Error:', error.message);
+        reply(500, {
+            success: false,
+            error: 'Error al verificar email',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
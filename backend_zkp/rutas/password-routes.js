@@ -0,0 +1,218 @@
+const express = require('express');
+
+const { requireAuth } = require('../src/auth-middleware');
+const { getUserRepository } = require('../src/user-store');
+const { validatePassword, hashPassword, verifyPassword } = require('../src/password');
+const { sendPasswordResetEmail, consumeResetToken } = require('../src/password-reset');
+const { createSession, revokeUserSessions } = require('../src/sessions');
+const { authRateLimit, requestRateLimit } = require('../src/rate-limiter');
+
+const router = express.Router();
+const userRepository = getUserRepository();
+
+// ============================================
+// LÍMITE DE INTENTOS
+// ============================================
+// forgot envía un correo en cada llamada: se cuentan todas las solicitudes
+const forgotRateLimit = requestRateLimit(
+    { name: 'password-forgot', maxRequests: 5, windowSeconds: 60 * 60 },
+    req => typeof req.body?.email === 'string' ? `email:${req.body.email.toLowerCase()}` : null
+);
+// reset y change cuentan los fallos (token o contraseña actual incorrectos)
+const resetRateLimit = authRateLimit(() => null);
+const changeRateLimit = authRateLimit(req => `user:${req.user.id}`);
+
+// ============================================
+// ENDPOINT: Olvidé mi contraseña
+// ============================================
+/**
+ * POST /api/password/forgot { email }
+ * Siempre responde igual para no revelar qué emails están registrados.
+ */
+router.post('/api/password/forgot', forgotRateLimit, async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                error: 'Falta email'
+            });
+        }
+
+        const user = await userRepository.getUserByEmail(email);
+
+        if (user && user.password) {
+            // Un fallo del correo tampoco puede distinguir los emails registrados
+            try {
+                await sendPasswordResetEmail(user);
+                console.log('[PasswordForgot] Reset enviado a:', email);
+            } catch (mailError) {
+                console.error('[PasswordForgot] ⚠️ No se pudo enviar el reset:', mailError.message);
+            }
+        } else {
+            console.log('[PasswordForgot] Email sin cuenta con contraseña:', email);
+        }
+
+        res.json({
+            success: true,
+            message: 'Si el email está registrado, recibirás un enlace para restablecer la contraseña.',
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('[PasswordForgot] Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Error al solicitar el reset',
+            details: error.message
+        });
+    }
+});
+
+// ============================================
+// ENDPOINT: Restablecer contraseña
+// ============================================
+/**
+ * POST /api/password/reset { token, newPassword }
+ * Cierra todas las sesiones abiertas del usuario.
+ */
+router.post('/api/password/reset', resetRateLimit, async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+
+        if (!token || !newPassword) {
+            return res.status(400).json({
+                success: false,
+                error: 'Faltan token y newPassword'
+            });
+        }
+
+        // Antes de consumir el token: con una contraseña inválida sigue sirviendo
+        const passwordError = validatePassword(newPassword);
+        if (passwordError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contraseña inválida',
+                details: passwordError
+            });
+        }
+
+        const result = consumeResetToken(token);
+        if (!result.valid) {
+            await req.rateLimit.fail();
+            return res.status(400).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        const user = await userRepository.getUserById(result.userId);
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                error: 'Token inválido o ya utilizado'
+            });
+        }
+
+        await userRepository.saveUser({
+            id: user.id,
+            password: await hashPassword(newPassword),
+            passwordChangedAt: new Date().toISOString()
+        });
+        const revokedSessions = revokeUserSessions(user.id, 'password_reset');
+        await req.rateLimit.succeed();
+
+        console.log('[PasswordReset] ✅ Contraseña restablecida:', user.email);
+
+        res.json({
+            success: true,
+            message: 'Contraseña actualizada. Inicia sesión de nuevo.',
+            revokedSessions: revokedSessions,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('[PasswordReset] Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Error al restablecer la contraseña',
+            details: error.message
+        });
+    }
+});
+
+// ============================================
+// ENDPOINT: Cambiar contraseña
+// ============================================
+/**
+ * POST /api/password/change (Bearer) { currentPassword, newPassword }
+ * Cierra todas las sesiones y devuelve una sesión nueva para este cliente.
+ */
+router.post('/api/password/change', requireAuth, changeRateLimit, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        const user = req.user;
+
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({
+                success: false,
+                error: 'Faltan currentPassword y newPassword'
+            });
+        }
+
+        if (!user.password) {
+            return res.status(400).json({
+                success: false,
+                error: 'La cuenta no tiene contraseña (vincula un email primero)'
+            });
+        }
+
+        const passwordError = validatePassword(newPassword);
+        if (passwordError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contraseña inválida',
+                details: passwordError
+            });
+        }
+
+        const passwordCheck = await verifyPassword(currentPassword, user.password);
+        if (!passwordCheck.valid) {
+            await req.rateLimit.fail();
+            return res.status(401).json({
+                success: false,
+                error: 'Contraseña actual incorrecta'
+            });
+        }
+
+        await userRepository.saveUser({
+            id: user.id,
+            password: await hashPassword(newPassword),
+            passwordChangedAt: new Date().toISOString()
+        });
+        const revokedSessions = revokeUserSessions(user.id, 'password_change');
+        await req.rateLimit.succeed();
+        const session = createSession(user, req);
+
+        console.log('[PasswordChange] ✅ Contraseña cambiada:', user.email);
+
+        res.json({
+            success: true,
+            message: 'Contraseña actualizada. Las demás sesiones se cerraron.',
+            revokedSessions: revokedSessions,
+            session: session,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('[PasswordChange] Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Error al cambiar la contraseña',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+
+const {
+    getCredentialSchema,
+    getCredentialContext,
+    getSchemaSummary,
+    listCredentialSchemas
+} = require('../src/credential-schemas');
+
+const router = express.Router();
+
+// ============================================
+// ENDPOINT: Schemas de credenciales disponibles
+// ============================================
+/**
+ * GET /api/schemas
+ * Tipos de credencial de issure-schemes con sus campos
+ */
+router.get('/api/schemas', (req, res) => {
+    const schemas = listCredentialSchemas();
+    res.json({
+        success: true,
+        count: schemas.length,
+        schemas: schemas
+    });
+});
+
+// ============================================
+// ENDPOINT: Schema de un tipo
+// ============================================
+/**
+ * GET /api/schemas/:type
+ * Resumen del tipo y el JSON schema completo
+ */
+router.get('/api/schemas/:type', (req, res) => {
+    const summary = getSchemaSummary(req.params.type);
+    if (!summary) {
+        return res.status(404).json({
+            success: false,
+            error: 'Tipo de credencial desconocido',
+            availableTypes: listCredentialSchemas().map(item => item.type)
+        });
+    }
+
+    res.json({
+        success: true,
+        ...summary,
+        schema: getCredentialSchema(req.params.type)
+    });
+});
+
+// ============================================
+// ENDPOINT: Documentos del schema (para Issuer Node y wallets)
+// ============================================
+/**
+ * GET /api/schemas/:type/schema.json    JSON schema tal cual
+ * GET /api/schemas/:type/schema.jsonld  contexto JSON-LD
+ * Es la URL credentialSchema de los tipos sin schema publicado (getSchemaUrl).
+ */
+router.get('/api/schemas/:type/schema.json', (req, res) => {
+    const schema = getCredentialSchema(req.params.type);
+    if (!schema) {
+        return res.status(404).json({
+            success: false,
+            error: 'Tipo de credencial desconocido'
+        });
+    }
+
+    res.json(schema);
+});
+
+router.get('/api/schemas/:type/schema.jsonld', (req, res) => {
+    const context = getCredentialContext(req.params.type);
+    if (!context) {
+        return res.status(404).json({
+            success: false,
+            error: 'El tipo no tiene contexto JSON-LD'
+        });
+    }
+
+    res.type('application/ld+json').json(context);
+});
+
+module.exports = router;
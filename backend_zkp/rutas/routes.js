@@ -1,19 +1,37 @@
 const express = require('express');
-const axios = require('axios');
 const dotenv = require('dotenv');
 dotenv.config();
 
 const { 
     userToIdentitySchema, 
-    walletToIdentitySchema,
-    createUserAuthCredential,
-    createWalletAuthCredential,
-    didFromEthAddress
+    walletToIdentitySchema
 } = require('../scheme/scheme');
 
 const { validateUserData, createCredentialRequest } = require('../src/datasure');
-const { validateDID, validateEmail, hashData } = require('../src/validador');
+const { validateDID, validateEmail, validateWalletAddress } = require('../src/validador');
 const { verifyCredentialWithIssuer } = require('../src/zkp-verifier');
+const { InvalidProofFormatError, getSupportedCircuits } = require('../src/groth16-verifier');
+const { verifyZKProof, verifyScopeProofs } = require('../src/proof-verifier');
+const { getProofRequest } = require('../src/proof-requests');
+const { StateResolverError } = require('../src/issuer-state');
+const { getUserRepository, UserConflictError } = require('../src/user-store');
+const { validatePassword, hashPassword, verifyPassword, getDummyHash } = require('../src/password');
+const { createSession } = require('../src/sessions');
+const { createSiweChallenge, verifySiweSignature, parseSiweMessage, SiweNonceLimitError } = require('../src/siwe');
+const { authRateLimit, requestRateLimit } = require('../src/rate-limiter');
+const { enqueueUserSync } = require('../src/sync-queue');
+const { toPublicUser } = require('../src/accounts');
+const { sendVerificationEmail } = require('../src/email-verification');
+const { toHttpStatus, IssuerNodeError, IssuerUnavailableError } = require('../src/issuer-client');
+const {
+    ISSUER_NODE_URL,
+    issuerClient,
+    getIssuerDID,
+    createDIDInIssuer,
+    assertAuthCredentialSubject,
+    createCredentialInIssuer
+} = require('../src/issuer');
+const { CredentialSubjectValidationError } = require('../src/credential-schemas');
 const {
     createZKPProofRequest,
     createFullProofRequest,
@@ -29,46 +47,24 @@ const {
 
 const router = express.Router();
 
-const ISSUER_NODE_URL = process.env.ISSUER_NODE_BASE_URL;
-const ISSUER_NODE_USER = process.env.ISSUER_NODE_USER;
-const ISSUER_NODE_PASSWORD = process.env.ISSUER_NODE_PASSWORD;
-
-// Configuración para axios con Basic Auth
-const issuerAuth = {
-    username: ISSUER_NODE_USER,
-    password: ISSUER_NODE_PASSWORD
-};
-
-const issuerHeaders = {
-    'Content-Type': 'application/json',
-    'Accept': 'application/json'
-};
-
-console.log('[Config] Issuer Node URL:', ISSUER_NODE_URL);
-console.log('[Config] Issuer Auth: Habilitado');
-
 // ============================================
-// ALMACENAMIENTO TEMPORAL DE USUARIOS
+// ALMACENAMIENTO DE USUARIOS
 // ============================================
-// En producción, esto debe ser una base de datos
-const usersStore = new Map();
+// Backend configurable con USER_STORE (file por defecto, memory para pruebas)
+const userRepository = getUserRepository();
 
 /**
- * Guarda un usuario en el almacenamiento temporal
+ * Guarda (crea o actualiza) un usuario en el repositorio
  */
-function saveUser(email, userData) {
-    usersStore.set(email.toLowerCase(), {
-        ...userData,
-        savedAt: new Date().toISOString()
-    });
-    console.log('[Store] Usuario guardado:', email);
+async function saveUser(userData) {
+    return userRepository.saveUser(userData);
 }
 
 /**
- * Obtiene un usuario del almacenamiento temporal
+ * Obtiene un usuario por email
  */
-function getUser(email) {
-    const user = usersStore.get(email.toLowerCase());
+async function getUser(email) {
+    const user = await userRepository.getUserByEmail(email);
     if (user) {
         console.log('[Store] Usuario encontrado:', email);
     }
@@ -78,191 +74,34 @@ function getUser(email) {
 /**
  * Verifica si existe un usuario
  */
-function userExists(email) {
-    return usersStore.has(email.toLowerCase());
-}
-
-// ============================================
-// HELPER: Obtener DID del Issuer
-// ============================================
-let ISSUER_DID = null;
-
-async function getIssuerDID() {
-    if (ISSUER_DID) return ISSUER_DID;
-    
-    try {
-        const response = await axios.get(
-            `${ISSUER_NODE_URL}/v2/identities`,
-            { 
-                headers: issuerHeaders,
-                auth: issuerAuth
-            }
-        );
-        
-        if (response.data && response.data.length > 0) {
-            ISSUER_DID = response.data[0].identifier;
-            console.log('[Config] Issuer DID obtenido:', ISSUER_DID);
-            return ISSUER_DID;
-        }
-    } catch (error) {
-        console.error('[Config] No se pudo obtener Issuer DID:', error.message);
-    }
-    
-    return null;
+async function userExists(email) {
+    return userRepository.userExists(email);
 }
 
-// Obtener el DID del Issuer al iniciar
-getIssuerDID();
-
 // ============================================
-// HELPER: Crear DID en Issuer Node
+// LÍMITE DE INTENTOS
 // ============================================
-async function createDIDInIssuer(userData = {}) {
-    try {
-        const identityRequest = {
-            didMetadata: {
-                method: "polygonid",
-                blockchain: "polygon",
-                network: "amoy",
-                type: "BJJ" // ETHr 
-            }
-        };
-        
-        console.log('[CreateDID] Intentando conectar a Issuer Node...');
-        
-        const response = await axios.post(
-            `${ISSUER_NODE_URL}/v2/identities`,
-            identityRequest,
-            { 
-                headers: issuerHeaders,
-                auth: issuerAuth,
-                timeout: 5000
-            }
-        );
-
-        console.log('[CreateDID] DID creado en Issuer Node:', response.data.identifier);
-        return response.data;
-    } catch (error) {
-        console.warn('[CreateDID]  Issuer Node no disponible, usando DID local');
-        
-        // Generar DID localmente si el Issuer Node no está disponible
-        const localDID = userData.walletAddress 
-            ? didFromEthAddress(userData.walletAddress, 'amoy')
-            : `did:polygonid:polygon:amoy:${hashData(userData.email || Date.now().toString()).slice(0, 40)}`;
-        
-        return {
-            identifier: localDID,
-            state: 'pending_issuer',
-            message: 'DID generado localmente. Issuer Node no disponible.'
-        };
-    }
-}
-
-// ============================================
-// HELPER: Crear Credencial en Issuer Node
-// ============================================
-async function createCredentialInIssuer(did, userData) {
-    try {
-        const issuerDID = await getIssuerDID();
-        
-        if (!issuerDID) {
-            throw new Error('No se pudo obtener el DID del Issuer');
-        }
-        
-                // Usar schema real de IPFS
-        // Construir credentialSubject solo con campos que tienen valor
-        const credentialSubject = {
-            id: did,
-            fullName: userData.fullName || "Unknown User",
-            authMethod: userData.authMethod || "email",
-            accountState: userData.accountState || "active",
-            registrationDate: Math.floor(Date.now() / 1000),
-            isVerified: userData.isVerified || false
-        };
-
-        // Agregar email solo si existe
-        if (userData.email) {
-            credentialSubject.email = userData.email;
-        }
-
-        // Agregar walletAddress solo si existe
-        if (userData.walletAddress) {
-            credentialSubject.walletAddress = userData.walletAddress;
-        }
-
-        const credentialRequest = {
-            credentialSchema: "https://gateway.pinata.cloud/ipfs/QmXAHpXSPcj2J7wreCkKkvvXgT67tbQDvFxmTHudXQYBEp",
-            type: "ZKPAuthCredential",
-            credentialSubject: credentialSubject,
-            expiration: Math.floor(Date.now() / 1000) + (365 * 24 * 60 * 60) // 1 año
-        };
-        
-        console.log('[CreateCredential] Intentando crear en Issuer Node...');
-        console.log('[CreateCredential] Issuer DID:', issuerDID);
-        console.log('[CreateCredential] Subject DID:', did);
-        console.log('[CreateCredential] Credential Subject:', JSON.stringify(credentialSubject, null, 2));
-        
-        const response = await axios.post(
-            `${ISSUER_NODE_URL}/v2/identities/${issuerDID}/credentials`,
-            credentialRequest,
-            { 
-                headers: issuerHeaders,
-                auth: issuerAuth,
-                timeout: 5000
-            }
-        );
-
-        console.log('[CreateCredential] ✅ Credencial creada en Issuer Node:', response.data.id);
-        
-        // IMPORTANTE: Obtener la credencial COMPLETA después de crearla
-        const credentialId = response.data.id;
-        console.log('[CreateCredential] Obteniendo credencial completa...');
-        
-        try {
-            const credentialResponse = await axios.get(
-                `${ISSUER_NODE_URL}/v2/identities/${issuerDID}/credentials/${credentialId}`,
-                { 
-                    headers: issuerHeaders,
-                    auth: issuerAuth,
-                    timeout: 5000
-                }
-            );
-            
-            console.log('[CreateCredential] ✅ Credencial completa obtenida');
-            console.log('[CreateCredential] Credencial:', JSON.stringify(credentialResponse.data, null, 2));
-            
-            // IMPORTANTE: El Issuer Node devuelve { id, vc: {...} }
-            // Necesitamos devolver solo el vc (la credencial W3C)
-            return credentialResponse.data.vc || credentialResponse.data;
-        } catch (fetchError) {
-            console.warn('[CreateCredential] ⚠️ No se pudo obtener credencial completa:', fetchError.message);
-            console.warn('[CreateCredential] Devolviendo solo ID');
-            return response.data;
-        }
-        
-    } catch (error) {
-        console.warn('[CreateCredential] ⚠️ Error:', error.response?.data?.message || error.message);
-        console.warn('[CreateCredential] Usando credencial local como fallback');
-        
-        // Crear credencial localmente
-        const localCredential = userData.authMethod === 'wallet'
-            ? createWalletAuthCredential(did, userData.walletAddress, userData)
-            : createUserAuthCredential(did, userData);
-        
-        console.log('[CreateCredential] 📄 Credencial local creada:', JSON.stringify(localCredential, null, 2));
-        
-        return {
-            ...localCredential,
-            status: 'pending_issuer',
-            message: 'Credencial generada localmente. Pendiente de sincronizar con Issuer Node.'
-        };
-    }
-}
+// Por IP y por cuenta: email en login/registro, wallet en SIWE
+const emailRateLimit = authRateLimit(req =>
+    typeof req.body?.email === 'string' ? `email:${req.body.email.toLowerCase()}` : null
+);
+const walletRateLimit = authRateLimit(req => {
+    const address = parseSiweMessage(req.body?.message)?.address;
+    return address ? `wallet:${address.toLowerCase()}` : null;
+});
+// Cada nonce se guarda en disco: se cuentan todas las solicitudes, y una IP
+// o wallet bloqueada tampoco puede pedir nonces
+const getNonceWalletKey = req =>
+    typeof req.query?.walletAddress === 'string' ? `wallet:${req.query.walletAddress.toLowerCase()}` : null;
+const nonceRateLimit = [
+    authRateLimit(getNonceWalletKey),
+    requestRateLimit({ name: 'siwe-nonce', maxRequests: 30, windowSeconds: 5 * 60 }, getNonceWalletKey)
+];
 
 // ============================================
 // ENDPOINT: Registro
 // ============================================
-router.post('/api/register', async (req, res) => {
+router.post('/api/register', emailRateLimit, async (req, res) => {
     try {
         const { name, email, password } = req.body;
         
@@ -276,7 +115,8 @@ router.post('/api/register', async (req, res) => {
         console.log('[Register] Registrando:', email);
         
         // Verificar si el usuario ya existe
-        if (userExists(email)) {
+        if (await userExists(email)) {
+            await req.rateLimit.fail();
             return res.status(400).json({
                 success: false,
                 error: 'El email ya está registrado. Por favor, inicia sesión.'
@@ -293,6 +133,7 @@ router.post('/api/register', async (req, res) => {
 
         const validation = validateUserData(userData);
         if (!validation.isValid) {
+            await req.rateLimit.fail();
             return res.status(400).json({
                 success: false,
                 error: 'Datos inválidos',
@@ -301,35 +142,62 @@ router.post('/api/register', async (req, res) => {
         }
 
         if (!validateEmail(email)) {
+            await req.rateLimit.fail();
             return res.status(400).json({
                 success: false,
                 error: 'Email inválido'
             });
         }
 
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            await req.rateLimit.fail();
+            return res.status(400).json({
+                success: false,
+                error: 'Contraseña inválida',
+                details: passwordError
+            });
+        }
+
+        // Antes de crear nada en el Issuer Node: si falla no deja DIDs huérfanos
+        assertAuthCredentialSubject(userData);
+        const passwordHash = await hashPassword(password);
+        console.log('[Register] Password hasheado');
+
         const issuerResponse = await createDIDInIssuer(userData);
         const did = issuerResponse.identifier;
 
         const credential = await createCredentialInIssuer(did, userData);
-
-        const passwordHash = hashData(password);
-        console.log('[Register] Password hasheado');
         
         // GUARDAR USUARIO EN EL STORE
-        saveUser(email, {
+        const savedUser = await saveUser({
             name: name,
             email: email,
             password: passwordHash,
             did: did,
-            credential: credential,
             zkpData: {
                 identifier: did,
                 state: issuerResponse.state || 'active'
             },
             authMethod: 'email',
             accountState: 'active',
-            createdAt: new Date().toISOString()
+            isVerified: false,
+            emailVerified: false
         });
+        const registeredUser = await userRepository.addCredential(savedUser.id, credential);
+
+        // DID o credencial locales: se sincronizan cuando vuelva el Issuer Node
+        enqueueUserSync(registeredUser);
+
+        // El correo no debe bloquear el registro: se puede reenviar después
+        try {
+            await sendVerificationEmail(savedUser);
+        } catch (mailError) {
+            console.warn('[Register] ⚠️ No se pudo enviar verificación:', mailError.message);
+        }
+
+        await req.rateLimit.succeed();
+        const session = createSession(savedUser, req);
 
         res.json({
             success: true,
@@ -345,10 +213,26 @@ router.post('/api/register', async (req, res) => {
                 identifier: did,
                 state: issuerResponse.state || 'active'
             },
+            session: session,
             timestamp: new Date().toISOString()
         });
 
     } catch (error) {
+        if (error instanceof CredentialSubjectValidationError) {
+            await req.rateLimit.fail();
+            return res.status(400).json({
+                success: false,
+                error: 'Datos inválidos para la credencial',
+                details: error.errors
+            });
+        }
+        // Otro registro con el mismo email ganó la carrera
+        if (error instanceof UserConflictError) {
+            return res.status(409).json({
+                success: false,
+                error: 'El email ya está registrado. Por favor, inicia sesión.'
+            });
+        }
         console.error('[Register] Error:', error.message);
         res.status(500).json({ 
             success: false,
@@ -358,57 +242,195 @@ router.post('/api/register', async (req, res) => {
     }
 });
 
+// ============================================
+// ENDPOINT: Wallet Auth - Nonce SIWE
+// ============================================
+// Origins del frontend que pueden pedir un mensaje SIWE (por defecto el de SIWE_URI)
+const SIWE_ALLOWED_ORIGINS = (process.env.SIWE_ALLOWED_ORIGINS
+    || (process.env.SIWE_URI ? new URL(process.env.SIWE_URI).origin : 'http://localhost:3000'))
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+/**
+ * Dominio y URI que aparecen en el mensaje SIWE.
+ * SIWE_DOMAIN / SIWE_URI fijan los del frontend; si no, se usa el Origin,
+ * que tiene que estar en SIWE_ALLOWED_ORIGINS. Sin Origin (clientes que no
+ * son navegadores) se usa el primero de la lista, nunca el Host del request.
+ * @returns {{domain: string, uri: string}|{error: string}}
+ */
+function getSiweOrigin(req) {
+    const origin = req.get('origin');
+    let originUrl = new URL(SIWE_ALLOWED_ORIGINS[0]);
+    if (origin) {
+        try {
+            originUrl = new URL(origin);
+        } catch {
+            return { error: 'El header Origin debe ser una URL' };
+        }
+        if (!SIWE_ALLOWED_ORIGINS.includes(originUrl.origin)) {
+            return { error: `El Origin ${originUrl.origin} no está en SIWE_ALLOWED_ORIGINS` };
+        }
+    }
+
+    return {
+        domain: process.env.SIWE_DOMAIN || originUrl.host,
+        uri: process.env.SIWE_URI || originUrl.origin
+    };
+}
+
+/**
+ * GET /api/wallet-auth/nonce?walletAddress=0x...
+ * Devuelve el mensaje EIP-4361 que la wallet debe firmar
+ */
+router.get('/api/wallet-auth/nonce', nonceRateLimit, (req, res) => {
+    try {
+        const { walletAddress } = req.query;
+
+        if (!walletAddress || !validateWalletAddress(walletAddress)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Wallet address inválida'
+            });
+        }
+
+        const siweOrigin = getSiweOrigin(req);
+        if (siweOrigin.error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Origin inválido',
+                details: siweOrigin.error
+            });
+        }
+
+        const challenge = createSiweChallenge(walletAddress, siweOrigin);
+        console.log('[WalletAuth] Nonce emitido para:', walletAddress);
+
+        res.json({
+            success: true,
+            ...challenge,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (error instanceof SiweNonceLimitError) {
+            return res.status(429).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('[WalletAuth] Error generando nonce:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Error al generar nonce',
+            details: error.message
+        });
+    }
+});
+
 // ============================================
 // ENDPOINT: Wallet Auth
 // ============================================
-router.post('/api/wallet-auth', async (req, res) => {
+/**
+ * POST /api/wallet-auth
+ * Body: { "message": "<mensaje SIWE>", "signature": "0x..." }
+ */
+router.post('/api/wallet-auth', walletRateLimit, async (req, res) => {
     try {
-        const { walletAddress } = req.body;
+        const { message, signature } = req.body;
         
-        if (!walletAddress) {
+        if (!message || !signature) {
             return res.status(400).json({ 
                 success: false, 
-                error: 'Falta wallet address' 
+                error: 'Faltan message y signature (pide un nonce en /api/wallet-auth/nonce)' 
             });
         }
 
+        // Solo se emite credencial si la firma prueba el control de la wallet
+        const siwe = verifySiweSignature(message, signature);
+        if (!siwe.valid) {
+            await req.rateLimit.fail();
+            console.log('[WalletAuth] Firma rechazada:', siwe.error);
+            return res.status(401).json({
+                success: false,
+                error: 'Firma SIWE inválida',
+                details: siwe.error
+            });
+        }
+
+        const walletAddress = siwe.walletAddress;
+
         console.log('[WalletAuth] Autenticando:', walletAddress);
 
-        const userData = {
-            fullName: `Wallet ${walletAddress.slice(0, 6)}...`,
-            walletAddress: walletAddress,
-            authMethod: 'wallet',
-            accountState: 'active',
-            isVerified: true
-        };
+        // Una wallet ya conocida (wallet o hybrid) vuelve a su misma cuenta y DID
+        let user = await userRepository.getUserByWallet(walletAddress);
 
-        // Crear DID en el Issuer Node
-        const issuerResponse = await createDIDInIssuer(userData);
-        const did = issuerResponse.identifier; // ✅ Usar DID del Issuer Node
-        
-        console.log('[WalletAuth] DID del Issuer Node:', did);
+        if (user) {
+            console.log('[WalletAuth] Cuenta existente:', user.id, 'DID:', user.did);
+        } else {
+            const userData = {
+                fullName: `Wallet ${walletAddress.slice(0, 6)}...`,
+                walletAddress: walletAddress,
+                authMethod: 'wallet',
+                accountState: 'active',
+                isVerified: true
+            };
 
-        // Crear credencial con el DID del Issuer
-        const credential = await createCredentialInIssuer(did, userData);
+            // Crear DID en el Issuer Node, con los datos ya validados
+            assertAuthCredentialSubject(userData);
+            const issuerResponse = await createDIDInIssuer(userData);
+            const did = issuerResponse.identifier; // ✅ Usar DID del Issuer Node
+            
+            console.log('[WalletAuth] DID del Issuer Node:', did);
+
+            // Crear credencial con el DID del Issuer
+            const credential = await createCredentialInIssuer(did, userData);
+
+            try {
+                const savedUser = await saveUser({
+                    name: userData.fullName,
+                    walletAddress: walletAddress,
+                    did: did,
+                    zkpData: {
+                        identifier: did,
+                        state: issuerResponse.state || 'active'
+                    },
+                    authMethod: 'wallet',
+                    accountState: 'active',
+                    isVerified: true
+                });
+                user = await userRepository.addCredential(savedUser.id, credential);
+                enqueueUserSync(user);
+            } catch (saveError) {
+                // Un intento simultáneo con la misma wallet ya creó la cuenta
+                if (!(saveError instanceof UserConflictError)) throw saveError;
+                user = await userRepository.getUserByWallet(walletAddress);
+                if (!user) throw saveError;
+                console.log('[WalletAuth] Cuenta creada en paralelo:', user.id);
+            }
+        }
+
+        await req.rateLimit.succeed();
+        const session = createSession(user, req);
 
         res.json({
             success: true,
-            did: did,
-            user: {
-                name: userData.fullName,
-                walletAddress: walletAddress,
-                type: 'wallet',
-                state: 'active'
-            },
-            credential: credential,
-            zkpData: {
-                identifier: did,
-                state: issuerResponse.state || 'active'
-            },
+            did: user.did,
+            user: toPublicUser(user),
+            credential: user.credential,
+            zkpData: user.zkpData,
+            session: session,
             timestamp: new Date().toISOString()
         });
 
     } catch (error) {
+        if (error instanceof CredentialSubjectValidationError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Datos inválidos para la credencial',
+                details: error.errors
+            });
+        }
         console.error('[WalletAuth] Error:', error.message);
         res.status(500).json({ 
             success: false,
@@ -421,7 +443,7 @@ router.post('/api/wallet-auth', async (req, res) => {
 // ============================================
 // ENDPOINT: Login
 // ============================================
-router.post('/api/login', async (req, res) => {
+router.post('/api/login', emailRateLimit, async (req, res) => {
     try {
         const { email, password } = req.body;
         
@@ -434,42 +456,39 @@ router.post('/api/login', async (req, res) => {
 
         console.log('[Login] Intento de login:', email);
 
-        // Verificar si el usuario existe
-        const user = getUser(email);
+        // Verificar usuario y contraseña. Si el usuario no existe se compara
+        // contra un hash falso: misma respuesta y mismo tiempo en ambos casos
+        const user = await getUser(email);
+        const passwordCheck = await verifyPassword(password, user?.password || await getDummyHash());
         
-        if (!user) {
-            console.log('[Login] Usuario no encontrado:', email);
+        if (!user || !passwordCheck.valid) {
+            console.log('[Login] Credenciales inválidas:', email, user ? '(contraseña)' : '(usuario)');
+            await req.rateLimit.fail();
             return res.status(401).json({
                 success: false,
-                error: 'Usuario no encontrado. Por favor, regístrate primero.'
+                error: 'Email o contraseña incorrectos'
             });
         }
 
-        // Verificar contraseña
-        const passwordHash = hashData(password);
-        
-        if (user.password !== passwordHash) {
-            console.log('[Login] Contraseña incorrecta');
-            return res.status(401).json({
-                success: false,
-                error: 'Contraseña incorrecta'
-            });
+        // Migrar hashes antiguos (SHA-256 sin salt) o con costo desactualizado
+        if (passwordCheck.needsRehash) {
+            await saveUser({ id: user.id, password: await hashPassword(password) });
+            console.log('[Login] Password re-hasheado con scrypt:', email);
         }
         
         console.log('[Login] ✅ Login exitoso:', email);
+
+        await req.rateLimit.succeed();
+        const session = createSession(user, req);
         
         // Devolver todos los datos del usuario (DID, credencial, etc.)
         res.json({
             success: true,
             did: user.did,
-            user: {
-                name: user.name,
-                email: user.email,
-                type: 'email',
-                state: user.accountState || 'active'
-            },
+            user: toPublicUser(user),
             credential: user.credential,
             zkpData: user.zkpData,
+            session: session,
             message: 'Login exitoso',
             timestamp: new Date().toISOString()
         });
@@ -489,25 +508,20 @@ router.post('/api/login', async (req, res) => {
 // ============================================
 router.get('/api/issuer/info', async (req, res) => {
     try {
-        const response = await axios.get(
-            `${ISSUER_NODE_URL}/v2/identities`,
-            { 
-                headers: issuerHeaders,
-                auth: issuerAuth
-            }
-        );
+        const identities = await issuerClient.listIdentities();
 
         res.json({
             success: true,
             issuerUrl: ISSUER_NODE_URL,
-            identities: response.data,
+            identities: identities,
             message: 'Issuer Node conectado'
         });
 
     } catch (error) {
-        res.status(500).json({
+        res.status(toHttpStatus(error)).json({
             success: false,
             error: 'No se pudo conectar con Issuer Node',
+            code: error.code,
             issuerUrl: ISSUER_NODE_URL,
             details: error.message
         });
@@ -519,19 +533,13 @@ router.get('/api/issuer/info', async (req, res) => {
 // ============================================
 router.post('/v2/identities', async (req, res) => {
     try {
-        const response = await axios.post(
-            `${ISSUER_NODE_URL}/v2/identities`,
-            req.body,
-            { 
-                headers: issuerHeaders,
-                auth: issuerAuth
-            }
-        );
-        res.json(response.data);
+        const identity = await issuerClient.createIdentity(req.body);
+        res.json(identity);
     } catch (error) {
-        res.status(500).json({ 
+        res.status(toHttpStatus(error)).json({ 
             error: 'Error al crear DID',
-            details: error.response?.data || error.message 
+            code: error.code,
+            details: error.details || error.message 
         });
     }
 });
@@ -540,6 +548,7 @@ router.get('/health', (req, res) => {
     res.json({
         status: 'ok',
         issuerNode: ISSUER_NODE_URL,
+        issuerCircuit: issuerClient.getBreakerState().state,
         timestamp: new Date().toISOString()
     });
 });
@@ -563,15 +572,27 @@ router.get('/health', (req, res) => {
  * Verificar prueba ZKP
  * POST /verify-proof
  * 
+ * Si hay verification key del circuito (circuito/verification-keys) la prueba
+ * se verifica localmente con Groth16; si no, se envía al Issuer Node.
+ * En los circuitos de atomic query las señales públicas se comparan con el
+ * proof request guardado al emitirlo (POST /api/verifier/queries) y los
+ * estados del issuer se confirman con el contrato State o el Issuer Node.
+ * 
  * Body: {
  *   "proof": { pi_a, pi_b, pi_c },
  *   "pub_signals": [...],
- *   "circuitId": "credentialAtomicQueryMTPV2"
+ *   "circuitId": "credentialAtomicQueryMTPV2",
+ *   "requestId": "<uuid de /api/verifier/queries>" (obligatorio en atomic query),
+ *   "vp": { verifiableCredential: { credentialSubject } } (opcional, valor de divulgación selectiva)
  * }
+ * La revocación se deduce de la prueba (titular, issuer y tipo), no la indica el cliente.
+ * Con divulgación selectiva la respuesta trae `disclosed` { campo: valor }.
+ * Con params.nullifierSessionId (V3) la prueba vale una vez por credencial:
+ * `nullifier` trae el registrado o `used: true` si ya se había usado.
  */
 router.post('/verify-proof', async (req, res) => {
     try {
-        const { proof, pub_signals, circuitId } = req.body;
+        const { proof, pub_signals, circuitId, requestId, vp } = req.body;
 
         if (!proof || !pub_signals || !circuitId) {
             return res.status(400).json({ 
@@ -580,69 +601,89 @@ router.post('/verify-proof', async (req, res) => {
             });
         }
 
+        // Solo cuenta el request que emitió el servidor, no uno del cliente
+        const proofRequest = requestId !== undefined ? getProofRequest(requestId) : null;
+        if (requestId !== undefined && !proofRequest) {
+            return res.status(404).json({
+                success: false,
+                verified: false,
+                error: 'Proof request desconocido o vencido'
+            });
+        }
+        if (proofRequest?.scope) {
+            return res.status(400).json({
+                success: false,
+                verified: false,
+                error: 'El proof request tiene varios queries: usar /verify-proofs'
+            });
+        }
+
         console.log('🔍 Verificando prueba ZKP...');
         console.log('Circuit ID:', circuitId);
-        console.log('Pub signals:', pub_signals);
 
-        // Intentar verificar con el Issuer Node
         try {
-            const verificationRequest = {
-                circuitId: circuitId,
-                proof: proof,
-                pub_signals: pub_signals
-            };
-
-            const response = await axios.post(
-                `${ISSUER_NODE_URL}/v2/proofs/verify`,
-                verificationRequest,
-                { 
-                    headers: issuerHeaders,
-                    auth: issuerAuth,
-                    timeout: 10000
-                }
-            );
+            const result = await verifyZKProof({
+                circuitId,
+                proof,
+                pubSignals: pub_signals,
+                proofRequest,
+                vp
+            });
 
-            console.log('✅ Prueba verificada por Issuer Node:', response.data.verified ? 'VÁLIDA' : 'INVÁLIDA');
+            if (result.publicSignals) {
+                console.log('Señales públicas:', result.publicSignals.operatorName,
+                    'issuer', result.publicSignals.issuerIDBase58, 'timestamp', result.publicSignals.issuedAt);
+            }
+            console.log(result.verified ? '✅ Prueba VÁLIDA' : '❌ Prueba INVÁLIDA', `(${result.method})`);
 
             res.json({
                 success: true,
-                verified: response.data.verified === true,
-                message: response.data.verified 
-                    ? 'Prueba ZKP verificada exitosamente' 
+                verified: result.verified,
+                message: result.verified
+                    ? 'Prueba ZKP verificada exitosamente'
                     : 'Prueba ZKP inválida',
-                details: response.data,
+                method: result.method,
+                details: result.proof,
+                publicSignals: result.publicSignals,
+                queryCheck: result.queryCheck,
+                disclosed: result.disclosed,
+                nullifier: result.nullifier,
                 timestamp: new Date().toISOString()
             });
 
-        } catch (issuerError) {
-            console.warn('⚠️ Issuer Node no disponible para verificación');
-            console.warn('Error:', issuerError.response?.data?.message || issuerError.message);
-            
-            // Verificación básica local si el Issuer Node falla
-            const isValid = proof && 
-                           proof.pi_a && 
-                           proof.pi_b && 
-                           proof.pi_c && 
-                           pub_signals && 
-                           pub_signals.length > 0;
-            
-            console.log('📝 Verificación local:', isValid ? 'VÁLIDA (estructura)' : 'INVÁLIDA');
-            
-            res.json({
-                success: true,
-                verified: isValid,
-                message: isValid 
-                    ? '✅ Prueba verificada localmente (estructura correcta)' 
-                    : '❌ Prueba inválida (estructura incorrecta)',
-                localVerification: true,
-                note: 'Issuer Node no disponible. Verificación basada en estructura de proof.',
-                proofStructure: {
-                    hasPiA: !!proof?.pi_a,
-                    hasPiB: !!proof?.pi_b,
-                    hasPiC: !!proof?.pi_c,
-                    pubSignalsCount: pub_signals?.length || 0
-                },
-                timestamp: new Date().toISOString()
+        } catch (verifyError) {
+            if (verifyError instanceof InvalidProofFormatError) {
+                return res.status(400).json({
+                    success: false,
+                    verified: false,
+                    error: 'Prueba mal formada',
+                    details: verifyError.message
+                });
+            }
+            if (verifyError instanceof StateResolverError) {
+                console.error('❌ No se pudo confirmar el estado del issuer:', verifyError.message);
+                return res.status(503).json({
+                    success: false,
+                    verified: false,
+                    error: 'No se pudo confirmar el estado publicado del issuer',
+                    details: verifyError.message
+                });
+            }
+            if (!(verifyError instanceof IssuerNodeError)) throw verifyError;
+
+            console.error('❌ No se pudo verificar con Issuer Node:', verifyError.message);
+
+            // Sin verification key ni Issuer Node no hay forma de verificar:
+            // nunca se da por buena una prueba solo por su estructura
+            res.status(toHttpStatus(verifyError)).json({
+                success: false,
+                verified: false,
+                error: verifyError instanceof IssuerUnavailableError
+                    ? 'No hay verification key local para el circuito y el Issuer Node no está disponible'
+                    : 'El Issuer Node rechazó la verificación de la prueba',
+                code: verifyError.code,
+                supportedCircuits: getSupportedCircuits(),
+                details: verifyError.details || verifyError.message
             });
         }
 
@@ -655,6 +696,108 @@ router.post('/verify-proof', async (req, res) => {
     }
 });
 
+/**
+ * Verificar las pruebas de un request con varios queries
+ * POST /verify-proofs
+ *
+ * Body: {
+ *   "requestId": "<uuid de POST /api/verifier/queries con queries>",
+ *   "proofs": [{ id, circuitId, proof, pub_signals, vp? }]
+ * }
+ * Cada prueba se empareja con su query por id. La respuesta trae el
+ * resultado de cada query y `verified` (todos los no opcionales válidos).
+ */
+router.post('/verify-proofs', async (req, res) => {
+    try {
+        const { requestId, proofs } = req.body || {};
+
+        if (!requestId || !Array.isArray(proofs)) {
+            return res.status(400).json({
+                error: 'Faltan campos requeridos',
+                required: ['requestId', 'proofs']
+            });
+        }
+
+        const proofRequest = getProofRequest(requestId);
+        if (!proofRequest) {
+            return res.status(404).json({
+                success: false,
+                verified: false,
+                error: 'Proof request desconocido o vencido'
+            });
+        }
+        if (!Array.isArray(proofRequest.scope)) {
+            return res.status(400).json({
+                success: false,
+                verified: false,
+                error: 'El proof request tiene un solo query: usar /verify-proof'
+            });
+        }
+
+        console.log('🔍 Verificando', proofs.length, 'pruebas para', proofRequest.scope.length, 'queries...');
+
+        try {
+            const result = await verifyScopeProofs({
+                proofRequest,
+                proofs: proofs.map(item => ({ ...item, pubSignals: item?.pub_signals }))
+            });
+
+            for (const item of result.results) {
+                console.log(`  #${item.id}`, item.verified ? '✅' : '❌', item.circuitId, item.errors.join('; '));
+            }
+
+            res.json({
+                success: true,
+                verified: result.verified,
+                message: result.verified
+                    ? 'Todas las pruebas requeridas son válidas'
+                    : 'Hay queries sin una prueba válida',
+                results: result.results,
+                unexpected: result.unexpected,
+                disclosed: result.disclosed,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (verifyError) {
+            if (verifyError instanceof InvalidProofFormatError) {
+                return res.status(400).json({
+                    success: false,
+                    verified: false,
+                    error: 'Request mal formado',
+                    details: verifyError.message
+                });
+            }
+            if (verifyError instanceof StateResolverError) {
+                console.error('❌ No se pudo confirmar el estado del issuer:', verifyError.message);
+                return res.status(503).json({
+                    success: false,
+                    verified: false,
+                    error: 'No se pudo confirmar el estado publicado del issuer',
+                    details: verifyError.message
+                });
+            }
+            if (!(verifyError instanceof IssuerNodeError)) throw verifyError;
+
+            console.error('❌ No se pudo verificar con Issuer Node:', verifyError.message);
+            res.status(toHttpStatus(verifyError)).json({
+                success: false,
+                verified: false,
+                error: 'No se pudieron verificar las pruebas',
+                code: verifyError.code,
+                supportedCircuits: getSupportedCircuits(),
+                details: verifyError.details || verifyError.message
+            });
+        }
+
+    } catch (error) {
+        console.error('❌ Error verificando pruebas ZKP:', error.message);
+        res.status(500).json({
+            error: 'Error al verificar las pruebas ZKP',
+            details: error.message
+        });
+    }
+});
+
 // ============================================
 // ENDPOINT: Verificar Credencial (CON VERIFICACIÓN REAL)
 // ============================================
@@ -683,8 +826,7 @@ router.post('/api/verify-credential', async (req, res) => {
         const verificationResult = await verifyCredentialWithIssuer(
             credential,
             actualIssuerDID,
-            ISSUER_NODE_URL,
-            issuerAuth
+            issuerClient
         );
         
         console.log('[VerifyCredential] Resultado:', verificationResult);
@@ -695,12 +837,10 @@ router.post('/api/verify-credential', async (req, res) => {
             res.json({
                 success: true,
                 verified: true,
-                message: verificationResult.warning 
-                    ? verificationResult.message 
-                    : '✅ Credencial verificada correctamente',
+                message: '✅ Credencial verificada correctamente',
                 proof: {
                     type: 'CredentialVerification',
-                    method: verificationResult.localVerification ? 'local' : 'issuer-node',
+                    method: 'issuer-node',
                     timestamp: new Date().toISOString(),
                     ...verificationResult.details
                 },
@@ -709,7 +849,7 @@ router.post('/api/verify-credential', async (req, res) => {
                     verification: {
                         verified: true,
                         timestamp: new Date().toISOString(),
-                        method: verificationResult.localVerification ? 'local-verification' : 'issuer-node-verification',
+                        method: 'issuer-node-verification',
                         checks: {
                             structureValid: true,
                             issuerMatch: true,
@@ -728,18 +868,17 @@ router.post('/api/verify-credential', async (req, res) => {
                     },
                     zkpProof: verificationResult.details?.zkpProof || null,
                     rawData: verificationResult.rawData || null
-                },
-                localVerification: verificationResult.localVerification || false,
-                warning: verificationResult.warning
+                }
             });
         } else {
             console.log('[VerifyCredential] ❌ CREDENCIAL INVÁLIDA:', verificationResult.error);
             
-            res.status(400).json({
+            res.status(verificationResult.status || 400).json({
                 success: false,
                 verified: false,
                 error: verificationResult.error,
                 stage: verificationResult.stage,
+                details: verificationResult.details,
                 message: '❌ Credencial inválida o no verificable'
             });
         }
@@ -0,0 +1,102 @@
+const express = require('express');
+
+const { requireAuth } = require('../src/auth-middleware');
+const {
+    refreshSession,
+    revokeSession,
+    revokeUserSessions,
+    listUserSessions,
+    getSession
+} = require('../src/sessions');
+
+const router = express.Router();
+
+// ============================================
+// ENDPOINT: Renovar tokens
+// ============================================
+router.post('/api/token/refresh', (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({
+            success: false,
+            error: 'Falta refreshToken'
+        });
+    }
+
+    const result = refreshSession(refreshToken);
+    if (!result.success) {
+        return res.status(401).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    res.json({
+        success: true,
+        session: result.tokens,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// ============================================
+// ENDPOINT: Logout
+// ============================================
+/**
+ * POST /api/logout
+ * Body opcional: { "all": true } para cerrar todas las sesiones del usuario
+ */
+router.post('/api/logout', requireAuth, (req, res) => {
+    const { all } = req.body || {};
+
+    const revoked = all
+        ? revokeUserSessions(req.auth.userId, 'logout_all')
+        : Number(revokeSession(req.auth.sessionId, 'logout'));
+
+    console.log('[Logout] Sesiones cerradas:', revoked, 'usuario:', req.auth.userId);
+
+    res.json({
+        success: true,
+        revokedSessions: revoked,
+        message: 'Sesión cerrada',
+        timestamp: new Date().toISOString()
+    });
+});
+
+// ============================================
+// ENDPOINTS: Sesiones activas del usuario
+// ============================================
+router.get('/api/sessions', requireAuth, (req, res) => {
+    const sessions = listUserSessions(req.auth.userId).map(session => ({
+        ...session,
+        current: session.id === req.auth.sessionId
+    }));
+
+    res.json({
+        success: true,
+        sessions: sessions,
+        timestamp: new Date().toISOString()
+    });
+});
+
+router.delete('/api/sessions/:id', requireAuth, (req, res) => {
+    const session = getSession(req.params.id);
+
+    // Solo se pueden revocar sesiones propias
+    if (!session || session.userId !== req.auth.userId) {
+        return res.status(404).json({
+            success: false,
+            error: 'Sesión no encontrada'
+        });
+    }
+
+    revokeSession(session.id, 'revoked_by_user');
+
+    res.json({
+        success: true,
+        revokedSession: session.id,
+        timestamp: new Date().toISOString()
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,359 @@
+const express = require('express');
+
+const { getUserRepository } = require('../src/user-store');
+const { createSession } = require('../src/sessions');
+const { toPublicUser } = require('../src/accounts');
+const { getIssuerDID } = require('../src/issuer');
+const { toHttpStatus, IssuerNodeError } = require('../src/issuer-client');
+const { InvalidProofFormatError } = require('../src/groth16-verifier');
+const { StateResolverError } = require('../src/issuer-state');
+const { isV3Circuit } = require('../src/pub-signals');
+const { ProofRequestLimitError, storeProofRequest } = require('../src/proof-requests');
+const { requestRateLimit } = require('../src/rate-limiter');
+const {
+    QueryValidationError,
+    getQueryableFields,
+    createQueryProofRequest,
+    createScopeProofRequest
+} = require('../src/query-builder');
+const {
+    VerifierSessionLimitError,
+    SCOPE_PRESETS,
+    DISCLOSABLE_FIELDS,
+    createVerifierSession,
+    getVerifierSession,
+    checkSessionSecret,
+    handleAuthorizationResponse,
+    claimLogin
+} = require('../src/verifier-sessions');
+
+const router = express.Router();
+const userRepository = getUserRepository();
+
+// Cada llamada guarda un proof request
+const queriesRateLimit = requestRateLimit({ name: 'verifier-queries', maxRequests: 60, windowSeconds: 10 * 60 });
+// Cada sesión guarda un request; cada callback verifica un JWZ con sus pruebas
+const sessionsRateLimit = requestRateLimit({ name: 'verifier-sessions', maxRequests: 30, windowSeconds: 10 * 60 });
+const callbackRateLimit = requestRateLimit({ name: 'verifier-callback', maxRequests: 60, windowSeconds: 10 * 60 });
+
+const CALLBACK_STATUS = {
+    not_found: 404,
+    not_pending: 409,
+    expired: 410,
+    unauthenticated: 401,
+    rejected: 400
+};
+
+// ============================================
+// ENDPOINT: Crear sesión de verificación
+// ============================================
+/**
+ * POST /api/verifier/sessions { scope?: ["verification", ...], disclose?: ["accountState"], proofType?: "MTP"|"SIG"|"V3", campaign?, minDays?, authMethod? }
+ * Con proofType V3, campaign (registrada en admin) fija el nullifier.
+ * Devuelve el authorization request para la wallet y el sessionSecret
+ * con el que el frontend consulta el resultado (solo se entrega aquí).
+ */
+router.post('/api/verifier/sessions', sessionsRateLimit, async (req, res) => {
+    try {
+        const { scope, disclose, proofType, campaign, minDays, authMethod, reason } = req.body || {};
+
+        if (scope !== undefined && (!Array.isArray(scope) || !scope.every(item => typeof item === 'string'))) {
+            return res.status(400).json({
+                success: false,
+                error: 'scope debe ser una lista de presets',
+                availableScopes: Object.keys(SCOPE_PRESETS)
+            });
+        }
+
+        if (disclose !== undefined && (!Array.isArray(disclose) || !disclose.every(item => typeof item === 'string'))) {
+            return res.status(400).json({
+                success: false,
+                error: 'disclose debe ser una lista de campos',
+                disclosableFields: DISCLOSABLE_FIELDS
+            });
+        }
+
+        const issuerDID = await getIssuerDID();
+        if (!issuerDID) {
+            return res.status(503).json({
+                success: false,
+                error: 'No se pudo obtener el Issuer DID para el scope'
+            });
+        }
+
+        const { session, sessionSecret, request } = createVerifierSession({
+            verifierDID: process.env.VERIFIER_DID || issuerDID,
+            issuerDID,
+            scope,
+            disclose,
+            proofType,
+            campaign,
+            minDays,
+            authMethod,
+            reason
+        });
+
+        res.status(201).json({
+            success: true,
+            sessionId: session.id,
+            sessionSecret: sessionSecret,
+            expiresAt: session.expiresAt,
+            request: request,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (error instanceof VerifierSessionLimitError) {
+            return res.status(429).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        if (error instanceof InvalidProofFormatError) {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                availableScopes: Object.keys(SCOPE_PRESETS)
+            });
+        }
+
+        if (error instanceof QueryValidationError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Parámetros del scope inválidos',
+                errors: error.errors
+            });
+        }
+
+        console.error('[Verifier] Error creando sesión:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Error al crear la sesión de verificación',
+            details: error.message
+        });
+    }
+});
+
+// ============================================
+// ENDPOINT: Armar un proof request validado
+// ============================================
+/**
+ * POST /api/verifier/queries { type?, credentialSubject, proofType?, allowedIssuers?, accountAddress? }
+ * Valida el query contra el JSON schema del tipo, guarda el proof request y
+ * devuelve su requestId: /verify-proof y /verify-proofs verifican contra el
+ * request guardado. Con errores responde 400 y los campos consultables del tipo.
+ * Los campos con { campo: {} } tienen que estar en DISCLOSABLE_FIELDS.
+ *
+ * V3: { circuitId: "credentialAtomicQueryV3", campaign, proofType?, groupId? }.
+ * campaign es una campaña registrada en /api/admin/nullifier-campaigns, que da el
+ * nullifierSessionId; el nullifier se ata a VERIFIER_DID (o el Issuer DID), nunca
+ * a un DID del body.
+ *
+ * Con `queries: [{ id?, type, credentialSubject, circuitId?|proofType?, optional? }]`
+ * arma un request con scope para /verify-proofs (errores con su queryId).
+ */
+router.post('/api/verifier/queries', queriesRateLimit, async (req, res) => {
+    const {
+        type, credentialSubject, circuitId, proofType, groupId, campaign, nullifierSessionId,
+        allowedIssuers, accountAddress, queries
+    } = req.body || {};
+
+    try {
+        // Los requests V3 siempre piden nullifier, atado al DID del verifier (configuración)
+        const circuits = Array.isArray(queries) ? queries.map(item => item?.circuitId) : [circuitId];
+        const usesNullifier = circuits.some(item => isV3Circuit(item));
+        const verifierDID = usesNullifier ? process.env.VERIFIER_DID || await getIssuerDID() : undefined;
+
+        const proofRequest = queries !== undefined
+            ? createScopeProofRequest(queries, { allowedIssuers, accountAddress, verifierDID })
+            : createQueryProofRequest({
+                type,
+                credentialSubject,
+                circuitId,
+                proofType,
+                groupId,
+                campaign,
+                nullifierSessionId,
+                verifierDID,
+                allowedIssuers,
+                accountAddress
+            });
+
+        const stored = storeProofRequest(proofRequest);
+
+        res.json({
+            success: true,
+            requestId: stored.requestId,
+            expiresAt: stored.expiresAt,
+            proofRequest: stored.proofRequest,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (error instanceof ProofRequestLimitError) {
+            return res.status(429).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        if (error instanceof QueryValidationError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Query inválido',
+                errors: error.errors,
+                fields: queries === undefined ? getQueryableFields(type || 'ZKPAuthCredential') : undefined
+            });
+        }
+
+        console.error('[Verifier] Error armando query:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Error al armar el proof request',
+            details: error.message
+        });
+    }
+});
+
+// ============================================
+// ENDPOINT: Callback de la wallet
+// ============================================
+/**
+ * POST /api/verifier/callback?sessionId=...
+ * Body: el JWZ de la wallet como texto plano
+ */
+router.post('/api/verifier/callback', callbackRateLimit, express.text({ type: () => true, limit: '1mb' }), async (req, res) => {
+    try {
+        const { sessionId } = req.query;
+        const token = typeof req.body === 'string' ? req.body : req.body?.token;
+
+        if (!sessionId || !token) {
+            return res.status(400).json({
+                success: false,
+                error: 'Faltan sessionId o el token JWZ'
+            });
+        }
+
+        const result = await handleAuthorizationResponse(String(sessionId), token);
+        if (!result.valid) {
+            return res.status(CALLBACK_STATUS[result.reason] || 400).json({
+                success: false,
+                error: result.error,
+                scope: result.session?.result?.scope
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Pruebas verificadas',
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (error instanceof InvalidProofFormatError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Respuesta de la wallet mal formada',
+                details: error.message
+            });
+        }
+
+        if (error instanceof StateResolverError) {
+            console.error('[Verifier] Contrato de estado:', error.message);
+            return res.status(503).json({
+                success: false,
+                error: 'No se pudo confirmar la raíz del GIST o el estado publicado del issuer',
+                details: error.message
+            });
+        }
+
+        if (error instanceof IssuerNodeError) {
+            console.error('[Verifier] Issuer Node:', error.code, error.message);
+            return res.status(toHttpStatus(error)).json({
+                success: false,
+                error: 'No se pudieron verificar las pruebas',
+                code: error.code,
+                details: error.message
+            });
+        }
+
+        console.error('[Verifier] Error en callback:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Error al procesar la respuesta de la wallet',
+            details: error.message
+        });
+    }
+});
+
+// ============================================
+// ENDPOINT: Resultado de la sesión
+// ============================================
+/**
+ * GET /api/verifier/sessions/:id   (header X-Session-Secret)
+ * Con la sesión verificada entrega una sesión de login, una sola vez.
+ */
+router.get('/api/verifier/sessions/:id', async (req, res) => {
+    try {
+        const sessionId = req.params.id;
+
+        if (!checkSessionSecret(sessionId, req.get('X-Session-Secret'))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Sesión no encontrada'
+            });
+        }
+
+        const session = getVerifierSession(sessionId);
+        const response = {
+            success: true,
+            sessionId: session.id,
+            status: session.status,
+            expiresAt: session.expiresAt,
+            result: session.result
+        };
+
+        if (session.status !== 'verified') {
+            return res.json(response);
+        }
+
+        const user = await userRepository.getUserByDID(session.result.userDID);
+        if (!user) {
+            return res.status(404).json({
+                ...response,
+                success: false,
+                error: 'No hay una cuenta asociada al DID de la prueba'
+            });
+        }
+
+        if (!claimLogin(sessionId)) {
+            return res.status(409).json({
+                ...response,
+                success: false,
+                error: 'La sesión de login ya fue entregada'
+            });
+        }
+
+        console.log('[Verifier] ✅ Login con prueba ZKP:', user.email || user.walletAddress || user.id);
+
+        res.json({
+            ...response,
+            did: user.did,
+            user: toPublicUser(user),
+            session: createSession(user, req),
+            message: 'Login exitoso',
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('[Verifier] Error consultando sesión:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Error al consultar la sesión de verificación',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -130,8 +130,9 @@ const createUserAuthCredential = (did, userData) => {
         "credentialSubject": {
             id: did,
             fullName: userData.fullName || userData.name,
-            email: userData.email || null,
-            walletAddress: userData.walletAddress || null,
+            // El schema no admite null: los campos vacíos se omiten
+            ...(userData.email ? { email: userData.email } : {}),
+            ...(userData.walletAddress ? { walletAddress: userData.walletAddress } : {}),
             authMethod: userData.authMethod || 'email',
             accountState: userData.accountState || userData.state || 'active',
             registrationDate: currentTimestamp,
@@ -170,7 +171,6 @@ const createWalletAuthCredential = (did, walletAddress, userData = {}) => {
         "credentialSubject": {
             id: did,
             fullName: userData.fullName || userData.name || `Wallet ${walletAddress.slice(0, 6)}...`,
-            email: null,
             walletAddress: walletAddress,
             authMethod: 'wallet',
             accountState: userData.accountState || 'active',
@@ -213,6 +213,45 @@ const createVerifiableCredentialSchema = (did, userData) => {
     };
 };
 
+/**
+ * VC local de cualquier tipo registrado (fallback de POST /api/credentials)
+ * @param {Object} params
+ * @param {string} params.type - Tipo del schema (ZKNameCredential, BasicPerson...)
+ * @param {Object} params.credentialSubject - Con id = DID del titular
+ * @param {string} params.schemaUrl - URL del JSON schema
+ * @param {string} [params.contextUrl] - Contexto JSON-LD del tipo
+ * @param {number} [params.expiration] - Unix (segundos)
+ * @param {boolean} [params.revocable=true] - Sin credentialStatus si es false
+ */
+const createSchemaCredential = ({ type, credentialSubject, schemaUrl, contextUrl, expiration, revocable = true }) => {
+    const did = credentialSubject.id;
+
+    return {
+        "id": `urn:uuid:${crypto.randomUUID()}`,
+        "@context": [
+            "https://www.w3.org/2018/credentials/v1",
+            "https://schema.iden3.io/core/jsonld/iden3proofs.jsonld",
+            ...(contextUrl ? [contextUrl] : [])
+        ],
+        "type": ["VerifiableCredential", type],
+        "issuer": did, // El mismo DID actúa como issuer en fallback local
+        "issuanceDate": new Date().toISOString(),
+        ...(expiration ? { "expirationDate": new Date(expiration * 1000).toISOString() } : {}),
+        "credentialSubject": { ...credentialSubject, type },
+        "credentialSchema": {
+            "id": schemaUrl,
+            "type": "JsonSchema2023"
+        },
+        ...(revocable ? {
+            "credentialStatus": {
+                "id": `${did}/credentials/status`,
+                "type": "Iden3ReverseSparseMerkleTreeProof",
+                "revocationNonce": Math.floor(Math.random() * 1000000)
+            }
+        } : {})
+    };
+};
+
 // ============================================
 // FORMATO DE RESPUESTAS
 // ============================================
@@ -284,6 +323,7 @@ module.exports = {
     createUserAuthCredential,
     createWalletAuthCredential,
     createVerifiableCredentialSchema,
+    createSchemaCredential,
     
     // Formateo de respuestas
     formatResponseForFrontend,
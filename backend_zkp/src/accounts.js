@@ -0,0 +1,118 @@
+/**
+ * ACCOUNTS - Operaciones sobre cuentas de usuario
+ *
+ * Arma los datos de la credencial a partir del usuario guardado
+ * y re-emite la credencial cuando cambia la cuenta (vincular wallet/email).
+ */
+
+const { createCredentialInIssuer, revokeCredentialInIssuer } = require('./issuer');
+const { getUserRepository } = require('./user-store');
+const { recordRevocation } = require('./revocation-registry');
+const { enqueueUserSync, enqueueRevocationSync } = require('./sync-queue');
+
+/**
+ * Datos de credencial (formato userData de createCredentialInIssuer)
+ * a partir de un usuario del repositorio
+ */
+function buildCredentialData(user) {
+    return {
+        fullName: user.name,
+        email: user.email || undefined,
+        walletAddress: user.walletAddress || undefined,
+        authMethod: user.authMethod,
+        accountState: user.accountState || 'active',
+        isVerified: user.isVerified || false
+    };
+}
+
+/**
+ * Emite una credencial nueva para el usuario con sus datos actuales
+ * y la registra como credencial vigente en el historial
+ * @returns {Promise<{user: Object, credential: Object}>}
+ */
+async function reissueCredential(user) {
+    const credential = await createCredentialInIssuer(user.did, buildCredentialData(user));
+    const updatedUser = await getUserRepository().addCredential(user.id, credential);
+    enqueueUserSync(updatedUser);
+
+    console.log('[Accounts] Credencial re-emitida:', user.id, `(${user.authMethod})`);
+    return { user: updatedUser, credential };
+}
+
+/**
+ * Revoca una credencial del usuario.
+ * - Credencial del Issuer Node: se revoca por revocationNonce en el nodo;
+ *   si el nodo falla, la cola de sincronización lo reintenta
+ * - Credencial local (pending_issuer): solo existe aquí
+ * En ambos casos queda en el registro local de revocaciones y en el historial.
+ * @returns {Promise<Object>} - { credentialId, issuerRevoked, syncJobId, revokedAt, reason }
+ */
+async function revokeUserCredential(user, credential, reason) {
+    const isLocal = credential.status === 'pending_issuer';
+    let issuerRevoked = false;
+    let issuerError = null;
+
+    if (!isLocal) {
+        try {
+            await revokeCredentialInIssuer(credential);
+            issuerRevoked = true;
+        } catch (error) {
+            issuerError = error.message;
+            console.warn('[Accounts] ⚠️ No se pudo revocar en Issuer Node:', issuerError);
+        }
+    }
+
+    const record = recordRevocation(credential, {
+        reason,
+        issuerRevoked,
+        issuerSync: isLocal ? 'not_needed' : undefined
+    });
+    const syncJob = record.issuerSync === 'pending' ? enqueueRevocationSync(user, credential) : null;
+
+    await getUserRepository().updateCredentialStatus(user.id, credential.id, 'revoked', {
+        revokedAt: record.revokedAt,
+        revocationReason: reason,
+        issuerRevoked
+    });
+
+    return {
+        credentialId: credential.id,
+        revocationNonce: record.revocationNonce,
+        issuerRevoked,
+        issuerError,
+        syncJobId: syncJob?.id || null,
+        revokedAt: record.revokedAt,
+        reason
+    };
+}
+
+/**
+ * Revoca la credencial vigente del usuario
+ */
+async function revokeCurrentCredential(user, reason) {
+    if (!user.credential?.id) {
+        return null;
+    }
+    return revokeUserCredential(user, user.credential, reason);
+}
+
+/**
+ * Datos públicos del usuario para las respuestas del API
+ */
+function toPublicUser(user) {
+    return {
+        name: user.name,
+        email: user.email || undefined,
+        walletAddress: user.walletAddress || undefined,
+        type: user.authMethod,
+        state: user.accountState || 'active'
+    };
+}
+
+module.exports = {
+    buildCredentialData,
+    reissueCredential,
+    revokeUserCredential,
+    revokeCurrentCredential,
+    toPublicUser
+};
@@ -8,27 +8,67 @@ const express = require ('express'); // manejar las solicitudes http
 const cors = require ('cors');
 const dotenv = require ('dotenv');
 
+dotenv.config();
+
+// ISSUER_NODE_MOCK=true → Issuer Node simulado en el mismo proceso (solo desarrollo)
+// va antes de cargar las rutas porque src/issuer.js lee la URL al cargarse
+if (process.env.ISSUER_NODE_MOCK === 'true') {
+  require ('./mock-issuer-node').useMockIssuerNode();
+}
+
 const routes = require ('../rutas/routes');
+const sessionRoutes = require ('../rutas/session-routes');
+const accountRoutes = require ('../rutas/account-routes');
+const emailRoutes = require ('../rutas/email-routes');
+const passwordRoutes = require ('../rutas/password-routes');
+const credentialRoutes = require ('../rutas/credential-routes');
+const adminRoutes = require ('../rutas/admin-routes');
+const verifierRoutes = require ('../rutas/verifier-routes');
+const schemeRoutes = require ('../rutas/router-scheme');
+const { startSyncWorker } = require ('./sync-queue');
+const { loadCredentialSchemas } = require ('./credential-schemas');
 
-dotenv.config();
+// schemas de issure-schemes: se cargan y compilan al iniciar
+loadCredentialSchemas();
 
-// direccion de raiz invoca a express
-const riz = express();
+/**
+ * Arma la app de express con todas las rutas (sin escuchar).
+ * Las pruebas la levantan en un puerto libre.
+ */
+function createApp() {
+  // direccion de raiz invoca a express
+  const riz = express();
 
-riz.use(cors()); //habilitar el escucha de las  solicitudes
+  riz.use(cors()); //habilitar el escucha de las  solicitudes
 
-riz.use(express.json()); // parser del json
-// rutas
-riz.use('/', routes);
-// Ruta de prueba
-riz.get('/health', (req, res) => {
-  res.json({ message: 'starting project RUN' });
-}); 
+  riz.use(express.json()); // parser del json
+  // rutas
+  riz.use('/', routes);
+  riz.use('/', sessionRoutes);
+  riz.use('/', accountRoutes);
+  riz.use('/', emailRoutes);
+  riz.use('/', passwordRoutes);
+  riz.use('/', credentialRoutes);
+  riz.use('/', adminRoutes);
+  riz.use('/', verifierRoutes);
+  riz.use('/', schemeRoutes);
+  // Ruta de prueba
+  riz.get('/health', (req, res) => {
+    res.json({ message: 'starting project RUN' });
+  });
 
-// trabaja con el .env archivo de configuracion
-// levanta el servidor
-const PORT = process.env.PORT || 5000;
-riz.listen(PORT, () => {
-  console.log(`Servidor : http://localhost:${PORT}`);
-});
+  return riz;
+}
+
+module.exports = { createApp };
 
+// trabaja con el .env archivo de configuracion
+// levanta el servidor (solo con node src/app.js)
+if (require.main === module) {
+  const PORT = process.env.PORT || 5000;
+  createApp().listen(PORT, () => {
+    console.log(`Servidor : http://localhost:${PORT}`);
+    // reintenta DIDs y credenciales pending_issuer
+    startSyncWorker();
+  });
+}
@@ -0,0 +1,92 @@
+/**
+ * AUTH MIDDLEWARE - Protege rutas que necesitan un usuario logueado
+ *
+ * Espera el header: Authorization: Bearer <accessToken>
+ * Si es válido deja en la request:
+ * - req.auth = { userId, sessionId }
+ * - req.user = usuario del repositorio
+ */
+
+const crypto = require('crypto');
+const { verifyAccessToken } = require('./sessions');
+const { getUserRepository } = require('./user-store');
+
+function extractBearerToken(req) {
+    const header = req.get('authorization') || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+async function requireAuth(req, res, next) {
+    try {
+        const token = extractBearerToken(req);
+
+        if (!token) {
+            return res.status(401).json({
+                success: false,
+                error: 'Falta access token (Authorization: Bearer ...)'
+            });
+        }
+
+        const result = verifyAccessToken(token);
+        if (!result.valid) {
+            return res.status(401).json({
+                success: false,
+                error: 'Access token inválido',
+                details: result.error
+            });
+        }
+
+        const user = await getUserRepository().getUserById(result.userId);
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                error: 'Usuario de la sesión no encontrado'
+            });
+        }
+
+        req.auth = { userId: user.id, sessionId: result.sessionId };
+        req.user = user;
+        next();
+    } catch (error) {
+        console.error('[Auth] Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Error al validar la sesión',
+            details: error.message
+        });
+    }
+}
+
+/**
+ * Protege endpoints de administración con ADMIN_API_KEY
+ * Header: X-Admin-Key: <clave>
+ */
+function requireAdmin(req, res, next) {
+    const adminKey = process.env.ADMIN_API_KEY;
+
+    if (!adminKey) {
+        return res.status(503).json({
+            success: false,
+            error: 'Endpoints de administración deshabilitados (configura ADMIN_API_KEY)'
+        });
+    }
+
+    const received = Buffer.from(req.get('x-admin-key') || '');
+    const expected = Buffer.from(adminKey);
+
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        return res.status(401).json({
+            success: false,
+            error: 'Clave de administración inválida'
+        });
+    }
+
+    next();
+}
+
+module.exports = {
+    requireAuth,
+    requireAdmin,
+    extractBearerToken
+};
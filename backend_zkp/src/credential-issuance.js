@@ -0,0 +1,117 @@
+/**
+ * CREDENTIAL ISSUANCE - Emisión de credenciales de cualquier schema registrado
+ *
+ * POST /api/credentials: tipo del schema (issure-schemes), DID del titular,
+ * claims y opciones. Los claims se validan contra el JSON schema del tipo;
+ * se emite en el Issuer Node o, si no responde, una credencial local
+ * 'pending_issuer' que la cola de sincronización reemite después.
+ * Un tipo nuevo solo necesita su .json (y .jsonld) en issure-schemes.
+ */
+
+const { validateDID } = require('./validador');
+const { V3_PROOF_TYPES } = require('./zkp-proofs');
+const { getCredentialSchemas, validateCredentialSubject } = require('./credential-schemas');
+const { createSchemaCredentialInIssuer } = require('./issuer');
+const { recordIssuedCredential } = require('./issued-credentials');
+const { enqueueCredentialSync } = require('./sync-queue');
+
+const DEFAULT_EXPIRATION_SECONDS = 365 * 24 * 60 * 60; // 1 año
+
+/**
+ * expiration: fecha ISO o unix en segundos
+ * @returns {number|null} - Unix (segundos), null si no es válida
+ */
+function parseExpiration(expiration) {
+    const seconds = typeof expiration === 'number'
+        ? expiration
+        : Math.floor(Date.parse(expiration) / 1000);
+    return Number.isInteger(seconds) ? seconds : null;
+}
+
+/**
+ * Valida el body de POST /api/credentials
+ * @param {Object} body - { type, subjectDID, claims, expiration?, revocable?, proofTypes? }
+ * @returns {{errors: Array<{field, error}>, request: Object|null}}
+ *   request: parámetros para createSchemaCredentialInIssuer
+ */
+function validateIssuanceRequest(body = {}) {
+    const { type, subjectDID, claims, expiration, revocable = true, proofTypes = ['SIG'] } = body;
+    const errors = [];
+
+    if (typeof type !== 'string' || !getCredentialSchemas().has(type)) {
+        errors.push({ field: 'type', error: `No hay schema para el tipo ${type}` });
+    }
+
+    if (typeof subjectDID !== 'string' || !validateDID(subjectDID)) {
+        errors.push({ field: 'subjectDID', error: 'subjectDID debe ser un DID did:polygonid:polygon:(amoy|main)' });
+    }
+
+    if (!claims || typeof claims !== 'object' || Array.isArray(claims)) {
+        errors.push({ field: 'claims', error: 'claims debe ser un objeto con los campos del credentialSubject' });
+    } else if (Object.hasOwn(claims, 'id')) {
+        errors.push({ field: 'claims.id', error: 'El id del credentialSubject es subjectDID' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const expiresAt = expiration === undefined ? now + DEFAULT_EXPIRATION_SECONDS : parseExpiration(expiration);
+    if (expiresAt === null || expiresAt <= now) {
+        errors.push({ field: 'expiration', error: 'expiration debe ser una fecha futura (ISO o unix en segundos)' });
+    }
+
+    if (typeof revocable !== 'boolean') {
+        errors.push({ field: 'revocable', error: 'revocable debe ser true o false' });
+    } else if (!revocable) {
+        // El Issuer Node no emite credenciales sin revocación (ni al reemitir las locales)
+        errors.push({ field: 'revocable', error: 'revocable: false no se admite: el Issuer Node siempre emite credenciales revocables' });
+    }
+
+    if (!Array.isArray(proofTypes) || proofTypes.length === 0
+        || !proofTypes.every(proofType => Object.hasOwn(V3_PROOF_TYPES, proofType))) {
+        errors.push({ field: 'proofTypes', error: `proofTypes debe ser una lista con: ${Object.keys(V3_PROOF_TYPES).join(', ')}` });
+    }
+
+    if (errors.length > 0) {
+        return { errors, request: null };
+    }
+
+    // Claims contra el schema del tipo (solo si el resto es válido)
+    const credentialSubject = { id: subjectDID, ...claims };
+    const validation = validateCredentialSubject(type, credentialSubject);
+    if (!validation.valid) {
+        return {
+            errors: validation.errors.map(item => ({ ...item, field: item.field && `claims.${item.field}` })),
+            request: null
+        };
+    }
+
+    return {
+        errors: [],
+        request: {
+            type,
+            credentialSubject,
+            expiration: expiresAt,
+            proofTypes: [...new Set(proofTypes)],
+            revocable
+        }
+    };
+}
+
+/**
+ * Emite la credencial y la registra; las locales quedan en la cola de sincronización
+ * @param {Object} request - El de validateIssuanceRequest
+ * @returns {Promise<{record: Object, syncJob: Object|null}>}
+ */
+async function issueSchemaCredential(request) {
+    const credential = await createSchemaCredentialInIssuer(request);
+    const record = recordIssuedCredential(credential, request);
+
+    const syncJob = record.status === 'pending_issuer' ? enqueueCredentialSync(record) : null;
+
+    console.log('[IssueCredential]', record.type, record.id, '-', record.issuedBy, '-', record.subjectDID);
+    return { record, syncJob };
+}
+
+module.exports = {
+    validateIssuanceRequest,
+    issueSchemaCredential
+};
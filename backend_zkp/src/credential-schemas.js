@@ -0,0 +1,293 @@
+/**
+ * CREDENTIAL SCHEMAS - Registro de JSON schemas de las credenciales (issure-schemes/*.json)
+ *
+ * Cada schema se indexa por su $metadata.type (ZKPAuthCredential, BasicPerson...).
+ * De aquí salen los campos del credentialSubject y su tipo, y el validador
+ * (JSON Schema draft 2020-12 con ajv: tipos, formatos, required, enums) que
+ * se aplica a todo credentialSubject antes de emitir en el Issuer Node o
+ * generar la credencial local de fallback.
+ *
+ * Los schemas se cargan al iniciar (loadCredentialSchemas en app.js) y sus
+ * URLs (la publicada, la servida por el backend y el jsonLdContext) quedan
+ * registradas en el document loader apuntando a los archivos locales.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { registerLocalDocument, loadDocument } = require('./document-loader');
+
+const SCHEMES_DIR = path.join(__dirname, '..', 'issure-schemes');
+
+// URL del JSON schema publicado, la que se envía al Issuer Node (credentialSchema).
+// Los tipos sin URL publicada se sirven desde este backend (getSchemaUrl).
+const SCHEMA_URLS = {
+    ZKPAuthCredential: 'https://gateway.pinata.cloud/ipfs/QmXAHpXSPcj2J7wreCkKkvvXgT67tbQDvFxmTHudXQYBEp'
+};
+
+let schemas = null;
+
+// Validadores de schemas resueltos por URL (credentialSchema.id de una credencial),
+// como mucho MAX_URL_VALIDATORS: se descarta el usado hace más tiempo
+const MAX_URL_VALIDATORS = 100;
+const urlValidators = new Map();
+
+class CredentialSubjectValidationError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'CredentialSubjectValidationError';
+        this.errors = errors;
+    }
+}
+
+function createValidator() {
+    const ajv = new Ajv2020({ allErrors: true, allowUnionTypes: true });
+    addFormats(ajv);
+    ajv.addKeyword('$metadata');
+    // ajv-formats no trae idn-email: email con caracteres Unicode
+    ajv.addFormat('idn-email', /^[^\s@]+@[^\s@]+\.[^\s@]+$/u);
+    return ajv;
+}
+
+/**
+ * Lee y compila los schemas de issure-schemes
+ * @returns {Map<type, { file, schema, validate }>}
+ */
+function loadCredentialSchemas() {
+    const ajv = createValidator();
+    const loaded = new Map();
+
+    for (const file of fs.readdirSync(SCHEMES_DIR).filter(name => name.endsWith('.json'))) {
+        const schema = JSON.parse(fs.readFileSync(path.join(SCHEMES_DIR, file), 'utf8'));
+        const type = schema.$metadata?.type;
+        if (!type) continue;
+
+        ajv.addSchema(schema, type);
+        const validate = ajv.compile({ $ref: `${type}#/properties/credentialSubject` });
+        loaded.set(type, { file, schema, validate });
+    }
+
+    schemas = loaded;
+    for (const type of loaded.keys()) {
+        registerSchemaDocuments(type);
+    }
+    console.log('[Schemas]', loaded.size, 'schemas cargados:', [...loaded.keys()].join(', '));
+    return schemas;
+}
+
+/**
+ * Schemas locales por tipo: Map<type, { file, schema, validate }>
+ */
+function getCredentialSchemas() {
+    return schemas || loadCredentialSchemas();
+}
+
+/**
+ * @returns {Object|null} - JSON schema del tipo
+ */
+function getCredentialSchema(type) {
+    return getCredentialSchemas().get(type)?.schema || null;
+}
+
+/**
+ * Campos del credentialSubject (sin id) con su tipo JSON schema
+ * @returns {Array<{field, type, format, enum, title, required}>|null}
+ */
+function getSubjectFields(type) {
+    const schema = getCredentialSchema(type);
+    if (!schema) return null;
+
+    const subject = schema.properties?.credentialSubject || {};
+    const required = subject.required || [];
+
+    return Object.entries(subject.properties || {})
+        .filter(([field]) => field !== 'id')
+        .map(([field, definition]) => ({
+            field,
+            type: definition.type,
+            format: definition.format || null,
+            enum: definition.enum || null,
+            title: definition.title || field,
+            required: required.includes(field)
+        }));
+}
+
+/**
+ * URL de un documento del tipo servido por este backend (router-scheme.js)
+ */
+function getServedSchemaUrl(type, document) {
+    const baseUrl = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return `${baseUrl}/api/schemas/${encodeURIComponent(type)}/${document}`;
+}
+
+/**
+ * URL del JSON schema del tipo: la publicada o, si no hay, la que sirve
+ * este backend en /api/schemas/:type/schema.json (PUBLIC_BASE_URL debe
+ * ser alcanzable por el Issuer Node)
+ * @returns {string|null} - null si el tipo no tiene schema local
+ */
+function getSchemaUrl(type) {
+    if (SCHEMA_URLS[type]) return SCHEMA_URLS[type];
+    if (!getCredentialSchemas().has(type)) return null;
+
+    return getServedSchemaUrl(type, 'schema.json');
+}
+
+/**
+ * URLs del schema y del contexto de un tipo → archivos de issure-schemes
+ */
+function registerSchemaDocuments(type) {
+    const { file, schema } = schemas.get(type);
+    const schemaFile = path.join(SCHEMES_DIR, file);
+    const contextFile = schemaFile.replace(/\.json$/, '.jsonld');
+
+    registerLocalDocument(getSchemaUrl(type), schemaFile);
+    registerLocalDocument(getServedSchemaUrl(type, 'schema.json'), schemaFile);
+    if (!fs.existsSync(contextFile)) return;
+
+    registerLocalDocument(getServedSchemaUrl(type, 'schema.jsonld'), contextFile);
+    if (schema.$metadata?.uris?.jsonLdContext) {
+        registerLocalDocument(schema.$metadata.uris.jsonLdContext, contextFile);
+    }
+}
+
+/**
+ * Contexto JSON-LD (.jsonld junto al .json) de un tipo
+ * @returns {Object|null}
+ */
+function getCredentialContext(type) {
+    const entry = getCredentialSchemas().get(type);
+    if (!entry) return null;
+
+    const contextPath = path.join(SCHEMES_DIR, entry.file.replace(/\.json$/, '.jsonld'));
+    if (!fs.existsSync(contextPath)) return null;
+    return JSON.parse(fs.readFileSync(contextPath, 'utf8'));
+}
+
+/**
+ * Resumen de un schema para GET /api/schemas
+ */
+function getSchemaSummary(type) {
+    const entry = getCredentialSchemas().get(type);
+    if (!entry) return null;
+
+    const { schema, file } = entry;
+    return {
+        type: type,
+        title: schema.title || type,
+        description: schema.description || null,
+        version: schema.$metadata?.version || null,
+        file: file,
+        jsonLdContext: schema.$metadata?.uris?.jsonLdContext || null,
+        schemaUrl: getSchemaUrl(type),
+        fields: getSubjectFields(type)
+    };
+}
+
+function listCredentialSchemas() {
+    return [...getCredentialSchemas().keys()].map(getSchemaSummary);
+}
+
+function describeError(error) {
+    const field = error.keyword === 'required'
+        ? error.params.missingProperty
+        : error.instancePath.slice(1).replace(/\//g, '.') || null;
+
+    switch (error.keyword) {
+        case 'required':
+            return { field, keyword: error.keyword, error: `Falta el campo requerido ${field}` };
+        case 'type':
+            return { field, keyword: error.keyword, error: `${field} debe ser de tipo ${error.params.type}` };
+        case 'format':
+            return { field, keyword: error.keyword, error: `${field} no tiene formato ${error.params.format}` };
+        case 'minLength':
+            return { field, keyword: error.keyword, error: `${field} debe tener al menos ${error.params.limit} caracteres` };
+        case 'enum':
+            return { field, keyword: error.keyword, error: `${field} debe ser uno de: ${error.params.allowedValues.join(', ')}` };
+        default:
+            return { field, keyword: error.keyword, error: `${field || 'credentialSubject'}: ${error.message}` };
+    }
+}
+
+/**
+ * Valida un credentialSubject contra el schema de su tipo
+ * @returns {{valid: boolean, errors: Array<{field, keyword, error}>}}
+ */
+function validateCredentialSubject(type, credentialSubject) {
+    const entry = getCredentialSchemas().get(type);
+    if (!entry) {
+        return { valid: false, errors: [{ field: null, keyword: 'type', error: `No hay schema para el tipo ${type}` }] };
+    }
+
+    const valid = entry.validate(credentialSubject);
+    return { valid, errors: valid ? [] : entry.validate.errors.map(describeError) };
+}
+
+/**
+ * @throws {CredentialSubjectValidationError}
+ */
+function assertCredentialSubject(type, credentialSubject) {
+    const { valid, errors } = validateCredentialSubject(type, credentialSubject);
+    if (!valid) {
+        throw new CredentialSubjectValidationError(
+            `credentialSubject inválido para ${type}: ${errors.map(item => item.error).join('; ')}`,
+            errors
+        );
+    }
+}
+
+/**
+ * Valida una credencial contra el JSON schema de su credentialSchema.id
+ * (resuelto con el document loader, no por el tipo declarado)
+ * @returns {Promise<{valid: boolean, type: string|null, errors: Array<{field, keyword, error}>}>}
+ * @throws {DocumentLoaderError} - El schema no está disponible o su URL no está permitida
+ */
+async function validateCredentialSchema(credential) {
+    const schemaUrl = credential?.credentialSchema?.id;
+    if (!schemaUrl) {
+        return { valid: false, type: null, errors: [{ field: null, keyword: 'credentialSchema', error: 'La credencial no tiene credentialSchema.id' }] };
+    }
+
+    getCredentialSchemas(); // registra las URLs locales en el loader
+    const { document: schema } = await loadDocument(schemaUrl);
+    const type = schema.$metadata?.type || null;
+
+    let validate = urlValidators.get(schemaUrl);
+    if (validate) {
+        // El Map mantiene el orden de inserción: al final queda el usado más reciente
+        urlValidators.delete(schemaUrl);
+    } else {
+        const ajv = createValidator();
+        ajv.addSchema(schema, 'credential');
+        validate = ajv.compile({ $ref: 'credential#/properties/credentialSubject' });
+        if (urlValidators.size >= MAX_URL_VALIDATORS) {
+            urlValidators.delete(urlValidators.keys().next().value);
+        }
+    }
+    urlValidators.set(schemaUrl, validate);
+
+    const errors = validate(credential.credentialSubject) ? [] : validate.errors.map(describeError);
+
+    const credentialTypes = Array.isArray(credential.type) ? credential.type : [credential.type];
+    if (type && !credentialTypes.includes(type)) {
+        errors.push({ field: null, keyword: 'type', error: `La credencial no es de tipo ${type} (el de su schema)` });
+    }
+
+    return { valid: errors.length === 0, type, errors };
+}
+
+module.exports = {
+    CredentialSubjectValidationError,
+    loadCredentialSchemas,
+    getCredentialSchemas,
+    getCredentialSchema,
+    getSubjectFields,
+    getSchemaUrl,
+    getCredentialContext,
+    getSchemaSummary,
+    listCredentialSchemas,
+    validateCredentialSubject,
+    assertCredentialSubject,
+    validateCredentialSchema
+};
@@ -0,0 +1,144 @@
+/**
+ * CREDENTIAL WALLET - Credenciales de un usuario
+ *
+ * Une las credenciales del Issuer Node (filtradas por el DID del usuario)
+ * con las guardadas localmente en su historial, y calcula el estado:
+ * - active:         vigente
+ * - expired:        pasó su expirationDate
+ * - revoked:        revocada en el nodo, en el registro local o en el historial
+ * - pending_issuer: generada localmente, falta sincronizar con el Issuer Node
+ */
+
+const { listCredentialsInIssuer } = require('./issuer');
+const { findRevocation } = require('./revocation-registry');
+
+const STATUSES = ['active', 'expired', 'revoked', 'pending_issuer'];
+
+/**
+ * Id comparable entre fuentes: el UUID final del id de la credencial
+ */
+function normalizeCredentialId(credentialId) {
+    return String(credentialId || '').replace('urn:uuid:', '').split('/').pop();
+}
+
+function getCredentialType(credential) {
+    const types = Array.isArray(credential?.type) ? credential.type : [credential?.type];
+    return types.filter(type => type && type !== 'VerifiableCredential');
+}
+
+function computeStatus({ credential, issuerItem, historyEntry }) {
+    if (issuerItem?.revoked || historyEntry?.status === 'revoked' || findRevocation(credential)) {
+        return 'revoked';
+    }
+
+    const expiration = credential?.expirationDate ? Date.parse(credential.expirationDate) : null;
+    if (expiration && expiration <= Date.now()) {
+        return 'expired';
+    }
+
+    if (!issuerItem && (credential?.status === 'pending_issuer' || historyEntry?.status === 'pending_issuer')) {
+        return 'pending_issuer';
+    }
+
+    return 'active';
+}
+
+function toWalletEntry({ credential, issuerItem, historyEntry }) {
+    return {
+        id: credential.id,
+        type: getCredentialType(credential),
+        status: computeStatus({ credential, issuerItem, historyEntry }),
+        source: issuerItem && historyEntry ? 'both' : issuerItem ? 'issuer' : 'local',
+        issuanceDate: credential.issuanceDate || issuerItem?.createdAt || historyEntry?.issuedAt || null,
+        expirationDate: credential.expirationDate || null,
+        proofTypes: issuerItem?.proofTypes || [],
+        credential: credential
+    };
+}
+
+/**
+ * Credenciales del usuario (Issuer Node + locales), más recientes primero
+ * @returns {Promise<{credentials: Array, issuerAvailable: boolean}>}
+ */
+async function getUserCredentials(user) {
+    let issuerItems = [];
+    let issuerAvailable = true;
+
+    try {
+        issuerItems = await listCredentialsInIssuer(user.did);
+    } catch (error) {
+        issuerAvailable = false;
+        console.warn('[CredentialWallet] ⚠️ Issuer Node no disponible, solo credenciales locales:', error.message);
+    }
+
+    const merged = new Map();
+
+    for (const issuerItem of issuerItems) {
+        const credential = issuerItem.vc || issuerItem;
+        // El filtro por DID lo hace el nodo, pero se confirma el subject
+        if (credential.credentialSubject?.id && credential.credentialSubject.id !== user.did) continue;
+        merged.set(normalizeCredentialId(issuerItem.id || credential.id), { credential, issuerItem });
+    }
+
+    for (const historyEntry of user.credentials || []) {
+        if (!historyEntry.credential?.id) continue;
+        const key = normalizeCredentialId(historyEntry.id || historyEntry.credential.id);
+        const existing = merged.get(key);
+        merged.set(key, existing
+            ? { ...existing, historyEntry }
+            : { credential: historyEntry.credential, historyEntry });
+    }
+
+    const credentials = [...merged.values()]
+        .map(toWalletEntry)
+        .sort((a, b) => String(b.issuanceDate).localeCompare(String(a.issuanceDate)));
+
+    return { credentials, issuerAvailable };
+}
+
+/**
+ * Cantidad de credenciales por estado
+ */
+function summarizeStatuses(credentials) {
+    const summary = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    for (const entry of credentials) {
+        summary[entry.status] += 1;
+    }
+    return summary;
+}
+
+/**
+ * Filtra por tipo de schema y estado, y pagina
+ * @param {Object} options - { type, status, page, limit }
+ */
+function paginateCredentials(credentials, { type, status, page = 1, limit = 20 }) {
+    const filtered = credentials.filter(entry =>
+        (!type || entry.type.includes(type)) && (!status || entry.status === status)
+    );
+
+    const totalPages = Math.max(1, Math.ceil(filtered.length / limit));
+    const start = (page - 1) * limit;
+
+    return {
+        items: filtered.slice(start, start + limit),
+        pagination: {
+            page,
+            limit,
+            total: filtered.length,
+            totalPages
+        }
+    };
+}
+
+function findCredential(credentials, credentialId) {
+    const key = normalizeCredentialId(credentialId);
+    return credentials.find(entry => normalizeCredentialId(entry.id) === key) || null;
+}
+
+module.exports = {
+    STATUSES,
+    getUserCredentials,
+    summarizeStatuses,
+    paginateCredentials,
+    findCredential
+};
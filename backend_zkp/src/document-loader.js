@@ -0,0 +1,377 @@
+/**
+ * DOCUMENT LOADER - JSON schemas y contextos JSON-LD sin depender de la red
+ *
+ * Schemas y contextos se referencian por ipfs://Qm..., gateways
+ * (gateway.pinata.cloud/ipfs/Qm...) y raw.githubusercontent.com. Para una URL:
+ * 1. Archivo local del mapeo: los schemas de issure-schemes se registran solos
+ *    (credential-schemas.js) y DOCUMENT_LOADER_MAP agrega o cambia entradas
+ * 2. Copia en caché (DATA_DIR/document-cache.json), como mucho
+ *    DOCUMENT_CACHE_MAX_ENTRIES documentos: se descarta el usado hace más tiempo
+ * 3. Descarga (salvo DOCUMENT_LOADER_OFFLINE=true) y se guarda en caché
+ *
+ * Las URLs llegan en requests sin autenticar (credentialSchema.id de
+ * /api/verify-credential): solo se descargan las mapeadas y las que empiezan
+ * por un prefijo de DOCUMENT_LOADER_ALLOWLIST, sin seguir redirecciones, y la
+ * descarga se corta al pasar MAX_DOCUMENT_BYTES.
+ *
+ * Integridad: lo que viene de ipfs:// con CIDv0 se comprueba contra el CID;
+ * una entrada del mapeo puede fijar el sha256 del documento; la caché guarda
+ * el sha256 de cada documento y lo vuelve a comprobar al leerlo.
+ *
+ * Las URLs de gateways IPFS se normalizan a ipfs://<cid>.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { encodeBase58 } = require('ethers');
+const { JsonCollection } = require('./json-storage');
+
+const IPFS_GATEWAY_URL = process.env.IPFS_GATEWAY_URL || 'https://ipfs.io/ipfs/';
+const FETCH_TIMEOUT_MS = parseInt(process.env.DOCUMENT_LOADER_TIMEOUT_MS, 10) || 10 * 1000;
+const MAX_DOCUMENT_BYTES = 1024 * 1024;
+const DOCUMENT_CACHE_MAX_ENTRIES = parseInt(process.env.DOCUMENT_CACHE_MAX_ENTRIES, 10) || 100;
+
+// Prefijos de URL que se pueden descargar (normalizados: los gateways pasan a ipfs://)
+const ALLOWED_PREFIXES = (process.env.DOCUMENT_LOADER_ALLOWLIST || 'ipfs://,https://raw.githubusercontent.com/iden3/')
+    .split(',')
+    .map(prefix => prefix.trim())
+    .filter(Boolean);
+
+// Un CIDv0 de un solo bloque: los archivos más grandes se parten en chunks
+const UNIXFS_CHUNK_SIZE = 256 * 1024;
+
+const cache = new JsonCollection('document-cache.json');
+// URLs de la caché del usado hace más tiempo al más reciente (al iniciar, por fetchedAt)
+const cacheOrder = new Set(cache.values()
+    .sort((a, b) => Date.parse(a.fetchedAt) - Date.parse(b.fetchedAt))
+    .map(entry => entry.url));
+
+function touchCached(key) {
+    cacheOrder.delete(key);
+    cacheOrder.add(key);
+}
+
+// URL normalizada → { file, sha256 }
+const localDocuments = new Map();
+let mapFileLoaded = false;
+
+class DocumentLoaderError extends Error {
+    constructor(message, url) {
+        super(message);
+        this.name = 'DocumentLoaderError';
+        this.url = url;
+    }
+}
+
+class DocumentIntegrityError extends DocumentLoaderError {
+    constructor(message, url) {
+        super(message, url);
+        this.name = 'DocumentIntegrityError';
+    }
+}
+
+function isOffline() {
+    return process.env.DOCUMENT_LOADER_OFFLINE === 'true';
+}
+
+/**
+ * ipfs://<cid>, https://<gateway>/ipfs/<cid> → ipfs://<cid>
+ */
+function normalizeDocumentUrl(url) {
+    const match = url.match(/^ipfs:\/\/([^/?#]+)(.*)$/) || url.match(/^https?:\/\/[^/]+\/ipfs\/([^/?#]+)(.*)$/);
+    return match ? `ipfs://${match[1]}${match[2]}` : url;
+}
+
+function isAllowedRemote(url, mapping) {
+    if (mapping) return true;
+    const key = normalizeDocumentUrl(url);
+    return ALLOWED_PREFIXES.some(prefix => key.startsWith(normalizeDocumentUrl(prefix)));
+}
+
+function sha256(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function varint(value) {
+    const bytes = [];
+    while (value >= 0x80) {
+        bytes.push((value & 0x7f) | 0x80);
+        value >>>= 7;
+    }
+    bytes.push(value);
+    return Buffer.from(bytes);
+}
+
+/**
+ * CIDv0 de un archivo como lo agrega `ipfs add` (UnixFS en un nodo dag-pb)
+ * @param {Buffer|string} content
+ * @returns {string} - Qm...
+ */
+function computeCIDv0(content) {
+    const data = Buffer.from(content);
+    if (data.length > UNIXFS_CHUNK_SIZE) {
+        throw new Error(`Solo se calcula el CID de documentos de hasta ${UNIXFS_CHUNK_SIZE} bytes`);
+    }
+
+    // UnixFS Data { Type: File, Data, filesize } dentro de PBNode { Data }
+    const unixfs = Buffer.concat([
+        Buffer.from([0x08, 0x02]),
+        ...(data.length > 0 ? [Buffer.from([0x12]), varint(data.length), data] : []),
+        Buffer.from([0x18]), varint(data.length)
+    ]);
+    const node = Buffer.concat([Buffer.from([0x0a]), varint(unixfs.length), unixfs]);
+
+    const digest = crypto.createHash('sha256').update(node).digest();
+    return encodeBase58(Buffer.concat([Buffer.from([0x12, 0x20]), digest]));
+}
+
+/**
+ * CIDv0 de la URL si apunta a un archivo de IPFS (sin ruta dentro de un directorio)
+ */
+function getCIDv0(url) {
+    const match = normalizeDocumentUrl(url).match(/^ipfs:\/\/(Qm[1-9A-HJ-NP-Za-km-z]{44})$/);
+    return match ? match[1] : null;
+}
+
+// ============================================
+// MAPEO URL → ARCHIVO LOCAL
+// ============================================
+/**
+ * Registra un archivo local para una URL
+ * @param {string} url
+ * @param {string} file - Ruta absoluta
+ * @param {Object} [options] - { sha256 } para fijar el contenido
+ */
+function registerLocalDocument(url, file, options = {}) {
+    localDocuments.set(normalizeDocumentUrl(url), { file, sha256: options.sha256 || null });
+}
+
+/**
+ * DOCUMENT_LOADER_MAP: JSON { "<url>": "archivo" | { "file"?, "sha256"? } }
+ * Rutas relativas al archivo del mapeo. Una entrada sin file solo fija el
+ * sha256 del documento remoto.
+ */
+function loadMapFile() {
+    if (mapFileLoaded) return;
+    mapFileLoaded = true;
+
+    const mapFile = process.env.DOCUMENT_LOADER_MAP;
+    if (!mapFile) return;
+
+    const entries = JSON.parse(fs.readFileSync(mapFile, 'utf8'));
+    for (const [url, entry] of Object.entries(entries)) {
+        const { file, sha256: expected } = typeof entry === 'string' ? { file: entry } : entry;
+        localDocuments.set(normalizeDocumentUrl(url), {
+            file: file ? path.resolve(path.dirname(mapFile), file) : null,
+            sha256: expected || null
+        });
+    }
+    console.log('[DocumentLoader] Mapeo cargado:', mapFile, `(${Object.keys(entries).length} URLs)`);
+}
+
+function getMapping(url) {
+    loadMapFile();
+    return localDocuments.get(normalizeDocumentUrl(url)) || null;
+}
+
+// ============================================
+// INTEGRIDAD Y CACHÉ
+// ============================================
+/**
+ * @throws {DocumentIntegrityError}
+ */
+function checkIntegrity(url, content, expectedSha256) {
+    const cid = getCIDv0(url);
+    if (cid && computeCIDv0(content) !== cid) {
+        throw new DocumentIntegrityError(`El contenido de ${url} no corresponde a su CID`, url);
+    }
+    if (expectedSha256 && sha256(content) !== expectedSha256) {
+        throw new DocumentIntegrityError(`El sha256 de ${url} no es el fijado en el mapeo`, url);
+    }
+}
+
+function parseDocument(url, content) {
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw new DocumentLoaderError(`${url} no es JSON: ${error.message}`, url);
+    }
+}
+
+function readLocal(url, mapping) {
+    let content;
+    try {
+        content = fs.readFileSync(mapping.file, 'utf8');
+    } catch (error) {
+        throw new DocumentLoaderError(`No se pudo leer ${mapping.file} (${url}): ${error.message}`, url);
+    }
+
+    if (mapping.sha256) {
+        checkIntegrity(url, content, mapping.sha256);
+    }
+    return { documentUrl: url, document: parseDocument(url, content), source: 'local' };
+}
+
+/**
+ * Copia en caché; si no pasa la comprobación se descarta
+ */
+function readCached(url, mapping) {
+    const key = normalizeDocumentUrl(url);
+    const entry = cache.get(key);
+    if (!entry) return null;
+
+    try {
+        if (sha256(entry.content) !== entry.sha256) {
+            throw new DocumentIntegrityError(`La copia en caché de ${url} está alterada`, url);
+        }
+        checkIntegrity(url, entry.content, mapping?.sha256);
+    } catch (error) {
+        console.warn('[DocumentLoader] ⚠️', error.message, '- se descarta');
+        cache.delete(key);
+        cacheOrder.delete(key);
+        return null;
+    }
+
+    touchCached(key);
+    return { documentUrl: url, document: parseDocument(url, entry.content), source: 'cache' };
+}
+
+/**
+ * Guarda un documento descargado; con la caché llena descarta los usados hace más tiempo
+ */
+function storeCached(key, content) {
+    cacheOrder.delete(key);
+    for (const oldest of cacheOrder) {
+        if (cacheOrder.size < DOCUMENT_CACHE_MAX_ENTRIES) break;
+        cacheOrder.delete(oldest);
+        cache.delete(oldest);
+    }
+
+    cache.set(key, {
+        url: key,
+        content: content,
+        sha256: sha256(content),
+        fetchedAt: new Date().toISOString()
+    });
+    cacheOrder.add(key);
+}
+
+/**
+ * Lee el cuerpo por partes y corta la descarga al pasar MAX_DOCUMENT_BYTES
+ * @throws {DocumentLoaderError}
+ */
+async function readLimitedBody(response, url) {
+    if (Number(response.headers.get('content-length')) > MAX_DOCUMENT_BYTES) {
+        throw new DocumentLoaderError(`${url} supera ${MAX_DOCUMENT_BYTES} bytes`, url);
+    }
+
+    const chunks = [];
+    let size = 0;
+    // Salir del for await cancela el stream
+    for await (const chunk of response.body || []) {
+        size += chunk.length;
+        if (size > MAX_DOCUMENT_BYTES) {
+            throw new DocumentLoaderError(`${url} supera ${MAX_DOCUMENT_BYTES} bytes`, url);
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+async function fetchRemote(url, mapping) {
+    const key = normalizeDocumentUrl(url);
+    const fetchUrl = key.startsWith('ipfs://') ? IPFS_GATEWAY_URL + key.slice('ipfs://'.length) : url;
+
+    if (!/^https?:\/\//.test(fetchUrl)) {
+        throw new DocumentLoaderError(`URL no soportada: ${url}`, url);
+    }
+    if (!isAllowedRemote(url, mapping)) {
+        throw new DocumentLoaderError(`${url} no está mapeado ni en DOCUMENT_LOADER_ALLOWLIST`, url);
+    }
+
+    console.log('[DocumentLoader] Descargando', fetchUrl);
+
+    let content;
+    try {
+        const response = await fetch(fetchUrl, { redirect: 'error', signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        content = await readLimitedBody(response, url);
+    } catch (error) {
+        if (error instanceof DocumentLoaderError) throw error;
+        throw new DocumentLoaderError(`No se pudo descargar ${url}: ${error.message}`, url);
+    }
+
+    checkIntegrity(url, content, mapping?.sha256);
+    const document = parseDocument(url, content);
+
+    storeCached(key, content);
+    return { documentUrl: url, document, source: 'remote' };
+}
+
+// ============================================
+// API
+// ============================================
+/**
+ * Archivo local al que apunta una URL (null si no está mapeada)
+ */
+function getLocalDocumentPath(url) {
+    return getMapping(url)?.file || null;
+}
+
+/**
+ * Documento de una URL: local, caché o descarga
+ * @returns {Promise<{documentUrl: string, document: Object, source: 'local'|'cache'|'remote'}>}
+ * @throws {DocumentLoaderError} - No disponible, fuera de DOCUMENT_LOADER_ALLOWLIST o muy grande
+ *   (o sin conexión con DOCUMENT_LOADER_OFFLINE)
+ * @throws {DocumentIntegrityError} - El contenido no coincide con su CID o sha256
+ */
+async function loadDocument(url) {
+    if (!url || typeof url !== 'string') {
+        throw new DocumentLoaderError('URL de documento vacía', url);
+    }
+
+    const mapping = getMapping(url);
+    if (mapping?.file) return readLocal(url, mapping);
+
+    const cached = readCached(url, mapping);
+    if (cached) return cached;
+
+    if (isOffline()) {
+        throw new DocumentLoaderError(`${url} no está mapeado ni en caché (DOCUMENT_LOADER_OFFLINE)`, url);
+    }
+    return fetchRemote(url, mapping);
+}
+
+/**
+ * Como loadDocument pero sin descargar: solo archivos locales y caché.
+ * Para el código síncrono (verificación de señales, queries); lo remoto
+ * se precarga antes con loadDocument.
+ * @throws {DocumentLoaderError}
+ */
+function loadDocumentSync(url) {
+    if (!url || typeof url !== 'string') {
+        throw new DocumentLoaderError('URL de documento vacía', url);
+    }
+
+    const mapping = getMapping(url);
+    if (mapping?.file) return readLocal(url, mapping);
+
+    const cached = readCached(url, mapping);
+    if (cached) return cached;
+
+    throw new DocumentLoaderError(`${url} no está mapeado ni en caché`, url);
+}
+
+module.exports = {
+    DocumentLoaderError,
+    DocumentIntegrityError,
+    normalizeDocumentUrl,
+    computeCIDv0,
+    registerLocalDocument,
+    getLocalDocumentPath,
+    loadDocument,
+    loadDocumentSync
+};
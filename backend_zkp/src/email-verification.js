@@ -0,0 +1,107 @@
+/**
+ * EMAIL VERIFICATION - Tokens de verificación de email
+ *
+ * - Token aleatorio de un solo uso, se guarda solo su hash
+ * - Expira en EMAIL_VERIFICATION_TTL segundos (24 h por defecto)
+ * - Reenvío limitado a uno cada EMAIL_VERIFICATION_RESEND_INTERVAL segundos
+ */
+
+const crypto = require('crypto');
+const { JsonCollection } = require('./json-storage');
+const { sendMail } = require('./mailer');
+
+const EMAIL_VERIFICATION_TTL = parseInt(process.env.EMAIL_VERIFICATION_TTL, 10) || 24 * 60 * 60;
+const RESEND_INTERVAL = parseInt(process.env.EMAIL_VERIFICATION_RESEND_INTERVAL, 10) || 60;
+
+const verifications = new JsonCollection('email-verifications.json');
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function getVerificationUrl(token) {
+    const baseUrl = process.env.EMAIL_VERIFICATION_URL
+        || `${process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`}/api/email/verify`;
+    return `${baseUrl}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Envía (o reenvía) el correo de verificación a un usuario.
+ * Invalida los tokens anteriores del usuario.
+ * @returns {Promise<{sent: boolean, retryAfter?: number, expiresAt?: string}>}
+ */
+async function sendVerificationEmail(user) {
+    if (!user.email) {
+        throw new Error('El usuario no tiene email');
+    }
+
+    const now = Date.now();
+    const previous = verifications.values().filter(record => record.userId === user.id);
+    const lastSentAt = Math.max(0, ...previous.map(record => record.createdAt));
+    const waitMs = lastSentAt + RESEND_INTERVAL * 1000 - now;
+
+    if (waitMs > 0) {
+        return { sent: false, retryAfter: Math.ceil(waitMs / 1000) };
+    }
+
+    verifications.deleteWhere(record => record.userId === user.id || record.expiresAt <= now);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = now + EMAIL_VERIFICATION_TTL * 1000;
+
+    verifications.set(hashToken(token), {
+        userId: user.id,
+        email: user.email.toLowerCase(),
+        createdAt: now,
+        expiresAt,
+        usedAt: null
+    });
+
+    const link = getVerificationUrl(token);
+    await sendMail({
+        to: user.email,
+        subject: 'Verifica tu email',
+        text: [
+            `Hola ${user.name || ''},`,
+            '',
+            'Confirma tu email abriendo este enlace:',
+            link,
+            '',
+            `El enlace expira el ${new Date(expiresAt).toISOString()}.`
+        ].join('\n')
+    });
+
+    return { sent: true, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Consume un token de verificación
+ * @returns {{valid: boolean, userId?: string, email?: string, error?: string}}
+ */
+function consumeVerificationToken(token) {
+    if (!token || typeof token !== 'string') {
+        return { valid: false, error: 'Falta token' };
+    }
+
+    const key = hashToken(token);
+    const record = verifications.get(key);
+
+    if (!record || record.usedAt) {
+        return { valid: false, error: 'Token inválido o ya utilizado' };
+    }
+
+    if (record.expiresAt <= Date.now()) {
+        verifications.delete(key);
+        return { valid: false, error: 'Token expirado, solicita un reenvío' };
+    }
+
+    record.usedAt = Date.now();
+    verifications.set(key, record);
+
+    return { valid: true, userId: record.userId, email: record.email };
+}
+
+module.exports = {
+    sendVerificationEmail,
+    consumeVerificationToken
+};
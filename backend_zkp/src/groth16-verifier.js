@@ -0,0 +1,154 @@
+/**
+ * GROTH16 VERIFIER - Verificación criptográfica local de pruebas ZKP
+ *
+ * Verifica pruebas Groth16 (curva BN128) con snarkjs usando las
+ * verification keys de los circuitos de iden3, guardadas en
+ * circuito/verification-keys/<circuitId>.json. El circuito se elige
+ * por el circuitId de la prueba.
+ *
+ * No necesita el Issuer Node.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const snarkjs = require('snarkjs');
+
+const KEYS_DIR = process.env.VERIFICATION_KEYS_DIR
+    || path.join(__dirname, '..', 'circuito', 'verification-keys');
+
+// BN128: coordenadas de los puntos en Fq, señales públicas en Fr
+const BN128_Q = 21888242871839275222246405745257275088696311157297823662689037894645226208583n;
+const BN128_R = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+const verificationKeys = new Map();
+
+class InvalidProofFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidProofFormatError';
+    }
+}
+
+/**
+ * Circuitos con verification key disponible
+ */
+function getSupportedCircuits() {
+    if (!fs.existsSync(KEYS_DIR)) return [];
+    return fs.readdirSync(KEYS_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.basename(file, '.json'));
+}
+
+function isCircuitSupported(circuitId) {
+    return getSupportedCircuits().includes(circuitId);
+}
+
+/**
+ * Verification key de un circuito (cacheada)
+ * @returns {Object|null}
+ */
+function getVerificationKey(circuitId) {
+    if (verificationKeys.has(circuitId)) {
+        return verificationKeys.get(circuitId);
+    }
+
+    // circuitId viene del request: solo se aceptan nombres de circuito
+    if (!/^[A-Za-z0-9_.-]+$/.test(circuitId) || !isCircuitSupported(circuitId)) {
+        return null;
+    }
+
+    const key = JSON.parse(fs.readFileSync(path.join(KEYS_DIR, `${circuitId}.json`), 'utf8'));
+    verificationKeys.set(circuitId, key);
+    return key;
+}
+
+function isFieldElement(value, order) {
+    if (typeof value !== 'string' && typeof value !== 'number') return false;
+    if (!/^\d+$/.test(String(value))) return false;
+    return BigInt(value) < order;
+}
+
+function isPoint(value, size) {
+    return Array.isArray(value)
+        && (value.length === size || value.length === size + 1)
+        && value.every(coord => isFieldElement(coord, BN128_Q));
+}
+
+/**
+ * Valida la forma de la prueba antes de pasarla a snarkjs
+ * @throws {InvalidProofFormatError}
+ */
+function normalizeProof(proof, pubSignals, verificationKey) {
+    if (!isPoint(proof?.pi_a, 2) || !isPoint(proof?.pi_c, 2)) {
+        throw new InvalidProofFormatError('pi_a y pi_c deben ser puntos G1 ([x, y, "1"])');
+    }
+
+    if (!Array.isArray(proof.pi_b) || ![2, 3].includes(proof.pi_b.length)
+        || !proof.pi_b.every(coord => Array.isArray(coord) && coord.length === 2
+            && coord.every(value => isFieldElement(value, BN128_Q)))) {
+        throw new InvalidProofFormatError('pi_b debe ser un punto G2 ([[x1, x2], [y1, y2], ["1", "0"]])');
+    }
+
+    if (!Array.isArray(pubSignals) || pubSignals.length !== verificationKey.nPublic) {
+        throw new InvalidProofFormatError(
+            `El circuito espera ${verificationKey.nPublic} señales públicas, se recibieron ${pubSignals?.length ?? 0}`
+        );
+    }
+
+    if (!pubSignals.every(signal => isFieldElement(signal, BN128_R))) {
+        throw new InvalidProofFormatError('Las señales públicas deben ser enteros decimales del campo BN128');
+    }
+
+    const withZ = (point, one) => point.length === 2 ? [...point, one] : point;
+
+    return {
+        proof: {
+            pi_a: withZ(proof.pi_a.map(String), '1'),
+            pi_b: withZ(proof.pi_b.map(coord => coord.map(String)), ['1', '0']),
+            pi_c: withZ(proof.pi_c.map(String), '1'),
+            protocol: 'groth16',
+            curve: 'bn128'
+        },
+        pubSignals: pubSignals.map(String)
+    };
+}
+
+/**
+ * Verifica una prueba Groth16 con la verification key del circuito
+ * @param {string} circuitId - Ej: credentialAtomicQueryMTPV2
+ * @param {Object} proof - { pi_a, pi_b, pi_c }
+ * @param {Array<string>} pubSignals - Señales públicas
+ * @returns {Promise<{verified: boolean, circuitId: string, error?: string}>}
+ * @throws {InvalidProofFormatError} - Si la prueba o las señales están mal formadas
+ */
+async function verifyGroth16Proof(circuitId, proof, pubSignals) {
+    const verificationKey = getVerificationKey(circuitId);
+    if (!verificationKey) {
+        throw new InvalidProofFormatError(`Circuito no soportado para verificación local: ${circuitId}`);
+    }
+
+    const normalized = normalizeProof(proof, pubSignals, verificationKey);
+
+    let verified = false;
+    try {
+        verified = await snarkjs.groth16.verify(verificationKey, normalized.pubSignals, normalized.proof);
+    } catch (error) {
+        // Puntos fuera de la curva, etc.
+        console.warn('[Groth16] Prueba rechazada:', error.message);
+        return { verified: false, circuitId, error: 'Prueba inválida: puntos fuera de la curva' };
+    }
+
+    console.log('[Groth16]', circuitId, verified ? '✅ VÁLIDA' : '❌ INVÁLIDA');
+
+    return verified
+        ? { verified: true, circuitId }
+        : { verified: false, circuitId, error: 'La prueba no verifica con la verification key del circuito' };
+}
+
+module.exports = {
+    InvalidProofFormatError,
+    getSupportedCircuits,
+    isCircuitSupported,
+    getVerificationKey,
+    verifyGroth16Proof
+};
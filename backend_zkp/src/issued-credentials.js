@@ -0,0 +1,54 @@
+/**
+ * ISSUED CREDENTIALS - Credenciales emitidas con POST /api/credentials
+ *
+ * Registro de las credenciales de schemas genéricos (no ZKPAuthCredential).
+ * No se guardan en el historial del usuario: user.credential es la
+ * credencial de autenticación. Las locales ('pending_issuer') las
+ * reemplaza la cola de sincronización; la local queda 'superseded'.
+ */
+
+const { JsonCollection } = require('./json-storage');
+
+const credentials = new JsonCollection('issued-credentials.json');
+
+/**
+ * @param {Object} credential - VC emitida (o local de fallback)
+ * @param {Object} request - Parámetros de emisión (type, credentialSubject, expiration, proofTypes, revocable)
+ */
+function recordIssuedCredential(credential, request) {
+    const record = {
+        id: credential.id,
+        type: request.type,
+        subjectDID: request.credentialSubject.id,
+        status: credential.status === 'pending_issuer' ? 'pending_issuer' : 'issued',
+        issuedBy: credential.status === 'pending_issuer' ? 'local' : 'issuer_node',
+        request: request,
+        credential: credential,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+
+    credentials.set(record.id, record);
+    return record;
+}
+
+function getIssuedCredential(credentialId) {
+    return credentials.get(credentialId);
+}
+
+function markSuperseded(credentialId, supersededBy) {
+    const record = credentials.get(credentialId);
+    if (!record) return null;
+
+    record.status = 'superseded';
+    record.supersededBy = supersededBy;
+    record.updatedAt = new Date().toISOString();
+    credentials.set(credentialId, record);
+    return record;
+}
+
+module.exports = {
+    recordIssuedCredential,
+    getIssuedCredential,
+    markSuperseded
+};
@@ -0,0 +1,353 @@
+/**
+ * ISSUER NODE CLIENT - Cliente único para el API del Issuer Node (Privado ID)
+ *
+ * - Timeouts configurables (general y para pruebas ZKP)
+ * - Reintentos con back-off + jitter solo en llamadas idempotentes
+ * - Circuit breaker: tras varios fallos seguidos deja de llamar al nodo
+ *   durante un tiempo y falla rápido con IssuerCircuitOpenError
+ * - Errores tipados que las rutas traducen a códigos HTTP con toHttpStatus
+ */
+
+const axios = require('axios');
+
+// ============================================
+// ERRORES TIPADOS
+// ============================================
+class IssuerNodeError extends Error {
+    constructor(message, { status = null, details = null, cause = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = 'ISSUER_ERROR';
+        this.status = status;
+        this.details = details;
+        if (cause) this.cause = cause;
+    }
+}
+
+/** El nodo no responde: red caída, 5xx */
+class IssuerUnavailableError extends IssuerNodeError {
+    constructor(message, options) {
+        super(message, options);
+        this.code = 'ISSUER_UNAVAILABLE';
+    }
+}
+
+class IssuerTimeoutError extends IssuerUnavailableError {
+    constructor(message, options) {
+        super(message, options);
+        this.code = 'ISSUER_TIMEOUT';
+    }
+}
+
+/** El circuit breaker está abierto: no se llamó al nodo */
+class IssuerCircuitOpenError extends IssuerUnavailableError {
+    constructor(message, options) {
+        super(message, options);
+        this.code = 'ISSUER_CIRCUIT_OPEN';
+    }
+}
+
+/** Credenciales Basic Auth rechazadas (401/403) */
+class IssuerAuthError extends IssuerNodeError {
+    constructor(message, options) {
+        super(message, options);
+        this.code = 'ISSUER_AUTH';
+    }
+}
+
+class IssuerNotFoundError extends IssuerNodeError {
+    constructor(message, options) {
+        super(message, options);
+        this.code = 'ISSUER_NOT_FOUND';
+    }
+}
+
+/** El nodo rechazó la petición (400/422) */
+class IssuerValidationError extends IssuerNodeError {
+    constructor(message, options) {
+        super(message, options);
+        this.code = 'ISSUER_VALIDATION';
+    }
+}
+
+/**
+ * Código HTTP que debe devolver el backend ante un error del Issuer Node
+ */
+function toHttpStatus(error) {
+    if (error instanceof IssuerTimeoutError) return 504;
+    if (error instanceof IssuerUnavailableError) return 503;
+    if (error instanceof IssuerNotFoundError) return 404;
+    if (error instanceof IssuerValidationError) return 400;
+    if (error instanceof IssuerNodeError) return 502; // incluye IssuerAuthError
+    return 500;
+}
+
+function toIssuerError(error, description) {
+    const status = error.response?.status || null;
+    const details = error.response?.data || null;
+    const reason = details?.message || error.message;
+    const message = `${description}: ${reason}`;
+    const options = { status, details, cause: error };
+
+    if (!error.response) {
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+            return new IssuerTimeoutError(message, options);
+        }
+        return new IssuerUnavailableError(message, options);
+    }
+    if (status === 401 || status === 403) return new IssuerAuthError(message, options);
+    if (status === 404) return new IssuerNotFoundError(message, options);
+    if (status === 400 || status === 422) return new IssuerValidationError(message, options);
+    if (status >= 500) return new IssuerUnavailableError(message, options);
+    return new IssuerNodeError(message, options);
+}
+
+/**
+ * Path del API con cada segmento interpolado codificado: un DID o un id
+ * con "/", "?" o ".." no puede apuntar a otra ruta del nodo
+ */
+function apiPath(strings, ...segments) {
+    return strings.reduce((path, part, index) => path + encodeURIComponent(String(segments[index - 1])) + part);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================
+// CLIENTE
+// ============================================
+class IssuerNodeClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl - URL del Issuer Node
+     * @param {string} options.username - Usuario Basic Auth
+     * @param {string} options.password - Password Basic Auth
+     * @param {number} [options.timeoutMs=5000] - Timeout general
+     * @param {number} [options.proofTimeoutMs=10000] - Timeout para /v2/proofs
+     * @param {number} [options.retries=2] - Reintentos en llamadas idempotentes
+     * @param {number} [options.retryBaseMs=200] - Base del back-off
+     * @param {number} [options.breakerThreshold=5] - Fallos seguidos para abrir el circuito
+     * @param {number} [options.breakerResetMs=30000] - Tiempo abierto antes de probar de nuevo
+     */
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl;
+        this.auth = { username: options.username, password: options.password };
+        this.timeoutMs = options.timeoutMs ?? 5000;
+        this.proofTimeoutMs = options.proofTimeoutMs ?? 10000;
+        this.retries = options.retries ?? 2;
+        this.retryBaseMs = options.retryBaseMs ?? 200;
+        this.breakerThreshold = options.breakerThreshold ?? 5;
+        this.breakerResetMs = options.breakerResetMs ?? 30000;
+
+        this.breaker = { state: 'closed', failures: 0, openedAt: null };
+        this.http = options.httpClient || axios.create({
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            }
+        });
+    }
+
+    /**
+     * Estado del circuit breaker (para /health y diagnóstico)
+     */
+    getBreakerState() {
+        return { ...this.breaker };
+    }
+
+    _beforeRequest(description) {
+        if (this.breaker.state !== 'open') return;
+
+        if (Date.now() - this.breaker.openedAt >= this.breakerResetMs) {
+            this.breaker.state = 'half-open';
+            return;
+        }
+
+        throw new IssuerCircuitOpenError(`${description}: Issuer Node no disponible (circuito abierto)`);
+    }
+
+    _onSuccess() {
+        if (this.breaker.state !== 'closed') {
+            console.log('[IssuerClient] Circuito cerrado, Issuer Node disponible');
+        }
+        this.breaker = { state: 'closed', failures: 0, openedAt: null };
+    }
+
+    _onFailure(error) {
+        // Solo cuenta la indisponibilidad del nodo, no los errores de la petición
+        if (!(error instanceof IssuerUnavailableError)) return;
+
+        this.breaker.failures += 1;
+        if (this.breaker.state === 'half-open' || this.breaker.failures >= this.breakerThreshold) {
+            if (this.breaker.state !== 'open') {
+                console.warn('[IssuerClient] ⚠️ Circuito abierto tras', this.breaker.failures, 'fallos');
+            }
+            this.breaker.state = 'open';
+            this.breaker.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * Petición genérica al Issuer Node
+     * @param {Object} request - { method, path, data, params, timeout, idempotent, description }
+     */
+    async request({ method = 'GET', path, data, params, timeout, idempotent, description }) {
+        const label = description || `${method} ${path}`;
+        const canRetry = idempotent ?? method === 'GET';
+        const attempts = canRetry ? this.retries + 1 : 1;
+
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            this._beforeRequest(label);
+
+            try {
+                const response = await this.http.request({
+                    method,
+                    url: `${this.baseUrl}${path}`,
+                    data,
+                    params,
+                    auth: this.auth,
+                    timeout: timeout ?? this.timeoutMs
+                });
+                this._onSuccess();
+                return response.data;
+            } catch (rawError) {
+                const error = toIssuerError(rawError, label);
+                this._onFailure(error);
+
+                const retryable = error instanceof IssuerUnavailableError
+                    && !(error instanceof IssuerCircuitOpenError);
+                if (!retryable || attempt === attempts) {
+                    throw error;
+                }
+
+                // Back-off exponencial con jitter completo
+                const delay = Math.random() * this.retryBaseMs * 2 ** (attempt - 1);
+                console.warn(`[IssuerClient] Reintentando ${label} (${attempt}/${attempts - 1})...`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    // ---------- Identidades ----------
+
+    listIdentities() {
+        return this.request({ path: '/v2/identities', description: 'Listar identidades' });
+    }
+
+    getIdentityDetails(identifier) {
+        return this.request({
+            path: apiPath`/v2/identities/${identifier}/details`,
+            description: 'Detalle de identidad'
+        });
+    }
+
+    createIdentity(identityRequest) {
+        return this.request({
+            method: 'POST',
+            path: '/v2/identities',
+            data: identityRequest,
+            description: 'Crear identidad'
+        });
+    }
+
+    // ---------- Credenciales ----------
+
+    createCredential(issuerDID, credentialRequest) {
+        return this.request({
+            method: 'POST',
+            path: apiPath`/v2/identities/${issuerDID}/credentials`,
+            data: credentialRequest,
+            description: 'Crear credencial'
+        });
+    }
+
+    getCredential(issuerDID, credentialId) {
+        return this.request({
+            path: apiPath`/v2/identities/${issuerDID}/credentials/${credentialId}`,
+            description: 'Obtener credencial'
+        });
+    }
+
+    listCredentials(issuerDID, params = {}) {
+        return this.request({
+            path: apiPath`/v2/identities/${issuerDID}/credentials`,
+            params,
+            description: 'Listar credenciales'
+        });
+    }
+
+    // ---------- Revocación ----------
+
+    revokeCredential(issuerDID, revocationNonce) {
+        return this.request({
+            method: 'POST',
+            path: apiPath`/v2/identities/${issuerDID}/credentials/revoke/${revocationNonce}`,
+            data: {},
+            idempotent: true,
+            description: 'Revocar credencial'
+        });
+    }
+
+    getRevocationStatus(issuerDID, revocationNonce) {
+        return this.request({
+            path: apiPath`/v2/identities/${issuerDID}/credentials/revocation/status/${revocationNonce}`,
+            description: 'Estado de revocación'
+        });
+    }
+
+    // ---------- Estado ----------
+
+    getStatus() {
+        return this.request({ path: '/status', description: 'Estado del Issuer Node' });
+    }
+
+    // ---------- Pruebas ZKP ----------
+
+    verifyProof(verificationRequest) {
+        return this.request({
+            method: 'POST',
+            path: '/v2/proofs/verify',
+            data: verificationRequest,
+            timeout: this.proofTimeoutMs,
+            idempotent: true,
+            description: 'Verificar prueba'
+        });
+    }
+}
+
+let defaultClient = null;
+
+/**
+ * Cliente compartido configurado con las variables de entorno
+ */
+function getIssuerClient() {
+    if (!defaultClient) {
+        defaultClient = new IssuerNodeClient({
+            baseUrl: process.env.ISSUER_NODE_BASE_URL,
+            username: process.env.ISSUER_NODE_USER,
+            password: process.env.ISSUER_NODE_PASSWORD,
+            timeoutMs: parseInt(process.env.ISSUER_NODE_TIMEOUT_MS, 10) || 5000,
+            proofTimeoutMs: parseInt(process.env.ISSUER_NODE_PROOF_TIMEOUT_MS, 10) || 10000,
+            retries: process.env.ISSUER_NODE_RETRIES !== undefined
+                ? parseInt(process.env.ISSUER_NODE_RETRIES, 10)
+                : 2,
+            breakerThreshold: parseInt(process.env.ISSUER_NODE_BREAKER_THRESHOLD, 10) || 5,
+            breakerResetMs: parseInt(process.env.ISSUER_NODE_BREAKER_RESET_MS, 10) || 30000
+        });
+    }
+    return defaultClient;
+}
+
+module.exports = {
+    IssuerNodeClient,
+    getIssuerClient,
+    toHttpStatus,
+    IssuerNodeError,
+    IssuerUnavailableError,
+    IssuerTimeoutError,
+    IssuerCircuitOpenError,
+    IssuerAuthError,
+    IssuerNotFoundError,
+    IssuerValidationError
+};
@@ -0,0 +1,327 @@
+/**
+ * ISSUER STATE - Estados de identidades y raíces del GIST publicados
+ *
+ * El circuito de atomic query solo prueba que la credencial está en el
+ * estado del issuer que trae la prueba (issuerClaimIdenState, issuerAuthState
+ * o issuerState) y que no está revocada en issuerClaimNonRevState. Cualquiera
+ * puede armar un estado propio con el id de un issuer: hay que confirmar que
+ * el issuer publicó esos estados.
+ *
+ * Resolvers (setStateResolver para cambiarlo):
+ * - Contrato State de iden3 si hay STATE_RPC_URL (STATE_CONTRACT_ADDRESS,
+ *   el de Polygon Amoy por defecto). Conoce toda la historia.
+ * - Issuer Node (/v2/identities/{did}/details) si no: solo el último estado
+ *   de las identidades que administra. No resuelve raíces del GIST.
+ *
+ * Política (la de iden3 js-sdk):
+ * - Estado de la credencial: publicado (cualquiera de la historia) o el
+ *   génesis del id
+ * - Estado de no revocación: el último publicado, uno reemplazado hace menos
+ *   de ISSUER_STATE_MAX_AGE_SECONDS (1 h) o el génesis si el issuer nunca publicó
+ * - Raíz del GIST (login authV2): la vigente o una reemplazada hace menos de
+ *   GIST_ROOT_MAX_AGE_SECONDS (5 min)
+ *
+ * Interfaz de un resolver (todos async, ids / estados / raíces como bigint):
+ * - getStateInfoById(id) → { state, replacedAtTimestamp } del último estado,
+ *   o null si la identidad nunca publicó
+ * - getStateInfoByIdAndState(id, state) → { state, replacedAtTimestamp } o null
+ * - getGistRootInfo(root) → { root, replacedAtTimestamp } o null
+ * replacedAtTimestamp en segundos (0 si sigue vigente). Si no pueden
+ * responder lanzan StateResolverError.
+ */
+
+const { Contract, JsonRpcProvider } = require('ethers');
+const { getIssuerClient, IssuerNodeError, IssuerNotFoundError } = require('./issuer-client');
+const { didToSignal } = require('./pub-signals');
+
+const STATE_CONTRACT_ADDRESS = process.env.STATE_CONTRACT_ADDRESS || '0x1a4cC30f2aA0377b0c3bc9848766D90cb4404124';
+const ISSUER_STATE_MAX_AGE_SECONDS = parseInt(process.env.ISSUER_STATE_MAX_AGE_SECONDS, 10) || 60 * 60;
+const GIST_ROOT_MAX_AGE_SECONDS = parseInt(process.env.GIST_ROOT_MAX_AGE_SECONDS, 10) || 5 * 60;
+
+const ID_LENGTH = 31;
+const HASH_LENGTH = 32;
+const GENESIS_LENGTH = 27;
+
+const STATE_ABI = [
+    'function getStateInfoById(uint256 id) view returns (tuple(uint256 id, uint256 state, uint256 replacedByState, uint256 createdAtTimestamp, uint256 replacedAtTimestamp, uint256 createdAtBlock, uint256 replacedAtBlock))',
+    'function getStateInfoByIdAndState(uint256 id, uint256 state) view returns (tuple(uint256 id, uint256 state, uint256 replacedByState, uint256 createdAtTimestamp, uint256 replacedAtTimestamp, uint256 createdAtBlock, uint256 replacedAtBlock))',
+    'function getGISTRootInfo(uint256 root) view returns (tuple(uint256 root, uint256 replacedByRoot, uint256 createdAtTimestamp, uint256 replacedAtTimestamp, uint256 createdAtBlock, uint256 replacedAtBlock))'
+];
+
+class StateResolverError extends Error {
+    constructor(message, options = {}) {
+        super(message, { cause: options.cause });
+        this.name = 'StateResolverError';
+    }
+}
+
+function toBytesLE(value, length) {
+    return Buffer.from(BigInt(value).toString(16).padStart(length * 2, '0'), 'hex').reverse();
+}
+
+/**
+ * Hash de iden3 en hex (bytes little-endian, como lo muestra el Issuer Node) → bigint
+ */
+function hashFromHex(hex) {
+    return BigInt(`0x${Buffer.from(hex, 'hex').reverse().toString('hex') || '0'}`);
+}
+
+/**
+ * El id se deriva del estado génesis: sus bytes 2..29 son los últimos 27
+ * bytes del estado (little-endian)
+ */
+function isGenesisState(id, state) {
+    const idBytes = toBytesLE(id, ID_LENGTH);
+    const stateBytes = toBytesLE(state, HASH_LENGTH);
+    return idBytes.subarray(2, 2 + GENESIS_LENGTH).equals(stateBytes.subarray(HASH_LENGTH - GENESIS_LENGTH));
+}
+
+// ============================================
+// RESOLVERS
+// ============================================
+/**
+ * Contrato State de iden3 vía JSON-RPC
+ */
+class ContractStateResolver {
+    constructor({ rpcUrl, contractAddress = STATE_CONTRACT_ADDRESS }) {
+        this.contract = new Contract(contractAddress, STATE_ABI, new JsonRpcProvider(rpcUrl));
+    }
+
+    /**
+     * Llama al contrato; "does not exist" (revert) → null
+     */
+    async _call(method, ...args) {
+        try {
+            return await this.contract[method](...args);
+        } catch (error) {
+            const reason = error.reason || error.shortMessage || error.message || '';
+            if (error.code === 'CALL_EXCEPTION' && /does not exist/i.test(reason)) {
+                return null;
+            }
+            throw new StateResolverError(`Contrato State (${method}): ${reason}`, { cause: error });
+        }
+    }
+
+    async getStateInfoById(id) {
+        const info = await this._call('getStateInfoById', id);
+        return info && { state: info.state, replacedAtTimestamp: Number(info.replacedAtTimestamp) };
+    }
+
+    async getStateInfoByIdAndState(id, state) {
+        const info = await this._call('getStateInfoByIdAndState', id, state);
+        return info && { state: info.state, replacedAtTimestamp: Number(info.replacedAtTimestamp) };
+    }
+
+    async getGistRootInfo(root) {
+        const info = await this._call('getGISTRootInfo', root);
+        return info && { root: info.root, replacedAtTimestamp: Number(info.replacedAtTimestamp) };
+    }
+}
+
+/**
+ * Último estado de las identidades del Issuer Node
+ */
+class IssuerNodeStateResolver {
+    constructor(issuerClient = getIssuerClient()) {
+        this.issuerClient = issuerClient;
+        // id (decimal) → DID
+        this.dids = new Map();
+    }
+
+    async _call(description, fn) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (error instanceof IssuerNotFoundError) return null;
+            if (error instanceof IssuerNodeError) {
+                throw new StateResolverError(`Issuer Node (${description}): ${error.message}`, { cause: error });
+            }
+            throw error;
+        }
+    }
+
+    async _findDID(id) {
+        const key = id.toString();
+        if (!this.dids.has(key)) {
+            const identities = await this._call('identidades', () => this.issuerClient.listIdentities()) || [];
+            for (const identity of identities) {
+                const did = typeof identity === 'string' ? identity : identity.identifier;
+                const signal = didToSignal(did);
+                if (signal !== null) this.dids.set(signal.toString(), did);
+            }
+        }
+        return this.dids.get(key) || null;
+    }
+
+    /**
+     * null: identidad ajena o sin publicar (status created)
+     */
+    async getStateInfoById(id) {
+        const did = await this._findDID(id);
+        if (!did) return null;
+
+        const details = await this._call('estado', () => this.issuerClient.getIdentityDetails(did));
+        const status = details?.state?.status;
+        if (!details?.state?.state || status === 'created') return null;
+        if (status !== 'confirmed') {
+            throw new StateResolverError(`El estado de ${did} se está publicando (${status})`);
+        }
+        return { state: hashFromHex(details.state.state), replacedAtTimestamp: 0 };
+    }
+
+    async getStateInfoByIdAndState(id, state) {
+        const latest = await this.getStateInfoById(id);
+        return latest && latest.state === BigInt(state) ? latest : null;
+    }
+
+    async getGistRootInfo() {
+        throw new StateResolverError('El Issuer Node no resuelve raíces del GIST: configurar STATE_RPC_URL');
+    }
+}
+
+/**
+ * Resolver en memoria (pruebas y desarrollo)
+ */
+class MemoryStateResolver {
+    constructor() {
+        // id → [{ state, replacedAtTimestamp }] en orden de publicación
+        this.states = new Map();
+        this.gistRoots = new Map();
+    }
+
+    /**
+     * Publica un estado nuevo; el anterior queda reemplazado ahora
+     */
+    publishState(id, state, now = Math.floor(Date.now() / 1000)) {
+        const history = this.states.get(BigInt(id).toString()) || [];
+        const previous = history[history.length - 1];
+        if (previous) previous.replacedAtTimestamp = now;
+        history.push({ state: BigInt(state), replacedAtTimestamp: 0 });
+        this.states.set(BigInt(id).toString(), history);
+    }
+
+    publishGistRoot(root, now = Math.floor(Date.now() / 1000)) {
+        for (const info of this.gistRoots.values()) {
+            if (info.replacedAtTimestamp === 0) info.replacedAtTimestamp = now;
+        }
+        this.gistRoots.set(BigInt(root).toString(), { root: BigInt(root), replacedAtTimestamp: 0 });
+    }
+
+    async getStateInfoById(id) {
+        const history = this.states.get(BigInt(id).toString()) || [];
+        return history.length > 0 ? { ...history[history.length - 1] } : null;
+    }
+
+    async getStateInfoByIdAndState(id, state) {
+        const history = this.states.get(BigInt(id).toString()) || [];
+        const info = history.find(item => item.state === BigInt(state));
+        return info ? { ...info } : null;
+    }
+
+    async getGistRootInfo(root) {
+        const info = this.gistRoots.get(BigInt(root).toString());
+        return info ? { ...info } : null;
+    }
+}
+
+let stateResolver = null;
+
+/**
+ * Reemplaza el resolver de estados (otro RPC, un indexer, pruebas)
+ */
+function setStateResolver(resolver) {
+    for (const method of ['getStateInfoById', 'getStateInfoByIdAndState', 'getGistRootInfo']) {
+        if (typeof resolver?.[method] !== 'function') {
+            throw new Error(`El resolver de estados debe implementar ${method}()`);
+        }
+    }
+    stateResolver = resolver;
+}
+
+function getStateResolver() {
+    if (!stateResolver) {
+        stateResolver = process.env.STATE_RPC_URL
+            ? new ContractStateResolver({ rpcUrl: process.env.STATE_RPC_URL })
+            : new IssuerNodeStateResolver();
+    }
+    return stateResolver;
+}
+
+// ============================================
+// POLÍTICA
+// ============================================
+function isRecent(info, now, maxAge = ISSUER_STATE_MAX_AGE_SECONDS) {
+    return info.replacedAtTimestamp === 0 || now - info.replacedAtTimestamp <= maxAge;
+}
+
+/**
+ * Confirma los estados del issuer de una prueba de atomic query
+ * @param {Object} decoded - Resultado de decodePublicSignals
+ * @param {Object} [options] - { checkRevocation (true), now (ms) }
+ * @returns {Promise<{issuerState: string|null, nonRevState: string|null}>} - Error de cada chequeo o null
+ * @throws {StateResolverError} - El resolver no puede responder
+ */
+async function checkIssuerStates(decoded, options = {}) {
+    const resolver = getStateResolver();
+    const now = Math.floor((options.now ?? Date.now()) / 1000);
+    const issuerID = BigInt(decoded.issuerID);
+    const result = { issuerState: null, nonRevState: null };
+
+    // Estado en el que está la credencial (MTP) o la clave que la firmó (Sig)
+    const claimState = BigInt(decoded.issuerClaimIdenState ?? decoded.issuerAuthState ?? decoded.issuerState);
+    if (!isGenesisState(issuerID, claimState)
+        && !await resolver.getStateInfoByIdAndState(issuerID, claimState)) {
+        result.issuerState = 'El estado del issuer de la prueba no está publicado';
+    }
+
+    if (options.checkRevocation === false) return result;
+
+    const nonRevState = BigInt(decoded.issuerClaimNonRevState);
+    const latest = await resolver.getStateInfoById(issuerID);
+    if (!latest) {
+        if (!isGenesisState(issuerID, nonRevState)) {
+            result.nonRevState = 'El issuer no publicó estados y el de no revocación no es su génesis';
+        }
+    } else if (latest.state !== nonRevState) {
+        const info = await resolver.getStateInfoByIdAndState(issuerID, nonRevState);
+        if (!info) {
+            result.nonRevState = 'El estado de no revocación de la prueba no está publicado';
+        } else if (!isRecent(info, now)) {
+            result.nonRevState = `El estado de no revocación fue reemplazado hace más de ${ISSUER_STATE_MAX_AGE_SECONDS}s`;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Confirma una raíz del GIST (prueba authV2): la vigente o una reemplazada
+ * hace menos de GIST_ROOT_MAX_AGE_SECONDS (5 min). Sin esto cualquiera arma
+ * un GIST propio con el userID de otro.
+ * @param {string|bigint} root - Señal gistRoot
+ * @param {Object} [options] - { now (ms) }
+ * @returns {Promise<string|null>} - Error o null
+ * @throws {StateResolverError}
+ */
+async function checkGistRoot(root, options = {}) {
+    const now = Math.floor((options.now ?? Date.now()) / 1000);
+    const info = await getStateResolver().getGistRootInfo(BigInt(root));
+    if (!info) return 'La raíz del GIST de la prueba no está publicada';
+    if (!isRecent(info, now, GIST_ROOT_MAX_AGE_SECONDS)) {
+        return `La raíz del GIST fue reemplazada hace más de ${GIST_ROOT_MAX_AGE_SECONDS}s`;
+    }
+    return null;
+}
+
+module.exports = {
+    StateResolverError,
+    ContractStateResolver,
+    IssuerNodeStateResolver,
+    MemoryStateResolver,
+    setStateResolver,
+    getStateResolver,
+    isGenesisState,
+    hashFromHex,
+    checkIssuerStates,
+    checkGistRoot
+};
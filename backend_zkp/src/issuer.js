@@ -0,0 +1,409 @@
+/**
+ * ISSUER - Helpers para el Issuer Node de Privado ID
+ *
+ * Creación de DIDs y credenciales con fallback local cuando
+ * el Issuer Node no está disponible. Compartido por todas las rutas.
+ */
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const {
+    createUserAuthCredential,
+    createWalletAuthCredential,
+    createSchemaCredential,
+    didFromEthAddress
+} = require('../scheme/scheme');
+const { hashData } = require('./validador');
+const { getIssuerClient, IssuerUnavailableError } = require('./issuer-client');
+const { V3_PROOF_TYPES } = require('./zkp-proofs');
+const { getSchemaUrl, getSchemaSummary, assertCredentialSubject } = require('./credential-schemas');
+
+const ISSUER_NODE_URL = process.env.ISSUER_NODE_BASE_URL;
+const issuerClient = getIssuerClient();
+
+console.log('[Config] Issuer Node URL:', ISSUER_NODE_URL);
+console.log('[Config] Issuer Auth: Habilitado');
+
+// ============================================
+// HELPER: Obtener DID del Issuer
+// ============================================
+let ISSUER_DID = null;
+
+async function getIssuerDID() {
+    if (ISSUER_DID) return ISSUER_DID;
+    
+    try {
+        const identities = await issuerClient.listIdentities();
+        
+        if (identities && identities.length > 0) {
+            ISSUER_DID = identities[0].identifier;
+            console.log('[Config] Issuer DID obtenido:', ISSUER_DID);
+            return ISSUER_DID;
+        }
+    } catch (error) {
+        console.error('[Config] No se pudo obtener Issuer DID:', error.message);
+    }
+    
+    return null;
+}
+
+/**
+ * Comprueba si el Issuer Node responde (sin usar el DID cacheado).
+ * Con el circuito abierto responde false sin llamar al nodo.
+ */
+async function isIssuerReachable() {
+    try {
+        await issuerClient.request({
+            path: '/v2/identities',
+            timeout: 3000,
+            idempotent: false,
+            description: 'Comprobar Issuer Node'
+        });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Obtener el DID del Issuer al iniciar
+getIssuerDID();
+
+// ============================================
+// HELPER: Crear DID en Issuer Node
+// ============================================
+/**
+ * Crea un DID en el Issuer Node (sin fallback: lanza error si no responde)
+ */
+async function requestDIDFromIssuer() {
+    const identityRequest = {
+        didMetadata: {
+            method: "polygonid",
+            blockchain: "polygon",
+            network: "amoy",
+            type: "BJJ" // ETHr 
+        }
+    };
+    
+    console.log('[CreateDID] Intentando conectar a Issuer Node...');
+    
+    const identity = await issuerClient.createIdentity(identityRequest);
+
+    console.log('[CreateDID] DID creado en Issuer Node:', identity.identifier);
+    return identity;
+}
+
+/**
+ * Crea un DID en el Issuer Node o, si no está disponible, uno local
+ * con state 'pending_issuer'
+ */
+async function createDIDInIssuer(userData = {}) {
+    try {
+        return await requestDIDFromIssuer();
+    } catch (error) {
+        console.warn('[CreateDID]  Issuer Node no disponible, usando DID local');
+        
+        // Generar DID localmente si el Issuer Node no está disponible
+        const localDID = userData.walletAddress 
+            ? didFromEthAddress(userData.walletAddress, 'testnet')
+            : `did:polygonid:polygon:amoy:${hashData(userData.email || Date.now().toString()).slice(0, 40)}`;
+        
+        return {
+            identifier: localDID,
+            state: 'pending_issuer',
+            message: 'DID generado localmente. Issuer Node no disponible.'
+        };
+    }
+}
+
+// ============================================
+// HELPER: Crear Credencial en Issuer Node
+// ============================================
+/**
+ * credentialSubject de ZKPAuthCredential, solo con campos que tienen valor
+ */
+function buildAuthCredentialSubject(did, userData) {
+    const credentialSubject = {
+        id: did,
+        fullName: userData.fullName || "Unknown User",
+        authMethod: userData.authMethod || "email",
+        accountState: userData.accountState || "active",
+        registrationDate: Math.floor(Date.now() / 1000),
+        isVerified: userData.isVerified || false
+    };
+
+    // Agregar email solo si existe
+    if (userData.email) {
+        credentialSubject.email = userData.email;
+    }
+
+    // Agregar walletAddress solo si existe
+    if (userData.walletAddress) {
+        credentialSubject.walletAddress = userData.walletAddress;
+    }
+
+    return credentialSubject;
+}
+
+/**
+ * Obtiene la credencial COMPLETA recién creada; si falla devuelve solo el { id }
+ */
+async function fetchIssuedCredential(issuerDID, created) {
+    const credentialId = created.id;
+    console.log('[CreateCredential] Obteniendo credencial completa...');
+    
+    try {
+        const fullCredential = await issuerClient.getCredential(issuerDID, credentialId);
+        
+        console.log('[CreateCredential] ✅ Credencial completa obtenida');
+        console.log('[CreateCredential] Credencial:', JSON.stringify(fullCredential, null, 2));
+        
+        // IMPORTANTE: El Issuer Node devuelve { id, vc: {...} }
+        // Necesitamos devolver solo el vc (la credencial W3C)
+        return fullCredential.vc || fullCredential;
+    } catch (fetchError) {
+        console.warn('[CreateCredential] ⚠️ No se pudo obtener credencial completa:', fetchError.message);
+        console.warn('[CreateCredential] Devolviendo solo ID');
+        return created;
+    }
+}
+
+// El DID del titular todavía no existe al validar los datos del registro
+const PENDING_SUBJECT_DID = 'did:polygonid:polygon:amoy:pending';
+
+/**
+ * Valida los datos del usuario contra ZKPAuthCredential antes de crear su DID,
+ * para no dejar identidades huérfanas en el Issuer Node
+ * @throws {CredentialSubjectValidationError}
+ */
+function assertAuthCredentialSubject(userData) {
+    assertCredentialSubject('ZKPAuthCredential', buildAuthCredentialSubject(PENDING_SUBJECT_DID, userData));
+}
+
+/**
+ * Emite una credencial ZKPAuthCredential en el Issuer Node
+ * (sin fallback: lanza error si no responde)
+ * @throws {CredentialSubjectValidationError} - El credentialSubject no cumple el schema
+ */
+async function issueCredentialInIssuer(did, userData) {
+    // Se valida antes de pedir nada al Issuer Node
+    const credentialSubject = buildAuthCredentialSubject(did, userData);
+    assertCredentialSubject('ZKPAuthCredential', credentialSubject);
+
+    const issuerDID = await getIssuerDID();
+    
+    if (!issuerDID) {
+        throw new IssuerUnavailableError('No se pudo obtener el DID del Issuer');
+    }
+
+    const credentialRequest = {
+        credentialSchema: getSchemaUrl('ZKPAuthCredential'),
+        type: "ZKPAuthCredential",
+        credentialSubject: credentialSubject,
+        expiration: Math.floor(Date.now() / 1000) + (365 * 24 * 60 * 60) // 1 año
+    };
+    
+    console.log('[CreateCredential] Intentando crear en Issuer Node...');
+    console.log('[CreateCredential] Issuer DID:', issuerDID);
+    console.log('[CreateCredential] Subject DID:', did);
+    console.log('[CreateCredential] Credential Subject:', JSON.stringify(credentialSubject, null, 2));
+    
+    const created = await issuerClient.createCredential(issuerDID, credentialRequest);
+
+    console.log('[CreateCredential] ✅ Credencial creada en Issuer Node:', created.id);
+    
+    return fetchIssuedCredential(issuerDID, created);
+}
+
+/**
+ * Emite la credencial en el Issuer Node o, si no está disponible,
+ * una credencial local con status 'pending_issuer'
+ * @throws {CredentialSubjectValidationError} - Datos que no cumplen el schema (sin fallback)
+ */
+async function createCredentialInIssuer(did, userData) {
+    assertCredentialSubject('ZKPAuthCredential', buildAuthCredentialSubject(did, userData));
+
+    try {
+        return await issueCredentialInIssuer(did, userData);
+    } catch (error) {
+        console.warn('[CreateCredential] ⚠️ Error:', error.message);
+        console.warn('[CreateCredential] Usando credencial local como fallback');
+        
+        // Crear credencial localmente
+        const localCredential = userData.authMethod === 'wallet'
+            ? createWalletAuthCredential(did, userData.walletAddress, userData)
+            : createUserAuthCredential(did, userData);
+        assertCredentialSubject('ZKPAuthCredential', localCredential.credentialSubject);
+        
+        console.log('[CreateCredential] 📄 Credencial local creada:', JSON.stringify(localCredential, null, 2));
+        
+        return {
+            ...localCredential,
+            status: 'pending_issuer',
+            message: 'Credencial generada localmente. Pendiente de sincronizar con Issuer Node.'
+        };
+    }
+}
+
+// ============================================
+// HELPER: Credencial de cualquier schema registrado
+// ============================================
+/**
+ * El Issuer Node siempre emite credenciales revocables y la cola de
+ * sincronización reemite las locales en él: no hay credenciales sin revocación
+ */
+function assertRevocable(params) {
+    if (params.revocable === false) {
+        throw new Error('revocable: false no se admite: el Issuer Node siempre emite credenciales revocables');
+    }
+}
+
+/**
+ * Emite una credencial de un tipo de issure-schemes en el Issuer Node
+ * (sin fallback: lanza error si no responde)
+ * @param {Object} params
+ * @param {string} params.type - $metadata.type del schema
+ * @param {Object} params.credentialSubject - Claims con id = DID del titular
+ * @param {number} [params.expiration] - Unix (segundos)
+ * @param {Array<string>} [params.proofTypes=['SIG']] - "SIG" y/o "MTP"
+ * @param {boolean} [params.revocable=true] - false no se admite (assertRevocable)
+ * @throws {CredentialSubjectValidationError}
+ */
+async function issueSchemaCredentialInIssuer({ type, credentialSubject, expiration, proofTypes = ['SIG'], revocable }) {
+    assertRevocable({ revocable });
+    assertCredentialSubject(type, credentialSubject);
+
+    const issuerDID = await getIssuerDID();
+    if (!issuerDID) {
+        throw new IssuerUnavailableError('No se pudo obtener el DID del Issuer');
+    }
+
+    const credentialRequest = {
+        credentialSchema: getSchemaUrl(type),
+        type: type,
+        credentialSubject: credentialSubject,
+        proofs: proofTypes.map(proofType => V3_PROOF_TYPES[proofType]),
+        ...(expiration ? { expiration } : {})
+    };
+
+    console.log('[CreateCredential] Emitiendo', type, 'en Issuer Node para', credentialSubject.id);
+
+    const created = await issuerClient.createCredential(issuerDID, credentialRequest);
+
+    console.log('[CreateCredential] ✅ Credencial creada en Issuer Node:', created.id);
+
+    return fetchIssuedCredential(issuerDID, created);
+}
+
+/**
+ * Emite la credencial en el Issuer Node o, si no está disponible,
+ * una credencial local con status 'pending_issuer'
+ * @param {Object} params - Los de issueSchemaCredentialInIssuer
+ * @throws {CredentialSubjectValidationError} - Claims que no cumplen el schema (sin fallback)
+ * @throws {Error} - revocable: false, en los dos caminos
+ */
+async function createSchemaCredentialInIssuer(params) {
+    assertRevocable(params);
+    assertCredentialSubject(params.type, params.credentialSubject);
+
+    try {
+        return await issueSchemaCredentialInIssuer(params);
+    } catch (error) {
+        console.warn('[CreateCredential] ⚠️ Error:', error.message);
+        console.warn('[CreateCredential] Usando credencial local como fallback');
+
+        const schemaUrl = getSchemaUrl(params.type);
+        const localCredential = createSchemaCredential({
+            type: params.type,
+            credentialSubject: params.credentialSubject,
+            schemaUrl: schemaUrl,
+            contextUrl: getSchemaSummary(params.type).jsonLdContext || schemaUrl.replace(/\.json$/, '.jsonld'),
+            expiration: params.expiration
+        });
+
+        return {
+            ...localCredential,
+            status: 'pending_issuer',
+            message: 'Credencial generada localmente. Pendiente de sincronizar con Issuer Node.'
+        };
+    }
+}
+
+// ============================================
+// HELPER: Listar Credenciales de un Subject
+// ============================================
+/**
+ * Lista (todas las páginas) las credenciales emitidas por el Issuer
+ * para un DID de usuario
+ * @returns {Promise<Array>} - Items del Issuer Node ({ id, vc, revoked, ... })
+ */
+async function listCredentialsInIssuer(subjectDID) {
+    const issuerDID = await getIssuerDID();
+    if (!issuerDID) {
+        throw new IssuerUnavailableError('No se pudo obtener el DID del Issuer');
+    }
+
+    const items = [];
+    const maxResults = 50;
+
+    for (let page = 1; page <= 20; page++) {
+        const data = await issuerClient.listCredentials(issuerDID, {
+            did: subjectDID,
+            status: 'all',
+            page,
+            max_results: maxResults
+        });
+
+        // Versiones viejas del nodo devuelven un array sin paginar
+        const pageItems = Array.isArray(data) ? data : data.items || [];
+        items.push(...pageItems);
+
+        const total = data.meta?.total;
+        if (Array.isArray(data) || pageItems.length < maxResults || (total && items.length >= total)) {
+            break;
+        }
+    }
+
+    return items;
+}
+
+// ============================================
+// HELPER: Revocar Credencial en Issuer Node
+// ============================================
+/**
+ * Revoca una credencial emitida por el Issuer Node usando su revocationNonce
+ */
+async function revokeCredentialInIssuer(credential) {
+    const nonce = credential?.credentialStatus?.revocationNonce;
+    if (nonce === undefined || nonce === null) {
+        throw new Error('La credencial no tiene revocationNonce');
+    }
+
+    const issuerDID = await getIssuerDID();
+    if (!issuerDID) {
+        throw new IssuerUnavailableError('No se pudo obtener el DID del Issuer');
+    }
+
+    console.log('[RevokeCredential] Revocando nonce', nonce, 'en Issuer Node...');
+
+    const result = await issuerClient.revokeCredential(issuerDID, nonce);
+
+    console.log('[RevokeCredential] ✅ Credencial revocada en Issuer Node');
+    return result;
+}
+
+module.exports = {
+    ISSUER_NODE_URL,
+    issuerClient,
+    getIssuerDID,
+    isIssuerReachable,
+    requestDIDFromIssuer,
+    createDIDInIssuer,
+    assertAuthCredentialSubject,
+    issueCredentialInIssuer,
+    createCredentialInIssuer,
+    issueSchemaCredentialInIssuer,
+    createSchemaCredentialInIssuer,
+    listCredentialsInIssuer,
+    revokeCredentialInIssuer
+};
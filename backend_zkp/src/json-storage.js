@@ -0,0 +1,127 @@
+/**
+ * JSON STORAGE - Persistencia simple en archivos JSON
+ *
+ * Lo usan los stores del backend (usuarios, sesiones, etc.)
+ * para sobrevivir a un reinicio de src/app.js sin depender
+ * de una base de datos externa.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Carpeta por defecto para los datos persistidos (configurable con DATA_DIR)
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+function getDataDir() {
+    return process.env.DATA_DIR || DEFAULT_DATA_DIR;
+}
+
+/**
+ * Resuelve la ruta de un archivo dentro de la carpeta de datos
+ */
+function dataPath(fileName) {
+    return path.join(getDataDir(), fileName);
+}
+
+/**
+ * Lee un archivo JSON. Si no existe devuelve el valor por defecto.
+ */
+function readJSON(filePath, fallback = null) {
+    try {
+        const raw = fs.readFileSync(filePath, 'utf8');
+        return JSON.parse(raw);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return fallback;
+        }
+        throw new Error(`No se pudo leer ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Escribe un archivo JSON de forma atómica
+ * (archivo temporal + rename) para no dejarlo a medias si el proceso cae
+ */
+function writeJSON(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+}
+
+// ============================================
+// COLECCIONES CLAVE → REGISTRO
+// ============================================
+
+/**
+ * Colección simple de registros por id.
+ * Con backend 'file' se guarda completa en DATA_DIR/<fileName> en cada cambio;
+ * con 'memory' solo vive en el proceso (STORE_BACKEND=memory para pruebas).
+ */
+class JsonCollection {
+    constructor(fileName, options = {}) {
+        const backend = options.backend || process.env.STORE_BACKEND || 'file';
+        this.filePath = backend === 'file' ? dataPath(fileName) : null;
+        this.records = new Map();
+
+        if (this.filePath) {
+            const stored = readJSON(this.filePath, {});
+            for (const [id, record] of Object.entries(stored)) {
+                this.records.set(id, record);
+            }
+        }
+    }
+
+    get(id) {
+        const record = this.records.get(id);
+        return record ? structuredClone(record) : null;
+    }
+
+    has(id) {
+        return this.records.has(id);
+    }
+
+    set(id, record) {
+        this.records.set(id, structuredClone(record));
+        this._persist();
+        return record;
+    }
+
+    delete(id) {
+        const deleted = this.records.delete(id);
+        if (deleted) this._persist();
+        return deleted;
+    }
+
+    values() {
+        return [...this.records.values()].map(record => structuredClone(record));
+    }
+
+    /**
+     * Elimina los registros que cumplan la condición (p. ej. expirados)
+     */
+    deleteWhere(predicate) {
+        let deleted = 0;
+        for (const [id, record] of this.records) {
+            if (predicate(record)) {
+                this.records.delete(id);
+                deleted++;
+            }
+        }
+        if (deleted > 0) this._persist();
+        return deleted;
+    }
+
+    _persist() {
+        if (!this.filePath) return;
+        writeJSON(this.filePath, Object.fromEntries(this.records));
+    }
+}
+
+module.exports = {
+    JsonCollection,
+    getDataDir,
+    dataPath,
+    readJSON,
+    writeJSON
+};
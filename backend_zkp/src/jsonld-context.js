@@ -0,0 +1,171 @@
+/**
+ * JSON-LD CONTEXT - Lectura de los contextos de los schemas locales
+ *
+ * Resuelve lo mínimo que necesita el verificador para un tipo de credencial:
+ * - @id del tipo (de él sale el claimSchema de la prueba)
+ * - IRI y tipo XSD de cada campo del credentialSubject
+ *
+ * El contexto de un query (query.context) se resuelve con el document loader
+ * (archivos de issure-schemes, caché o descarga); sin context se busca el
+ * tipo en issure-schemes/*.jsonld. Soporta contextos con scope por tipo,
+ * prefijos (prefijo:campo) y @vocab; no es un procesador JSON-LD completo.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getCredentialSchemas } = require('./credential-schemas');
+const { loadDocument, loadDocumentSync } = require('./document-loader');
+
+const SCHEMES_DIR = path.join(__dirname, '..', 'issure-schemes');
+const XSD_NS = 'http://www.w3.org/2001/XMLSchema#';
+
+let localContexts = null;
+
+/**
+ * Contextos .jsonld locales: [{ file, document }]
+ */
+function getLocalContexts() {
+    if (!localContexts) {
+        localContexts = fs.readdirSync(SCHEMES_DIR)
+            .filter(file => file.endsWith('.jsonld'))
+            .map(file => ({
+                file,
+                document: JSON.parse(fs.readFileSync(path.join(SCHEMES_DIR, file), 'utf8'))
+            }));
+    }
+    return localContexts;
+}
+
+function contextEntries(context) {
+    const list = Array.isArray(context) ? context : [context];
+    return list.filter(entry => entry && typeof entry === 'object');
+}
+
+/**
+ * Definiciones de términos visibles para un tipo: las del contexto
+ * raíz más las del contexto con scope del tipo
+ */
+function getTypeDefinitions(document, type) {
+    const rootTerms = Object.assign({}, ...contextEntries(document['@context']));
+    const typeDef = rootTerms[type];
+    if (!typeDef || typeof typeDef !== 'object') return null;
+
+    const scopedTerms = Object.assign({}, ...contextEntries(typeDef['@context']));
+    return { typeDef, terms: { ...rootTerms, ...scopedTerms } };
+}
+
+function expandIRI(value, terms) {
+    if (!value || typeof value !== 'string') return null;
+
+    const separator = value.indexOf(':');
+    if (separator > 0) {
+        const prefix = value.slice(0, separator);
+        const prefixIRI = typeof terms[prefix] === 'string' ? terms[prefix] : terms[prefix]?.['@id'];
+        // "urn:", "https:"... no son prefijos definidos: el valor ya es un IRI
+        return prefixIRI && !value.startsWith('//', separator + 1)
+            ? prefixIRI + value.slice(separator + 1)
+            : value;
+    }
+
+    return terms['@vocab'] ? terms['@vocab'] + value : null;
+}
+
+/**
+ * Busca el contexto local que define un tipo de credencial
+ * @returns {Object|null} - Documento JSON-LD
+ */
+function findContextForType(type) {
+    const match = getLocalContexts().find(({ document }) => getTypeDefinitions(document, type));
+    return match ? match.document : null;
+}
+
+/**
+ * URL del contexto al que apunta un documento: si es un JSON schema
+ * (ZKPAuthCredential usa como context la URL de su schema publicado)
+ * se sigue su $metadata.uris.jsonLdContext
+ */
+function schemaContextUrl(document) {
+    return document['@context'] ? null : document.$metadata?.uris?.jsonLdContext || null;
+}
+
+/**
+ * Descarga (y deja en caché) el contexto de un query para poder
+ * usar getQueryContext, que es síncrono. Solo descarga URLs mapeadas o de
+ * DOCUMENT_LOADER_ALLOWLIST (document-loader.js)
+ * @throws {DocumentLoaderError}
+ */
+async function preloadQueryContext(query) {
+    if (!query?.context) return;
+
+    getCredentialSchemas(); // registra las URLs locales en el loader
+    const { document } = await loadDocument(query.context);
+    const next = schemaContextUrl(document);
+    if (next) await loadDocument(next);
+}
+
+/**
+ * Contexto JSON-LD de un query: el de query.context o, sin él,
+ * el local que define query.type
+ * @returns {Object} - Documento JSON-LD
+ * @throws {Error} - Contexto no disponible o no define el tipo
+ */
+function getQueryContext(query) {
+    let document;
+    if (query.context) {
+        getCredentialSchemas(); // registra las URLs locales en el loader
+        document = loadDocumentSync(query.context).document;
+        const next = schemaContextUrl(document);
+        if (next) document = loadDocumentSync(next).document;
+    } else {
+        document = findContextForType(query.type);
+    }
+
+    if (!document || !getTypeDefinitions(document, query.type)) {
+        throw new Error(`El contexto ${query.context || 'local'} no define el tipo ${query.type}`);
+    }
+    return document;
+}
+
+/**
+ * @id del tipo de credencial (p. ej. urn:uuid:zkpauth-credential-schema-2025)
+ */
+function getTypeId(document, type) {
+    const definitions = getTypeDefinitions(document, type);
+    if (!definitions) {
+        throw new Error(`El contexto no define el tipo ${type}`);
+    }
+    return expandIRI(definitions.typeDef['@id'], definitions.terms);
+}
+
+/**
+ * IRI y tipo XSD de un campo del credentialSubject
+ * @returns {{iri: string, datatype: string}}
+ */
+function resolveField(document, type, field) {
+    const definitions = getTypeDefinitions(document, type);
+    if (!definitions) {
+        throw new Error(`El contexto no define el tipo ${type}`);
+    }
+
+    const term = definitions.terms[field];
+    const iri = expandIRI(typeof term === 'string' ? term : term?.['@id'] || field, definitions.terms);
+    if (!iri) {
+        throw new Error(`El campo ${field} no existe en el contexto de ${type}`);
+    }
+
+    const datatype = typeof term === 'object'
+        ? expandIRI(term['@type'], { xsd: XSD_NS, ...definitions.terms })
+        : null;
+
+    return { iri, datatype: datatype || `${XSD_NS}string` };
+}
+
+module.exports = {
+    XSD_NS,
+    getLocalContexts,
+    findContextForType,
+    preloadQueryContext,
+    getQueryContext,
+    getTypeId,
+    resolveField
+};
@@ -0,0 +1,170 @@
+/**
+ * JWZ - JSON Web Zero-knowledge (respuestas de las wallets de Privado ID)
+ *
+ * Formato compacto: BASE64URL(header).BASE64URL(payload).BASE64URL(prueba)
+ * - header: { alg: "groth16", circuitId: "authV2", crit: ["circuitId"], typ }
+ * - payload: mensaje iden3comm (p. ej. authorization response)
+ * - prueba: { proof: { pi_a, pi_b, pi_c, protocol }, pub_signals: [userID, challenge, gistRoot] }
+ *
+ * La prueba authV2 firma el mensaje: su challenge es el hash del header y el
+ * payload, y su userID tiene que ser el DID del `from` del mensaje.
+ *
+ * El gistRoot tiene que ser una raíz del GIST publicada (issuer-state.js):
+ * con un GIST armado a mano se puede probar cualquier userID.
+ */
+
+const crypto = require('crypto');
+const { poseidon } = require('@iden3/js-crypto');
+const { InvalidProofFormatError, verifyGroth16Proof } = require('./groth16-verifier');
+const { didToSignal, idFromSignal } = require('./pub-signals');
+const { checkGistRoot } = require('./issuer-state');
+
+const JWZ_ALG = 'groth16';
+const AUTH_CIRCUIT = 'authV2';
+
+const BN128_R = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+function decodeSegment(segment, name) {
+    if (!/^[A-Za-z0-9_-]*$/.test(segment)) {
+        throw new InvalidProofFormatError(`JWZ: ${name} no es base64url`);
+    }
+    return Buffer.from(segment, 'base64url').toString('utf8');
+}
+
+function parseSegment(segment, name) {
+    try {
+        return JSON.parse(decodeSegment(segment, name));
+    } catch (error) {
+        if (error instanceof InvalidProofFormatError) throw error;
+        throw new InvalidProofFormatError(`JWZ: ${name} no es JSON`);
+    }
+}
+
+/**
+ * Separa y decodifica un JWZ compacto
+ * @returns {{header, payload: string, message, zkProof, circuitId}}
+ * @throws {InvalidProofFormatError}
+ */
+function parseJWZ(token) {
+    const parts = typeof token === 'string' ? token.trim().split('.') : [];
+    if (parts.length !== 3) {
+        throw new InvalidProofFormatError('El token no es un JWZ compacto (header.payload.proof)');
+    }
+
+    const header = parseSegment(parts[0], 'header');
+    const payload = decodeSegment(parts[1], 'payload');
+    const zkProof = parseSegment(parts[2], 'prueba');
+
+    for (const key of header.crit || []) {
+        if (header[key] === undefined) {
+            throw new InvalidProofFormatError(`JWZ: el header crítico ${key} no está presente`);
+        }
+    }
+    if (header.alg !== JWZ_ALG) {
+        throw new InvalidProofFormatError(`JWZ: algoritmo no soportado ${header.alg}`);
+    }
+
+    let message;
+    try {
+        message = JSON.parse(payload);
+    } catch (error) {
+        throw new InvalidProofFormatError('JWZ: el payload no es un mensaje iden3comm');
+    }
+
+    if (!zkProof?.proof || !Array.isArray(zkProof.pub_signals)) {
+        throw new InvalidProofFormatError('JWZ: la prueba no trae proof y pub_signals');
+    }
+
+    // Con prueba dinámica el circuito real va en proof.protocol ("groth16;authV2")
+    const circuitId = String(zkProof.proof.protocol || '').split(';')[1] || header.circuitId;
+
+    return { header, payload, message, zkProof, circuitId };
+}
+
+/**
+ * Hash que la prueba authV2 usa como challenge:
+ * Poseidon(SHA-256(BASE64URL(header) || '.' || BASE64URL(payload)) como entero LE, mod r)
+ *
+ * El header se vuelve a serializar con las claves ordenadas (como js-jwz),
+ * no se usa el segmento tal como llegó.
+ */
+function getMessageHash(header, payload) {
+    const fullHeader = { alg: JWZ_ALG, crit: ['circuitId'], typ: 'JWZ', ...header };
+    const serializedHeader = JSON.stringify(fullHeader, Object.keys(fullHeader).sort());
+    const signingInput = `${Buffer.from(serializedHeader).toString('base64url')}.${Buffer.from(payload).toString('base64url')}`;
+
+    const digest = crypto.createHash('sha256').update(signingInput, 'ascii').digest();
+    const value = BigInt(`0x${digest.reverse().toString('hex')}`) % BN128_R;
+    return poseidon.hash([value]);
+}
+
+/**
+ * Pruebas por query del body.scope de una authorization response
+ */
+function getScopeProofs(message) {
+    const scope = Array.isArray(message?.body?.scope) ? message.body.scope : [];
+    return scope.map(item => ({
+        id: item.id,
+        circuitId: item.circuitId,
+        proof: item.proof,
+        pubSignals: item.pub_signals,
+        vp: item.vp
+    }));
+}
+
+/**
+ * Verifica un JWZ: prueba authV2, challenge = hash del mensaje, from = userID
+ * y gistRoot publicado
+ * @param {string} token - JWZ compacto
+ * @returns {Promise<{verified: boolean, error?: string, header, message, sender, authSignals, proofs}>}
+ * @throws {InvalidProofFormatError} - Token, header o prueba mal formados
+ * @throws {StateResolverError} - No se pudo consultar la raíz del GIST
+ */
+async function verifyJWZ(token) {
+    const { header, payload, message, zkProof, circuitId } = parseJWZ(token);
+
+    if (circuitId !== AUTH_CIRCUIT) {
+        throw new InvalidProofFormatError(`JWZ: circuito de autenticación no soportado ${circuitId}`);
+    }
+    if (zkProof.pub_signals.length !== 3 || !zkProof.pub_signals.every(signal => /^\d+$/.test(String(signal)))) {
+        throw new InvalidProofFormatError('JWZ: authV2 tiene 3 señales públicas decimales (userID, challenge, gistRoot)');
+    }
+
+    const [userID, challenge, gistRoot] = zkProof.pub_signals.map(String);
+    const authSignals = { userID, userIDBase58: idFromSignal(userID), challenge, gistRoot };
+    const result = {
+        verified: false,
+        header,
+        message,
+        sender: message.from || null,
+        authSignals,
+        proofs: getScopeProofs(message)
+    };
+
+    if (BigInt(challenge) !== getMessageHash(header, payload)) {
+        return { ...result, error: 'El challenge de la prueba no es el hash del mensaje' };
+    }
+
+    if (!message.from || didToSignal(message.from) !== BigInt(userID)) {
+        return { ...result, error: 'El from del mensaje no es el DID que generó la prueba' };
+    }
+
+    const proofResult = await verifyGroth16Proof(AUTH_CIRCUIT, zkProof.proof, zkProof.pub_signals);
+    if (!proofResult.verified) {
+        return { ...result, error: proofResult.error };
+    }
+
+    const gistError = await checkGistRoot(gistRoot);
+    if (gistError) {
+        return { ...result, error: gistError };
+    }
+
+    console.log('[JWZ] ✅ Mensaje autenticado:', message.type, '-', message.from);
+    return { ...result, verified: true };
+}
+
+module.exports = {
+    parseJWZ,
+    getMessageHash,
+    verifyJWZ
+};
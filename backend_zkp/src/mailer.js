@@ -0,0 +1,69 @@
+/**
+ * MAILER - Envío de correos con transporte intercambiable
+ *
+ * Transporte por defecto 'outbox': escribe cada mensaje como JSON en
+ * MAIL_OUTBOX_DIR (DATA_DIR/outbox por defecto). Sirve en desarrollo y
+ * pruebas sin servidor SMTP. Para producción se registra otro transporte
+ * con setMailTransport({ send(message) }).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { dataPath } = require('./json-storage');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@sistemazkp.local';
+
+/**
+ * Transporte que deja los correos en una carpeta local
+ */
+function createOutboxTransport(outboxDir = process.env.MAIL_OUTBOX_DIR || dataPath('outbox')) {
+    return {
+        name: 'outbox',
+        async send(message) {
+            fs.mkdirSync(outboxDir, { recursive: true });
+            const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+            const filePath = path.join(outboxDir, `${id}.json`);
+            fs.writeFileSync(filePath, JSON.stringify({ id, ...message }, null, 2));
+            return { id, filePath };
+        }
+    };
+}
+
+let transport = createOutboxTransport();
+
+/**
+ * Reemplaza el transporte (SMTP, API de terceros, mock de pruebas...)
+ * @param {{send: function(Object): Promise<Object>}} customTransport
+ */
+function setMailTransport(customTransport) {
+    if (!customTransport || typeof customTransport.send !== 'function') {
+        throw new Error('El transporte debe tener un método send(message)');
+    }
+    transport = customTransport;
+}
+
+/**
+ * Envía un correo
+ * @param {Object} mail - { to, subject, text, html? }
+ */
+async function sendMail({ to, subject, text, html }) {
+    const message = {
+        from: MAIL_FROM,
+        to,
+        subject,
+        text,
+        html: html || null,
+        createdAt: new Date().toISOString()
+    };
+
+    const result = await transport.send(message);
+    console.log(`[Mailer] Correo enviado (${transport.name || 'custom'}):`, subject, '→', to);
+    return result;
+}
+
+module.exports = {
+    sendMail,
+    setMailTransport,
+    createOutboxTransport
+};
@@ -0,0 +1,333 @@
+/**
+ * MOCK ISSUER NODE - Issuer Node de Privado ID simulado (solo desarrollo)
+ *
+ * Implementa en memoria el subconjunto del API v2 que usa el backend:
+ * - GET/POST /v2/identities, GET /v2/identities/:did/details (estado)
+ * - POST/GET /v2/identities/:did/credentials, GET .../credentials/:id
+ * - POST .../credentials/revoke/:nonce, GET .../credentials/revocation/status/:nonce
+ * - POST /v2/proofs/verify (solo valida la estructura de la prueba)
+ * - GET /status (sin auth)
+ *
+ * Todo lo demás exige Basic Auth con ISSUER_NODE_USER / ISSUER_NODE_PASSWORD.
+ * Las credenciales NO tienen firmas reales: no usar fuera de desarrollo.
+ *
+ * Uso:
+ * - npm run mock-issuer              → servidor aparte en MOCK_ISSUER_PORT (3001)
+ * - ISSUER_NODE_MOCK=true npm start  → dentro del mismo proceso del backend
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const dotenv = require('dotenv');
+dotenv.config();
+
+const DEFAULT_PORT = parseInt(process.env.MOCK_ISSUER_PORT, 10) || 3001;
+const DEFAULT_USER = 'user-issuer';
+const DEFAULT_PASSWORD = 'password-issuer';
+
+const KNOWN_CIRCUITS = [
+    'credentialAtomicQueryMTPV2',
+    'credentialAtomicQuerySigV2',
+    'credentialAtomicQueryMTPV2OnChain',
+    'credentialAtomicQuerySigV2OnChain',
+    'credentialAtomicQueryV3',
+    'authV2'
+];
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function toBase58(buffer) {
+    let value = BigInt(`0x${buffer.toString('hex')}`);
+    let encoded = '';
+    while (value > 0n) {
+        encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+        value /= 58n;
+    }
+    return encoded;
+}
+
+function randomDID({ blockchain = 'polygon', network = 'amoy' } = {}) {
+    return `did:polygonid:${blockchain}:${network}:2q${toBase58(crypto.randomBytes(29))}`;
+}
+
+function randomHash() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Crea la app Express del mock con su estado en memoria
+ * @param {Object} options - { username, password, baseUrl }
+ * @returns {{app: Object, state: Object}}
+ */
+function createMockIssuerApp(options = {}) {
+    const username = options.username || process.env.ISSUER_NODE_USER || DEFAULT_USER;
+    const password = options.password || process.env.ISSUER_NODE_PASSWORD || DEFAULT_PASSWORD;
+
+    const state = {
+        baseUrl: options.baseUrl || '',
+        identities: new Map(),
+        nextNonce: 1
+    };
+
+    function createIdentity(didMetadata) {
+        const now = new Date().toISOString();
+        const identity = {
+            identifier: randomDID(didMetadata),
+            state: {
+                claimsTreeRoot: randomHash(),
+                state: randomHash(),
+                status: 'confirmed',
+                createdAt: now,
+                modifiedAt: now
+            },
+            address: null,
+            credentialStatusType: 'Iden3commRevocationStatusV1.0',
+            credentials: new Map()
+        };
+        state.identities.set(identity.identifier, identity);
+        return identity;
+    }
+
+    function publicIdentity({ credentials, ...identity }) {
+        return identity;
+    }
+
+    function findRecordByNonce(identity, nonce) {
+        return [...identity.credentials.values()]
+            .find(record => record.vc.credentialStatus.revocationNonce === nonce) || null;
+    }
+
+    // El Issuer DID con el que arranca el nodo
+    state.issuerDID = createIdentity({}).identifier;
+
+    const app = express();
+    app.use(express.json({ limit: '1mb' }));
+
+    app.get('/status', (req, res) => {
+        res.json({ status: 'up', mock: true });
+    });
+
+    // ---------- Basic Auth ----------
+    app.use((req, res, next) => {
+        const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+        const [user, ...rest] = scheme === 'Basic' && encoded
+            ? Buffer.from(encoded, 'base64').toString('utf8').split(':')
+            : [];
+
+        if (user !== username || rest.join(':') !== password) {
+            res.set('WWW-Authenticate', 'Basic realm="issuer-node"');
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
+        next();
+    });
+
+    function loadIdentity(req, res, next) {
+        req.identity = state.identities.get(req.params.identifier);
+        if (!req.identity) {
+            return res.status(404).json({ message: 'Identity not found' });
+        }
+        next();
+    }
+
+    // ---------- Identidades ----------
+    app.get('/v2/identities', (req, res) => {
+        res.json([...state.identities.values()].map(publicIdentity));
+    });
+
+    app.get('/v2/identities/:identifier/details', loadIdentity, (req, res) => {
+        res.json(publicIdentity(req.identity));
+    });
+
+    app.post('/v2/identities', (req, res) => {
+        const didMetadata = req.body?.didMetadata;
+        if (!didMetadata?.method || !didMetadata?.blockchain || !didMetadata?.network) {
+            return res.status(400).json({ message: 'didMetadata.method, blockchain y network son requeridos' });
+        }
+
+        res.status(201).json(publicIdentity(createIdentity(didMetadata)));
+    });
+
+    // ---------- Credenciales ----------
+    app.post('/v2/identities/:identifier/credentials', loadIdentity, (req, res) => {
+        const { credentialSchema, type, credentialSubject, expiration, proofs } = req.body || {};
+        const proofTypes = proofs?.length ? proofs : ['BJJSignature2021'];
+        if (!credentialSchema || !type || !credentialSubject?.id) {
+            return res.status(400).json({ message: 'credentialSchema, type y credentialSubject.id son requeridos' });
+        }
+
+        const id = crypto.randomUUID();
+        const issuer = req.identity.identifier;
+        const revocationNonce = state.nextNonce++;
+        const now = new Date();
+
+        const vc = {
+            id: `urn:uuid:${id}`,
+            '@context': [
+                'https://www.w3.org/2018/credentials/v1',
+                'https://schema.iden3.io/core/jsonld/iden3proofs.jsonld',
+                credentialSchema.replace(/\.json$/, '.jsonld')
+            ],
+            type: ['VerifiableCredential', type],
+            issuer: issuer,
+            issuanceDate: now.toISOString(),
+            credentialSubject: { ...credentialSubject, type },
+            credentialStatus: {
+                id: `${state.baseUrl}/v2/identities/${issuer}/credentials/revocation/status/${revocationNonce}`,
+                revocationNonce: revocationNonce,
+                type: 'SparseMerkleTreeProof'
+            },
+            credentialSchema: {
+                id: credentialSchema,
+                type: 'JsonSchema2023'
+            },
+            // La prueba MTP solo existe tras publicar el estado: el mock no la genera
+            proof: proofTypes.includes('BJJSignature2021') ? [{
+                type: 'BJJSignature2021',
+                issuerData: { id: issuer, state: { value: req.identity.state.state } },
+                signature: crypto.randomBytes(64).toString('hex'),
+                coreClaim: crypto.randomBytes(256).toString('hex')
+            }] : []
+        };
+        if (expiration) {
+            vc.expirationDate = new Date(expiration * 1000).toISOString();
+        }
+
+        req.identity.credentials.set(id, {
+            id,
+            vc,
+            revoked: false,
+            proofTypes: proofTypes,
+            schemaType: type,
+            schemaUrl: credentialSchema,
+            userID: credentialSubject.id,
+            createdAt: now.toISOString(),
+            expiresAt: vc.expirationDate || null
+        });
+
+        res.status(201).json({ id });
+    });
+
+    app.get('/v2/identities/:identifier/credentials', loadIdentity, (req, res) => {
+        const { did, status = 'all' } = req.query;
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const maxResults = Math.max(1, parseInt(req.query.max_results, 10) || 50);
+        const now = Date.now();
+
+        const filtered = [...req.identity.credentials.values()].filter(record => {
+            if (did && record.userID !== did) return false;
+            if (status === 'revoked') return record.revoked;
+            if (status === 'expired') return record.expiresAt && Date.parse(record.expiresAt) <= now;
+            return true;
+        });
+
+        res.json({
+            items: filtered.slice((page - 1) * maxResults, page * maxResults),
+            meta: { total: filtered.length, page, max_results: maxResults }
+        });
+    });
+
+    app.get('/v2/identities/:identifier/credentials/:id', loadIdentity, (req, res) => {
+        const record = req.identity.credentials.get(req.params.id.replace('urn:uuid:', ''));
+        if (!record) {
+            return res.status(404).json({ message: 'Credential not found' });
+        }
+        res.json(record);
+    });
+
+    // ---------- Revocación ----------
+    app.post('/v2/identities/:identifier/credentials/revoke/:nonce', loadIdentity, (req, res) => {
+        const record = findRecordByNonce(req.identity, Number(req.params.nonce));
+        if (!record) {
+            return res.status(404).json({ message: 'Credential not found' });
+        }
+
+        record.revoked = true;
+        res.status(202).json({ message: 'credential revocation request sent' });
+    });
+
+    app.get('/v2/identities/:identifier/credentials/revocation/status/:nonce', loadIdentity, (req, res) => {
+        const record = findRecordByNonce(req.identity, Number(req.params.nonce));
+        res.json({
+            issuer: { state: req.identity.state.state },
+            mtp: { existence: !!record?.revoked }
+        });
+    });
+
+    // ---------- Pruebas ZKP ----------
+    app.post('/v2/proofs/verify', (req, res) => {
+        const { circuitId, proof, pub_signals } = req.body || {};
+
+        if (!KNOWN_CIRCUITS.includes(circuitId)) {
+            return res.status(400).json({ message: `circuitId no soportado: ${circuitId}` });
+        }
+
+        const verified = [proof?.pi_a, proof?.pi_b, proof?.pi_c].every(Array.isArray)
+            && Array.isArray(pub_signals)
+            && pub_signals.length > 0;
+
+        res.json({ verified, mock: true });
+    });
+
+    return { app, state };
+}
+
+/**
+ * Levanta el mock en un puerto
+ * @param {Object} options - { port, host, username, password }
+ * @returns {Promise<{url: string, issuerDID: string, state: Object, close: function}>}
+ */
+function startMockIssuerNode(options = {}) {
+    const port = options.port ?? DEFAULT_PORT;
+    const host = options.host || '127.0.0.1';
+    const { app, state } = createMockIssuerApp(options);
+
+    return new Promise((resolve, reject) => {
+        const server = app.listen(port, host, (error) => {
+            if (error) return reject(error);
+
+            const url = `http://${host}:${server.address().port}`;
+            state.baseUrl = url;
+            console.log('[MockIssuer] Issuer Node simulado en', url, '- Issuer DID:', state.issuerDID);
+
+            resolve({
+                url,
+                issuerDID: state.issuerDID,
+                state,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+        server.on('error', reject);
+    });
+}
+
+/**
+ * Apunta el backend al mock y lo levanta en el mismo proceso.
+ * Debe llamarse antes de cargar src/issuer.js (lee ISSUER_NODE_BASE_URL al cargar).
+ */
+function useMockIssuerNode() {
+    const port = DEFAULT_PORT;
+    process.env.ISSUER_NODE_BASE_URL = `http://127.0.0.1:${port}`;
+    process.env.ISSUER_NODE_USER = process.env.ISSUER_NODE_USER || DEFAULT_USER;
+    process.env.ISSUER_NODE_PASSWORD = process.env.ISSUER_NODE_PASSWORD || DEFAULT_PASSWORD;
+
+    console.warn('[MockIssuer] ⚠️ ISSUER_NODE_MOCK activo: credenciales sin firmas reales');
+    return startMockIssuerNode({ port }).catch(error => {
+        console.error('[MockIssuer] ❌ No se pudo iniciar el Issuer Node simulado:', error.message);
+        return null;
+    });
+}
+
+module.exports = {
+    createMockIssuerApp,
+    startMockIssuerNode,
+    useMockIssuerNode
+};
+
+if (require.main === module) {
+    startMockIssuerNode().then(({ url }) => {
+        console.log(`[MockIssuer] Usar ISSUER_NODE_BASE_URL=${url}`);
+    }).catch(error => {
+        console.error('[MockIssuer] No se pudo iniciar:', error.message);
+        process.exit(1);
+    });
+}
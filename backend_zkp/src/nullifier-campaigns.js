@@ -0,0 +1,71 @@
+/**
+ * NULLIFIER CAMPAIGNS - nullifierSessionId registrados por el verifier
+ *
+ * El nullifier de V3 solo se repite con el mismo verifier y el mismo
+ * nullifierSessionId: si el cliente pudiera elegirlo (o se sorteara uno por
+ * request) cada prueba usaría un nullifier nuevo. Las campañas (una votación,
+ * un airdrop, un login de un solo uso) se registran desde admin con un id
+ * legible y el servidor genera su nullifierSessionId; los requests V3 nombran
+ * la campaña y nunca traen el número.
+ */
+
+const crypto = require('crypto');
+const { JsonCollection } = require('./json-storage');
+
+const campaigns = new JsonCollection('nullifier-campaigns.json');
+
+class NullifierCampaignError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NullifierCampaignError';
+    }
+}
+
+// nullifierSessionId de V3: entero de 128 bits distinto de 0, en decimal
+function randomNullifierSessionId() {
+    return (BigInt(`0x${crypto.randomBytes(16).toString('hex')}`) || 1n).toString();
+}
+
+/**
+ * Registra una campaña con un nullifierSessionId nuevo
+ * @param {Object} params - { id: [a-z0-9-], description? }
+ * @returns {{id, nullifierSessionId, description, createdAt}}
+ * @throws {NullifierCampaignError} - id inválido o ya registrado
+ */
+function createCampaign({ id, description } = {}) {
+    if (typeof id !== 'string' || !/^[a-z0-9][a-z0-9-]{0,63}$/.test(id)) {
+        throw new NullifierCampaignError('El id de la campaña debe ser [a-z0-9-], hasta 64 caracteres');
+    }
+    if (campaigns.has(id)) {
+        throw new NullifierCampaignError(`La campaña ${id} ya existe`);
+    }
+
+    const campaign = {
+        id: id,
+        nullifierSessionId: randomNullifierSessionId(),
+        description: typeof description === 'string' ? description : null,
+        createdAt: new Date().toISOString()
+    };
+    campaigns.set(id, campaign);
+
+    console.log('[Nullifier] Campaña registrada:', id);
+    return campaign;
+}
+
+/**
+ * Campaña registrada o null
+ */
+function getCampaign(id) {
+    return typeof id === 'string' ? campaigns.get(id) : null;
+}
+
+function listCampaigns() {
+    return campaigns.values();
+}
+
+module.exports = {
+    NullifierCampaignError,
+    createCampaign,
+    getCampaign,
+    listCampaigns
+};
@@ -0,0 +1,59 @@
+/**
+ * NULLIFIER STORE - Nullifiers usados de pruebas credentialAtomicQueryV3
+ *
+ * El nullifier de V3 es único por credencial, verifier y sesión
+ * (nullifierSessionID) y no revela la credencial ni al titular.
+ * Una campaña (una votación, un airdrop) usa su propio nullifierSessionId,
+ * registrado por el servidor (nullifier-campaigns.js): cada credencial se
+ * acepta una sola vez por verifier y campaña.
+ */
+
+const { JsonCollection } = require('./json-storage');
+
+const nullifiers = new JsonCollection('nullifiers.json');
+
+function nullifierKey({ verifierID, sessionId, nullifier }) {
+    return `${verifierID}#${sessionId}#${nullifier}`;
+}
+
+function isNullifierUsed(entry) {
+    return nullifiers.has(nullifierKey(entry));
+}
+
+/**
+ * Registra los nullifiers de una verificación: todos o ninguno.
+ * Varios queries de un mismo request probados con la misma credencial en la
+ * misma campaña traen el mismo nullifier: cuenta como un solo uso.
+ * @param {Array<{verifierID, sessionId, nullifier, requestId?}>} entries
+ * @returns {{claimed: boolean, used: Array<Object>}} - used: los que ya estaban registrados
+ */
+function claimNullifiers(entries) {
+    const used = entries
+        .filter(entry => isNullifierUsed(entry))
+        .map(entry => nullifiers.get(nullifierKey(entry)));
+
+    if (used.length > 0) {
+        return { claimed: false, used };
+    }
+
+    const usedAt = new Date().toISOString();
+    for (const entry of entries) {
+        nullifiers.set(nullifierKey(entry), {
+            verifierID: String(entry.verifierID),
+            sessionId: String(entry.sessionId),
+            nullifier: String(entry.nullifier),
+            requestId: entry.requestId ?? null,
+            usedAt: usedAt
+        });
+    }
+
+    if (entries.length > 0) {
+        console.log('[Nullifier] Registrados', entries.length, 'nullifiers - sesión', String(entries[0].sessionId));
+    }
+    return { claimed: true, used: [] };
+}
+
+module.exports = {
+    isNullifierUsed,
+    claimNullifiers
+};
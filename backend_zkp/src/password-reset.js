@@ -0,0 +1,88 @@
+/**
+ * PASSWORD RESET - Tokens para restablecer contraseña
+ *
+ * - Token aleatorio de un solo uso, se guarda solo su hash
+ * - Expira en PASSWORD_RESET_TTL segundos (1 h por defecto)
+ * - Pedir un token nuevo invalida los anteriores del usuario
+ */
+
+const crypto = require('crypto');
+const { JsonCollection } = require('./json-storage');
+const { sendMail } = require('./mailer');
+
+const PASSWORD_RESET_TTL = parseInt(process.env.PASSWORD_RESET_TTL, 10) || 60 * 60;
+
+const resets = new JsonCollection('password-resets.json');
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function getResetUrl(token) {
+    const baseUrl = process.env.PASSWORD_RESET_URL
+        || `${process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`}/reset-password`;
+    return `${baseUrl}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Genera un token de reset y lo envía por correo
+ */
+async function sendPasswordResetEmail(user) {
+    const now = Date.now();
+    resets.deleteWhere(record => record.userId === user.id || record.expiresAt <= now);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = now + PASSWORD_RESET_TTL * 1000;
+
+    resets.set(hashToken(token), {
+        userId: user.id,
+        createdAt: now,
+        expiresAt
+    });
+
+    await sendMail({
+        to: user.email,
+        subject: 'Restablecer contraseña',
+        text: [
+            `Hola ${user.name || ''},`,
+            '',
+            'Para elegir una contraseña nueva abre este enlace:',
+            getResetUrl(token),
+            '',
+            `El enlace expira el ${new Date(expiresAt).toISOString()}.`,
+            'Si no lo pediste, ignora este correo.'
+        ].join('\n')
+    });
+
+    return { expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Consume un token de reset (se elimina aunque haya expirado)
+ * @returns {{valid: boolean, userId?: string, error?: string}}
+ */
+function consumeResetToken(token) {
+    if (!token || typeof token !== 'string') {
+        return { valid: false, error: 'Falta token' };
+    }
+
+    const key = hashToken(token);
+    const record = resets.get(key);
+
+    if (!record) {
+        return { valid: false, error: 'Token inválido o ya utilizado' };
+    }
+
+    resets.delete(key);
+
+    if (record.expiresAt <= Date.now()) {
+        return { valid: false, error: 'Token expirado, solicita uno nuevo' };
+    }
+
+    return { valid: true, userId: record.userId };
+}
+
+module.exports = {
+    sendPasswordResetEmail,
+    consumeResetToken
+};
@@ -0,0 +1,141 @@
+/**
+ * PASSWORD - Hash de contraseñas con scrypt
+ *
+ * Formato guardado: scrypt$N$r$p$salt$hash (salt y hash en base64)
+ * - Salt aleatorio por usuario: contraseñas iguales → hashes distintos
+ * - Costo configurable (PASSWORD_SCRYPT_N / _R / _P)
+ * - Comparación en tiempo constante
+ *
+ * Los usuarios antiguos tienen un SHA-256 sin salt (hashData de validador.js).
+ * verifyPassword los reconoce y marca needsRehash para migrarlos en el login.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { hashData } = require('./validador');
+
+const scrypt = promisify(crypto.scrypt);
+
+const MIN_PASSWORD_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+const MAX_PASSWORD_LENGTH = 256;
+
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+const PREFIX = 'scrypt';
+
+function getCostParams() {
+    return {
+        N: parseInt(process.env.PASSWORD_SCRYPT_N, 10) || 16384,
+        r: parseInt(process.env.PASSWORD_SCRYPT_R, 10) || 8,
+        p: parseInt(process.env.PASSWORD_SCRYPT_P, 10) || 1
+    };
+}
+
+async function deriveKey(password, salt, { N, r, p }) {
+    return scrypt(password, salt, KEY_LENGTH, {
+        N, r, p,
+        maxmem: 256 * N * r
+    });
+}
+
+/**
+ * Revisa una contraseña nueva antes de usarla
+ * @returns {string|null} - Mensaje de error, null si es válida
+ */
+function validatePassword(password) {
+    if (typeof password !== 'string') {
+        return 'La contraseña debe ser un texto';
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`;
+    }
+    if (password.length > MAX_PASSWORD_LENGTH) {
+        return `La contraseña no puede tener más de ${MAX_PASSWORD_LENGTH} caracteres`;
+    }
+    return null;
+}
+
+/**
+ * Genera el hash de una contraseña con salt propio
+ * @param {string} password - Contraseña en texto plano
+ * @returns {Promise<string>} - Hash en formato scrypt$N$r$p$salt$hash
+ */
+async function hashPassword(password) {
+    const params = getCostParams();
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const key = await deriveKey(password, salt, params);
+
+    return [
+        PREFIX,
+        params.N,
+        params.r,
+        params.p,
+        salt.toString('base64'),
+        key.toString('base64')
+    ].join('$');
+}
+
+function isLegacyHash(storedHash) {
+    return /^[a-f0-9]{64}$/.test(storedHash);
+}
+
+function safeEqual(a, b) {
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Verifica una contraseña contra el hash guardado
+ * @returns {Promise<{valid: boolean, needsRehash: boolean}>}
+ *   needsRehash es true si el hash es legacy o usa un costo distinto al actual
+ */
+async function verifyPassword(password, storedHash) {
+    if (!storedHash || typeof password !== 'string') {
+        return { valid: false, needsRehash: false };
+    }
+
+    if (isLegacyHash(storedHash)) {
+        const valid = safeEqual(
+            Buffer.from(hashData(password), 'hex'),
+            Buffer.from(storedHash, 'hex')
+        );
+        return { valid, needsRehash: valid };
+    }
+
+    const [prefix, N, r, p, salt, hash] = storedHash.split('$');
+    if (prefix !== PREFIX || !salt || !hash) {
+        return { valid: false, needsRehash: false };
+    }
+
+    const params = { N: Number(N), r: Number(r), p: Number(p) };
+    const expected = Buffer.from(hash, 'base64');
+    const key = await deriveKey(password, Buffer.from(salt, 'base64'), params);
+    const valid = safeEqual(key, expected);
+
+    const current = getCostParams();
+    const needsRehash = valid && (
+        params.N !== current.N || params.r !== current.r || params.p !== current.p
+    );
+
+    return { valid, needsRehash };
+}
+
+let dummyHash = null;
+
+/**
+ * Hash de una contraseña aleatoria. Se verifica contra él cuando el usuario
+ * no existe, para que la respuesta tarde lo mismo que con un usuario real.
+ */
+async function getDummyHash() {
+    if (!dummyHash) {
+        dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+    return dummyHash;
+}
+
+module.exports = {
+    validatePassword,
+    getDummyHash,
+    hashPassword,
+    verifyPassword,
+    isLegacyHash
+};
@@ -0,0 +1,79 @@
+/**
+ * PROOF REQUESTS - Requests emitidos por el verifier, guardados por id
+ *
+ * POST /api/verifier/queries guarda el request que arma y devuelve su
+ * requestId. /verify-proof y /verify-proofs comparan las señales con el
+ * request guardado: el cliente ya no manda el query, los issuers permitidos
+ * ni el usuario contra los que se comprueba su propia prueba.
+ *
+ * Un request simple lleva además un id aleatorio de 32 bits (requestID del
+ * circuito) que ata la prueba a ese request. Vencen a los
+ * PROOF_REQUEST_TTL_SECONDS (1 h) y hay como mucho PROOF_REQUEST_MAX_PENDING.
+ */
+
+const crypto = require('crypto');
+const { JsonCollection } = require('./json-storage');
+
+const PROOF_REQUEST_TTL_SECONDS = parseInt(process.env.PROOF_REQUEST_TTL_SECONDS, 10) || 60 * 60;
+const PROOF_REQUEST_MAX_PENDING = parseInt(process.env.PROOF_REQUEST_MAX_PENDING, 10) || 10000;
+
+const requests = new JsonCollection('proof-requests.json');
+
+class ProofRequestLimitError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProofRequestLimitError';
+    }
+}
+
+// requestID del circuito: entero de 32 bits distinto de 0
+function randomRequestId() {
+    return crypto.randomBytes(4).readUInt32BE() || 1;
+}
+
+/**
+ * Guarda un proof request (simple o con scope)
+ * @param {Object} proofRequest - De createQueryProofRequest / createScopeProofRequest
+ * @returns {{requestId: string, expiresAt: string, proofRequest: Object}}
+ * @throws {ProofRequestLimitError} - Demasiados requests sin vencer
+ */
+function storeProofRequest(proofRequest) {
+    const now = Date.now();
+    requests.deleteWhere(record => record.expiresAt <= now);
+    if (requests.values().length >= PROOF_REQUEST_MAX_PENDING) {
+        throw new ProofRequestLimitError('Demasiados proof requests pendientes, intenta más tarde');
+    }
+
+    const stored = proofRequest.scope ? proofRequest : { ...proofRequest, id: randomRequestId() };
+    const record = {
+        id: crypto.randomUUID(),
+        proofRequest: stored,
+        createdAt: now,
+        expiresAt: now + PROOF_REQUEST_TTL_SECONDS * 1000
+    };
+    requests.set(record.id, record);
+
+    return {
+        requestId: record.id,
+        expiresAt: new Date(record.expiresAt).toISOString(),
+        proofRequest: stored
+    };
+}
+
+/**
+ * Request guardado y sin vencer
+ * @returns {Object|null}
+ */
+function getProofRequest(requestId) {
+    if (typeof requestId !== 'string') return null;
+    const record = requests.get(requestId);
+    if (!record || record.expiresAt <= Date.now()) return null;
+    return record.proofRequest;
+}
+
+module.exports = {
+    ProofRequestLimitError,
+    randomRequestId,
+    storeProofRequest,
+    getProofRequest
+};
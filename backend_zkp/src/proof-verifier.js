@@ -0,0 +1,288 @@
+/**
+ * PROOF VERIFIER - Verificación completa de una prueba ZKP
+ *
+ * 1. Señales públicas: se decodifican y se comparan con el proof request
+ *    (circuitos de atomic query)
+ * 2. Criptografía: Groth16 local si hay verification key del circuito,
+ *    si no el Issuer Node
+ *
+ * La prueba solo es válida si pasan las dos partes. Los valores de
+ * divulgación selectiva solo se devuelven con la prueba válida.
+ *
+ * Con un scope (varios queries numerados) cada prueba se empareja con su
+ * query por id y el request es válido si pasan todos los no opcionales.
+ *
+ * Las pruebas V3 con nullifier pedido solo valen una vez: el nullifier se
+ * registra (nullifier-store.js) cuando la verificación completa es válida.
+ *
+ * Revocación: el circuito prueba la no revocación contra el estado del
+ * issuer. Las revocaciones que el Issuer Node todavía no aplicó se buscan
+ * en el registro local por titular, issuer y tipo de la prueba.
+ *
+ * Los estados del issuer de la prueba se confirman con issuer-state.js
+ * (contrato State o Issuer Node) después de la criptografía: una prueba
+ * contra un estado que el issuer no publicó no es válida.
+ */
+
+const { getIssuerClient } = require('./issuer-client');
+const {
+    InvalidProofFormatError,
+    isCircuitSupported,
+    verifyGroth16Proof
+} = require('./groth16-verifier');
+const {
+    isAtomicQueryCircuit,
+    decodePublicSignals,
+    checkPublicSignals
+} = require('./pub-signals');
+const { preloadQueryContext } = require('./jsonld-context');
+const { claimNullifiers } = require('./nullifier-store');
+const { findPendingRevocationsForProof } = require('./revocation-registry');
+const { checkIssuerStates } = require('./issuer-state');
+
+/**
+ * Agrega un chequeo al resultado de checkPublicSignals
+ */
+function addCheck(queryCheck, name, error) {
+    queryCheck.checks[name] = !error;
+    if (error) {
+        queryCheck.errors.push(error);
+        queryCheck.valid = false;
+        queryCheck.disclosed = null;
+    }
+}
+
+/**
+ * Nullifier pedido y comprobado en las señales de una prueba V3
+ * @returns {{verifierID, sessionId, nullifier, requestId}|null}
+ */
+function getNullifierEntry(result, proofRequest) {
+    if (!result.verified || result.queryCheck?.checks.nullifier !== true) return null;
+    return {
+        verifierID: result.publicSignals.verifierID,
+        sessionId: String(proofRequest.params.nullifierSessionId),
+        nullifier: result.publicSignals.nullifier,
+        requestId: proofRequest.id ?? null
+    };
+}
+
+/**
+ * Registra los nullifiers de pruebas ya verificadas; con alguno usado
+ * esas pruebas pasan a no válidas
+ * @returns {boolean} - false si algún nullifier ya estaba usado
+ */
+function consumeNullifiers(results) {
+    const withNullifier = results.filter(result => result.nullifier);
+    if (withNullifier.length === 0) return true;
+
+    const { claimed, used } = claimNullifiers(withNullifier.map(result => result.nullifier));
+    if (claimed) return true;
+
+    for (const result of withNullifier) {
+        const isUsed = used.some(entry => entry.nullifier === result.nullifier.nullifier);
+        result.nullifier = { ...result.nullifier, used: isUsed };
+        if (isUsed) {
+            result.verified = false;
+            result.disclosed = null;
+            result.nullifier.error = 'La credencial ya se usó en esta sesión (nullifier repetido)';
+        }
+    }
+    return false;
+}
+
+/**
+ * Verificación de una prueba sin registrar su nullifier
+ */
+async function verifyWithRequest({ circuitId, proof, pubSignals, proofRequest, vp }) {
+    let publicSignals = null;
+    let queryCheck = null;
+
+    if (isAtomicQueryCircuit(circuitId)) {
+        if (!proofRequest?.query) {
+            throw new InvalidProofFormatError(`${circuitId} requiere el requestId de un proof request emitido (POST /api/verifier/queries)`);
+        }
+
+        try {
+            publicSignals = decodePublicSignals(circuitId, pubSignals);
+        } catch (error) {
+            throw new InvalidProofFormatError(error.message);
+        }
+
+        // El contexto puede ser remoto: se deja en caché antes de la comprobación (síncrona)
+        try {
+            await preloadQueryContext(proofRequest.query);
+        } catch (error) {
+            console.warn('[ProofVerifier] Contexto del query no disponible:', error.message);
+        }
+        queryCheck = checkPublicSignals(publicSignals, proofRequest, { vp });
+
+        const pendingRevocations = findPendingRevocationsForProof(publicSignals, proofRequest.query.type);
+        addCheck(queryCheck, 'revocation', pendingRevocations.length > 0
+            ? 'El titular tiene una credencial de este tipo revocada que el Issuer Node todavía no aplicó'
+            : null);
+    }
+
+    let cryptoResult;
+    let method;
+    if (isCircuitSupported(circuitId)) {
+        cryptoResult = await verifyGroth16Proof(circuitId, proof, pubSignals);
+        method = 'groth16-local';
+    } else {
+        const result = await getIssuerClient().verifyProof({
+            circuitId: circuitId,
+            proof: proof,
+            pub_signals: pubSignals
+        });
+        cryptoResult = { ...result, verified: result.verified === true };
+        method = 'issuer-node';
+    }
+
+    // Solo se consulta el estado publicado de pruebas que ya pasaron lo demás
+    if (cryptoResult.verified && queryCheck?.valid) {
+        const states = await checkIssuerStates(publicSignals, {
+            checkRevocation: !proofRequest.query.skipClaimRevocationCheck
+        });
+        addCheck(queryCheck, 'issuerState', states.issuerState);
+        addCheck(queryCheck, 'nonRevState', states.nonRevState);
+    }
+
+    const verified = cryptoResult.verified && (!queryCheck || queryCheck.valid);
+    const result = {
+        verified,
+        method,
+        proof: cryptoResult,
+        publicSignals,
+        queryCheck,
+        disclosed: verified ? queryCheck?.disclosed || null : null
+    };
+    result.nullifier = getNullifierEntry(result, proofRequest);
+    return result;
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.circuitId
+ * @param {Object} params.proof - { pi_a, pi_b, pi_c }
+ * @param {Array<string>} params.pubSignals
+ * @param {Object} [params.proofRequest] - Request emitido por el servidor (proof-requests.js o la sesión
+ *   del verifier), nunca el que manda el cliente (obligatorio en circuitos de atomic query)
+ * @param {Object} [params.vp] - Presentación de la wallet con los valores divulgados
+ * @returns {Promise<{verified, method, proof, publicSignals, queryCheck, disclosed, nullifier}>}
+ *   nullifier: { verifierID, sessionId, nullifier, used?, error? } si el request lo pide
+ * @throws {InvalidProofFormatError} - Prueba, señales o request mal formados
+ * @throws {IssuerNodeError} - Circuito sin key local y el Issuer Node falla
+ * @throws {StateResolverError} - No se pudo confirmar el estado del issuer
+ */
+async function verifyZKProof(params) {
+    const result = await verifyWithRequest(params);
+    consumeNullifiers([result]);
+    return result;
+}
+
+function resultErrors(result) {
+    return [
+        ...(result.proof.error ? [result.proof.error] : []),
+        ...(result.queryCheck?.errors || []),
+        ...(result.nullifier?.error ? [result.nullifier.error] : [])
+    ];
+}
+
+/**
+ * Verifica las pruebas de un request con scope (createScopeProofRequest)
+ * @param {Object} params
+ * @param {Object} params.proofRequest - { scope: [{ id, circuitId, query, params?, optional? }], accountAddress?, verifierDID?, disclosure? }
+ * @param {Array<Object>} params.proofs - [{ id, circuitId, proof, pubSignals, vp? }]
+ * @returns {Promise<{verified, results: Array<{id, circuitId, verified, optional, method, disclosed, errors}>, unexpected, disclosed}>}
+ * @throws {InvalidProofFormatError} - Scope mal formado
+ * @throws {IssuerNodeError} - Circuito sin key local y el Issuer Node falla
+ * @throws {StateResolverError} - No se pudo confirmar el estado del issuer
+ */
+async function verifyScopeProofs({ proofRequest, proofs }) {
+    const scope = proofRequest?.scope;
+    if (!Array.isArray(scope) || scope.length === 0) {
+        throw new InvalidProofFormatError('El proofRequest no trae scope');
+    }
+    if (!Array.isArray(proofs)) {
+        throw new InvalidProofFormatError('proofs debe ser una lista');
+    }
+
+    const results = [];
+    const proofResults = new Map();
+    for (const requested of scope) {
+        const base = { id: requested.id, circuitId: requested.circuitId, optional: requested.optional === true };
+        const matches = proofs.filter(item => Number(item?.id) === requested.id);
+
+        if (matches.length === 0) {
+            results.push({ ...base, verified: false, errors: ['Falta la prueba de este query'] });
+            continue;
+        }
+        if (matches.length > 1) {
+            results.push({ ...base, verified: false, errors: [`Hay ${matches.length} pruebas para este query`] });
+            continue;
+        }
+
+        const [response] = matches;
+        if (response.circuitId !== requested.circuitId) {
+            results.push({ ...base, verified: false, errors: [`Circuito ${response.circuitId} en vez de ${requested.circuitId}`] });
+            continue;
+        }
+
+        try {
+            const result = await verifyWithRequest({
+                circuitId: requested.circuitId,
+                proof: response.proof,
+                pubSignals: response.pubSignals,
+                proofRequest: {
+                    id: requested.id,
+                    circuitId: requested.circuitId,
+                    accountAddress: proofRequest.accountAddress,
+                    verifierDID: proofRequest.verifierDID,
+                    query: requested.query,
+                    params: requested.params,
+                    disclosure: proofRequest.disclosure
+                },
+                vp: response.vp
+            });
+
+            const item = { ...base };
+            proofResults.set(item, result);
+            results.push(item);
+        } catch (error) {
+            // Una prueba mal formada invalida su query, no todo el request
+            if (!(error instanceof InvalidProofFormatError)) throw error;
+            results.push({ ...base, verified: false, errors: [error.message] });
+        }
+    }
+
+    // Los nullifiers solo se registran si el request completo es válido
+    const isVerified = (item) => (proofResults.has(item) ? proofResults.get(item).verified : item.verified);
+    if (results.every(item => isVerified(item) || item.optional)) {
+        consumeNullifiers([...proofResults.values()]);
+    }
+    for (const [item, result] of proofResults) {
+        Object.assign(item, {
+            verified: result.verified,
+            method: result.method,
+            disclosed: result.disclosed,
+            ...(result.nullifier ? { nullifier: result.nullifier } : {}),
+            errors: resultErrors(result)
+        });
+    }
+
+    const requestedIds = scope.map(item => item.id);
+    const verified = results.every(item => item.verified || item.optional);
+
+    return {
+        verified,
+        results,
+        unexpected: proofs.map(item => Number(item?.id)).filter(id => !requestedIds.includes(id)),
+        disclosed: verified
+            ? Object.assign({}, ...results.filter(item => item.verified).map(item => item.disclosed))
+            : {}
+    };
+}
+
+module.exports = {
+    verifyZKProof,
+    verifyScopeProofs
+};
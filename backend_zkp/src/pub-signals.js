@@ -0,0 +1,492 @@
+/**
+ * PUB SIGNALS - Decodificación y chequeo de señales públicas
+ *
+ * Las pruebas de credentialAtomicQueryMTPV2 / SigV2 traen 77 señales
+ * públicas: 13 campos fijos + 64 valores del query; las de
+ * credentialAtomicQueryV3 traen 83 (19 campos + 64 valores). Este módulo:
+ * 1. Las decodifica a un objeto con nombre (userID, issuerID, operador...)
+ * 2. Las compara con el query que se pidió (createZKPProofRequest /
+ *    createFullProofRequest): schema, campo, operador, valores,
+ *    issuer permitido, usuario y antigüedad de la prueba
+ *
+ * La codificación de valores y paths sigue a iden3 (js-jsonld-merklization):
+ * Poseidon para strings y booleanos, keccak256 para el hash del schema.
+ *
+ * Divulgación selectiva ({ campo: {} }): en los circuitos V2 la prueba es un
+ * $eq contra el valor real. El valor llega en la presentación (vp) de la
+ * wallet y se comprueba contra la señal; los enteros se leen de la señal.
+ * En V3 el operador es $sd y el valor sale en operatorOutput.
+ *
+ * V3 además lleva proofType (1 firma BJJ, 2 MTP), linkID (queries enlazados
+ * por groupId) y el nullifier: único por credencial, verifier y sesión
+ * (nullifierSessionID) sin revelar la credencial.
+ */
+
+const { poseidon } = require('@iden3/js-crypto');
+const { keccak256, toUtf8Bytes, decodeBase58, encodeBase58 } = require('ethers');
+const { XSD_NS, getQueryContext, getTypeId, resolveField } = require('./jsonld-context');
+
+const CREDENTIAL_SUBJECT_PATH = 'https://www.w3.org/2018/credentials#credentialSubject';
+const FIELD_PRIME = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+const VALUE_ARRAY_SIZE = 64;
+const ID_LENGTH = 31;
+
+const PROOF_MAX_AGE_SECONDS = parseInt(process.env.PROOF_MAX_AGE_SECONDS, 10) || 60 * 60;
+// Tolerancia para relojes adelantados del cliente
+const PROOF_CLOCK_SKEW_SECONDS = 5 * 60;
+
+const OPERATORS = {
+    $noop: 0,
+    $eq: 1,
+    $lt: 2,
+    $gt: 3,
+    $in: 4,
+    $nin: 5,
+    $ne: 6,
+    $lte: 7,
+    $gte: 8,
+    $between: 9,
+    $nonbetween: 10,
+    $exists: 11,
+    $sd: 16,
+    $nullify: 17
+};
+
+// Orden de las señales; 'values' son los 64 valores del query
+const SIGNAL_LAYOUTS = {
+    credentialAtomicQueryMTPV2: [
+        'merklized', 'userID', 'requestID', 'issuerID', 'issuerClaimIdenState',
+        'isRevocationChecked', 'issuerClaimNonRevState', 'timestamp', 'claimSchema',
+        'claimPathNotExists', 'claimPathKey', 'slotIndex', 'operator', 'values'
+    ],
+    credentialAtomicQuerySigV2: [
+        'merklized', 'userID', 'issuerAuthState', 'requestID', 'issuerID',
+        'isRevocationChecked', 'issuerClaimNonRevState', 'timestamp', 'claimSchema',
+        'claimPathNotExists', 'claimPathKey', 'slotIndex', 'operator', 'values'
+    ],
+    credentialAtomicQueryV3: [
+        'merklized', 'userID', 'issuerState', 'linkID', 'nullifier', 'operatorOutput',
+        'proofType', 'requestID', 'issuerID', 'isRevocationChecked', 'issuerClaimNonRevState',
+        'timestamp', 'claimSchema', 'claimPathKey', 'slotIndex', 'operator', 'values',
+        'valueArraySize', 'verifierID', 'nullifierSessionID'
+    ]
+};
+
+const V3_CIRCUITS = ['credentialAtomicQueryV3'];
+
+// proofType de la señal de V3 según query.proofType
+const V3_PROOF_TYPES = {
+    BJJSignature2021: 1,
+    Iden3SparseMerkleTreeProof: 2
+};
+
+const NUMERIC_SIGNALS = [
+    'merklized', 'isRevocationChecked', 'timestamp', 'claimPathNotExists', 'slotIndex', 'operator',
+    'proofType', 'valueArraySize'
+];
+
+function getOperatorName(code) {
+    return Object.keys(OPERATORS).find(name => OPERATORS[name] === code) || 'unknown';
+}
+
+// ============================================
+// IDs y hashes de iden3
+// ============================================
+function bytesToBigIntLE(bytes) {
+    return BigInt(`0x${Buffer.from(bytes).reverse().toString('hex') || '0'}`);
+}
+
+function bigIntToBytesLE(value, length) {
+    const hex = value.toString(16).padStart(length * 2, '0');
+    return Buffer.from(hex, 'hex').reverse();
+}
+
+/**
+ * Id de iden3 (señal userID / issuerID) → su forma base58, la última parte del DID
+ */
+function idFromSignal(signal) {
+    const bytes = bigIntToBytesLE(BigInt(signal), ID_LENGTH);
+    return encodeBase58(bytes);
+}
+
+/**
+ * DID de iden3 → entero que aparece en las señales públicas
+ * @returns {bigint|null} - null si el DID no es de iden3 (p. ej. un DID local)
+ */
+function didToSignal(did) {
+    const id = String(did || '').split(':').pop();
+    try {
+        const value = decodeBase58(id);
+        const bytes = Buffer.from(value.toString(16).padStart(ID_LENGTH * 2, '0'), 'hex');
+        return bytes.length === ID_LENGTH ? bytesToBigIntLE(bytes) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * claimSchema: últimos 16 bytes de keccak256(@id del tipo), little-endian
+ */
+function computeSchemaHash(typeId) {
+    const hash = Buffer.from(keccak256(toUtf8Bytes(typeId)).slice(2), 'hex');
+    return bytesToBigIntLE(hash.subarray(hash.length - 16));
+}
+
+function computeClaimPathKey(fieldIRI) {
+    const encoder = new TextEncoder();
+    return poseidon.hash([CREDENTIAL_SUBJECT_PATH, fieldIRI].map(part => poseidon.hashBytes(encoder.encode(part))));
+}
+
+const INTEGER_TYPES = [
+    'integer', 'nonNegativeInteger', 'nonPositiveInteger', 'negativeInteger', 'positiveInteger'
+].map(name => `${XSD_NS}${name}`);
+
+/**
+ * Valor del query → entero del circuito según el tipo XSD del campo
+ */
+function encodeValue(value, datatype) {
+    switch (datatype) {
+        case `${XSD_NS}boolean`: {
+            const bool = value === true || value === 'true' || value === 1 || value === '1';
+            return poseidon.hash([bool ? 1n : 0n]);
+        }
+        case `${XSD_NS}integer`:
+        case `${XSD_NS}nonNegativeInteger`:
+        case `${XSD_NS}nonPositiveInteger`:
+        case `${XSD_NS}negativeInteger`:
+        case `${XSD_NS}positiveInteger`: {
+            const int = BigInt(value);
+            return int >= 0n ? int : FIELD_PRIME + int;
+        }
+        case `${XSD_NS}dateTime`: {
+            const millis = typeof value === 'number' ? value : Date.parse(value);
+            if (Number.isNaN(millis)) throw new Error(`Fecha inválida en el query: ${value}`);
+            return BigInt(millis) * 1000000n;
+        }
+        default:
+            return poseidon.hashBytes(new TextEncoder().encode(String(value)));
+    }
+}
+
+// ============================================
+// DECODIFICACIÓN
+// ============================================
+function isAtomicQueryCircuit(circuitId) {
+    return Boolean(SIGNAL_LAYOUTS[circuitId]);
+}
+
+function isV3Circuit(circuitId) {
+    return V3_CIRCUITS.includes(circuitId);
+}
+
+/**
+ * Decodifica las señales públicas de un circuito de atomic query
+ * @param {string} circuitId - credentialAtomicQueryMTPV2 | credentialAtomicQuerySigV2 | credentialAtomicQueryV3
+ * @param {Array<string>} pubSignals
+ * @returns {Object} - Campos con nombre; los ids como string decimal y base58
+ */
+function decodePublicSignals(circuitId, pubSignals) {
+    const layout = SIGNAL_LAYOUTS[circuitId];
+    if (!layout) {
+        throw new Error(`No hay decodificador de señales para ${circuitId}`);
+    }
+    const expectedLength = layout.length - 1 + VALUE_ARRAY_SIZE;
+    if (!Array.isArray(pubSignals) || pubSignals.length !== expectedLength) {
+        throw new Error(`${circuitId} tiene ${expectedLength} señales públicas, se recibieron ${pubSignals?.length ?? 0}`);
+    }
+
+    const decoded = { circuitId };
+    let index = 0;
+    for (const name of layout) {
+        if (name === 'values') {
+            decoded.values = pubSignals.slice(index, index + VALUE_ARRAY_SIZE).map(String);
+            index += VALUE_ARRAY_SIZE;
+            continue;
+        }
+        decoded[name] = NUMERIC_SIGNALS.includes(name)
+            ? Number(pubSignals[index])
+            : String(pubSignals[index]);
+        index++;
+    }
+
+    decoded.userIDBase58 = idFromSignal(decoded.userID);
+    decoded.issuerIDBase58 = idFromSignal(decoded.issuerID);
+    decoded.operatorName = getOperatorName(decoded.operator);
+    decoded.issuedAt = new Date(decoded.timestamp * 1000).toISOString();
+    if (isV3Circuit(circuitId)) {
+        decoded.verifierIDBase58 = BigInt(decoded.verifierID) === 0n ? null : idFromSignal(decoded.verifierID);
+    }
+
+    return decoded;
+}
+
+// ============================================
+// COMPARACIÓN CON EL QUERY
+// ============================================
+/**
+ * Condiciones (campo + operador + valores) de un query de iden3
+ * @param {Object} query - { context, type, credentialSubject, allowedIssuers }
+ * @returns {Array<{field, datatype, operator, operatorName, values, claimPathKey}>}
+ */
+function buildQueryConditions(query) {
+    const document = getQueryContext(query);
+
+    const subject = query.credentialSubject || {};
+    const fields = Object.keys(subject);
+    if (fields.length === 0) {
+        return [{ field: null, operator: OPERATORS.$noop, operatorName: '$noop', values: [], claimPathKey: 0n }];
+    }
+
+    const conditions = [];
+    for (const field of fields) {
+        const { iri, datatype } = resolveField(document, query.type, field);
+        const claimPathKey = computeClaimPathKey(iri);
+        const predicates = Object.entries(subject[field] || {});
+
+        // { campo: {} } es divulgación selectiva
+        if (predicates.length === 0) {
+            conditions.push({ field, datatype, operator: OPERATORS.$sd, operatorName: '$sd', values: [], claimPathKey });
+            continue;
+        }
+
+        for (const [operatorName, operatorValue] of predicates) {
+            if (!(operatorName in OPERATORS)) {
+                throw new Error(`Operador no soportado: ${operatorName}`);
+            }
+
+            let values = [];
+            if (operatorName === '$exists') {
+                values = [operatorValue ? 1n : 0n];
+            } else if (operatorName !== '$noop' && operatorName !== '$sd') {
+                values = (Array.isArray(operatorValue) ? operatorValue : [operatorValue])
+                    .map(value => encodeValue(value, datatype));
+            }
+
+            conditions.push({ field, datatype, operator: OPERATORS[operatorName], operatorName, values, claimPathKey });
+        }
+    }
+
+    return conditions;
+}
+
+/**
+ * Valor divulgado de una prueba de divulgación selectiva
+ * @param {Object} condition - Condición $sd de buildQueryConditions
+ * @param {string} signalValue - Primer valor de las señales (V2) u operatorOutput (V3)
+ * @param {Object} [vp] - Presentación de la wallet (verifiableCredential.credentialSubject)
+ * @returns {{value?: *, error?: string}}
+ */
+function extractDisclosedValue(condition, signalValue, vp) {
+    const presented = vp?.verifiableCredential?.credentialSubject?.[condition.field];
+
+    if (presented !== undefined) {
+        let encoded;
+        try {
+            encoded = encodeValue(presented, condition.datatype);
+        } catch (error) {
+            return { error: error.message };
+        }
+        return encoded === BigInt(signalValue)
+            ? { value: presented }
+            : { error: `El valor presentado de ${condition.field} no es el de la prueba` };
+    }
+
+    // Sin vp solo se pueden leer los valores que no van hasheados
+    const raw = BigInt(signalValue);
+    if (INTEGER_TYPES.includes(condition.datatype)) {
+        const int = raw > FIELD_PRIME / 2n ? raw - FIELD_PRIME : raw;
+        return { value: Number.isSafeInteger(Number(int)) ? Number(int) : int.toString() };
+    }
+    if (condition.datatype === `${XSD_NS}dateTime`) {
+        return { value: new Date(Number(raw / 1000000n)).toISOString() };
+    }
+    return { error: `Falta la presentación (vp) con el valor de ${condition.field}` };
+}
+
+/**
+ * Chequeos propios de V3: tipo de prueba, nullifier y linkID
+ * @returns {Array<string>} - Errores
+ */
+function checkV3Signals(decoded, proofRequest, checks) {
+    const errors = [];
+    const query = proofRequest?.query || {};
+
+    if (query.proofType) {
+        checks.proofType = V3_PROOF_TYPES[query.proofType] === decoded.proofType;
+        if (!checks.proofType) errors.push(`La prueba no es de tipo ${query.proofType}`);
+    }
+
+    // Nullifier: todo request V3 lo pide (params.nullifierSessionId), atado al DID del verifier
+    const sessionId = BigInt(proofRequest?.params?.nullifierSessionId ?? 0);
+    if (sessionId === 0n) {
+        checks.nullifier = false;
+        errors.push('El request V3 no tiene nullifierSessionId: la prueba no se podría usar una sola vez');
+    } else {
+        const verifierID = didToSignal(proofRequest.verifierDID);
+        checks.nullifier = BigInt(decoded.nullifier) !== 0n
+            && verifierID !== null && verifierID === BigInt(decoded.verifierID)
+            && BigInt(decoded.nullifierSessionID) === sessionId;
+        if (BigInt(decoded.nullifier) === 0n) errors.push('La prueba no trae nullifier');
+        if (verifierID === null) errors.push('El request con nullifier necesita el verifierDID');
+        else if (verifierID !== BigInt(decoded.verifierID)) errors.push('El nullifier es de otro verifier');
+        if (BigInt(decoded.nullifierSessionID) !== sessionId) {
+            errors.push(`El nullifier es de la sesión ${decoded.nullifierSessionID} y se pidió ${sessionId}`);
+        }
+    }
+
+    // linkID: queries enlazados a la misma credencial por groupId
+    const linked = BigInt(decoded.linkID) !== 0n;
+    checks.linkID = Boolean(query.groupId) === linked;
+    if (!checks.linkID) {
+        errors.push(linked ? 'La prueba trae linkID y el query no tiene groupId' : 'El query tiene groupId y la prueba no trae linkID');
+    }
+
+    return errors;
+}
+
+function sameValues(signalValues, expected) {
+    return signalValues.every((value, index) =>
+        BigInt(value) === (expected[index] ?? 0n)
+    );
+}
+
+/**
+ * Compara las señales decodificadas con el proof request original
+ * @param {Object} decoded - Resultado de decodePublicSignals
+ * @param {Object} proofRequest - { id?, circuitId, accountAddress?, query, disclosure?, verifierDID?, params? }
+ *   disclosure.allowedFields: campos que este request puede divulgar
+ *   params.nullifierSessionId + verifierDID: nullifier pedido (obligatorio en V3)
+ * @param {Object} [options] - { now } (ms) para pruebas de reloj, { vp } presentación de la wallet
+ * @returns {{valid: boolean, errors: string[], checks: Object, disclosed: Object|null}}
+ */
+function checkPublicSignals(decoded, proofRequest, options = {}) {
+    const query = proofRequest?.query || {};
+    const errors = [];
+    const checks = {};
+    let disclosed = null;
+
+    if (proofRequest?.circuitId && proofRequest.circuitId !== decoded.circuitId) {
+        errors.push(`La prueba es de ${decoded.circuitId} y se pidió ${proofRequest.circuitId}`);
+    }
+
+    // Schema: claimSchema = hash del @id del tipo en el contexto
+    try {
+        const document = getQueryContext(query);
+        const expectedSchema = computeSchemaHash(getTypeId(document, query.type));
+        checks.schema = expectedSchema === BigInt(decoded.claimSchema);
+        if (!checks.schema) errors.push('El schema de la prueba no es el del query');
+    } catch (error) {
+        checks.schema = false;
+        errors.push(error.message);
+    }
+
+    // Issuer permitido
+    const allowedIssuers = query.allowedIssuers || ['*'];
+    checks.issuer = allowedIssuers.includes('*')
+        || allowedIssuers.some(did => didToSignal(did) === BigInt(decoded.issuerID));
+    if (!checks.issuer) errors.push('El issuer de la credencial no está en allowedIssuers');
+
+    // Usuario (createFullProofRequest fija accountAddress con el DID del usuario)
+    if (proofRequest?.accountAddress) {
+        checks.user = didToSignal(proofRequest.accountAddress) === BigInt(decoded.userID);
+        if (!checks.user) errors.push('La prueba no es del usuario del proof request');
+    }
+
+    if (proofRequest?.id !== undefined && proofRequest?.id !== null) {
+        checks.requestId = String(proofRequest.id) === decoded.requestID;
+        if (!checks.requestId) errors.push('El requestID de la prueba no es el del proof request');
+    }
+
+    if (!query.skipClaimRevocationCheck) {
+        checks.revocationChecked = decoded.isRevocationChecked === 1;
+        if (!checks.revocationChecked) errors.push('La prueba no comprobó la revocación de la credencial');
+    }
+
+    if (isV3Circuit(decoded.circuitId)) {
+        errors.push(...checkV3Signals(decoded, proofRequest, checks));
+    }
+
+    // Antigüedad
+    const nowSeconds = Math.floor((options.now ?? Date.now()) / 1000);
+    const age = nowSeconds - decoded.timestamp;
+    checks.fresh = age <= PROOF_MAX_AGE_SECONDS && age >= -PROOF_CLOCK_SKEW_SECONDS;
+    if (!checks.fresh) {
+        errors.push(age < 0
+            ? 'El timestamp de la prueba está en el futuro'
+            : `La prueba tiene ${age}s, máximo ${PROOF_MAX_AGE_SECONDS}s`);
+    }
+
+    // Campo, operador y valores
+    try {
+        const conditions = buildQueryConditions(query);
+        // Los circuitos V2 y V3 prueban una sola condición
+        if (conditions.length > 1) {
+            throw new Error(`${decoded.circuitId} solo prueba una condición y el query tiene ${conditions.length}`);
+        }
+
+        const [condition] = conditions;
+        const isDisclosure = condition.operator === OPERATORS.$sd;
+        const isV3 = isV3Circuit(decoded.circuitId);
+
+        // V2: la divulgación selectiva se prueba con $eq; V3 tiene $sd
+        const expectedOperator = isDisclosure && !isV3 ? OPERATORS.$eq : condition.operator;
+        checks.operator = expectedOperator === decoded.operator;
+        if (!checks.operator) {
+            errors.push(`Operador de la prueba ${decoded.operatorName}, el query pide ${condition.operatorName}`);
+        }
+
+        if (condition.operator !== OPERATORS.$noop) {
+            if (decoded.merklized !== 1) {
+                checks.field = false;
+                errors.push('Solo se verifican credenciales merklizadas (JSON-LD)');
+            } else {
+                checks.field = (decoded.claimPathNotExists ?? 0) === 0
+                    && BigInt(decoded.claimPathKey) === condition.claimPathKey;
+                if (!checks.field) errors.push(`La prueba no es sobre el campo ${condition.field}`);
+            }
+
+            if (isDisclosure) {
+                const allowedFields = proofRequest?.disclosure?.allowedFields || [];
+                checks.disclosureAllowed = allowedFields.includes(condition.field);
+                if (!checks.disclosureAllowed) errors.push(`El request no permite divulgar ${condition.field}`);
+
+                // V3 revela el valor en operatorOutput y deja los valores en 0
+                const extracted = extractDisclosedValue(condition, isV3 ? decoded.operatorOutput : decoded.values[0], options.vp);
+                checks.values = !extracted.error && decoded.values.slice(isV3 ? 0 : 1).every(value => BigInt(value) === 0n);
+                if (extracted.error) errors.push(extracted.error);
+                else if (!checks.values) errors.push('La divulgación selectiva solo admite un valor');
+
+                if (checks.disclosureAllowed && checks.values) {
+                    disclosed = { [condition.field]: extracted.value };
+                }
+            } else {
+                checks.values = sameValues(decoded.values, condition.values);
+                if (!checks.values) errors.push(`Los valores de la prueba no son los del query para ${condition.field}`);
+            }
+        }
+
+        checks.condition = { field: condition.field, operator: condition.operatorName };
+    } catch (error) {
+        checks.query = false;
+        errors.push(error.message);
+    }
+
+    const valid = errors.length === 0;
+    return { valid, errors, checks, disclosed: valid ? disclosed : null };
+}
+
+module.exports = {
+    OPERATORS,
+    PROOF_MAX_AGE_SECONDS,
+    V3_PROOF_TYPES,
+    isAtomicQueryCircuit,
+    isV3Circuit,
+    decodePublicSignals,
+    checkPublicSignals,
+    buildQueryConditions,
+    computeSchemaHash,
+    computeClaimPathKey,
+    encodeValue,
+    didToSignal,
+    idFromSignal
+};
@@ -0,0 +1,429 @@
+/**
+ * QUERY BUILDER - Queries de iden3 validados contra el JSON schema
+ *
+ * Antes de pedir una prueba comprueba, con el schema de issure-schemes/:
+ * - que el campo exista en el credentialSubject
+ * - que el operador sirva para el tipo del campo (mismas reglas que iden3)
+ * - que los valores tengan el tipo del campo (y estén en su enum)
+ *
+ * Operadores por tipo:
+ * - boolean:          $eq $ne $exists
+ * - string / number:  $eq $ne $in $nin $exists
+ * - integer / fecha:  todos ($lt $lte $gt $gte $between $nonbetween además)
+ *
+ * `{ campo: {} }` es divulgación selectiva: solo para los campos de
+ * VERIFIER_DISCLOSABLE_FIELDS. El request guarda en disclosure.allowedFields
+ * los campos que pide revelar.
+ *
+ * La wallet calcula el claimPathKey con el contexto JSON-LD del query:
+ * también se comprueba que el contexto (document loader) defina cada campo.
+ */
+
+const { getCredentialSchema, getSubjectFields } = require('./credential-schemas');
+const { createZKPProofRequest, createV3ProofRequest, createMultiQueryProofRequest } = require('./zkp-proofs');
+const { isAtomicQueryCircuit, isV3Circuit, didToSignal } = require('./pub-signals');
+const { getQueryContext, resolveField } = require('./jsonld-context');
+const { getCampaign } = require('./nullifier-campaigns');
+
+// Los circuitos reciben como mucho 64 valores por condición
+const MAX_QUERY_VALUES = 64;
+
+const OPERATORS_BY_KIND = {
+    boolean: ['$eq', '$ne', '$exists'],
+    string: ['$eq', '$ne', '$in', '$nin', '$exists'],
+    number: ['$eq', '$ne', '$in', '$nin', '$exists'],
+    integer: ['$eq', '$ne', '$lt', '$lte', '$gt', '$gte', '$in', '$nin', '$between', '$nonbetween', '$exists'],
+    dateTime: ['$eq', '$ne', '$lt', '$lte', '$gt', '$gte', '$in', '$nin', '$between', '$nonbetween', '$exists']
+};
+
+// Campos que un request puede pedir revelar (divulgación selectiva)
+const DISCLOSABLE_FIELDS = (process.env.VERIFIER_DISCLOSABLE_FIELDS || 'accountState,authMethod,isVerified,registrationDate')
+    .split(',')
+    .map(field => field.trim())
+    .filter(Boolean);
+
+const LIST_OPERATORS = ['$in', '$nin'];
+const RANGE_OPERATORS = ['$between', '$nonbetween'];
+
+class QueryValidationError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'QueryValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Tipo de query de un campo del schema (null si no se puede consultar)
+ */
+function getFieldKind(definition) {
+    const types = Array.isArray(definition.type) ? definition.type : [definition.type];
+    const type = types.find(item => item !== 'null');
+
+    if (type === 'string' && definition.format === 'date-time') return 'dateTime';
+    return OPERATORS_BY_KIND[type] ? type : null;
+}
+
+function isValueOfKind(value, kind) {
+    switch (kind) {
+        case 'boolean': return typeof value === 'boolean';
+        case 'integer': return Number.isSafeInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'string': return typeof value === 'string';
+        case 'dateTime': return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+        default: return false;
+    }
+}
+
+function compareValues(a, b, kind) {
+    return kind === 'dateTime' ? Date.parse(a) - Date.parse(b) : a - b;
+}
+
+/**
+ * Campos consultables de un tipo con los operadores que admite cada uno
+ * @returns {Array<{field, kind, operators, enum}>|null} - null si no hay schema
+ */
+function getQueryableFields(type) {
+    const fields = getSubjectFields(type);
+    if (!fields) return null;
+
+    return fields
+        .map(field => ({ ...field, kind: getFieldKind(field) }))
+        .filter(field => field.kind)
+        .map(field => ({
+            field: field.field,
+            kind: field.kind,
+            operators: OPERATORS_BY_KIND[field.kind],
+            enum: field.enum
+        }));
+}
+
+/**
+ * Errores de una condición { $op: valor } sobre un campo
+ */
+function validateCondition(field, operator, value) {
+    const kind = field.kind;
+    const error = (message) => ({ field: field.field, operator, error: message });
+
+    if (!OPERATORS_BY_KIND[kind].includes(operator)) {
+        return [error(`${operator} no se puede usar con un campo ${kind} (admite ${OPERATORS_BY_KIND[kind].join(', ')})`)];
+    }
+
+    if (operator === '$exists') {
+        return typeof value === 'boolean' ? [] : [error('$exists espera true o false')];
+    }
+
+    let values = [value];
+    if (LIST_OPERATORS.includes(operator)) {
+        if (!Array.isArray(value) || value.length === 0 || value.length > MAX_QUERY_VALUES) {
+            return [error(`${operator} espera una lista de 1 a ${MAX_QUERY_VALUES} valores`)];
+        }
+        values = value;
+    } else if (RANGE_OPERATORS.includes(operator)) {
+        if (!Array.isArray(value) || value.length !== 2) {
+            return [error(`${operator} espera [mínimo, máximo]`)];
+        }
+        values = value;
+    }
+
+    const wrongType = values.filter(item => !isValueOfKind(item, kind));
+    if (wrongType.length > 0) {
+        return [error(`Valor ${JSON.stringify(wrongType[0])} no es de tipo ${kind}`)];
+    }
+
+    if (field.enum) {
+        const outside = values.filter(item => !field.enum.includes(item));
+        if (outside.length > 0) {
+            return [error(`Valor ${JSON.stringify(outside[0])} fuera de los permitidos: ${field.enum.join(', ')}`)];
+        }
+    }
+
+    if (RANGE_OPERATORS.includes(operator) && compareValues(values[0], values[1], kind) > 0) {
+        return [error(`${operator}: el mínimo es mayor que el máximo`)];
+    }
+
+    return [];
+}
+
+/**
+ * Valida un credentialSubject de query contra el schema del tipo
+ * @param {string} type - Tipo de credencial (p. ej. ZKPAuthCredential)
+ * @param {Object} credentialSubject - { campo: { $op: valor } }
+ * @returns {{valid: boolean, errors: Array<{field, operator, error}>}}
+ */
+function validateCredentialQuery(type, credentialSubject) {
+    const fields = getQueryableFields(type);
+    if (!fields) {
+        return { valid: false, errors: [{ field: null, operator: null, error: `No hay schema para el tipo ${type}` }] };
+    }
+
+    if (!credentialSubject || typeof credentialSubject !== 'object' || Array.isArray(credentialSubject)) {
+        return { valid: false, errors: [{ field: null, operator: null, error: 'credentialSubject debe ser un objeto { campo: { $op: valor } }' }] };
+    }
+
+    const errors = [];
+    for (const [name, predicates] of Object.entries(credentialSubject)) {
+        const field = fields.find(item => item.field === name);
+        if (!field) {
+            errors.push({
+                field: name,
+                operator: null,
+                error: `${name} no es un campo consultable de ${type} (${fields.map(item => item.field).join(', ')})`
+            });
+            continue;
+        }
+
+        if (!predicates || typeof predicates !== 'object' || Array.isArray(predicates)) {
+            errors.push({ field: name, operator: null, error: 'La condición debe ser un objeto { $op: valor }' });
+            continue;
+        }
+
+        for (const [operator, value] of Object.entries(predicates)) {
+            errors.push(...validateCondition(field, operator, value));
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Devuelve el query validado o lanza con todos los errores
+ * @throws {QueryValidationError}
+ */
+function buildCredentialQuery(type, credentialSubject) {
+    const { valid, errors } = validateCredentialQuery(type, credentialSubject);
+    if (!valid) {
+        throw new QueryValidationError(`Query inválido para ${type}: ${errors.map(item => item.error).join('; ')}`, errors);
+    }
+    return structuredClone(credentialSubject);
+}
+
+/**
+ * Opciones de V3 validadas (proofType, groupId, nullifier)
+ * @throws {QueryValidationError}
+ */
+function validateV3Options(params) {
+    const errors = [];
+    const optionError = (error) => errors.push({ field: null, operator: null, error });
+
+    if (params.proofType !== undefined && !['SIG', 'MTP'].includes(params.proofType)) {
+        optionError('proofType debe ser "SIG" o "MTP"');
+    }
+    if (params.groupId !== undefined && (!Number.isSafeInteger(params.groupId) || params.groupId <= 0)) {
+        optionError('groupId debe ser un entero positivo');
+    }
+
+    // Todo request V3 pide nullifier, de una campaña registrada (nullifier-campaigns.js):
+    // un nullifierSessionId elegido por el cliente no repite nunca el nullifier
+    let sessionId;
+    if (params.nullifierSessionId !== undefined) {
+        optionError('nullifierSessionId no se acepta: nombra una campaña registrada (campaign)');
+    } else if (params.campaign === undefined) {
+        optionError('credentialAtomicQueryV3 necesita campaign (una campaña de nullifier registrada)');
+    } else {
+        sessionId = getCampaign(params.campaign)?.nullifierSessionId;
+        if (!sessionId) optionError(`La campaña ${params.campaign} no está registrada`);
+    }
+    if (!/^did:(iden3|polygonid):/.test(String(params.verifierDID)) || didToSignal(params.verifierDID) === null) {
+        optionError('El nullifier necesita el verifierDID (DID de iden3)');
+    }
+
+    if (errors.length > 0) {
+        throw new QueryValidationError(`Opciones de V3 inválidas: ${errors.map(item => item.error).join('; ')}`, errors);
+    }
+    return {
+        proofType: params.proofType,
+        groupId: params.groupId,
+        nullifierSessionId: sessionId,
+        verifierDID: params.verifierDID
+    };
+}
+
+/**
+ * Proof request con el query validado
+ * @param {Object} params
+ * @param {string} [params.type] - ZKPAuthCredential por defecto
+ * @param {Object} params.credentialSubject
+ * @param {string} [params.circuitId] - Circuito de atomic query (si no, según proofType en V2)
+ * @param {string} [params.proofType] - "MTP" (por defecto) o "SIG"; en V3 sin él vale cualquiera
+ * @param {number} [params.groupId] - Solo V3: enlaza queries sobre la misma credencial
+ * @param {string} [params.campaign] - Obligatorio en V3: campaña registrada, da el nullifierSessionId
+ * @param {string} [params.verifierDID] - Obligatorio en V3 (lo fija el servidor): el nullifier se ata a él
+ * @param {Array<string>} [params.allowedIssuers]
+ * @param {string} [params.credentialId]
+ * @param {string} [params.accountAddress] - DID del usuario que debe generar la prueba
+ * @throws {QueryValidationError}
+ */
+function createQueryProofRequest(params) {
+    const type = params.type || 'ZKPAuthCredential';
+    const credentialSubject = buildCredentialQuery(type, params.credentialSubject);
+
+    const disclosedFields = Object.entries(credentialSubject)
+        .filter(([, predicates]) => Object.keys(predicates).length === 0)
+        .map(([field]) => field);
+    const notDisclosable = disclosedFields
+        .filter(field => !DISCLOSABLE_FIELDS.includes(field))
+        .map(field => ({ field, operator: null, error: `${field} no se puede divulgar (permitidos: ${DISCLOSABLE_FIELDS.join(', ')})` }));
+    if (notDisclosable.length > 0) {
+        throw new QueryValidationError('Divulgación selectiva no permitida', notDisclosable);
+    }
+
+    const circuitId = params.circuitId
+        || (params.proofType === 'SIG' ? 'credentialAtomicQuerySigV2' : 'credentialAtomicQueryMTPV2');
+    if (!isAtomicQueryCircuit(circuitId)) {
+        throw new QueryValidationError(`Circuito no soportado para queries: ${circuitId}`, [
+            { field: null, operator: null, error: 'circuitId debe ser un circuito de atomic query' }
+        ]);
+    }
+
+    // Los circuitos V2 y V3 prueban una sola condición
+    const conditions = Object.values(credentialSubject)
+        .reduce((total, predicates) => total + Math.max(1, Object.keys(predicates).length), 0);
+    if (conditions > 1) {
+        throw new QueryValidationError(`${circuitId} prueba una sola condición`, [{
+            field: null,
+            operator: null,
+            error: `${circuitId} prueba una sola condición: separa las ${conditions} en queries distintos`
+        }]);
+    }
+
+    const request = isV3Circuit(circuitId)
+        ? createV3ProofRequest(params.credentialId || null, credentialSubject, validateV3Options(params))
+        : createZKPProofRequest(params.credentialId || null, credentialSubject);
+    request.circuitId = circuitId;
+
+    if (!isV3Circuit(circuitId) && (params.groupId !== undefined || params.campaign !== undefined
+        || params.nullifierSessionId !== undefined)) {
+        throw new QueryValidationError(`${circuitId} no admite groupId ni nullifiers`, [
+            { field: null, operator: null, error: 'groupId y campaign son solo de credentialAtomicQueryV3' }
+        ]);
+    }
+
+    // Otros tipos usan el contexto que publica su schema
+    if (type !== request.query.type) {
+        const context = getCredentialSchema(type).$metadata?.uris?.jsonLdContext;
+        if (!context) {
+            throw new QueryValidationError(`El schema de ${type} no publica jsonLdContext`, [
+                { field: null, operator: null, error: 'Falta $metadata.uris.jsonLdContext en el schema' }
+            ]);
+        }
+        request.query.type = type;
+        request.query.context = context;
+    }
+    checkQueryContext(request.query);
+
+    if (params.allowedIssuers) {
+        const issuers = params.allowedIssuers;
+        if (!Array.isArray(issuers) || issuers.length === 0 || !issuers.every(item => typeof item === 'string')) {
+            throw new QueryValidationError('allowedIssuers inválido', [
+                { field: null, operator: null, error: 'allowedIssuers debe ser una lista de DIDs o ["*"]' }
+            ]);
+        }
+        request.query.allowedIssuers = issuers;
+    }
+    if (params.accountAddress) {
+        request.accountAddress = params.accountAddress;
+    }
+    if (disclosedFields.length > 0) {
+        request.disclosure = { allowedFields: disclosedFields };
+    }
+
+    return request;
+}
+
+/**
+ * El contexto del query tiene que estar disponible y definir sus campos
+ * @throws {QueryValidationError}
+ */
+function checkQueryContext(query) {
+    let document;
+    try {
+        document = getQueryContext(query);
+    } catch (error) {
+        throw new QueryValidationError('Contexto JSON-LD no disponible', [
+            { field: null, operator: null, error: error.message }
+        ]);
+    }
+
+    const errors = [];
+    for (const field of Object.keys(query.credentialSubject || {})) {
+        try {
+            resolveField(document, query.type, field);
+        } catch (error) {
+            errors.push({ field, operator: null, error: error.message });
+        }
+    }
+    if (errors.length > 0) {
+        throw new QueryValidationError('Campos que no define el contexto JSON-LD', errors);
+    }
+}
+
+/**
+ * Proof request con varios queries (scope), validados uno a uno
+ * @param {Array<Object>} queries - [{ id?, type?, credentialSubject, circuitId?, proofType?, allowedIssuers?,
+ *   groupId?, campaign?, optional? }]
+ * @param {Object} [options] - { accountAddress, allowedIssuers, verifierDID }
+ * @returns {{scope: Array<{id, circuitId, query, optional?}>, accountAddress?, disclosure?}}
+ * @throws {QueryValidationError} - Con los errores de todos los queries (con queryId)
+ */
+function createScopeProofRequest(queries, options = {}) {
+    if (!Array.isArray(queries) || queries.length === 0) {
+        throw new QueryValidationError('El scope necesita al menos un query', [
+            { queryId: null, field: null, operator: null, error: 'queries debe ser una lista no vacía' }
+        ]);
+    }
+
+    const errors = [];
+    const requests = [];
+    const disclosedFields = [];
+
+    queries.forEach((item, index) => {
+        const id = item?.id ?? index + 1;
+        const queryError = (error) => errors.push({ queryId: id, field: null, operator: null, error });
+
+        if (!item || typeof item !== 'object') {
+            return queryError('Cada query debe ser un objeto');
+        }
+        if (!Number.isSafeInteger(id) || id <= 0) {
+            return queryError('El id del query debe ser un entero positivo');
+        }
+        if (queries.slice(0, index).some((other, otherIndex) => (other?.id ?? otherIndex + 1) === id)) {
+            return queryError(`Hay más de un query con id ${id}`);
+        }
+
+        try {
+            const request = createQueryProofRequest({
+                ...item,
+                allowedIssuers: item.allowedIssuers || options.allowedIssuers,
+                verifierDID: options.verifierDID
+            });
+            const { circuitId } = request;
+
+            requests.push({ id, circuitId, query: request.query, params: request.params, optional: item.optional === true });
+            disclosedFields.push(...(request.disclosure?.allowedFields || []));
+        } catch (error) {
+            if (!(error instanceof QueryValidationError)) throw error;
+            errors.push(...error.errors.map(detail => ({ queryId: id, ...detail })));
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new QueryValidationError(`Scope inválido: ${errors.map(item => `#${item.queryId} ${item.error}`).join('; ')}`, errors);
+    }
+
+    const request = createMultiQueryProofRequest(requests, options);
+    if (disclosedFields.length > 0) {
+        request.disclosure = { allowedFields: [...new Set(disclosedFields)] };
+    }
+    return request;
+}
+
+module.exports = {
+    DISCLOSABLE_FIELDS,
+    QueryValidationError,
+    getQueryableFields,
+    validateCredentialQuery,
+    buildCredentialQuery,
+    createQueryProofRequest,
+    createScopeProofRequest
+};
@@ -0,0 +1,303 @@
+/**
+ * RATE LIMITER - Protección contra fuerza bruta
+ *
+ * Cuenta intentos fallidos por clave (IP, cuenta, wallet):
+ * - Tras FREE_ATTEMPTS fallos, cada intento nuevo debe esperar un
+ *   back-off exponencial (base * 2^n)
+ * - Al llegar a maxAttempts la clave queda bloqueada; cada bloqueo
+ *   sucesivo dura el doble (hasta RATE_LIMIT_MAX_LOCKOUT)
+ * - Un intento exitoso limpia el contador
+ *
+ * Cada intento se reserva (incremento atómico del contador) antes de
+ * verificar la contraseña: intentos en paralelo no pueden pasar todos
+ * antes de que se registre el primer fallo. Pasados FREE_ATTEMPTS,
+ * solo puede haber un intento en curso por clave.
+ *
+ * Los contadores viven en un "counter store" intercambiable. El de memoria
+ * sirve para una sola instancia; para varias instancias se registra uno
+ * compartido (Redis, base de datos...) con setCounterStore.
+ */
+
+const FREE_ATTEMPTS = 3;
+const BACKOFF_BASE_MS = parseInt(process.env.RATE_LIMIT_BACKOFF_BASE_MS, 10) || 1000;
+const LOCKOUT_MS = (parseInt(process.env.RATE_LIMIT_LOCKOUT_SECONDS, 10) || 5 * 60) * 1000;
+const MAX_LOCKOUT_MS = (parseInt(process.env.RATE_LIMIT_MAX_LOCKOUT_SECONDS, 10) || 24 * 60 * 60) * 1000;
+// Pasado este tiempo sin fallos se olvida el historial de la clave
+const RECORD_TTL_MS = 24 * 60 * 60 * 1000;
+// Un intento que nunca terminó (proceso caído) deja de contar como en curso
+const IN_FLIGHT_TTL_MS = 60 * 1000;
+
+// ============================================
+// COUNTER STORE EN MEMORIA
+// ============================================
+/**
+ * Interfaz de un counter store (todos los métodos async):
+ * - get(key) → registro o null
+ * - set(key, record, ttlMs)
+ * - delete(key)
+ * - increment(key, amount, ttlMs) → valor nuevo. Atómico (INCRBY en Redis);
+ *   el ttl solo se aplica al crear el contador
+ */
+class MemoryCounterStore {
+    constructor() {
+        this.records = new Map();
+        this.counters = new Map();
+    }
+
+    async get(key) {
+        const entry = this.records.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            this.records.delete(key);
+            return null;
+        }
+        return { ...entry.record };
+    }
+
+    async set(key, record, ttlMs) {
+        this.records.set(key, { record: { ...record }, expiresAt: Date.now() + ttlMs });
+    }
+
+    async delete(key) {
+        this.records.delete(key);
+        this.counters.delete(key);
+    }
+
+    async increment(key, amount, ttlMs) {
+        const now = Date.now();
+        let entry = this.counters.get(key);
+        if (!entry || entry.expiresAt <= now) {
+            entry = { value: 0, expiresAt: now + ttlMs };
+            this.counters.set(key, entry);
+        }
+        entry.value += amount;
+        return entry.value;
+    }
+}
+
+let counterStore = new MemoryCounterStore();
+
+/**
+ * Reemplaza el counter store (compartido entre instancias)
+ */
+function setCounterStore(store) {
+    for (const method of ['get', 'set', 'delete', 'increment']) {
+        if (typeof store?.[method] !== 'function') {
+            throw new Error(`El counter store debe implementar ${method}()`);
+        }
+    }
+    counterStore = store;
+}
+
+// ============================================
+// LIMITADOR
+// ============================================
+/**
+ * Crea un limitador con nombre (prefijo de las claves en el store)
+ * @param {Object} options - { name, maxAttempts }
+ */
+function createLimiter({ name, maxAttempts }) {
+    const stateKey = (key) => `${name}:${key}`;
+    const attemptsKey = (key) => `${name}:${key}:attempts`;
+    const inFlightKey = (key) => `${name}:${key}:in-flight`;
+
+    const denied = (until, now) => ({ allowed: false, retryAfter: Math.max(1, Math.ceil((until - now) / 1000)) });
+
+    /**
+     * Reserva un intento. Si se permite, el intento cuenta hasta que se
+     * libera (release), se registra como fallo o se limpia la clave (reset).
+     * @returns {Promise<{allowed: boolean, attempt?: number, retryAfter?: number}>} retryAfter en segundos
+     */
+    async function reserve(key) {
+        const now = Date.now();
+        const state = await counterStore.get(stateKey(key));
+
+        const blockedUntil = Math.max(state?.lockedUntil || 0, state?.nextAttemptAt || 0);
+        if (blockedUntil > now) {
+            return denied(blockedUntil, now);
+        }
+
+        const attempt = await counterStore.increment(attemptsKey(key), 1, RECORD_TTL_MS);
+        const inFlight = await counterStore.increment(inFlightKey(key), 1, IN_FLIGHT_TTL_MS);
+
+        if (attempt > maxAttempts || (attempt > FREE_ATTEMPTS && inFlight > 1)) {
+            await release(key);
+            return denied(now + BACKOFF_BASE_MS, now);
+        }
+
+        return { allowed: true, attempt };
+    }
+
+    async function release(key) {
+        await counterStore.increment(attemptsKey(key), -1, RECORD_TTL_MS);
+        await counterStore.increment(inFlightKey(key), -1, IN_FLIGHT_TTL_MS);
+    }
+
+    /**
+     * El intento reservado falló: queda contado y fija back-off o bloqueo
+     */
+    async function registerFailure(key, attempt) {
+        const now = Date.now();
+        await counterStore.increment(inFlightKey(key), -1, IN_FLIGHT_TTL_MS);
+
+        const state = await counterStore.get(stateKey(key)) || { lockCount: 0 };
+        state.lastFailureAt = now;
+
+        if (attempt >= maxAttempts) {
+            const lockMs = Math.min(LOCKOUT_MS * 2 ** state.lockCount, MAX_LOCKOUT_MS);
+            state.lockCount += 1;
+            state.lockedUntil = now + lockMs;
+            state.nextAttemptAt = 0;
+            await counterStore.delete(attemptsKey(key));
+            console.warn(`[RateLimit] 🔒 ${name} bloqueado ${Math.round(lockMs / 1000)}s:`, key);
+        } else if (attempt >= FREE_ATTEMPTS) {
+            state.nextAttemptAt = now + BACKOFF_BASE_MS * 2 ** (attempt - FREE_ATTEMPTS);
+        }
+
+        const ttl = Math.max(RECORD_TTL_MS, (state.lockedUntil || 0) - now);
+        await counterStore.set(stateKey(key), state, ttl);
+    }
+
+    async function reset(key) {
+        await counterStore.delete(stateKey(key));
+        await counterStore.delete(attemptsKey(key));
+        await counterStore.delete(inFlightKey(key));
+    }
+
+    return { name, reserve, release, registerFailure, reset };
+}
+
+// Límites por IP (más altos: detrás de una IP puede haber varios usuarios)
+// y por cuenta (email o wallet)
+const ipLimiter = createLimiter({
+    name: 'ip',
+    maxAttempts: parseInt(process.env.RATE_LIMIT_IP_MAX_ATTEMPTS, 10) || 20
+});
+
+const accountLimiter = createLimiter({
+    name: 'account',
+    maxAttempts: parseInt(process.env.RATE_LIMIT_ACCOUNT_MAX_ATTEMPTS, 10) || 5
+});
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+function sendTooManyAttempts(res, retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        error: 'Demasiados intentos. Intenta más tarde.',
+        retryAfter: retryAfter
+    });
+}
+
+/**
+ * Middleware de Express para rutas de autenticación
+ * @param {function(Object): string|null} getAccountKey - Extrae la cuenta del request
+ *
+ * Reserva el intento por IP y por cuenta antes de llegar a la ruta.
+ * Deja en la request:
+ * - req.rateLimit.fail()    → el intento cuenta como fallido
+ * - req.rateLimit.succeed() → limpiar contadores de la cuenta
+ * Si la ruta no llama a ninguno (datos faltantes, error) el intento se libera.
+ */
+function authRateLimit(getAccountKey) {
+    return async (req, res, next) => {
+        const reserved = [];
+        const releaseAll = () => Promise.all(reserved.map(({ limiter, key }) => limiter.release(key)));
+
+        try {
+            const accountKey = getAccountKey(req);
+            const checks = [{ limiter: ipLimiter, key: req.ip }];
+            if (accountKey) checks.push({ limiter: accountLimiter, key: accountKey });
+
+            for (const { limiter, key } of checks) {
+                const result = await limiter.reserve(key);
+                if (!result.allowed) {
+                    await releaseAll();
+                    console.warn(`[RateLimit] Intento bloqueado (${limiter.name}):`, key, req.path);
+                    return sendTooManyAttempts(res, result.retryAfter);
+                }
+                reserved.push({ limiter, key, attempt: result.attempt });
+            }
+
+            let settled = false;
+            res.on('finish', () => {
+                if (settled) return;
+                settled = true;
+                releaseAll().catch(error => console.error('[RateLimit] Error liberando intento:', error.message));
+            });
+
+            req.rateLimit = {
+                async fail() {
+                    if (settled) return;
+                    settled = true;
+                    for (const { limiter, key, attempt } of reserved) {
+                        await limiter.registerFailure(key, attempt);
+                    }
+                },
+                async succeed() {
+                    if (settled) return;
+                    settled = true;
+                    for (const { limiter, key } of reserved) {
+                        await (limiter === accountLimiter ? limiter.reset(key) : limiter.release(key));
+                    }
+                }
+            };
+
+            next();
+        } catch (error) {
+            await releaseAll().catch(() => {});
+            console.error('[RateLimit] Error:', error.message);
+            res.status(500).json({
+                success: false,
+                error: 'Error al validar límites de intentos',
+                details: error.message
+            });
+        }
+    };
+}
+
+/**
+ * Middleware que cuenta todas las solicitudes (no solo los fallos) en una
+ * ventana fija, por IP y por cuenta. Para rutas que envían correos o guardan
+ * algo en cada llamada.
+ * @param {Object} options - { name, maxRequests, windowSeconds }
+ * @param {function(Object): string|null} [getAccountKey]
+ */
+function requestRateLimit({ name, maxRequests, windowSeconds }, getAccountKey = () => null) {
+    const windowMs = windowSeconds * 1000;
+
+    return async (req, res, next) => {
+        try {
+            const accountKey = getAccountKey(req);
+            const keys = [`ip:${req.ip}`];
+            if (accountKey) keys.push(`account:${accountKey}`);
+
+            for (const key of keys) {
+                const count = await counterStore.increment(`${name}:${key}`, 1, windowMs);
+                if (count > maxRequests) {
+                    console.warn(`[RateLimit] Límite de ${name}:`, key);
+                    return sendTooManyAttempts(res, windowSeconds);
+                }
+            }
+
+            next();
+        } catch (error) {
+            console.error('[RateLimit] Error:', error.message);
+            res.status(500).json({
+                success: false,
+                error: 'Error al validar límites de intentos',
+                details: error.message
+            });
+        }
+    };
+}
+
+module.exports = {
+    MemoryCounterStore,
+    setCounterStore,
+    createLimiter,
+    authRateLimit,
+    requestRateLimit
+};
@@ -0,0 +1,130 @@
+/**
+ * REVOCATION REGISTRY - Registro local de credenciales revocadas
+ *
+ * Las credenciales del Issuer Node se revocan por revocationNonce en el nodo.
+ * Las credenciales locales (fallback pending_issuer) no existen en el nodo,
+ * así que su revocación solo queda aquí. Se registran ambas para que la
+ * verificación pueda consultarlas sin depender del Issuer Node.
+ *
+ * issuerSync: 'done' (revocada en el nodo), 'pending' (el nodo falló y la
+ * cola de sincronización la reintenta) o 'not_needed' (credencial local).
+ * Mientras está 'pending' el nodo sigue dando la credencial por válida:
+ * la verificación rechaza las pruebas del titular para ese tipo.
+ */
+
+const { JsonCollection } = require('./json-storage');
+const { didToSignal } = require('./pub-signals');
+
+const revocations = new JsonCollection('revocations.json');
+
+function getIssuerId(credential) {
+    return typeof credential.issuer === 'object' ? credential.issuer?.id : credential.issuer;
+}
+
+function getCredentialType(credential) {
+    const types = [].concat(credential.credentialSubject?.type || credential.type || []);
+    return types.filter(type => type !== 'VerifiableCredential').pop() || null;
+}
+
+function registryKey(issuer, revocationNonce) {
+    return `${issuer}#${revocationNonce}`;
+}
+
+function recordKey(credential) {
+    const revocationNonce = credential.credentialStatus?.revocationNonce;
+    return revocationNonce !== undefined && revocationNonce !== null
+        ? registryKey(getIssuerId(credential), revocationNonce)
+        : `id:${credential.id}`;
+}
+
+/**
+ * Registra una credencial como revocada
+ * @param {Object} credential - Credencial W3C
+ * @param {Object} info - { reason, issuerRevoked, issuerSync }
+ */
+function recordRevocation(credential, { reason = 'unspecified', issuerRevoked = false, issuerSync } = {}) {
+    const revocationNonce = credential.credentialStatus?.revocationNonce;
+
+    const record = {
+        credentialId: credential.id,
+        issuer: getIssuerId(credential),
+        subject: credential.credentialSubject?.id || null,
+        type: getCredentialType(credential),
+        revocationNonce: revocationNonce ?? null,
+        reason: reason,
+        issuerRevoked: issuerRevoked,
+        issuerSync: issuerSync || (issuerRevoked ? 'done' : 'pending'),
+        revokedAt: new Date().toISOString()
+    };
+
+    revocations.set(recordKey(credential), record);
+    console.log('[Revocation] Credencial registrada como revocada:', credential.id);
+    return record;
+}
+
+/**
+ * La cola de sincronización revocó la credencial en el Issuer Node
+ */
+function markIssuerRevoked(credential) {
+    const key = recordKey(credential);
+    const record = revocations.get(key);
+    if (!record) return null;
+
+    record.issuerRevoked = true;
+    record.issuerSync = 'done';
+    record.issuerRevokedAt = new Date().toISOString();
+    revocations.set(key, record);
+    return record;
+}
+
+/**
+ * Revocaciones que el Issuer Node todavía no conoce para el titular, issuer
+ * y tipo de una prueba. La prueba no dice qué credencial usó (el
+ * revocationNonce no es público): cualquiera de ellas puede ser la revocada.
+ * @param {Object} publicSignals - De decodePublicSignals (userID, issuerID)
+ * @param {string} type - Tipo del query (el claimSchema ya se comprobó contra él)
+ * @returns {Array<Object>}
+ */
+function findPendingRevocationsForProof(publicSignals, type) {
+    const userID = BigInt(publicSignals.userID);
+    const issuerID = BigInt(publicSignals.issuerID);
+
+    return revocations.values().filter(record =>
+        record.issuerSync === 'pending'
+        && record.type === type
+        && didToSignal(record.subject) === userID
+        && didToSignal(record.issuer) === issuerID
+    );
+}
+
+/**
+ * Busca la revocación de una credencial (por issuer + nonce, o por id)
+ * @returns {Object|null} - Registro de revocación o null si no está revocada
+ */
+function findRevocation(credential) {
+    if (!credential) return null;
+
+    const issuer = getIssuerId(credential);
+    const revocationNonce = credential.credentialStatus?.revocationNonce;
+
+    if (issuer && revocationNonce !== undefined && revocationNonce !== null) {
+        const record = revocations.get(registryKey(issuer, revocationNonce));
+        if (record) return record;
+    }
+
+    return credential.id ? findRevocationById(credential.id) : null;
+}
+
+function findRevocationById(credentialId) {
+    return revocations.get(`id:${credentialId}`)
+        || revocations.values().find(record => record.credentialId === credentialId)
+        || null;
+}
+
+module.exports = {
+    recordRevocation,
+    markIssuerRevoked,
+    findRevocation,
+    findRevocationById,
+    findPendingRevocationsForProof
+};
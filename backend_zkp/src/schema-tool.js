@@ -0,0 +1,317 @@
+/**
+ * SCHEMA TOOL - Mantenimiento de los pares .json / .jsonld de issure-schemes
+ *
+ *   npm run schemas:generate [-- Tipo ...]   Genera el .jsonld desde el JSON schema
+ *   npm run schemas:check [-- Tipo ...]      Comprueba los pares, hashes y CIDs
+ *
+ * El contexto generado conserva el @id del tipo y el vocabulario del .jsonld
+ * existente (de ellos salen el schema hash y los claimPathKey: cambiarlos
+ * invalida las credenciales emitidas). Un tipo nuevo recibe urn:uuid nuevos.
+ *
+ * check falla (exit 1) si un .jsonld no coincide con su schema o si un CID
+ * escrito en el código (CID_SOURCES) no es el del archivo local al que
+ * apunta: el archivo cambió y hay que volver a publicarlo y actualizar el CID.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
+const { getCredentialSchemas } = require('./credential-schemas');
+const { XSD_NS, getTypeId } = require('./jsonld-context');
+const { computeSchemaHash } = require('./pub-signals');
+const { computeCIDv0, getLocalDocumentPath } = require('./document-loader');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const SCHEMES_DIR = path.join(ROOT_DIR, 'issure-schemes');
+
+// Archivos con CIDs escritos a mano
+const CID_SOURCES = ['rutas/routes.js', 'src/zkp-proofs.js', 'src/credential-schemas.js', 'scheme/scheme.js'];
+
+const DEFAULT_VOCAB_PREFIX = 'polygon-vocab';
+
+const XSD_TYPES = {
+    boolean: 'xsd:boolean',
+    integer: 'xsd:integer',
+    number: 'xsd:double',
+    string: 'xsd:string'
+};
+
+// ============================================
+// GENERACIÓN DEL CONTEXTO
+// ============================================
+function contextPathFor(file) {
+    return path.join(SCHEMES_DIR, file.replace(/\.json$/, '.jsonld'));
+}
+
+function readContext(file) {
+    const contextPath = contextPathFor(file);
+    return fs.existsSync(contextPath) ? JSON.parse(fs.readFileSync(contextPath, 'utf8')) : null;
+}
+
+/**
+ * @id del tipo y vocabulario del contexto existente (o nuevos)
+ */
+function getContextIds(type, existing) {
+    const typeDef = existing?.['@context']?.[0]?.[type];
+    const scoped = typeDef?.['@context'] || {};
+    const prefix = Object.keys(scoped).find(key => key !== 'xsd' && typeof scoped[key] === 'string' && !key.startsWith('@'));
+
+    return {
+        typeId: typeDef?.['@id'] || `urn:uuid:${crypto.randomUUID()}`,
+        prefix: prefix || DEFAULT_VOCAB_PREFIX,
+        vocab: prefix ? scoped[prefix] : `urn:uuid:${crypto.randomUUID()}#`
+    };
+}
+
+/**
+ * Términos JSON-LD de las propiedades de un objeto del schema
+ * @throws {Error} - Tipos sin equivalente XSD (arrays)
+ */
+function buildTerms(properties, prefix, parentPath = '') {
+    const terms = {};
+    for (const [field, definition] of Object.entries(properties || {})) {
+        if (field === 'id' && !parentPath) continue;
+
+        const types = Array.isArray(definition.type) ? definition.type : [definition.type];
+        const type = types.find(item => item !== 'null');
+        const fieldPath = parentPath ? `${parentPath}.${field}` : field;
+
+        if (type === 'object') {
+            terms[field] = {
+                '@context': buildTerms(definition.properties, prefix, fieldPath),
+                '@id': `${prefix}:${field}`
+            };
+            continue;
+        }
+
+        const xsdType = type === 'string' && definition.format === 'date-time' ? 'xsd:dateTime' : XSD_TYPES[type];
+        if (!xsdType) {
+            throw new Error(`${fieldPath}: el tipo ${type} no tiene equivalente en el contexto JSON-LD`);
+        }
+        terms[field] = { '@id': `${prefix}:${field}`, '@type': xsdType };
+    }
+    return terms;
+}
+
+/**
+ * Contexto JSON-LD (formato del schema builder de iden3) de un schema
+ * @param {Object} schema - JSON schema con $metadata.type
+ * @param {Object|null} [existing] - .jsonld actual, del que se conservan los ids
+ */
+function generateContext(schema, existing = null) {
+    const type = schema.$metadata.type;
+    const { typeId, prefix, vocab } = getContextIds(type, existing);
+
+    return {
+        '@context': [{
+            '@protected': true,
+            '@version': 1.1,
+            id: '@id',
+            type: '@type',
+            [type]: {
+                '@context': {
+                    '@propagate': true,
+                    '@protected': true,
+                    [prefix]: vocab,
+                    xsd: XSD_NS,
+                    ...buildTerms(schema.properties?.credentialSubject?.properties, prefix)
+                },
+                '@id': typeId
+            }
+        }]
+    };
+}
+
+// ============================================
+// COMPROBACIONES
+// ============================================
+/**
+ * Diferencias entre los términos de dos contextos (campo por campo)
+ */
+function diffTerms(expected, actual, parentPath = '') {
+    const differences = [];
+    const fields = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+
+    for (const field of fields) {
+        if (field.startsWith('@')) continue;
+        const fieldPath = parentPath ? `${parentPath}.${field}` : field;
+
+        if (!(field in actual)) {
+            differences.push(`${fieldPath} está en el schema y no en el .jsonld`);
+        } else if (!(field in expected)) {
+            differences.push(`${fieldPath} está en el .jsonld y no en el schema`);
+        } else if (expected[field]?.['@context'] && actual[field]?.['@context']) {
+            differences.push(...diffTerms(expected[field]['@context'], actual[field]['@context'], fieldPath));
+        } else if (!isDeepStrictEqual(expected[field], actual[field])) {
+            differences.push(`${fieldPath}: se esperaba ${JSON.stringify(expected[field])}, el .jsonld tiene ${JSON.stringify(actual[field])}`);
+        }
+    }
+    return differences;
+}
+
+/**
+ * schemaHash como lo muestra el Issuer Node (hex) y como señal claimSchema (decimal)
+ */
+function getSchemaHash(typeId) {
+    const claimSchema = computeSchemaHash(typeId);
+    const hex = Buffer.from(claimSchema.toString(16).padStart(32, '0'), 'hex').reverse().toString('hex');
+    return { hex, claimSchema: claimSchema.toString() };
+}
+
+/**
+ * Revisa un tipo: par .json/.jsonld, schema hash y CIDs de los dos archivos
+ * @returns {{type, file, errors: Array<string>, warnings: Array<string>, schemaHash, cids}}
+ */
+function checkSchema(type) {
+    const { file, schema } = getCredentialSchemas().get(type);
+    const report = { type, file, errors: [], warnings: [], schemaHash: null, cids: {} };
+
+    report.cids.json = computeCIDv0(fs.readFileSync(path.join(SCHEMES_DIR, file)));
+
+    const existing = readContext(file);
+    if (!existing) {
+        report.errors.push('No existe el .jsonld (npm run schemas:generate)');
+        return report;
+    }
+    report.cids.jsonld = computeCIDv0(fs.readFileSync(contextPathFor(file)));
+
+    try {
+        const expected = generateContext(schema, existing)['@context'][0][type];
+        const actual = existing['@context']?.[0]?.[type];
+        if (!actual) {
+            report.errors.push(`El .jsonld no define el tipo ${type}`);
+        } else {
+            report.errors.push(...diffTerms(expected['@context'], actual['@context'] || {}));
+        }
+
+        report.schemaHash = getSchemaHash(getTypeId(existing, type));
+    } catch (error) {
+        report.errors.push(error.message);
+    }
+
+    const contextUrl = schema.$metadata?.uris?.jsonLdContext;
+    const contextCID = contextUrl?.match(/(?:^ipfs:\/\/|\/ipfs\/)(Qm[1-9A-HJ-NP-Za-km-z]{44})$/)?.[1];
+    if (contextCID && contextCID !== report.cids.jsonld) {
+        report.warnings.push(`jsonLdContext apunta a ${contextCID}: el .jsonld local no es el publicado`);
+    }
+
+    return report;
+}
+
+/**
+ * CIDs escritos en CID_SOURCES comparados con el archivo local que los resuelve
+ * @returns {Array<{source, line, cid, file, localCID, error?}>}
+ */
+function checkHardcodedCIDs() {
+    getCredentialSchemas();
+    const results = [];
+
+    for (const source of CID_SOURCES) {
+        const sourcePath = path.join(ROOT_DIR, source);
+        if (!fs.existsSync(sourcePath)) continue;
+
+        const lines = fs.readFileSync(sourcePath, 'utf8').split('\n');
+        lines.forEach((text, index) => {
+            for (const match of text.matchAll(/(?:ipfs:\/\/|\/ipfs\/)(Qm[1-9A-HJ-NP-Za-km-z]{44})/g)) {
+                const cid = match[1];
+                const localPath = getLocalDocumentPath(`ipfs://${cid}`);
+                const entry = { source, line: index + 1, cid, file: null, localCID: null };
+
+                if (!localPath) {
+                    entry.error = 'ningún archivo local corresponde a este CID';
+                } else {
+                    entry.file = path.relative(ROOT_DIR, localPath);
+                    entry.localCID = computeCIDv0(fs.readFileSync(localPath));
+                    if (entry.localCID !== cid) {
+                        entry.error = `${entry.file} tiene CID ${entry.localCID}`;
+                    }
+                }
+                results.push(entry);
+            }
+        });
+    }
+    return results;
+}
+
+// ============================================
+// CLI
+// ============================================
+function selectTypes(args) {
+    const available = [...getCredentialSchemas().keys()];
+    const unknown = args.filter(type => !available.includes(type));
+    if (unknown.length > 0) {
+        throw new Error(`Tipos desconocidos: ${unknown.join(', ')}. Disponibles: ${available.join(', ')}`);
+    }
+    return args.length > 0 ? args : available;
+}
+
+function runGenerate(types) {
+    for (const type of types) {
+        const { file, schema } = getCredentialSchemas().get(type);
+        const context = generateContext(schema, readContext(file));
+        fs.writeFileSync(contextPathFor(file), JSON.stringify(context, null, 4));
+        console.log('[SchemaTool] ✅', path.basename(contextPathFor(file)), 'generado');
+    }
+    return 0;
+}
+
+function runCheck(types) {
+    let failed = false;
+
+    for (const type of types) {
+        const report = checkSchema(type);
+        console.log(`\n[SchemaTool] ${type} (${report.file})`);
+        if (report.schemaHash) {
+            console.log(`  schemaHash:  ${report.schemaHash.hex} (claimSchema ${report.schemaHash.claimSchema})`);
+        }
+        console.log(`  CID .json:   ${report.cids.json}`);
+        if (report.cids.jsonld) {
+            console.log(`  CID .jsonld: ${report.cids.jsonld}`);
+        }
+        report.warnings.forEach(warning => console.log('  ⚠️', warning));
+        report.errors.forEach(error => console.log('  ❌', error));
+        if (report.errors.length === 0) {
+            console.log('  ✅ .json y .jsonld coinciden');
+        }
+        failed = failed || report.errors.length > 0;
+    }
+
+    console.log('\n[SchemaTool] CIDs en el código');
+    for (const entry of checkHardcodedCIDs()) {
+        const location = `${entry.source}:${entry.line}`;
+        if (entry.error) {
+            console.log(`  ❌ ${location} ${entry.cid}: ${entry.error}`);
+            failed = true;
+        } else {
+            console.log(`  ✅ ${location} ${entry.cid} = ${entry.file}`);
+        }
+    }
+
+    return failed ? 1 : 0;
+}
+
+module.exports = {
+    CID_SOURCES,
+    generateContext,
+    getSchemaHash,
+    checkSchema,
+    checkHardcodedCIDs
+};
+
+if (require.main === module) {
+    const [command, ...args] = process.argv.slice(2);
+    const commands = { generate: runGenerate, check: runCheck };
+
+    if (!commands[command]) {
+        console.error('Uso: node src/schema-tool.js <generate|check> [Tipo ...]');
+        process.exit(1);
+    }
+
+    try {
+        process.exit(commands[command](selectTypes(args)));
+    } catch (error) {
+        console.error('[SchemaTool] ❌', error.message);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,212 @@
+/**
+ * SESSIONS - Sesiones de usuario con access + refresh tokens
+ *
+ * - Access token: JWT HS256 corto (ACCESS_TOKEN_TTL, 15 min por defecto)
+ * - Refresh token: opaco, rota en cada uso (REFRESH_TOKEN_TTL, 30 días)
+ *
+ * Solo se guarda el hash SHA-256 del refresh token. Si llega un refresh
+ * token ya rotado se asume robo y se revoca la sesión completa.
+ */
+
+const crypto = require('crypto');
+const { JsonCollection } = require('./json-storage');
+const { signToken, verifyToken } = require('./tokens');
+
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 15 * 60;
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 30 * 24 * 60 * 60;
+
+let SESSION_SECRET = process.env.SESSION_SECRET;
+if (!SESSION_SECRET) {
+    SESSION_SECRET = crypto.randomBytes(32).toString('hex');
+    console.warn('[Sessions] SESSION_SECRET no configurado: los tokens no sobrevivirán a un reinicio');
+}
+
+const sessions = new JsonCollection('sessions.json');
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function nowSeconds() {
+    return Math.floor(Date.now() / 1000);
+}
+
+function isActive(session) {
+    return session && !session.revokedAt && session.expiresAt > nowSeconds();
+}
+
+/**
+ * Genera un refresh token con el id de sesión como prefijo
+ * para poder encontrar la sesión sin recorrer todas
+ */
+function newRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function issueTokens(session) {
+    const refreshToken = newRefreshToken(session.id);
+    const accessToken = signToken(
+        { sub: session.userId, sid: session.id },
+        SESSION_SECRET,
+        ACCESS_TOKEN_TTL
+    );
+
+    // Se guardan los últimos hashes rotados para detectar reuso
+    session.previousRefreshHashes = [
+        ...(session.previousRefreshHashes || []),
+        ...(session.refreshTokenHash ? [session.refreshTokenHash] : [])
+    ].slice(-20);
+    session.refreshTokenHash = hashToken(refreshToken);
+    sessions.set(session.id, session);
+
+    return {
+        sessionId: session.id,
+        accessToken,
+        refreshToken,
+        tokenType: 'Bearer',
+        expiresIn: ACCESS_TOKEN_TTL,
+        refreshExpiresAt: new Date(session.expiresAt * 1000).toISOString()
+    };
+}
+
+/**
+ * Abre una sesión nueva para un usuario
+ * @param {Object} user - Usuario del repositorio (necesita id)
+ * @param {Object} req - Request de Express (para IP y user-agent)
+ */
+function createSession(user, req = {}) {
+    const now = nowSeconds();
+    const session = {
+        id: `sess_${crypto.randomUUID()}`,
+        userId: user.id,
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt: now + REFRESH_TOKEN_TTL,
+        ip: req.ip || null,
+        userAgent: req.get ? req.get('user-agent') || null : null,
+        revokedAt: null
+    };
+
+    console.log('[Sessions] Sesión creada:', session.id, 'usuario:', user.id);
+    return issueTokens(session);
+}
+
+/**
+ * Rota un refresh token y devuelve tokens nuevos
+ * @returns {{success: boolean, tokens?: Object, error?: string}}
+ */
+function refreshSession(refreshToken) {
+    const sessionId = typeof refreshToken === 'string' ? refreshToken.split('.')[0] : null;
+    const session = sessionId ? sessions.get(sessionId) : null;
+
+    if (!isActive(session)) {
+        return { success: false, error: 'Sesión inválida o expirada' };
+    }
+
+    const tokenHash = hashToken(refreshToken);
+
+    if (session.previousRefreshHashes?.includes(tokenHash)) {
+        console.warn('[Sessions] ⚠️ Reuso de refresh token, revocando sesión:', session.id);
+        revokeSession(session.id, 'refresh_token_reuse');
+        return { success: false, error: 'Refresh token ya utilizado. Sesión revocada.' };
+    }
+
+    const expectedHash = Buffer.from(session.refreshTokenHash, 'hex');
+    if (!crypto.timingSafeEqual(expectedHash, Buffer.from(tokenHash, 'hex'))) {
+        return { success: false, error: 'Sesión inválida o expirada' };
+    }
+
+    session.lastUsedAt = nowSeconds();
+    return { success: true, tokens: issueTokens(session) };
+}
+
+/**
+ * Verifica un access token y que su sesión siga activa
+ * @returns {{valid: boolean, userId?: string, sessionId?: string, error?: string}}
+ */
+function verifyAccessToken(accessToken) {
+    const result = verifyToken(accessToken, SESSION_SECRET);
+    if (!result.valid) {
+        return result;
+    }
+
+    const session = sessions.get(result.payload.sid);
+    if (!isActive(session)) {
+        return { valid: false, error: 'Sesión revocada o expirada' };
+    }
+
+    return {
+        valid: true,
+        userId: result.payload.sub,
+        sessionId: session.id
+    };
+}
+
+function revokeSession(sessionId, reason = 'logout') {
+    const session = sessions.get(sessionId);
+    if (!session || session.revokedAt) {
+        return false;
+    }
+
+    session.revokedAt = nowSeconds();
+    session.revokedReason = reason;
+    sessions.set(session.id, session);
+    console.log('[Sessions] Sesión revocada:', sessionId, `(${reason})`);
+    return true;
+}
+
+/**
+ * Revoca todas las sesiones activas de un usuario
+ * @param {string} [exceptSessionId] - Sesión que se mantiene (la actual)
+ * @returns {number} - Cantidad de sesiones revocadas
+ */
+function revokeUserSessions(userId, reason = 'logout_all', exceptSessionId = null) {
+    let revoked = 0;
+    for (const session of sessions.values()) {
+        if (session.userId !== userId || session.id === exceptSessionId) continue;
+        if (revokeSession(session.id, reason)) revoked++;
+    }
+    return revoked;
+}
+
+/**
+ * Sesiones activas de un usuario (sin hashes de tokens)
+ */
+function listUserSessions(userId) {
+    return sessions.values()
+        .filter(session => session.userId === userId && isActive(session))
+        .map(session => ({
+            id: session.id,
+            createdAt: new Date(session.createdAt * 1000).toISOString(),
+            lastUsedAt: new Date(session.lastUsedAt * 1000).toISOString(),
+            expiresAt: new Date(session.expiresAt * 1000).toISOString(),
+            ip: session.ip,
+            userAgent: session.userAgent
+        }));
+}
+
+function getSession(sessionId) {
+    return sessions.get(sessionId);
+}
+
+/**
+ * Limpia sesiones expiradas o revocadas hace tiempo
+ */
+function purgeExpiredSessions() {
+    const now = nowSeconds();
+    return sessions.deleteWhere(session =>
+        session.expiresAt <= now || (session.revokedAt && now - session.revokedAt > REFRESH_TOKEN_TTL)
+    );
+}
+
+purgeExpiredSessions();
+
+module.exports = {
+    createSession,
+    refreshSession,
+    verifyAccessToken,
+    revokeSession,
+    revokeUserSessions,
+    listUserSessions,
+    getSession
+};
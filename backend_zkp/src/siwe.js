@@ -0,0 +1,187 @@
+/**
+ * SIWE - Sign-In with Ethereum (EIP-4361)
+ *
+ * Flujo:
+ * 1. El frontend pide un nonce → recibe el mensaje SIWE a firmar
+ * 2. La wallet firma el mensaje (personal_sign)
+ * 3. El backend recupera el firmante secp256k1 y lo compara con la dirección,
+ *    revisa que el nonce exista, no esté usado y no haya expirado
+ *
+ * Aquí sí usamos ethers: solo para recuperar el firmante (EIP-191),
+ * no firmamos ni enviamos transacciones.
+ */
+
+const crypto = require('crypto');
+const { getAddress, verifyMessage } = require('ethers');
+const { JsonCollection } = require('./json-storage');
+const { validateWalletAddress } = require('./validador');
+
+const SIWE_NONCE_TTL = parseInt(process.env.SIWE_NONCE_TTL, 10) || 5 * 60; // segundos
+const SIWE_CHAIN_ID = parseInt(process.env.SIWE_CHAIN_ID, 10) || 80002; // Polygon Amoy
+const SIWE_STATEMENT = 'Inicia sesión en el sistema ZKP con tu wallet.';
+// Nonces vigentes: en total (cada uno se guarda en siwe-nonces.json) y por wallet
+const SIWE_MAX_PENDING_NONCES = parseInt(process.env.SIWE_MAX_PENDING_NONCES, 10) || 1000;
+const SIWE_MAX_NONCES_PER_WALLET = 5;
+
+const nonces = new JsonCollection('siwe-nonces.json');
+
+/**
+ * Demasiados nonces vigentes (en total o para la wallet)
+ */
+class SiweNonceLimitError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SiweNonceLimitError';
+    }
+}
+
+/**
+ * Arma el texto del mensaje según EIP-4361
+ */
+function buildSiweMessage({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) {
+    return [
+        `${domain} wants you to sign in with your Ethereum account:`,
+        address,
+        '',
+        statement,
+        '',
+        `URI: ${uri}`,
+        'Version: 1',
+        `Chain ID: ${chainId}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${issuedAt}`,
+        `Expiration Time: ${expirationTime}`
+    ].join('\n');
+}
+
+/**
+ * Extrae los campos de un mensaje SIWE
+ * @returns {Object|null} - null si el mensaje no tiene el formato esperado
+ */
+function parseSiweMessage(message) {
+    if (typeof message !== 'string') return null;
+
+    const lines = message.split('\n');
+    const header = lines[0]?.match(/^(.+) wants you to sign in with your Ethereum account:$/);
+    if (!header) return null;
+
+    const fields = {};
+    for (const line of lines) {
+        const match = line.match(/^(URI|Version|Chain ID|Nonce|Issued At|Expiration Time): (.+)$/);
+        if (match) fields[match[1]] = match[2];
+    }
+
+    return {
+        domain: header[1],
+        address: lines[1],
+        uri: fields['URI'],
+        version: fields['Version'],
+        chainId: fields['Chain ID'] ? Number(fields['Chain ID']) : null,
+        nonce: fields['Nonce'],
+        issuedAt: fields['Issued At'],
+        expirationTime: fields['Expiration Time']
+    };
+}
+
+/**
+ * Genera un nonce de un solo uso y el mensaje SIWE a firmar
+ * @param {string} walletAddress - Dirección que va a firmar
+ * @param {Object} origin - { domain, uri } del frontend
+ * @throws {SiweNonceLimitError} - Límite de nonces vigentes alcanzado
+ */
+function createSiweChallenge(walletAddress, { domain, uri }) {
+    if (!validateWalletAddress(walletAddress)) {
+        throw new Error('Wallet address inválida');
+    }
+
+    const now = Date.now();
+    nonces.deleteWhere(record => record.expiresAt <= now);
+
+    // Los nonces expiran solos: el límite acota el archivo sin borrar los de nadie
+    const pending = nonces.values();
+    if (pending.length >= SIWE_MAX_PENDING_NONCES) {
+        throw new SiweNonceLimitError('Demasiados nonces pendientes, intenta en unos minutos');
+    }
+    const walletPending = pending.filter(record => record.walletAddress === walletAddress.toLowerCase() && !record.usedAt);
+    if (walletPending.length >= SIWE_MAX_NONCES_PER_WALLET) {
+        throw new SiweNonceLimitError('La wallet tiene demasiados nonces sin usar, firma uno de ellos o espera a que expiren');
+    }
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expiresAt = now + SIWE_NONCE_TTL * 1000;
+
+    const message = buildSiweMessage({
+        domain,
+        address: getAddress(walletAddress.toLowerCase()),
+        statement: SIWE_STATEMENT,
+        uri,
+        chainId: SIWE_CHAIN_ID,
+        nonce,
+        issuedAt: new Date(now).toISOString(),
+        expirationTime: new Date(expiresAt).toISOString()
+    });
+
+    nonces.set(nonce, {
+        nonce,
+        walletAddress: walletAddress.toLowerCase(),
+        message,
+        expiresAt,
+        usedAt: null
+    });
+
+    return {
+        nonce,
+        message,
+        expiresAt: new Date(expiresAt).toISOString()
+    };
+}
+
+/**
+ * Verifica un mensaje SIWE firmado y consume su nonce
+ * @returns {{valid: boolean, walletAddress?: string, error?: string}}
+ */
+function verifySiweSignature(message, signature) {
+    const parsed = parseSiweMessage(message);
+    if (!parsed || !parsed.nonce) {
+        return { valid: false, error: 'Mensaje SIWE mal formado' };
+    }
+
+    const record = nonces.get(parsed.nonce);
+    if (!record || record.usedAt) {
+        return { valid: false, error: 'Nonce desconocido o ya utilizado' };
+    }
+
+    if (record.expiresAt <= Date.now()) {
+        nonces.delete(parsed.nonce);
+        return { valid: false, error: 'Nonce expirado, solicita uno nuevo' };
+    }
+
+    // El mensaje firmado debe ser exactamente el que emitimos
+    if (record.message !== message) {
+        return { valid: false, error: 'El mensaje no coincide con el desafío emitido' };
+    }
+
+    let recovered;
+    try {
+        recovered = verifyMessage(message, signature);
+    } catch (error) {
+        return { valid: false, error: 'Firma inválida' };
+    }
+
+    if (recovered.toLowerCase() !== record.walletAddress) {
+        return { valid: false, error: 'La firma no corresponde a la wallet' };
+    }
+
+    record.usedAt = Date.now();
+    nonces.set(parsed.nonce, record);
+
+    return { valid: true, walletAddress: getAddress(recovered) };
+}
+
+module.exports = {
+    SiweNonceLimitError,
+    buildSiweMessage,
+    parseSiweMessage,
+    createSiweChallenge,
+    verifySiweSignature
+};
@@ -0,0 +1,385 @@
+/**
+ * SYNC QUEUE - Sincronización de DIDs y credenciales pending_issuer
+ *
+ * Cuando el Issuer Node no responde, el registro usa un DID local y/o una
+ * credencial local con status 'pending_issuer'. Cada fallback deja un job
+ * en esta cola (persistida en DATA_DIR/sync-jobs.json). El worker:
+ *
+ * 1. Espera a que el Issuer Node responda (sin gastar intentos)
+ * 2. Crea el DID real si el usuario tiene uno local
+ * 3. Emite la credencial real con los datos actuales del usuario
+ * 4. Reemplaza DID y credencial del usuario; la local queda 'superseded'
+ *
+ * Las credenciales de POST /api/credentials (issued-credentials.js) usan
+ * jobs kind 'credential': se reemite la credencial con los mismos
+ * parámetros y la local queda 'superseded' en el registro.
+ *
+ * Las revocaciones que el Issuer Node no aceptó usan jobs kind 'revocation':
+ * se reintenta revocar por revocationNonce y el registro local pasa a
+ * issuerSync 'done'.
+ *
+ * Si un intento falla se reprograma con back-off exponencial + jitter.
+ * Tras SYNC_MAX_ATTEMPTS queda 'failed' (se puede reintentar desde admin).
+ */
+
+const crypto = require('crypto');
+const { JsonCollection } = require('./json-storage');
+const { getUserRepository } = require('./user-store');
+const { CredentialSubjectValidationError } = require('./credential-schemas');
+const { getIssuedCredential, recordIssuedCredential, markSuperseded } = require('./issued-credentials');
+const { markIssuerRevoked } = require('./revocation-registry');
+const {
+    isIssuerReachable,
+    requestDIDFromIssuer,
+    issueCredentialInIssuer,
+    issueSchemaCredentialInIssuer,
+    revokeCredentialInIssuer
+} = require('./issuer');
+
+const SYNC_INTERVAL_MS = parseInt(process.env.SYNC_INTERVAL_MS, 10) || 30 * 1000;
+const SYNC_MAX_ATTEMPTS = parseInt(process.env.SYNC_MAX_ATTEMPTS, 10) || 10;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+const JOB_STATUSES = ['pending', 'running', 'done', 'failed'];
+
+const jobs = new JsonCollection('sync-jobs.json');
+let workerTimer = null;
+let tickRunning = false;
+
+function needsIdentitySync(user) {
+    return user.zkpData?.state === 'pending_issuer';
+}
+
+function needsCredentialSync(user) {
+    return user.credential?.status === 'pending_issuer';
+}
+
+function backoffDelay(attempts) {
+    const delay = Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Encola la sincronización de un usuario si tiene DID o credencial locales.
+ * Si ya hay un job abierto para el usuario no se crea otro.
+ * @returns {Object|null} - Job encolado (o el existente), null si no hace falta
+ */
+function enqueueUserSync(user) {
+    if (!needsIdentitySync(user) && !needsCredentialSync(user)) {
+        return null;
+    }
+
+    const open = jobs.values().find(job =>
+        !job.kind && job.userId === user.id && (job.status === 'pending' || job.status === 'running')
+    );
+    if (open) return open;
+
+    const now = Date.now();
+    const job = {
+        id: `sync_${crypto.randomUUID()}`,
+        userId: user.id,
+        status: 'pending',
+        reasons: [
+            ...(needsIdentitySync(user) ? ['identity'] : []),
+            ...(needsCredentialSync(user) ? ['credential'] : [])
+        ],
+        attempts: 0,
+        nextAttemptAt: now,
+        lastError: null,
+        result: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    jobs.set(job.id, job);
+    console.log('[SyncQueue] Job encolado:', job.id, 'usuario:', user.id, job.reasons);
+    return job;
+}
+
+/**
+ * Encola la reemisión de una credencial local de POST /api/credentials
+ * @returns {Object} - Job encolado (o el existente)
+ */
+function enqueueCredentialSync(record) {
+    const open = jobs.values().find(job =>
+        job.credentialId === record.id && (job.status === 'pending' || job.status === 'running')
+    );
+    if (open) return open;
+
+    const now = Date.now();
+    const job = {
+        id: `sync_${crypto.randomUUID()}`,
+        kind: 'credential',
+        credentialId: record.id,
+        status: 'pending',
+        reasons: ['credential'],
+        attempts: 0,
+        nextAttemptAt: now,
+        lastError: null,
+        result: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    jobs.set(job.id, job);
+    console.log('[SyncQueue] Job encolado:', job.id, 'credencial:', record.id);
+    return job;
+}
+
+/**
+ * Encola la revocación en el Issuer Node de una credencial que el nodo no
+ * pudo revocar (ya está revocada en el registro local)
+ * @returns {Object} - Job encolado (o el existente)
+ */
+function enqueueRevocationSync(user, credential) {
+    const open = jobs.values().find(job =>
+        job.kind === 'revocation' && job.credentialId === credential.id
+        && (job.status === 'pending' || job.status === 'running')
+    );
+    if (open) return open;
+
+    const now = Date.now();
+    const job = {
+        id: `sync_${crypto.randomUUID()}`,
+        kind: 'revocation',
+        userId: user.id,
+        credentialId: credential.id,
+        credential: credential,
+        status: 'pending',
+        reasons: ['revocation'],
+        attempts: 0,
+        nextAttemptAt: now,
+        lastError: null,
+        result: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    jobs.set(job.id, job);
+    console.log('[SyncQueue] Job encolado:', job.id, 'revocación:', credential.id);
+    return job;
+}
+
+/**
+ * Revoca en el Issuer Node una credencial ya revocada en el registro local
+ */
+async function runRevocationJob(job) {
+    await revokeCredentialInIssuer(job.credential);
+    markIssuerRevoked(job.credential);
+    await getUserRepository().updateCredentialStatus(job.userId, job.credentialId, 'revoked', {
+        issuerRevoked: true
+    });
+
+    console.log('[SyncQueue] Revocación sincronizada:', job.credentialId);
+    return { credentialId: job.credentialId, issuerRevoked: true };
+}
+
+/**
+ * Reemite en el Issuer Node una credencial local del registro
+ */
+async function runCredentialJob(job) {
+    const record = getIssuedCredential(job.credentialId);
+    if (!record || record.status !== 'pending_issuer') {
+        return { skipped: true, reason: 'La credencial ya no está pendiente' };
+    }
+
+    const credential = await issueSchemaCredentialInIssuer(record.request);
+    recordIssuedCredential(credential, record.request);
+    markSuperseded(record.id, credential.id);
+
+    console.log('[SyncQueue] Credencial sincronizada:', record.id, '→', credential.id);
+    return { previousCredentialId: record.id, credentialId: credential.id };
+}
+
+/**
+ * Ejecuta un job: DID real (si hace falta) y credencial real
+ */
+async function runJob(job) {
+    if (job.kind === 'credential') {
+        return runCredentialJob(job);
+    }
+    if (job.kind === 'revocation') {
+        return runRevocationJob(job);
+    }
+
+    const userRepository = getUserRepository();
+    const user = await userRepository.getUserById(job.userId);
+
+    if (!user) {
+        return { skipped: true, reason: 'Usuario eliminado' };
+    }
+
+    let current = user;
+    const result = { previousDID: user.did, did: user.did, credentialId: null };
+
+    if (needsIdentitySync(current)) {
+        const identity = await requestDIDFromIssuer();
+        current = await userRepository.saveUser({
+            id: current.id,
+            did: identity.identifier,
+            zkpData: {
+                identifier: identity.identifier,
+                state: identity.state || 'active'
+            }
+        });
+        result.did = identity.identifier;
+        console.log('[SyncQueue] DID sincronizado:', result.previousDID, '→', result.did);
+    }
+
+    const didChanged = result.did !== result.previousDID;
+    if (needsCredentialSync(current) || didChanged) {
+        const previousCredential = current.credential;
+        const credential = await issueCredentialInIssuer(current.did, {
+            fullName: current.name,
+            email: current.email || undefined,
+            walletAddress: current.walletAddress || undefined,
+            authMethod: current.authMethod,
+            accountState: current.accountState || 'active',
+            isVerified: current.isVerified || false
+        });
+
+        if (previousCredential?.id) {
+            await userRepository.updateCredentialStatus(current.id, previousCredential.id, 'superseded', {
+                supersededBy: credential.id
+            });
+        }
+        await userRepository.addCredential(current.id, credential);
+        result.credentialId = credential.id;
+        console.log('[SyncQueue] Credencial sincronizada:', previousCredential?.id, '→', credential.id);
+    }
+
+    return result;
+}
+
+async function processJob(job) {
+    const now = Date.now();
+    job.status = 'running';
+    job.attempts += 1;
+    job.updatedAt = now;
+    jobs.set(job.id, job);
+
+    try {
+        job.result = await runJob(job);
+        job.status = 'done';
+        job.lastError = null;
+        job.completedAt = Date.now();
+        console.log('[SyncQueue] ✅ Job completado:', job.id);
+    } catch (error) {
+        job.lastError = error.message;
+
+        // Datos que no cumplen el schema no se arreglan reintentando
+        if (job.attempts >= SYNC_MAX_ATTEMPTS || error instanceof CredentialSubjectValidationError) {
+            job.status = 'failed';
+            console.error('[SyncQueue] ❌ Job fallido definitivamente:', job.id, job.lastError);
+        } else {
+            job.status = 'pending';
+            job.nextAttemptAt = Date.now() + backoffDelay(job.attempts);
+            console.warn('[SyncQueue] ⚠️ Job reprogramado:', job.id, `(intento ${job.attempts})`, job.lastError);
+        }
+    }
+
+    job.updatedAt = Date.now();
+    jobs.set(job.id, job);
+    return job;
+}
+
+/**
+ * Procesa los jobs vencidos si el Issuer Node está disponible
+ * @returns {Promise<{issuerReachable: boolean, processed: number}>}
+ */
+async function runSyncTick() {
+    if (tickRunning) {
+        return { issuerReachable: null, processed: 0, skipped: 'tick en curso' };
+    }
+
+    tickRunning = true;
+    try {
+        const now = Date.now();
+        const due = jobs.values()
+            .filter(job => job.status === 'pending' && job.nextAttemptAt <= now)
+            .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+
+        if (due.length === 0) {
+            return { issuerReachable: null, processed: 0 };
+        }
+
+        if (!(await isIssuerReachable())) {
+            return { issuerReachable: false, processed: 0 };
+        }
+
+        for (const job of due) {
+            await processJob(job);
+        }
+
+        return { issuerReachable: true, processed: due.length };
+    } finally {
+        tickRunning = false;
+    }
+}
+
+/**
+ * Arranca el worker periódico (una sola vez por proceso)
+ */
+function startSyncWorker() {
+    if (workerTimer) return;
+
+    // Un job que quedó 'running' fue interrumpido por un reinicio
+    for (const job of jobs.values()) {
+        if (job.status === 'running') {
+            jobs.set(job.id, { ...job, status: 'pending', nextAttemptAt: Date.now() });
+        }
+    }
+
+    workerTimer = setInterval(() => {
+        runSyncTick().catch(error => console.error('[SyncQueue] Error en tick:', error.message));
+    }, SYNC_INTERVAL_MS);
+    workerTimer.unref();
+
+    console.log(`[SyncQueue] Worker iniciado (cada ${SYNC_INTERVAL_MS / 1000}s)`);
+}
+
+function stopSyncWorker() {
+    clearInterval(workerTimer);
+    workerTimer = null;
+}
+
+function listJobs({ status } = {}) {
+    return jobs.values()
+        .filter(job => !status || job.status === status)
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function getJob(jobId) {
+    return jobs.get(jobId);
+}
+
+/**
+ * Vuelve a poner un job en cola para el próximo tick
+ */
+function retryJob(jobId) {
+    const job = jobs.get(jobId);
+    if (!job || job.status === 'done' || job.status === 'running') {
+        return null;
+    }
+
+    job.status = 'pending';
+    job.attempts = 0;
+    job.nextAttemptAt = Date.now();
+    job.updatedAt = Date.now();
+    jobs.set(job.id, job);
+    return job;
+}
+
+module.exports = {
+    JOB_STATUSES,
+    enqueueUserSync,
+    enqueueCredentialSync,
+    enqueueRevocationSync,
+    runSyncTick,
+    startSyncWorker,
+    stopSyncWorker,
+    listJobs,
+    getJob,
+    retryJob
+};
@@ -0,0 +1,76 @@
+/**
+ * TOKENS - Access tokens firmados (JWT HS256)
+ *
+ * Implementado con crypto nativo: solo necesitamos firmar y verificar
+ * con HMAC, no hace falta una librería completa de JWT.
+ */
+
+const crypto = require('crypto');
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+function sign(data, secret) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Firma un token con expiración
+ * @param {Object} payload - Claims del token (sub, sid, ...)
+ * @param {string} secret - Secreto HMAC
+ * @param {number} ttlSeconds - Segundos de validez
+ * @returns {string} - Token JWT
+ */
+function signToken(payload, secret, ttlSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify({
+        ...payload,
+        iat: now,
+        exp: now + ttlSeconds
+    }));
+
+    return `${header}.${body}.${sign(`${header}.${body}`, secret)}`;
+}
+
+/**
+ * Verifica firma y expiración de un token
+ * @returns {{valid: boolean, payload?: Object, error?: string}}
+ */
+function verifyToken(token, secret) {
+    if (typeof token !== 'string') {
+        return { valid: false, error: 'Token ausente' };
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        return { valid: false, error: 'Token mal formado' };
+    }
+
+    const [header, body, signature] = parts;
+    const expected = Buffer.from(sign(`${header}.${body}`, secret));
+    const received = Buffer.from(signature);
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return { valid: false, error: 'Firma inválida' };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+        return { valid: false, error: 'Payload inválido' };
+    }
+
+    if (!payload.exp || payload.exp <= Math.floor(Date.now() / 1000)) {
+        return { valid: false, error: 'Token expirado' };
+    }
+
+    return { valid: true, payload };
+}
+
+module.exports = {
+    signToken,
+    verifyToken
+};
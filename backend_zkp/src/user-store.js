@@ -0,0 +1,319 @@
+/**
+ * USER STORE - Repositorio de usuarios
+ *
+ * Interfaz común para guardar usuarios (email y wallet), su DID,
+ * su credencial actual y el historial de credenciales emitidas.
+ * Email, wallet y DID son únicos: saveUser rechaza los de otra cuenta.
+ *
+ * Backends:
+ * - file:   JSON en disco (por defecto), sobrevive a reinicios
+ * - memory: Map en memoria, pensado para pruebas
+ */
+
+const crypto = require('crypto');
+const { dataPath, readJSON, writeJSON } = require('./json-storage');
+
+// ============================================
+// MIGRACIONES DEL ARCHIVO DE USUARIOS
+// ============================================
+// Cada migración lleva el documento de la versión anterior a `version`.
+// Nunca modificar una migración ya publicada: agregar una nueva al final.
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Estructura inicial: usuarios indexados por id',
+        up(doc) {
+            doc.users = doc.users || {};
+        }
+    },
+    {
+        version: 2,
+        description: 'Historial de credenciales por usuario',
+        up(doc) {
+            for (const user of Object.values(doc.users)) {
+                if (Array.isArray(user.credentials)) continue;
+                user.credentials = user.credential
+                    ? [createHistoryEntry(user.credential, user.createdAt)]
+                    : [];
+            }
+        }
+    }
+];
+
+const CURRENT_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Aplica las migraciones pendientes sobre un documento
+ */
+function migrate(doc) {
+    const migrated = doc || { version: 0 };
+    const fromVersion = migrated.version || 0;
+
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= fromVersion) continue;
+        console.log(`[UserStore] Migración v${migration.version}: ${migration.description}`);
+        migration.up(migrated);
+        migrated.version = migration.version;
+    }
+
+    return migrated;
+}
+
+function normalizeEmail(email) {
+    return email ? email.toLowerCase() : null;
+}
+
+function normalizeWallet(walletAddress) {
+    return walletAddress ? walletAddress.toLowerCase() : null;
+}
+
+/**
+ * Email, wallet o DID que ya pertenece a otro usuario
+ */
+class UserConflictError extends Error {
+    constructor(field, value) {
+        super(`El ${field} ya pertenece a otra cuenta: ${value}`);
+        this.name = 'UserConflictError';
+        this.field = field;
+    }
+}
+
+function createHistoryEntry(credential, issuedAt = new Date().toISOString()) {
+    return {
+        id: credential?.id || null,
+        status: credential?.status || 'issued',
+        issuedAt: issuedAt,
+        credential: credential
+    };
+}
+
+// ============================================
+// BACKEND EN MEMORIA
+// ============================================
+class MemoryUserRepository {
+    constructor() {
+        this.users = new Map();
+        this.emailIndex = new Map();
+        this.walletIndex = new Map();
+        this.didIndex = new Map();
+    }
+
+    /**
+     * Crea o actualiza un usuario. Si no trae id se le asigna uno.
+     * La comprobación de unicidad y el guardado no se separan con ningún
+     * await: dos registros simultáneos no pueden crear la misma cuenta.
+     * @returns {Promise<Object>} - Usuario guardado
+     * @throws {UserConflictError} - Email, wallet o DID de otro usuario
+     */
+    async saveUser(userData) {
+        const id = userData.id || `user_${crypto.randomUUID()}`;
+        const previous = this.users.get(id);
+        const now = new Date().toISOString();
+
+        const user = {
+            credentials: [],
+            ...previous,
+            ...userData,
+            id: id,
+            createdAt: previous?.createdAt || userData.createdAt || now,
+            savedAt: now
+        };
+
+        this._checkUnique(user);
+        this._unindex(previous);
+        this.users.set(id, structuredClone(user));
+        this._index(user);
+
+        console.log('[UserStore] Usuario guardado:', user.email || user.walletAddress || id);
+        return structuredClone(user);
+    }
+
+    async getUserById(id) {
+        const user = this.users.get(id);
+        return user ? structuredClone(user) : null;
+    }
+
+    async getUserByEmail(email) {
+        const id = this.emailIndex.get(normalizeEmail(email));
+        return id ? this.getUserById(id) : null;
+    }
+
+    async getUserByWallet(walletAddress) {
+        const id = this.walletIndex.get(normalizeWallet(walletAddress));
+        return id ? this.getUserById(id) : null;
+    }
+
+    async getUserByDID(did) {
+        const id = this.didIndex.get(did);
+        return id ? this.getUserById(id) : null;
+    }
+
+    async userExists(email) {
+        return this.emailIndex.has(normalizeEmail(email));
+    }
+
+    async listUsers() {
+        return [...this.users.values()].map(user => structuredClone(user));
+    }
+
+    /**
+     * Registra una credencial nueva: pasa a ser la actual y se agrega al historial
+     */
+    async addCredential(userId, credential) {
+        const user = this.users.get(userId);
+        if (!user) {
+            throw new Error(`Usuario no encontrado: ${userId}`);
+        }
+
+        user.credential = credential;
+        user.credentials = [...(user.credentials || []), createHistoryEntry(credential)];
+        user.savedAt = new Date().toISOString();
+
+        return structuredClone(user);
+    }
+
+    /**
+     * Cambia el estado de una credencial del historial (p. ej. 'revoked')
+     */
+    async updateCredentialStatus(userId, credentialId, status, extra = {}) {
+        const user = this.users.get(userId);
+        const entry = user?.credentials?.find(item => item.id === credentialId);
+        if (!entry) {
+            return null;
+        }
+
+        Object.assign(entry, extra, { status, updatedAt: new Date().toISOString() });
+        user.savedAt = new Date().toISOString();
+
+        return structuredClone(entry);
+    }
+
+    /**
+     * Historial de credenciales de un usuario (más reciente al final)
+     */
+    async getCredentialHistory(userId) {
+        const user = this.users.get(userId);
+        return user ? structuredClone(user.credentials || []) : [];
+    }
+
+    _checkUnique(user) {
+        const owners = [
+            ['email', user.email, this.emailIndex.get(normalizeEmail(user.email))],
+            ['walletAddress', user.walletAddress, this.walletIndex.get(normalizeWallet(user.walletAddress))],
+            ['did', user.did, this.didIndex.get(user.did)]
+        ];
+
+        for (const [field, value, ownerId] of owners) {
+            if (value && ownerId && ownerId !== user.id) {
+                throw new UserConflictError(field, value);
+            }
+        }
+    }
+
+    _index(user) {
+        if (!user) return;
+        if (user.email) this.emailIndex.set(normalizeEmail(user.email), user.id);
+        if (user.walletAddress) this.walletIndex.set(normalizeWallet(user.walletAddress), user.id);
+        if (user.did) this.didIndex.set(user.did, user.id);
+    }
+
+    _unindex(user) {
+        if (!user) return;
+        if (user.email) this.emailIndex.delete(normalizeEmail(user.email));
+        if (user.walletAddress) this.walletIndex.delete(normalizeWallet(user.walletAddress));
+        if (user.did) this.didIndex.delete(user.did);
+    }
+}
+
+// ============================================
+// BACKEND EN ARCHIVO JSON
+// ============================================
+class FileUserRepository extends MemoryUserRepository {
+    constructor(filePath = dataPath('users.json')) {
+        super();
+        this.filePath = filePath;
+        this._load();
+    }
+
+    async saveUser(userData) {
+        const user = await super.saveUser(userData);
+        this._persist();
+        return user;
+    }
+
+    async addCredential(userId, credential) {
+        const user = await super.addCredential(userId, credential);
+        this._persist();
+        return user;
+    }
+
+    async updateCredentialStatus(userId, credentialId, status, extra) {
+        const entry = await super.updateCredentialStatus(userId, credentialId, status, extra);
+        if (entry) this._persist();
+        return entry;
+    }
+
+    _load() {
+        const stored = readJSON(this.filePath);
+        // migrate() modifica el documento: la versión leída se guarda antes
+        const storedVersion = stored?.version;
+        const doc = migrate(stored);
+
+        for (const user of Object.values(doc.users)) {
+            this.users.set(user.id, user);
+            this._index(user);
+        }
+
+        if (!stored || storedVersion !== doc.version) {
+            this._persist();
+        }
+
+        console.log(`[UserStore] ${this.users.size} usuarios cargados desde ${this.filePath}`);
+    }
+
+    _persist() {
+        writeJSON(this.filePath, {
+            version: CURRENT_VERSION,
+            users: Object.fromEntries(this.users)
+        });
+    }
+}
+
+/**
+ * Crea el repositorio según USER_STORE ('file' por defecto, o 'memory')
+ */
+function createUserRepository(options = {}) {
+    const backend = options.backend || process.env.USER_STORE || process.env.STORE_BACKEND || 'file';
+
+    if (backend === 'memory') {
+        return new MemoryUserRepository();
+    }
+
+    if (backend === 'file') {
+        return new FileUserRepository(options.filePath || process.env.USER_STORE_PATH || dataPath('users.json'));
+    }
+
+    throw new Error(`USER_STORE desconocido: ${backend}`);
+}
+
+let defaultRepository = null;
+
+/**
+ * Repositorio compartido por todas las rutas del backend
+ */
+function getUserRepository() {
+    if (!defaultRepository) {
+        defaultRepository = createUserRepository();
+    }
+    return defaultRepository;
+}
+
+module.exports = {
+    UserConflictError,
+    MemoryUserRepository,
+    FileUserRepository,
+    createUserRepository,
+    getUserRepository,
+    migrate,
+    CURRENT_VERSION
+};
@@ -7,6 +7,7 @@
  * 
  * Aquí solo hasheamos datos, no firmamos transacciones.
  * El Issuer Node hace las firmas criptográficas ZKP.
+ * (ethers solo se usa en siwe.js para recuperar el firmante de una wallet)
  */
 
 const crypto = require('crypto');
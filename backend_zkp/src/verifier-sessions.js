@@ -0,0 +1,336 @@
+/**
+ * VERIFIER SESSIONS - Login con prueba ZKP (flujo de autorización iden3comm)
+ *
+ * 1. El frontend crea una sesión: se arma un authorization request con el
+ *    scope (queries de zkp-proofs.js), la callback URL y el id de sesión
+ * 2. La wallet lo lee (QR / deep link), genera las pruebas y envía el JWZ
+ *    de respuesta a la callback
+ * 3. Se verifica el JWZ (prueba authV2 del remitente) y cada prueba del
+ *    scope; la sesión queda verified o rejected
+ * 4. El frontend consulta la sesión con su secreto y recibe la sesión de login
+ *
+ * Los ids del scope son aleatorios por sesión: el requestID de cada prueba
+ * la ata a esta sesión. Con proofType V3 cada query pide además el nullifier
+ * de una campaña registrada (campaign): la misma credencial no vuelve a
+ * responder en esa campaña, ni en otra sesión. Expira en VERIFIER_SESSION_TTL segundos (10 min)
+ * y hay como mucho VERIFIER_SESSION_MAX_PENDING sesiones pendientes.
+ */
+
+const crypto = require('crypto');
+const { JsonCollection } = require('./json-storage');
+const { InvalidProofFormatError } = require('./groth16-verifier');
+const { verifyScopeProofs } = require('./proof-verifier');
+const { verifyJWZ } = require('./jwz');
+const { randomRequestId } = require('./proof-requests');
+const { getCampaign } = require('./nullifier-campaigns');
+const { DISCLOSABLE_FIELDS, QueryValidationError, buildCredentialQuery } = require('./query-builder');
+const {
+    createZKPProofRequest,
+    createV3ProofRequest,
+    createVerificationQuery,
+    createAccountStateQuery,
+    createAuthMethodQuery,
+    createEmailRegistrationQuery,
+    createWalletRegistrationQuery,
+    createAccountAgeQuery,
+    createDisclosureQuery
+} = require('./zkp-proofs');
+
+const VERIFIER_SESSION_TTL = parseInt(process.env.VERIFIER_SESSION_TTL, 10) || 10 * 60;
+const VERIFIER_SESSION_MAX_PENDING = parseInt(process.env.VERIFIER_SESSION_MAX_PENDING, 10) || 10000;
+
+const AUTH_REQUEST_TYPE = 'https://iden3-communication.io/authorization/1.0/request';
+const AUTH_RESPONSE_TYPE = 'https://iden3-communication.io/authorization/1.0/response';
+const PLAIN_MESSAGE_TYPE = 'application/iden3comm-plain-json';
+
+// proofType de la sesión → circuito de cada query del scope
+const SESSION_CIRCUITS = {
+    MTP: 'credentialAtomicQueryMTPV2',
+    SIG: 'credentialAtomicQuerySigV2',
+    V3: 'credentialAtomicQueryV3'
+};
+
+// Qué puede pedir el frontend: nombre → query de zkp-proofs.js
+const SCOPE_PRESETS = {
+    verification: () => createVerificationQuery(true),
+    accountState: () => createAccountStateQuery('active'),
+    authMethod: (params) => createAuthMethodQuery(params.authMethod || 'wallet'),
+    emailRegistration: () => createEmailRegistrationQuery(),
+    walletRegistration: () => createWalletRegistrationQuery(),
+    accountAge: (params) => createAccountAgeQuery(Number(params.minDays) || 30)
+};
+
+const sessions = new JsonCollection('verifier-sessions.json');
+
+class VerifierSessionLimitError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'VerifierSessionLimitError';
+    }
+}
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function getCallbackUrl(sessionId) {
+    const baseUrl = process.env.VERIFIER_CALLBACK_URL
+        || `${process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`}/api/verifier/callback`;
+    return `${baseUrl}?sessionId=${encodeURIComponent(sessionId)}`;
+}
+
+/**
+ * nullifierSessionId fijo de la campaña de una sesión V3
+ * @throws {QueryValidationError} - Sin campaña o no registrada
+ */
+function getSessionCampaign(params) {
+    const campaign = getCampaign(params.campaign);
+    if (!campaign) {
+        throw new QueryValidationError('Campaña de nullifier no válida', [{
+            field: null,
+            operator: null,
+            error: params.campaign === undefined
+                ? 'proofType V3 necesita campaign (una campaña de nullifier registrada)'
+                : `La campaña ${params.campaign} no está registrada`
+        }]);
+    }
+    return campaign.nullifierSessionId;
+}
+
+/**
+ * Scope del authorization request: una entrada por campo,
+ * los circuitos V2 solo prueban una condición cada uno.
+ * Los campos de `disclose` se piden con divulgación selectiva.
+ */
+function buildScope(presets, params, issuerDID) {
+    const circuitId = SESSION_CIRCUITS[params.proofType] || SESSION_CIRCUITS.MTP;
+    const nullifierSessionId = circuitId === SESSION_CIRCUITS.V3 ? getSessionCampaign(params) : null;
+
+    const claimQueries = presets.map(preset => SCOPE_PRESETS[preset](params));
+    for (const field of params.disclose || []) {
+        claimQueries.push(createDisclosureQuery(field));
+    }
+
+    const scope = [];
+    for (const presetQuery of claimQueries) {
+        // Parámetros del frontend (minDays, authMethod): se valida contra el schema
+        const claimQuery = buildCredentialQuery('ZKPAuthCredential', presetQuery);
+
+        for (const [field, condition] of Object.entries(claimQuery)) {
+            if (circuitId === SESSION_CIRCUITS.V3) {
+                // Nullifier de la campaña: cada credencial responde una sola vez en ella
+                const { query, params: v3Params } = createV3ProofRequest(null, { [field]: condition }, {
+                    nullifierSessionId,
+                    verifierDID: params.verifierDID
+                });
+                query.allowedIssuers = [issuerDID];
+                scope.push({ id: randomRequestId(), circuitId, query, params: v3Params });
+                continue;
+            }
+
+            const { query } = createZKPProofRequest(null, { [field]: condition });
+            query.allowedIssuers = [issuerDID];
+
+            scope.push({ id: randomRequestId(), circuitId, query });
+        }
+    }
+    return scope;
+}
+
+function publicSession(session) {
+    if (!session) return null;
+    const { secretHash, ...rest } = session;
+    const expired = rest.status === 'pending' && rest.expiresAt <= Date.now();
+    return {
+        ...rest,
+        status: expired ? 'expired' : rest.status,
+        createdAt: new Date(rest.createdAt).toISOString(),
+        expiresAt: new Date(rest.expiresAt).toISOString()
+    };
+}
+
+/**
+ * Crea una sesión de verificación con su authorization request
+ * @param {Object} options
+ * @param {string} options.verifierDID - DID que firma el request (from)
+ * @param {string} options.issuerDID - Único issuer aceptado en las pruebas
+ * @param {Array<string>} [options.scope] - Presets de SCOPE_PRESETS (verification por defecto)
+ * @param {Array<string>} [options.disclose] - Campos a revelar, dentro de VERIFIER_DISCLOSABLE_FIELDS
+ * @param {string} [options.proofType] - "MTP" (por defecto), "SIG" o "V3" (con nullifier)
+ * @param {string} [options.campaign] - Obligatorio con V3: campaña de nullifier registrada
+ * @param {string} [options.reason]
+ * @returns {{session: Object, sessionSecret: string, request: Object}}
+ * @throws {InvalidProofFormatError} - Preset desconocido
+ * @throws {QueryValidationError} - El query no cumple el schema o el campo no es divulgable
+ * @throws {VerifierSessionLimitError} - Demasiadas sesiones pendientes sin vencer
+ */
+function createVerifierSession(options) {
+    const presets = options.scope?.length ? options.scope : ['verification'];
+    const unknown = presets.filter(preset => !Object.hasOwn(SCOPE_PRESETS, preset));
+    if (unknown.length > 0) {
+        throw new InvalidProofFormatError(
+            `Scope desconocido: ${unknown.join(', ')}. Disponibles: ${Object.keys(SCOPE_PRESETS).join(', ')}`
+        );
+    }
+
+    const disclose = options.disclose || [];
+    const notDisclosable = disclose.filter(field => !DISCLOSABLE_FIELDS.includes(field));
+    if (notDisclosable.length > 0) {
+        throw new QueryValidationError('Divulgación selectiva no permitida', notDisclosable.map(field => ({
+            field,
+            operator: null,
+            error: `${field} no se puede divulgar (permitidos: ${DISCLOSABLE_FIELDS.join(', ')})`
+        })));
+    }
+
+    const now = Date.now();
+    sessions.deleteWhere(record => record.expiresAt + VERIFIER_SESSION_TTL * 1000 <= now);
+    const pending = sessions.values().filter(record => record.status === 'pending' && record.expiresAt > now);
+    if (pending.length >= VERIFIER_SESSION_MAX_PENDING) {
+        throw new VerifierSessionLimitError('Demasiadas sesiones de verificación pendientes, intenta más tarde');
+    }
+
+    const id = crypto.randomUUID();
+    const sessionSecret = crypto.randomBytes(32).toString('base64url');
+
+    const request = {
+        id: id,
+        thid: id,
+        typ: PLAIN_MESSAGE_TYPE,
+        type: AUTH_REQUEST_TYPE,
+        from: options.verifierDID,
+        body: {
+            callbackUrl: getCallbackUrl(id),
+            reason: options.reason || 'Iniciar sesión con prueba ZKP',
+            scope: buildScope(presets, options, options.issuerDID)
+        }
+    };
+
+    const session = {
+        id: id,
+        status: 'pending',
+        presets: presets,
+        disclosure: { allowedFields: disclose },
+        request: request,
+        secretHash: hashSecret(sessionSecret),
+        createdAt: now,
+        expiresAt: now + VERIFIER_SESSION_TTL * 1000,
+        result: null,
+        loginIssuedAt: null
+    };
+    sessions.set(id, session);
+
+    console.log('[Verifier] Sesión creada:', id, '- scope:', presets.join(', '));
+    return { session: publicSession(session), sessionSecret, request };
+}
+
+/**
+ * Sesión pública (sin el hash del secreto). expired se calcula al leer.
+ */
+function getVerifierSession(sessionId) {
+    return publicSession(sessions.get(sessionId));
+}
+
+function checkSessionSecret(sessionId, secret) {
+    const session = sessions.get(sessionId);
+    if (!session || !secret || typeof secret !== 'string') return false;
+
+    const expected = Buffer.from(session.secretHash, 'hex');
+    const received = Buffer.from(hashSecret(secret), 'hex');
+    return crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Procesa la respuesta de la wallet (JWZ) para una sesión
+ * @returns {Promise<{valid: boolean, reason?: string, error?: string, session?: Object}>}
+ *   reason: not_found | not_pending | expired | unauthenticated | rejected
+ * @throws {InvalidProofFormatError} - JWZ o pruebas mal formados
+ * @throws {IssuerNodeError} - Circuito sin key local y el Issuer Node falla
+ * @throws {StateResolverError} - No se pudo consultar la raíz del GIST o los estados del issuer
+ */
+async function handleAuthorizationResponse(sessionId, token) {
+    const session = sessions.get(sessionId);
+    if (!session) {
+        return { valid: false, reason: 'not_found', error: 'Sesión no encontrada' };
+    }
+    if (session.status !== 'pending') {
+        return { valid: false, reason: 'not_pending', error: 'La sesión ya fue respondida' };
+    }
+    if (session.expiresAt <= Date.now()) {
+        return { valid: false, reason: 'expired', error: 'La sesión expiró' };
+    }
+
+    const jwz = await verifyJWZ(token);
+    if (!jwz.verified) {
+        return { valid: false, reason: 'unauthenticated', error: jwz.error };
+    }
+
+    const { message } = jwz;
+    if (message.type !== AUTH_RESPONSE_TYPE) {
+        throw new InvalidProofFormatError(`Tipo de mensaje inesperado: ${message.type}`);
+    }
+    if (message.thid !== session.request.thid) {
+        throw new InvalidProofFormatError('La respuesta no corresponde a esta sesión (thid)');
+    }
+    if (!Array.isArray(message.body?.scope)) {
+        throw new InvalidProofFormatError('La respuesta no trae body.scope');
+    }
+
+    const userDID = message.from;
+    const { verified, results: scopeResults, disclosed } = await verifyScopeProofs({
+        proofRequest: {
+            accountAddress: userDID,
+            verifierDID: session.request.from,
+            disclosure: session.disclosure,
+            scope: session.request.body.scope
+        },
+        proofs: jwz.proofs
+    });
+
+    // Puede haber llegado otra respuesta mientras se verificaba
+    const current = sessions.get(sessionId);
+    if (!current || current.status !== 'pending') {
+        return { valid: false, reason: 'not_pending', error: 'La sesión ya fue respondida' };
+    }
+
+    current.status = verified ? 'verified' : 'rejected';
+    current.result = {
+        userDID: userDID,
+        disclosed: disclosed,
+        scope: scopeResults,
+        respondedAt: new Date().toISOString()
+    };
+    sessions.set(sessionId, current);
+
+    console.log('[Verifier]', sessionId, verified ? '✅ Verificada' : '❌ Rechazada', '-', userDID);
+
+    return verified
+        ? { valid: true, session: publicSession(current) }
+        : { valid: false, reason: 'rejected', error: 'Las pruebas no cumplen el scope', session: publicSession(current) };
+}
+
+/**
+ * Marca que ya se entregó la sesión de login (solo una vez por verificación)
+ * @returns {boolean} - false si ya se había entregado
+ */
+function claimLogin(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session || session.status !== 'verified' || session.loginIssuedAt) {
+        return false;
+    }
+
+    session.loginIssuedAt = new Date().toISOString();
+    sessions.set(sessionId, session);
+    return true;
+}
+
+module.exports = {
+    VerifierSessionLimitError,
+    SCOPE_PRESETS,
+    DISCLOSABLE_FIELDS,
+    createVerifierSession,
+    getVerifierSession,
+    checkSessionSecret,
+    handleAuthorizationResponse,
+    claimLogin
+};
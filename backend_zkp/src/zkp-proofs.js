@@ -4,8 +4,24 @@
  * Tipos de pruebas soportadas por Privado ID:
  * 1. Atomic Query Sig V2 (BJJ Signature)
  * 2. Atomic Query MTP V2 (Merkle Tree Proof) ← Usado por default
+ * 3. Atomic Query V3 (firma o MTP, queries enlazados y nullifiers)
  */
 
+// query.proofType de V3: con qué prueba de la credencial se genera
+const V3_PROOF_TYPES = {
+    SIG: "BJJSignature2021",
+    MTP: "Iden3SparseMerkleTreeProof"
+};
+
+const FULL_PROOF_CIRCUITS = {
+    MTP: "credentialAtomicQueryMTPV2",
+    SIG: "credentialAtomicQuerySigV2"
+};
+
+// V3 necesita un query de una condición y el nullifier de una campaña:
+// no entra en createFullProofRequest, se arma con createV3ProofRequest
+const V3_CIRCUIT = "credentialAtomicQueryV3";
+
 /**
  * Esquema de request para generar prueba ZKP
  * Atomic Query MTP V2 - Merkle Tree Proof
@@ -23,6 +39,33 @@ function createZKPProofRequest(credentialId, claimQuery) {
     };
 }
 
+/**
+ * Esquema de request para Atomic Query V3
+ * @param {string} credentialId
+ * @param {Object} claimQuery - credentialSubject del query
+ * @param {Object} [options]
+ * @param {string} [options.proofType] - "SIG" o "MTP"; sin él la wallet elige
+ * @param {number} [options.groupId] - Enlaza queries sobre la misma credencial (linkID)
+ * @param {string} [options.nullifierSessionId] - De una campaña registrada (nullifier-campaigns.js)
+ * @param {string} [options.verifierDID] - DID del verifier al que se ata el nullifier
+ */
+function createV3ProofRequest(credentialId, claimQuery, options = {}) {
+    const request = createZKPProofRequest(credentialId, claimQuery);
+    request.circuitId = V3_CIRCUIT;
+
+    if (options.proofType) {
+        request.query.proofType = V3_PROOF_TYPES[options.proofType];
+    }
+    if (options.groupId) {
+        request.query.groupId = options.groupId;
+    }
+    if (options.nullifierSessionId) {
+        request.params = { nullifierSessionId: String(options.nullifierSessionId) };
+        request.verifierDID = options.verifierDID;
+    }
+    return request;
+}
+
 /**
  * Crear query para probar edad mayor que X
  * Ejemplo: Probar que el usuario es mayor de 18
@@ -47,6 +90,42 @@ function createAccountStateQuery(state = "active") {
     };
 }
 
+/**
+ * Crear query para probar que la cuenta está en uno de varios estados
+ * Ejemplo: createAccountStatesQuery(["active", "pending"])
+ */
+function createAccountStatesQuery(states) {
+    return {
+        accountState: {
+            $in: states
+        }
+    };
+}
+
+/**
+ * Crear query para probar que la cuenta NO está en ciertos estados
+ * Ejemplo: createExcludedAccountStatesQuery(["suspended"])
+ */
+function createExcludedAccountStatesQuery(states) {
+    return {
+        accountState: {
+            $nin: states
+        }
+    };
+}
+
+/**
+ * Crear query para probar que el método de autenticación no es uno dado
+ * Ejemplo: probar que no se registró por email
+ */
+function createNotAuthMethodQuery(method) {
+    return {
+        authMethod: {
+            $ne: method
+        }
+    };
+}
+
 /**
  * Crear query para probar verificación
  * Ejemplo: Probar que está verificado sin revelar otros datos
@@ -127,6 +206,50 @@ function createRegistrationDateRangeQuery(startDate, endDate) {
     };
 }
 
+/**
+ * Crear query para probar registro dentro de un rango (extremos incluidos)
+ * Una sola condición: cabe en una prueba V2, a diferencia de
+ * createRegistrationDateRangeQuery ($gt + $lt)
+ */
+function createRegistrationBetweenQuery(startDate, endDate) {
+    return {
+        registrationDate: {
+            $between: [
+                Math.floor(startDate.getTime() / 1000),
+                Math.floor(endDate.getTime() / 1000)
+            ]
+        }
+    };
+}
+
+/**
+ * Crear query de divulgación selectiva: la wallet revela el valor del campo
+ * Ejemplo: createDisclosureQuery("accountState") → { accountState: {} }
+ */
+function createDisclosureQuery(field) {
+    return {
+        [field]: {}
+    };
+}
+
+/**
+ * Crear proof request de divulgación selectiva
+ * allowedFields: campos que este request puede revelar (se comprueba también
+ * al verificar la prueba)
+ */
+function createDisclosureProofRequest(credentialId, field, allowedFields = []) {
+    if (!allowedFields.includes(field)) {
+        throw new Error(`El campo ${field} no está en los campos divulgables: ${allowedFields.join(', ') || 'ninguno'}`);
+    }
+
+    return {
+        ...createZKPProofRequest(credentialId, createDisclosureQuery(field)),
+        disclosure: {
+            allowedFields: allowedFields
+        }
+    };
+}
+
 /**
  * Crear query combinado completo
  * Ejemplo: Probar múltiples condiciones a la vez
@@ -146,9 +269,14 @@ function createCombinedQuery(conditions) {
         query.authMethod = { $eq: conditions.authMethod };
     }
     
-    if (conditions.minAge) {
-        const minTimestamp = Math.floor(Date.now() / 1000) - (conditions.minAge * 24 * 60 * 60);
-        query.registrationDate = { $lt: minTimestamp };
+    // minAge en años (como createAgeQuery), minDays en días (como createAccountAgeQuery).
+    // Con los dos se usa el más exigente.
+    if (conditions.minAge || conditions.minDays) {
+        const now = Math.floor(Date.now() / 1000);
+        const cutoffs = [];
+        if (conditions.minAge) cutoffs.push(now - (conditions.minAge * 365 * 24 * 60 * 60));
+        if (conditions.minDays) cutoffs.push(now - (conditions.minDays * 24 * 60 * 60));
+        query.registrationDate = { $lt: Math.min(...cutoffs) };
     }
     
     if (conditions.hasEmail) {
@@ -166,20 +294,25 @@ function createCombinedQuery(conditions) {
  * Operadores disponibles para queries:
  * $eq: Igual a
  * $ne: No igual a
- * $lt: Menor que
- * $gt: Mayor que
+ * $lt / $lte: Menor que / menor o igual
+ * $gt / $gte: Mayor que / mayor o igual
  * $in: En lista
  * $nin: No en lista
+ * $between / $nonbetween: Dentro / fuera de [mínimo, máximo]
  * $exists: Existe el campo
+ *
+ * Qué operador admite cada campo depende de su tipo en el schema:
+ * ver src/query-builder.js (validateCredentialQuery)
  */
 
 /**
  * Crear proof request completo para el Issuer Node
  */
 function createFullProofRequest(userDID, issuerDID, credentialId, proofType = "MTP") {
-    const circuitId = proofType === "MTP" 
-        ? "credentialAtomicQueryMTPV2"
-        : "credentialAtomicQuerySigV2";
+    if (proofType === "V3") {
+        throw new Error("createFullProofRequest no arma requests V3: usar createV3ProofRequest con un query y una campaña");
+    }
+    const circuitId = FULL_PROOF_CIRCUITS[proofType] || FULL_PROOF_CIRCUITS.SIG;
 
     return {
         circuitId: circuitId,
@@ -197,6 +330,30 @@ function createFullProofRequest(userDID, issuerDID, credentialId, proofType = "M
     };
 }
 
+/**
+ * Crear proof request con varios queries numerados (scope)
+ * Cada query puede ser de otro tipo de credencial y otro circuito.
+ * Ejemplo:
+ *   createMultiQueryProofRequest([
+ *     createZKPProofRequest(null, createAccountStateQuery()),
+ *     { circuitId: "credentialAtomicQuerySigV2", query: { type: "ZKNameCredential", ... } }
+ *   ])
+ * → { scope: [{ id: 1, circuitId, query }, { id: 2, circuitId, query }] }
+ */
+function createMultiQueryProofRequest(requests, options = {}) {
+    return {
+        ...(options.accountAddress ? { accountAddress: options.accountAddress } : {}),
+        ...(options.verifierDID ? { verifierDID: options.verifierDID } : {}),
+        scope: requests.map((request, index) => ({
+            id: request.id ?? index + 1,
+            circuitId: request.circuitId,
+            query: request.query,
+            ...(request.params ? { params: request.params } : {}),
+            ...(request.optional ? { optional: true } : {})
+        }))
+    };
+}
+
 /**
  * Formato de respuesta de prueba ZKP
  */
@@ -233,9 +390,15 @@ function formatZKPProofResponse(proofData) {
  */
 
 module.exports = {
+    // Tipos de prueba de la credencial (SIG / MTP)
+    V3_PROOF_TYPES,
+
     // Crear proof requests
     createZKPProofRequest,
     createFullProofRequest,
+    createV3ProofRequest,
+    createDisclosureProofRequest,
+    createMultiQueryProofRequest,
     
     // Queries predefinidos básicos
     createAgeQuery,
@@ -243,13 +406,22 @@ module.exports = {
     createVerificationQuery,
     createAuthMethodQuery,
     
+    // Queries con $in / $nin / $ne
+    createAccountStatesQuery,
+    createExcludedAccountStatesQuery,
+    createNotAuthMethodQuery,
+    
     // Queries para tipos de registro
     createEmailRegistrationQuery,
     createWalletRegistrationQuery,
     
+    // Divulgación selectiva
+    createDisclosureQuery,
+    
     // Queries avanzados
     createAccountAgeQuery,
     createRegistrationDateRangeQuery,
+    createRegistrationBetweenQuery,
     createCombinedQuery,
     
     // Formateo
@@ -5,17 +5,24 @@
  * usamos el API del Issuer Node para verificar credenciales
  */
 
-const axios = require('axios');
+const {
+    getIssuerClient,
+    IssuerNodeError,
+    IssuerUnavailableError,
+    IssuerNotFoundError,
+    toHttpStatus
+} = require('./issuer-client');
+const { findRevocation } = require('./revocation-registry');
+const { validateCredentialSchema } = require('./credential-schemas');
 
 /**
  * Verifica una credencial contra el Issuer Node
  * @param {Object} credential - Credencial W3C a verificar
  * @param {string} issuerDID - DID del emisor
- * @param {string} issuerNodeUrl - URL del Issuer Node
- * @param {Object} auth - Credenciales de autenticación
+ * @param {IssuerNodeClient} [issuerClient] - Cliente del Issuer Node (por defecto el compartido)
  * @returns {Promise<Object>} - Resultado de la verificación
  */
-async function verifyCredentialWithIssuer(credential, issuerDID, issuerNodeUrl, auth) {
+async function verifyCredentialWithIssuer(credential, issuerDID, issuerClient = getIssuerClient()) {
     try {
         console.log('[ZKP-Verifier] 🔍 Verificando credencial...');
         console.log('[ZKP-Verifier] Credential ID:', credential.id);
@@ -31,37 +38,51 @@ async function verifyCredentialWithIssuer(credential, issuerDID, issuerNodeUrl,
             };
         }
 
+        // 1a. credentialSubject contra el schema de credentialSchema.id (document loader)
+        if (credential.credentialSchema?.id) {
+            const schemaCheck = await checkCredentialSchema(credential);
+            if (!schemaCheck.valid) {
+                return {
+                    verified: false,
+                    error: `La credencial no cumple su schema: ${schemaCheck.errors.map(item => item.error).join('; ')}`,
+                    stage: 'schema_validation',
+                    details: schemaCheck
+                };
+            }
+        }
+
+        // 1b. Registro local de revocaciones (incluye credenciales locales)
+        const localRevocation = findRevocation(credential);
+        if (localRevocation) {
+            return {
+                verified: false,
+                error: 'Credencial revocada',
+                stage: 'revocation_check',
+                details: localRevocation
+            };
+        }
+
         // 2. Verificar que la credencial existe en el Issuer Node
         try {
             const credentialId = credential.id.replace('urn:uuid:', '');
             
             console.log('[ZKP-Verifier] Consultando Issuer Node...');
-            const response = await axios.get(
-                `${issuerNodeUrl}/v2/identities/${issuerDID}/credentials/${credentialId}`,
-                {
-                    auth: auth,
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Accept': 'application/json'
-                    },
-                    timeout: 5000
-                }
-            );
+            const issuerCredential = await issuerClient.getCredential(issuerDID, credentialId);
 
             console.log('[ZKP-Verifier] ✅ Credencial encontrada en Issuer Node');
             
             // 3. Verificar que no esté revocada
-            if (response.data.revoked) {
+            if (issuerCredential.revoked) {
                 return {
                     verified: false,
                     error: 'Credencial revocada',
                     stage: 'revocation_check',
-                    details: response.data
+                    details: issuerCredential
                 };
             }
 
             // 4. Verificar que los datos coincidan
-            const dataValid = compareCredentialData(credential, response.data.vc);
+            const dataValid = compareCredentialData(credential, issuerCredential.vc);
             if (!dataValid.valid) {
                 return {
                     verified: false,
@@ -74,7 +95,7 @@ async function verifyCredentialWithIssuer(credential, issuerDID, issuerNodeUrl,
             // Por ahora, si llegamos aquí, la credencial es válida
             
             // Extraer información del proof criptográfico
-            const proofInfo = extractProofInfo(response.data);
+            const proofInfo = extractProofInfo(issuerCredential);
             
             console.log('[ZKP-Verifier] ✅ Credencial VERIFICADA correctamente');
             console.log('[ZKP-Verifier] 📊 Proof Info:', proofInfo);
@@ -87,14 +108,14 @@ async function verifyCredentialWithIssuer(credential, issuerDID, issuerNodeUrl,
                     issuer: issuerDID,
                     subject: credential.credentialSubject.id,
                     issuanceDate: credential.issuanceDate,
-                    notRevoked: !response.data.revoked,
-                    proofTypes: response.data.proofTypes || [],
+                    notRevoked: !issuerCredential.revoked,
+                    proofTypes: issuerCredential.proofTypes || [],
                     // Información completa del proof ZKP
                     zkpProof: proofInfo
                 },
                 // Raw data completo para mostrar en JSON
                 rawData: {
-                    credential: response.data,
+                    credential: issuerCredential,
                     verification: {
                         timestamp: new Date().toISOString(),
                         method: 'issuer-node-verification',
@@ -106,20 +127,40 @@ async function verifyCredentialWithIssuer(credential, issuerDID, issuerNodeUrl,
             };
 
         } catch (issuerError) {
+            if (!(issuerError instanceof IssuerNodeError)) throw issuerError;
             console.warn('[ZKP-Verifier] ⚠️ No se pudo verificar con Issuer Node:', issuerError.message);
-            
-            // Si el Issuer Node no responde, hacer verificación local básica
+
+            // Sin respuesta del Issuer Node la credencial queda sin verificar:
+            // la estructura correcta no prueba que exista ni que no esté revocada
+            if (issuerError instanceof IssuerUnavailableError) {
+                return {
+                    verified: false,
+                    error: 'Issuer Node no disponible: la credencial no se pudo verificar',
+                    stage: 'issuer_unavailable',
+                    status: toHttpStatus(issuerError),
+                    details: {
+                        credentialId: credential.id,
+                        structureValid: true,
+                        issuerError: issuerError.message
+                    }
+                };
+            }
+
+            if (issuerError instanceof IssuerNotFoundError) {
+                return {
+                    verified: false,
+                    error: 'La credencial no existe en el Issuer Node',
+                    stage: 'issuer_lookup',
+                    status: 400
+                };
+            }
+
+            // Autenticación, validación u otra respuesta inesperada del Issuer Node
             return {
-                verified: structureValid.valid,
-                warning: 'Verificación local - Issuer Node no disponible',
-                message: 'Credencial válida (estructura correcta, pero no verificada on-chain)',
-                localVerification: true,
-                details: {
-                    credentialId: credential.id,
-                    issuer: credential.issuer,
-                    subject: credential.credentialSubject?.id,
-                    hasProof: !!credential.proof
-                }
+                verified: false,
+                error: `El Issuer Node rechazó la consulta: ${issuerError.message}`,
+                stage: 'issuer_lookup',
+                status: toHttpStatus(issuerError)
             };
         }
 
@@ -128,7 +169,23 @@ async function verifyCredentialWithIssuer(credential, issuerDID, issuerNodeUrl,
         return {
             verified: false,
             error: error.message,
-            stage: 'general_error'
+            stage: 'general_error',
+            status: 500
+        };
+    }
+}
+
+/**
+ * validateCredentialSchema sin lanzar: un schema no disponible es un error más
+ */
+async function checkCredentialSchema(credential) {
+    try {
+        return await validateCredentialSchema(credential);
+    } catch (error) {
+        return {
+            valid: false,
+            type: null,
+            errors: [{ field: null, keyword: 'credentialSchema', error: error.message }]
         };
     }
 }
@@ -0,0 +1,103 @@
+/**
+ * Cuentas híbridas: vincular wallet a una cuenta email y email a una cuenta wallet
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Wallet } = require('ethers');
+const { startTestServer, newAccount } = require('./helpers');
+
+const ORIGIN = 'http://localhost:3000';
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function signSiwe(wallet) {
+    const { body } = await server.request('GET', `/api/wallet-auth/nonce?walletAddress=${wallet.address}`, {
+        headers: { origin: ORIGIN }
+    });
+    return { message: body.message, signature: await wallet.signMessage(body.message) };
+}
+
+async function walletAuth(wallet) {
+    return server.request('POST', '/api/wallet-auth', { body: await signSiwe(wallet) });
+}
+
+async function linkWallet(token, wallet) {
+    return server.request('POST', '/api/account/link-wallet', { token, body: await signSiwe(wallet) });
+}
+
+// Registro del Issuer Node simulado para una credencial emitida
+function issuerRecord(credentialId) {
+    const issuer = server.issuer.state.identities.get(server.issuer.issuerDID);
+    return issuer.credentials.get(credentialId.replace('urn:uuid:', ''));
+}
+
+test('vincular una wallet conserva el DID y re-emite la credencial', async () => {
+    const { body: registered } = await server.request('POST', '/api/register', { body: newAccount('link-wallet') });
+    const wallet = Wallet.createRandom();
+
+    const { status, body } = await linkWallet(registered.session.accessToken, wallet);
+
+    assert.equal(status, 200);
+    assert.equal(body.did, registered.did);
+    assert.equal(body.user.type, 'hybrid');
+    assert.equal(body.credential.credentialSubject.walletAddress, wallet.address);
+    assert.notEqual(body.credential.id, registered.credential.id);
+    assert.equal(issuerRecord(registered.credential.id).revoked, true, 'la credencial anterior se revoca');
+
+    // Con la wallet se entra a la misma cuenta
+    const login = await walletAuth(wallet);
+    assert.equal(login.status, 200);
+    assert.equal(login.body.did, registered.did);
+});
+
+test('una wallet de otra cuenta no se puede vincular', async () => {
+    const wallet = Wallet.createRandom();
+    assert.equal((await walletAuth(wallet)).status, 200);
+
+    const { body: registered } = await server.request('POST', '/api/register', { body: newAccount('taken') });
+    const { status, body } = await linkWallet(registered.session.accessToken, wallet);
+
+    assert.equal(status, 409);
+    assert.equal(body.error, 'La wallet ya pertenece a otra cuenta');
+});
+
+test('vincular un email a una cuenta wallet habilita el login con contraseña', async () => {
+    const { body: walletUser } = await walletAuth(Wallet.createRandom());
+    const account = newAccount('link-email');
+
+    const { status, body } = await server.request('POST', '/api/account/link-email', {
+        token: walletUser.session.accessToken,
+        body: { email: account.email, password: account.password }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.did, walletUser.did);
+    assert.equal(body.user.type, 'hybrid');
+
+    const login = await server.request('POST', '/api/login', {
+        body: { email: account.email, password: account.password }
+    });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.did, walletUser.did);
+
+    const again = await server.request('POST', '/api/account/link-email', {
+        token: walletUser.session.accessToken,
+        body: { email: newAccount('otro').email, password: account.password }
+    });
+    assert.equal(again.status, 409, 'la cuenta ya tiene email');
+});
+
+test('vincular exige sesión', async () => {
+    const { status } = await server.request('POST', '/api/account/link-email', {
+        body: { email: newAccount('anon').email, password: 'contraseña-segura' }
+    });
+    assert.equal(status, 401);
+});
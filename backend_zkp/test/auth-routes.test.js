@@ -0,0 +1,181 @@
+/**
+ * Registro, login y login con wallet (SIWE) contra el Issuer Node simulado
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Wallet } = require('ethers');
+const { startTestServer, newAccount } = require('./helpers');
+const { MemoryCounterStore, setCounterStore } = require('../src/rate-limiter');
+
+const ORIGIN = 'http://localhost:3000';
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+test('register crea DID y credencial en el Issuer Node', async () => {
+    const account = newAccount('register');
+    const { status, body } = await server.request('POST', '/api/register', { body: account });
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.match(body.did, /^did:(iden3|polygonid):/);
+    assert.ok(server.issuer.state.identities.has(body.did), 'el DID existe en el Issuer Node');
+    assert.ok(body.session.accessToken);
+    assert.equal(body.user.email, account.email);
+});
+
+test('register rechaza un email ya registrado', async () => {
+    const account = newAccount('duplicate');
+    const first = await server.request('POST', '/api/register', { body: account });
+    assert.equal(first.status, 200);
+
+    const identities = server.issuer.state.identities.size;
+    const second = await server.request('POST', '/api/register', { body: account });
+
+    assert.equal(second.status, 400);
+    assert.equal(second.body.success, false);
+    assert.equal(server.issuer.state.identities.size, identities, 'no se crea otro DID');
+});
+
+test('register valida la contraseña antes de crear el DID', async () => {
+    const identities = server.issuer.state.identities.size;
+    const { status, body } = await server.request('POST', '/api/register', {
+        body: { ...newAccount('weak'), password: 12345678 }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Contraseña inválida');
+    assert.equal(server.issuer.state.identities.size, identities);
+});
+
+test('register valida el credentialSubject antes de crear el DID', async (t) => {
+    // Es el tercer fallo desde esta IP: los tests siguientes empiezan sin back-off
+    t.after(() => setCounterStore(new MemoryCounterStore()));
+    const identities = server.issuer.state.identities.size;
+    const { status, body } = await server.request('POST', '/api/register', {
+        body: { ...newAccount('subject'), name: 12345 }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.ok(body.details.some(item => item.field === 'fullName'), JSON.stringify(body.details));
+    assert.equal(server.issuer.state.identities.size, identities, 'no se crea el DID');
+});
+
+test('login devuelve la sesión y los datos de la cuenta', async () => {
+    const account = newAccount('login');
+    const registered = await server.request('POST', '/api/register', { body: account });
+
+    const { status, body } = await server.request('POST', '/api/login', {
+        body: { email: account.email, password: account.password }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.did, registered.body.did);
+    assert.ok(body.session.accessToken);
+    assert.equal(body.user.password, undefined, 'no expone el hash');
+
+    const me = await server.request('GET', '/api/account', { token: body.session.accessToken });
+    assert.equal(me.status, 200);
+});
+
+test('wallet-auth con firma SIWE crea la cuenta y la reutiliza', async () => {
+    const wallet = Wallet.createRandom();
+
+    async function signIn() {
+        const nonce = await server.request('GET', `/api/wallet-auth/nonce?walletAddress=${wallet.address}`, {
+            headers: { origin: ORIGIN }
+        });
+        assert.equal(nonce.status, 200);
+        assert.ok(nonce.body.message.includes(wallet.address));
+
+        const signature = await wallet.signMessage(nonce.body.message);
+        return server.request('POST', '/api/wallet-auth', {
+            body: { message: nonce.body.message, signature }
+        });
+    }
+
+    const first = await signIn();
+    assert.equal(first.status, 200);
+    assert.match(first.body.did, /^did:(iden3|polygonid):/);
+
+    const second = await signIn();
+    assert.equal(second.status, 200);
+    assert.equal(second.body.did, first.body.did, 'misma wallet, misma cuenta');
+});
+
+test('wallet-auth/nonce rechaza un Origin que no es URL', async () => {
+    const wallet = Wallet.createRandom();
+    const { status, body } = await server.request('GET', `/api/wallet-auth/nonce?walletAddress=${wallet.address}`, {
+        headers: { origin: 'no es una url' }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Origin inválido');
+});
+
+test('wallet-auth/nonce rechaza un Origin fuera de SIWE_ALLOWED_ORIGINS', async () => {
+    const wallet = Wallet.createRandom();
+    const rejected = await server.request('GET', `/api/wallet-auth/nonce?walletAddress=${wallet.address}`, {
+        headers: { origin: 'https://phishing.example' }
+    });
+    assert.equal(rejected.status, 400);
+    assert.match(rejected.body.details, /SIWE_ALLOWED_ORIGINS/);
+
+    // Sin Origin el dominio sale de la configuración, no del Host
+    const { status, body } = await server.request('GET', `/api/wallet-auth/nonce?walletAddress=${wallet.address}`, {
+        headers: { host: 'phishing.example' }
+    });
+    assert.equal(status, 200);
+    assert.match(body.message, /^localhost:3000 wants you to sign in/);
+});
+
+test('login responde igual a un email desconocido y a una contraseña incorrecta', async (t) => {
+    t.after(() => setCounterStore(new MemoryCounterStore()));
+    const account = newAccount('uniform');
+    await server.request('POST', '/api/register', { body: account });
+
+    const unknown = await server.request('POST', '/api/login', {
+        body: { email: newAccount('nadie').email, password: account.password }
+    });
+    const wrong = await server.request('POST', '/api/login', {
+        body: { email: account.email, password: 'incorrecta' }
+    });
+
+    assert.equal(unknown.status, 401);
+    assert.equal(wrong.status, 401);
+    assert.deepEqual(unknown.body, wrong.body);
+});
+
+// Deja la IP con fallos registrados: va al final del archivo
+test('login limita los intentos fallidos', async () => {
+    const account = newAccount('throttle');
+    await server.request('POST', '/api/register', { body: account });
+
+    const attempt = () => server.request('POST', '/api/login', {
+        body: { email: account.email, password: 'incorrecta' }
+    });
+
+    const statuses = [];
+    for (let i = 0; i < 4; i++) {
+        statuses.push((await attempt()).status);
+    }
+
+    // Los fallos de las pruebas anteriores también cuentan para la IP
+    assert.equal(statuses[0], 401);
+    assert.equal(statuses[3], 429);
+
+    const correct = await server.request('POST', '/api/login', {
+        body: { email: account.email, password: account.password }
+    });
+    assert.equal(correct.status, 429, 'bloqueado aunque la contraseña sea correcta');
+    assert.ok(correct.headers.get('retry-after'));
+});
@@ -0,0 +1,97 @@
+/**
+ * Mis credenciales y revocación contra el Issuer Node simulado
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, newAccount } = require('./helpers');
+
+let server;
+let token;
+let credentialId;
+
+before(async () => {
+    server = await startTestServer();
+
+    const { body } = await server.request('POST', '/api/register', { body: newAccount('credentials') });
+    token = body.session.accessToken;
+    credentialId = body.credential.id;
+});
+
+after(async () => {
+    await server.close();
+});
+
+test('me/credentials exige sesión', async () => {
+    const { status } = await server.request('GET', '/api/me/credentials');
+    assert.equal(status, 401);
+});
+
+test('me/credentials lista la credencial emitida en el registro', async () => {
+    const { status, body } = await server.request('GET', '/api/me/credentials', { token });
+
+    assert.equal(status, 200);
+    assert.equal(body.issuerAvailable, true);
+    assert.equal(body.pagination.total, 1);
+    assert.equal(body.credentials[0].status, 'active');
+    assert.equal(body.summary.active, 1);
+});
+
+test('me/credentials rechaza un status desconocido', async () => {
+    const { status } = await server.request('GET', '/api/me/credentials?status=otro', { token });
+    assert.equal(status, 400);
+});
+
+test('me/credentials/:id acepta el UUID sin prefijo', async () => {
+    const uuid = credentialId.replace('urn:uuid:', '');
+    const { status, body } = await server.request('GET', `/api/me/credentials/${uuid}`, { token });
+
+    assert.equal(status, 200);
+    assert.equal(body.credential.status, 'active');
+});
+
+test('revoke revoca en el Issuer Node y no deja revocar dos veces', async () => {
+    const revoked = await server.request('POST', `/api/credentials/${encodeURIComponent(credentialId)}/revoke`, {
+        token,
+        body: { reason: 'prueba' }
+    });
+
+    assert.equal(revoked.status, 200);
+    assert.equal(revoked.body.issuerRevoked, true);
+
+    const listed = await server.request('GET', '/api/me/credentials?status=revoked', { token });
+    assert.equal(listed.body.pagination.total, 1);
+
+    const again = await server.request('POST', `/api/credentials/${encodeURIComponent(credentialId)}/revoke`, { token });
+    assert.equal(again.status, 409);
+});
+
+test('revoke no encuentra credenciales de otra cuenta', async () => {
+    const other = await server.request('POST', '/api/register', { body: newAccount('other') });
+    const { status } = await server.request('POST', `/api/credentials/${encodeURIComponent(other.body.credential.id)}/revoke`, { token });
+
+    assert.equal(status, 404);
+});
+
+test('credentials rechaza revocable:false con y sin Issuer Node', async () => {
+    const { body: registered } = await server.request('POST', '/api/register', { body: newAccount('issuance') });
+    const issue = (revocable) => server.request('POST', '/api/credentials', {
+        headers: { 'x-admin-key': 'test-admin-key' },
+        body: { type: 'ZKNameCredential', subjectDID: registered.did, claims: { name: 'Ana', age: 30 }, revocable }
+    });
+
+    const withIssuer = await issue(false);
+    assert.equal(withIssuer.status, 400);
+    assert.equal(withIssuer.body.errors[0].field, 'revocable');
+
+    // Sin Issuer Node: el fallback local tampoco la emite
+    await server.issuer.close();
+    const local = await issue(false);
+    assert.equal(local.status, 400);
+    assert.equal(local.body.errors[0].field, 'revocable');
+
+    const fallback = await issue(true);
+    assert.equal(fallback.status, 201);
+    assert.equal(fallback.body.issuedBy, 'local');
+    assert.ok(fallback.body.credential.credentialStatus, 'la local también es revocable');
+});
@@ -0,0 +1,134 @@
+/**
+ * Mis credenciales: mezcla Issuer Node + historial local, filtros, páginas y estados
+ */
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, newAccount } = require('./helpers');
+
+// credential-wallet carga el cliente del Issuer Node: se requiere después de
+// que startTestServer fije ISSUER_NODE_BASE_URL
+function wallet() {
+    return require('../src/credential-wallet');
+}
+
+let server;
+let user;
+
+before(async () => {
+    server = await startTestServer();
+
+    const { body } = await server.request('POST', '/api/register', { body: newAccount('wallet') });
+    user = body;
+
+    // Dos credenciales más emitidas por el admin al mismo DID
+    for (const name of ['Ana', 'Beatriz']) {
+        await server.request('POST', '/api/credentials', {
+            headers: { 'x-admin-key': 'test-admin-key' },
+            body: { type: 'ZKNameCredential', subjectDID: user.did, claims: { name, age: 30 } }
+        });
+    }
+});
+
+after(async () => {
+    await server.close();
+});
+
+function list(query = '', token = user.session.accessToken) {
+    return server.request('GET', `/api/me/credentials${query}`, { token });
+}
+
+test('paginateCredentials filtra por tipo y estado antes de paginar', () => {
+    const { paginateCredentials, summarizeStatuses } = wallet();
+    const entries = [
+        { id: 'a', type: ['ZKPAuthCredential'], status: 'active' },
+        { id: 'b', type: ['ZKNameCredential'], status: 'revoked' },
+        { id: 'c', type: ['ZKNameCredential'], status: 'active' }
+    ];
+
+    const { items, pagination } = paginateCredentials(entries, { type: 'ZKNameCredential', page: 2, limit: 1 });
+    assert.deepEqual(items.map(entry => entry.id), ['c']);
+    assert.deepEqual(pagination, { page: 2, limit: 1, total: 2, totalPages: 2 });
+
+    assert.equal(paginateCredentials(entries, { status: 'active' }).pagination.total, 2);
+    assert.deepEqual(summarizeStatuses(entries), { active: 2, expired: 0, revoked: 1, pending_issuer: 0 });
+});
+
+test('findCredential compara por el UUID final del id', () => {
+    const { findCredential } = wallet();
+    const entries = [{ id: 'http://issuer.test/v2/credentials/1234' }, { id: 'urn:uuid:5678' }];
+
+    assert.equal(findCredential(entries, 'urn:uuid:1234'), entries[0]);
+    assert.equal(findCredential(entries, '5678'), entries[1]);
+    assert.equal(findCredential(entries, '9999'), null);
+});
+
+test('lista las credenciales del Issuer Node y del historial sin duplicar', async () => {
+    const { status, body } = await list();
+
+    assert.equal(status, 200);
+    assert.equal(body.did, user.did);
+    assert.equal(body.pagination.total, 3);
+    assert.equal(new Set(body.credentials.map(entry => entry.id)).size, 3);
+    assert.deepEqual(body.summary, { active: 3, expired: 0, revoked: 0, pending_issuer: 0 });
+
+    const auth = body.credentials.find(entry => entry.id === user.credential.id);
+    assert.equal(auth.source, 'both');
+});
+
+test('type y page/limit se aplican sobre la lista combinada', async () => {
+    const { body } = await list('?type=ZKNameCredential&limit=1&page=2');
+
+    assert.equal(body.credentials.length, 1);
+    assert.deepEqual(body.credentials[0].type, ['ZKNameCredential']);
+    assert.deepEqual(body.pagination, { page: 2, limit: 1, total: 2, totalPages: 2 });
+    assert.equal(body.summary.active, 3, 'el resumen cuenta todas las credenciales');
+});
+
+test('no muestra credenciales de otra cuenta', async () => {
+    const { body: other } = await server.request('POST', '/api/register', { body: newAccount('wallet-other') });
+
+    const { status } = await server.request('GET', `/api/me/credentials/${encodeURIComponent(user.credential.id)}`, {
+        token: other.session.accessToken
+    });
+    assert.equal(status, 404);
+    assert.equal((await list('', other.session.accessToken)).body.pagination.total, 1);
+});
+
+test('una credencial pasada su expirationDate figura como expired', async (t) => {
+    const { body: issued } = await server.request('POST', '/api/credentials', {
+        headers: { 'x-admin-key': 'test-admin-key' },
+        body: {
+            type: 'ZKNameCredential',
+            subjectDID: user.did,
+            claims: { name: 'Carla', age: 30 },
+            expiration: Math.floor(Date.now() / 1000) + 60
+        }
+    });
+
+    // Dentro del ACCESS_TOKEN_TTL: la sesión sigue valiendo
+    mock.timers.enable({ apis: ['Date'], now: Date.now() + 2 * 60 * 1000 });
+    t.after(() => mock.timers.reset());
+
+    const { body } = await server.request('GET', `/api/me/credentials/${encodeURIComponent(issued.credentialId)}`, {
+        token: user.session.accessToken
+    });
+    assert.equal(body.credential.status, 'expired');
+    assert.equal((await list('?status=expired')).body.pagination.total, 1);
+});
+
+// Cierra el Issuer Node: va al final del archivo
+test('sin Issuer Node quedan las locales y las pendientes de sincronizar', async () => {
+    await server.issuer.close();
+    const { body: local } = await server.request('POST', '/api/register', { body: newAccount('wallet-local') });
+
+    const { status, body } = await list('', local.session.accessToken);
+    assert.equal(status, 200);
+    assert.equal(body.issuerAvailable, false);
+    assert.equal(body.credentials[0].status, 'pending_issuer');
+    assert.equal(body.credentials[0].source, 'local');
+
+    const own = await list();
+    assert.equal(own.body.pagination.total, 1, 'solo el historial local');
+    assert.equal(own.body.credentials[0].id, user.credential.id);
+});
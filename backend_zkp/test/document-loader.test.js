@@ -0,0 +1,78 @@
+/**
+ * Descargas del document loader: allowlist, tamaño máximo y caché acotada
+ *
+ * Servidor HTTP local como único prefijo permitido. El loader lee el entorno
+ * al cargarse: se requiere después de levantar el servidor.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backend-zkp-test-'));
+const hits = new Map();
+
+let server;
+let baseUrl;
+let loadDocument;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        hits.set(req.url, (hits.get(req.url) || 0) + 1);
+
+        if (req.url === '/big') {
+            // Sin content-length: el límite se aplica mientras se lee
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.write('{"data":"');
+            for (let i = 0; i < 20; i++) res.write('x'.repeat(64 * 1024));
+            return res.end('"}');
+        }
+        if (req.url === '/redirect') {
+            res.writeHead(302, { location: 'http://169.254.169.254/latest/meta-data' });
+            return res.end();
+        }
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ url: req.url }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    process.env.DATA_DIR = dataDir;
+    process.env.STORE_BACKEND = 'memory';
+    process.env.DOCUMENT_LOADER_ALLOWLIST = `${baseUrl}/`;
+    process.env.DOCUMENT_CACHE_MAX_ENTRIES = '2';
+    ({ loadDocument } = require('../src/document-loader'));
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('no descarga URLs fuera de la allowlist', async () => {
+    await assert.rejects(loadDocument('http://169.254.169.254/latest/meta-data'), /DOCUMENT_LOADER_ALLOWLIST/);
+    await assert.rejects(loadDocument(`http://localhost:${server.address().port}/a`), /DOCUMENT_LOADER_ALLOWLIST/);
+});
+
+test('no sigue redirecciones', async () => {
+    await assert.rejects(loadDocument(`${baseUrl}/redirect`), /No se pudo descargar/);
+});
+
+test('corta la descarga al pasar el tamaño máximo', async () => {
+    await assert.rejects(loadDocument(`${baseUrl}/big`), /supera/);
+});
+
+test('la caché descarta el documento usado hace más tiempo', async () => {
+    assert.equal((await loadDocument(`${baseUrl}/a`)).source, 'remote');
+    assert.equal((await loadDocument(`${baseUrl}/b`)).source, 'remote');
+    assert.equal((await loadDocument(`${baseUrl}/a`)).source, 'cache');
+
+    // Caché llena (2): entra c y sale b, el usado hace más tiempo
+    assert.equal((await loadDocument(`${baseUrl}/c`)).source, 'remote');
+    assert.equal((await loadDocument(`${baseUrl}/a`)).source, 'cache');
+    assert.equal((await loadDocument(`${baseUrl}/b`)).source, 'remote');
+    assert.equal(hits.get('/b'), 2);
+});
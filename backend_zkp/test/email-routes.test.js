@@ -0,0 +1,102 @@
+/**
+ * Verificación de email: enlace del correo, confirmación, reenvío y expiración
+ *
+ * Los correos salen por el transporte outbox (DATA_DIR/outbox); el token se
+ * lee del enlace del último correo de verificación de cada cuenta.
+ */
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer, newAccount } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+function lastVerificationToken(email) {
+    const outbox = path.join(process.env.DATA_DIR, 'outbox');
+    const mail = fs.readdirSync(outbox)
+        .sort()
+        .map(file => JSON.parse(fs.readFileSync(path.join(outbox, file), 'utf8')))
+        .filter(message => message.to === email && message.subject === 'Verifica tu email')
+        .pop();
+    return new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+}
+
+async function register(prefix) {
+    const account = newAccount(prefix);
+    const { body } = await server.request('POST', '/api/register', { body: account });
+    return { ...body, token: lastVerificationToken(account.email) };
+}
+
+function verify(token) {
+    return server.request('POST', '/api/email/verify', { body: { token } });
+}
+
+test('abrir el enlace no consume el token', async () => {
+    const { token } = await register('prefetch');
+
+    const page = await server.request('GET', `/api/email/verify?token=${encodeURIComponent(token)}`);
+    assert.equal(page.status, 200);
+    assert.match(page.body, /<form method="post" action="\/api\/email\/verify">/);
+
+    assert.equal((await verify(token)).status, 200);
+});
+
+test('confirmar el email re-emite la credencial con isVerified', async () => {
+    const registered = await register('verify');
+    assert.equal(registered.credential.credentialSubject.isVerified, false);
+
+    const { status, body } = await verify(registered.token);
+    assert.equal(status, 200);
+    assert.equal(body.did, registered.did);
+    assert.equal(body.credential.credentialSubject.isVerified, true);
+
+    const issuer = server.issuer.state.identities.get(server.issuer.issuerDID);
+    assert.equal(issuer.credentials.get(registered.credential.id.replace('urn:uuid:', '')).revoked, true);
+
+    const reused = await verify(registered.token);
+    assert.equal(reused.status, 400);
+    assert.equal(reused.body.error, 'Token inválido o ya utilizado');
+});
+
+test('el formulario recibe una página HTML', async () => {
+    const { token } = await register('form');
+
+    const response = await fetch(`${server.baseUrl}/api/email/verify`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ token })
+    });
+
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /<h1>Email verificado<\/h1>/);
+});
+
+test('el reenvío espera EMAIL_VERIFICATION_RESEND_INTERVAL', async () => {
+    const registered = await register('resend');
+
+    const resend = await server.request('POST', '/api/email/verify/resend', { token: registered.session.accessToken });
+    assert.equal(resend.status, 429);
+    assert.ok(Number(resend.headers.get('retry-after')) > 0);
+});
+
+// Mueve el reloj: va al final del archivo
+test('un token vencido no verifica', async (t) => {
+    const { token } = await register('expired');
+
+    mock.timers.enable({ apis: ['Date'], now: Date.now() + 24 * 60 * 60 * 1000 + 1 });
+    t.after(() => mock.timers.reset());
+
+    const { status, body } = await verify(token);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Token expirado, solicita un reenvío');
+});
@@ -0,0 +1,101 @@
+/**
+ * HELPERS DE PRUEBAS - Backend contra el Issuer Node simulado
+ *
+ * startTestServer() levanta en el mismo proceso el Issuer Node simulado
+ * (src/mock-issuer-node.js) y la app en puertos libres, con los stores en
+ * memoria y un DATA_DIR temporal (outbox de correos, caché de documentos).
+ *
+ * Los módulos del backend leen el entorno al cargarse: este archivo se
+ * requiere antes que cualquier otro de src/ o rutas/.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backend-zkp-test-'));
+
+process.env.DATA_DIR = dataDir;
+process.env.STORE_BACKEND = 'memory';
+process.env.USER_STORE = 'memory';
+process.env.DOCUMENT_LOADER_OFFLINE = 'true';
+process.env.ISSUER_NODE_USER = 'user-issuer';
+process.env.ISSUER_NODE_PASSWORD = 'password-issuer';
+process.env.ISSUER_NODE_RETRIES = '0';
+process.env.SESSION_SECRET = 'test-session-secret';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+process.env.SIWE_ALLOWED_ORIGINS = 'http://localhost:3000';
+
+const { startMockIssuerNode } = require('../src/mock-issuer-node');
+
+function listen(app) {
+    return new Promise((resolve, reject) => {
+        const server = app.listen(0, '127.0.0.1', (error) => {
+            if (error) return reject(error);
+            resolve(server);
+        });
+        server.on('error', reject);
+    });
+}
+
+/**
+ * Issuer Node simulado + backend
+ * @returns {Promise<{baseUrl, issuer, request, close}>}
+ */
+async function startTestServer() {
+    const issuer = await startMockIssuerNode({ port: 0 });
+    process.env.ISSUER_NODE_BASE_URL = issuer.url;
+
+    const { createApp } = require('../src/app');
+    const server = await listen(createApp());
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    /**
+     * Request JSON al backend
+     * @param {string} method
+     * @param {string} urlPath
+     * @param {Object} [options] - { body, token, headers }
+     * @returns {Promise<{status, headers, body}>}
+     */
+    async function request(method, urlPath, options = {}) {
+        const headers = { ...options.headers };
+        if (options.body !== undefined) headers['content-type'] = 'application/json';
+        if (options.token) headers.authorization = `Bearer ${options.token}`;
+
+        const response = await fetch(baseUrl + urlPath, {
+            method,
+            headers,
+            body: options.body !== undefined ? JSON.stringify(options.body) : undefined
+        });
+        const text = await response.text();
+        let body = text;
+        try {
+            body = JSON.parse(text);
+        } catch {
+            // respuestas HTML (confirmación de email)
+        }
+        return { status: response.status, headers: response.headers, body };
+    }
+
+    async function close() {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        await issuer.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    return { baseUrl, issuer, request, close };
+}
+
+/**
+ * Datos de registro únicos por prueba
+ */
+function newAccount(prefix = 'user') {
+    const id = `${prefix}-${Date.now()}-${Math.floor(Math.random() * 1e6)}`;
+    return { name: `Test ${prefix}`, email: `${id}@example.com`, password: 'contraseña-segura' };
+}
+
+module.exports = {
+    startTestServer,
+    newAccount
+};
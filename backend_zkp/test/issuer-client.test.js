@@ -0,0 +1,183 @@
+/**
+ * Cliente del Issuer Node: paths, reintentos, circuit breaker y errores tipados
+ *
+ * Sin red: el cliente recibe un httpClient (options.httpClient) que registra
+ * cada petición y responde lo que indique la prueba.
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    IssuerNodeClient,
+    toHttpStatus,
+    IssuerNodeError,
+    IssuerUnavailableError,
+    IssuerTimeoutError,
+    IssuerCircuitOpenError,
+    IssuerAuthError,
+    IssuerNotFoundError,
+    IssuerValidationError
+} = require('../src/issuer-client');
+
+/**
+ * httpClient con la interfaz de axios.request
+ * @param {function(Object): *} respond - Devuelve data o lanza un error de axios
+ */
+function fakeHttp(respond = () => ({})) {
+    const calls = [];
+    return {
+        calls,
+        async request(config) {
+            calls.push(config);
+            return { data: await respond(config, calls.length) };
+        }
+    };
+}
+
+/**
+ * Error con la forma de axios: con status hay response, sin status es de red
+ */
+function axiosError({ status, code = 'ECONNREFUSED', data = {} } = {}) {
+    const error = new Error(status ? `Request failed with status code ${status}` : code);
+    error.code = code;
+    if (status) error.response = { status, data };
+    return error;
+}
+
+function failTimes(count, error = axiosError()) {
+    return (config, call) => {
+        if (call <= count) throw error;
+        return { ok: true };
+    };
+}
+
+function createClient(http, options = {}) {
+    return new IssuerNodeClient({ baseUrl: 'http://issuer.test', httpClient: http, retries: 0, ...options });
+}
+
+test('codifica cada segmento interpolado en el path', async () => {
+    const http = fakeHttp();
+    const client = createClient(http);
+    const did = 'did:polygonid:polygon:amoy:2qX';
+
+    await client.getCredential(did, '../../identities?x=1');
+    await client.revokeCredential(did, '1/../2');
+    await client.getIdentityDetails('a#b');
+
+    assert.deepEqual(http.calls.map(call => call.url), [
+        'http://issuer.test/v2/identities/did%3Apolygonid%3Apolygon%3Aamoy%3A2qX/credentials/..%2F..%2Fidentities%3Fx%3D1',
+        'http://issuer.test/v2/identities/did%3Apolygonid%3Apolygon%3Aamoy%3A2qX/credentials/revoke/1%2F..%2F2',
+        'http://issuer.test/v2/identities/a%23b/details'
+    ]);
+});
+
+test('reintenta las llamadas idempotentes cuando el nodo no responde', async () => {
+    const http = fakeHttp(failTimes(2));
+    const client = createClient(http, { retries: 2, retryBaseMs: 1 });
+
+    assert.deepEqual(await client.listIdentities(), { ok: true });
+    assert.equal(http.calls.length, 3);
+
+    // POST marcado idempotent (revocar por nonce) también se reintenta
+    const revoke = fakeHttp(failTimes(1));
+    await createClient(revoke, { retries: 2, retryBaseMs: 1 }).revokeCredential('did:x', 7);
+    assert.equal(revoke.calls.length, 2);
+});
+
+test('no reintenta POST no idempotentes ni errores de la petición', async () => {
+    const create = fakeHttp(failTimes(1));
+    await assert.rejects(
+        createClient(create, { retries: 2, retryBaseMs: 1 }).createIdentity({}),
+        IssuerUnavailableError
+    );
+    assert.equal(create.calls.length, 1, 'crear identidad dos veces duplicaría el DID');
+
+    const notFound = fakeHttp(failTimes(1, axiosError({ status: 404 })));
+    await assert.rejects(
+        createClient(notFound, { retries: 2, retryBaseMs: 1 }).getCredential('did:x', 'abc'),
+        IssuerNotFoundError
+    );
+    assert.equal(notFound.calls.length, 1);
+});
+
+test('el circuito se abre tras breakerThreshold fallos y prueba de nuevo pasado breakerResetMs', async (t) => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    t.after(() => mock.timers.reset());
+
+    let down = true;
+    const http = fakeHttp(() => {
+        if (down) throw axiosError();
+        return { ok: true };
+    });
+    const client = createClient(http, { breakerThreshold: 2, breakerResetMs: 1000 });
+
+    await assert.rejects(client.getStatus(), IssuerUnavailableError);
+    await assert.rejects(client.getStatus(), IssuerUnavailableError);
+    assert.equal(client.getBreakerState().state, 'open');
+
+    // Abierto: falla rápido sin llamar al nodo
+    await assert.rejects(client.getStatus(), IssuerCircuitOpenError);
+    assert.equal(http.calls.length, 2);
+
+    // Half-open: un fallo lo vuelve a abrir de inmediato
+    mock.timers.tick(1000);
+    await assert.rejects(client.getStatus(), IssuerUnavailableError);
+    await assert.rejects(client.getStatus(), IssuerCircuitOpenError);
+
+    // Half-open con éxito: se cierra
+    mock.timers.tick(1000);
+    down = false;
+    assert.deepEqual(await client.getStatus(), { ok: true });
+    assert.deepEqual(client.getBreakerState(), { state: 'closed', failures: 0, openedAt: null });
+});
+
+test('los errores de la petición no abren el circuito', async () => {
+    const http = fakeHttp(() => { throw axiosError({ status: 400 }); });
+    const client = createClient(http, { breakerThreshold: 1 });
+
+    await assert.rejects(client.createIdentity({}), IssuerValidationError);
+    await assert.rejects(client.createIdentity({}), IssuerValidationError);
+    assert.equal(client.getBreakerState().state, 'closed');
+});
+
+test('cada fallo tiene su error tipado y su código HTTP', async () => {
+    const cases = [
+        [axiosError({ status: 401 }), IssuerAuthError, 502],
+        [axiosError({ status: 403 }), IssuerAuthError, 502],
+        [axiosError({ status: 404 }), IssuerNotFoundError, 404],
+        [axiosError({ status: 422 }), IssuerValidationError, 400],
+        [axiosError({ status: 503 }), IssuerUnavailableError, 503],
+        [axiosError({ status: 409 }), IssuerNodeError, 502],
+        [axiosError({ code: 'ECONNABORTED' }), IssuerTimeoutError, 504],
+        [axiosError({ code: 'ECONNREFUSED' }), IssuerUnavailableError, 503]
+    ];
+
+    for (const [raw, ErrorClass, httpStatus] of cases) {
+        const client = createClient(fakeHttp(() => { throw raw; }));
+        const error = await client.createIdentity({}).catch(caught => caught);
+
+        assert.equal(error.constructor, ErrorClass, `${raw.message} → ${error.name}`);
+        assert.equal(toHttpStatus(error), httpStatus, raw.message);
+        assert.match(error.message, /^Crear identidad: /);
+        assert.equal(error.cause, raw);
+    }
+
+    assert.equal(toHttpStatus(new IssuerCircuitOpenError('abierto')), 503);
+    assert.equal(toHttpStatus(new Error('otro')), 500);
+});
+
+test('el mensaje del nodo pasa al error y las pruebas usan su propio timeout', async () => {
+    const rejecting = createClient(fakeHttp(() => {
+        throw axiosError({ status: 400, data: { message: 'schema inválido' } });
+    }));
+    const error = await rejecting.createCredential('did:x', {}).catch(caught => caught);
+    assert.equal(error.message, 'Crear credencial: schema inválido');
+    assert.deepEqual(error.details, { message: 'schema inválido' });
+    assert.equal(error.status, 400);
+
+    const http = fakeHttp();
+    const client = createClient(http, { timeoutMs: 1234, proofTimeoutMs: 5678 });
+    await client.getStatus();
+    await client.verifyProof({});
+    assert.deepEqual(http.calls.map(call => call.timeout), [1234, 5678]);
+});
@@ -0,0 +1,100 @@
+/**
+ * Política de estados del issuer (issuer-state.js) con el resolver en memoria
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+    MemoryStateResolver,
+    setStateResolver,
+    isGenesisState,
+    checkIssuerStates,
+    checkGistRoot
+} = require('../src/issuer-state');
+
+function randomState() {
+    return BigInt(`0x${crypto.randomBytes(31).toString('hex')}`);
+}
+
+function fromBytesLE(bytes) {
+    return BigInt(`0x${Buffer.from(bytes).reverse().toString('hex')}`);
+}
+
+// id = tipo (2 bytes) + últimos 27 bytes del estado génesis (LE) + checksum
+function idFromGenesis(state) {
+    const stateBytes = Buffer.from(state.toString(16).padStart(64, '0'), 'hex').reverse();
+    return fromBytesLE(Buffer.concat([Buffer.from([0x01, 0x02]), stateBytes.subarray(5), Buffer.from([0, 0])]));
+}
+
+function signals(issuerID, claimState, nonRevState) {
+    return {
+        issuerID: issuerID.toString(),
+        issuerClaimIdenState: claimState.toString(),
+        issuerClaimNonRevState: nonRevState.toString()
+    };
+}
+
+let resolver;
+let genesis;
+let issuerID;
+
+beforeEach(() => {
+    resolver = new MemoryStateResolver();
+    setStateResolver(resolver);
+    genesis = randomState();
+    issuerID = idFromGenesis(genesis);
+});
+
+test('isGenesisState reconoce el estado del que sale el id', () => {
+    assert.equal(isGenesisState(issuerID, genesis), true);
+    assert.equal(isGenesisState(issuerID, randomState()), false);
+});
+
+test('issuer sin publicar: solo vale el estado génesis', async () => {
+    assert.deepEqual(await checkIssuerStates(signals(issuerID, genesis, genesis)), { issuerState: null, nonRevState: null });
+
+    const forged = randomState();
+    const result = await checkIssuerStates(signals(issuerID, forged, forged));
+    assert.ok(result.issuerState);
+    assert.ok(result.nonRevState);
+});
+
+test('estado publicado y no revocación contra el último', async () => {
+    const published = randomState();
+    resolver.publishState(issuerID, published);
+
+    assert.deepEqual(await checkIssuerStates(signals(issuerID, published, published)), { issuerState: null, nonRevState: null });
+
+    // Con estados publicados el génesis ya no sirve para no revocación
+    const result = await checkIssuerStates(signals(issuerID, genesis, genesis));
+    assert.equal(result.issuerState, null);
+    assert.ok(result.nonRevState);
+});
+
+test('no revocación con un estado reemplazado hace mucho', async () => {
+    const old = randomState();
+    const now = Math.floor(Date.now() / 1000);
+    resolver.publishState(issuerID, old, now - 10 * 60 * 60);
+    resolver.publishState(issuerID, randomState(), now - 2 * 60 * 60);
+    resolver.publishState(issuerID, randomState(), now - 60);
+
+    const result = await checkIssuerStates(signals(issuerID, old, old));
+    assert.equal(result.issuerState, null, 'la credencial puede estar en un estado viejo');
+    assert.match(result.nonRevState, /reemplazado/);
+});
+
+test('raíz del GIST: publicada y vigente o reemplazada hace poco', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const old = randomState();
+    const recent = randomState();
+    const current = randomState();
+    resolver.publishGistRoot(old, now - 60 * 60);
+    resolver.publishGistRoot(recent, now - 20 * 60);
+    resolver.publishGistRoot(current, now - 60);
+
+    assert.equal(await checkGistRoot(current), null);
+    assert.equal(await checkGistRoot(recent), null, 'reemplazada hace 1 minuto');
+    assert.match(await checkGistRoot(old), /reemplazada/);
+    assert.match(await checkGistRoot(randomState()), /no está publicada/, 'GIST armado a mano');
+});
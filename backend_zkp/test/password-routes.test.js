@@ -0,0 +1,128 @@
+/**
+ * Olvidé mi contraseña, reset con token y cambio de contraseña
+ */
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer, newAccount } = require('./helpers');
+const { setMailTransport, createOutboxTransport } = require('../src/mailer');
+const { MemoryCounterStore, setCounterStore } = require('../src/rate-limiter');
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+// Cada prueba con los límites de intentos limpios: los fallos esperados no se acumulan
+beforeEach(() => {
+    setCounterStore(new MemoryCounterStore());
+});
+
+after(async () => {
+    await server.close();
+});
+
+function forgot(email) {
+    return server.request('POST', '/api/password/forgot', { body: { email } });
+}
+
+function reset(token, newPassword = 'contraseña-nueva') {
+    return server.request('POST', '/api/password/reset', { body: { token, newPassword } });
+}
+
+function login(email, password) {
+    return server.request('POST', '/api/login', { body: { email, password } });
+}
+
+// Tokens de los correos de reset enviados a un email (outbox)
+function resetTokens(email) {
+    const outbox = path.join(process.env.DATA_DIR, 'outbox');
+    return fs.readdirSync(outbox)
+        .map(file => JSON.parse(fs.readFileSync(path.join(outbox, file), 'utf8')))
+        .filter(message => message.to === email && message.subject === 'Restablecer contraseña')
+        .map(message => new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token'));
+}
+
+async function register(prefix) {
+    const account = newAccount(prefix);
+    const { body } = await server.request('POST', '/api/register', { body: account });
+    return { account, session: body.session };
+}
+
+test('forgot responde igual aunque falle el correo', async (t) => {
+    const account = newAccount('forgot-mail');
+    await server.request('POST', '/api/register', { body: account });
+
+    setMailTransport({ name: 'broken', async send() { throw new Error('SMTP caído'); } });
+    t.after(() => setMailTransport(createOutboxTransport()));
+
+    const registered = await forgot(account.email);
+    const unknown = await forgot(newAccount('forgot-unknown').email);
+
+    assert.equal(registered.status, 200);
+    assert.equal(unknown.status, 200);
+    assert.equal(registered.body.message, unknown.body.message);
+    assert.deepEqual(Object.keys(registered.body), Object.keys(unknown.body));
+});
+
+test('el token de reset sirve una sola vez y cierra las sesiones', async () => {
+    const { account, session } = await register('reset');
+    await forgot(account.email);
+    const [token] = resetTokens(account.email);
+
+    const { status, body } = await reset(token);
+    assert.equal(status, 200);
+    assert.equal(body.revokedSessions, 1);
+    assert.equal((await server.request('GET', '/api/account', { token: session.accessToken })).status, 401);
+
+    const reused = await reset(token, 'otra-contraseña');
+    assert.equal(reused.status, 400);
+    assert.equal(reused.body.error, 'Token inválido o ya utilizado');
+
+    assert.equal((await login(account.email, account.password)).status, 401);
+    assert.equal((await login(account.email, 'contraseña-nueva')).status, 200);
+});
+
+test('pedir otro reset invalida el token anterior', async () => {
+    const { account } = await register('reset-twice');
+    await forgot(account.email);
+    const [first] = resetTokens(account.email);
+    await forgot(account.email);
+    const second = resetTokens(account.email).find(token => token !== first);
+
+    assert.equal((await reset(first)).status, 400);
+    assert.equal((await reset(second)).status, 200);
+});
+
+test('una contraseña nueva inválida no consume el token', async () => {
+    const { account } = await register('reset-weak');
+    await forgot(account.email);
+    const [token] = resetTokens(account.email);
+
+    assert.equal((await reset(token, 'corta')).status, 400);
+    assert.equal((await reset(token)).status, 200);
+});
+
+test('change exige la contraseña actual y deja solo la sesión nueva', async () => {
+    const { account, session } = await register('change');
+    const { body: other } = await login(account.email, account.password);
+
+    const wrong = await server.request('POST', '/api/password/change', {
+        token: session.accessToken,
+        body: { currentPassword: 'incorrecta', newPassword: 'contraseña-nueva' }
+    });
+    assert.equal(wrong.status, 401);
+
+    const { status, body } = await server.request('POST', '/api/password/change', {
+        token: session.accessToken,
+        body: { currentPassword: account.password, newPassword: 'contraseña-nueva' }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.revokedSessions, 2);
+    assert.equal((await server.request('GET', '/api/account', { token: other.session.accessToken })).status, 401);
+    assert.equal((await server.request('GET', '/api/account', { token: body.session.accessToken })).status, 200);
+    assert.equal((await login(account.email, 'contraseña-nueva')).status, 200);
+});
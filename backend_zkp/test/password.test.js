@@ -0,0 +1,72 @@
+/**
+ * Hash de contraseñas (scrypt) y migración de los SHA-256 antiguos en el login
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, newAccount } = require('./helpers');
+const { hashPassword, verifyPassword, validatePassword, isLegacyHash } = require('../src/password');
+const { hashData } = require('../src/validador');
+const { getUserRepository } = require('../src/user-store');
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+test('hashPassword usa un salt por contraseña', async () => {
+    const first = await hashPassword('misma-contraseña');
+    const second = await hashPassword('misma-contraseña');
+
+    assert.match(first, /^scrypt\$16384\$8\$1\$[^$]+\$[^$]+$/);
+    assert.notEqual(first, second);
+    assert.deepEqual(await verifyPassword('misma-contraseña', first), { valid: true, needsRehash: false });
+    assert.deepEqual(await verifyPassword('otra-contraseña', first), { valid: false, needsRehash: false });
+});
+
+test('un hash con otro costo es válido y pide rehash', async () => {
+    process.env.PASSWORD_SCRYPT_N = '1024';
+    const cheap = await hashPassword('contraseña-barata');
+    delete process.env.PASSWORD_SCRYPT_N;
+
+    assert.deepEqual(await verifyPassword('contraseña-barata', cheap), { valid: true, needsRehash: true });
+});
+
+test('reconoce los SHA-256 sin salt y pide migrarlos', async () => {
+    const legacy = hashData('contraseña-vieja');
+
+    assert.equal(isLegacyHash(legacy), true);
+    assert.deepEqual(await verifyPassword('contraseña-vieja', legacy), { valid: true, needsRehash: true });
+    assert.deepEqual(await verifyPassword('incorrecta', legacy), { valid: false, needsRehash: false });
+    assert.deepEqual(await verifyPassword('contraseña-vieja', 'md5$desconocido'), { valid: false, needsRehash: false });
+});
+
+test('validatePassword exige texto y largo mínimo', () => {
+    assert.match(validatePassword(12345678), /texto/);
+    assert.match(validatePassword('corta'), /al menos 8/);
+    assert.equal(validatePassword('suficientemente-larga'), null);
+});
+
+test('el login migra un hash antiguo a scrypt', async () => {
+    const account = newAccount('legacy');
+    const { body: registered } = await server.request('POST', '/api/register', { body: account });
+
+    const repository = getUserRepository();
+    const user = await repository.getUserByEmail(account.email);
+    await repository.saveUser({ id: user.id, password: hashData(account.password) });
+
+    const { status, body } = await server.request('POST', '/api/login', {
+        body: { email: account.email, password: account.password }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.did, registered.did);
+
+    const migrated = await repository.getUserByEmail(account.email);
+    assert.match(migrated.password, /^scrypt\$/);
+    assert.equal((await verifyPassword(account.password, migrated.password)).valid, true);
+});
@@ -0,0 +1,120 @@
+/**
+ * Límite de intentos: back-off, bloqueo, reset y ventana fija de solicitudes
+ *
+ * Reloj simulado (solo Date): los back-off y bloqueos se recorren sin esperar.
+ */
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    MemoryCounterStore,
+    setCounterStore,
+    createLimiter,
+    requestRateLimit
+} = require('../src/rate-limiter');
+
+beforeEach(() => {
+    setCounterStore(new MemoryCounterStore());
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+});
+
+async function fail(limiter, key) {
+    const result = await limiter.reserve(key);
+    assert.equal(result.allowed, true, 'el intento debía permitirse');
+    await limiter.registerFailure(key, result.attempt);
+}
+
+test('los primeros fallos son libres y después hay back-off exponencial', async () => {
+    const limiter = createLimiter({ name: 'backoff', maxAttempts: 10 });
+
+    for (let i = 0; i < 3; i++) await fail(limiter, 'ana');
+    assert.deepEqual(await limiter.reserve('ana'), { allowed: false, retryAfter: 1 });
+
+    mock.timers.tick(1000);
+    await fail(limiter, 'ana');
+    assert.deepEqual(await limiter.reserve('ana'), { allowed: false, retryAfter: 2 });
+});
+
+test('al llegar a maxAttempts bloquea y cada bloqueo dura el doble', async () => {
+    const limiter = createLimiter({ name: 'lockout', maxAttempts: 4 });
+
+    for (let i = 0; i < 4; i++) {
+        await fail(limiter, 'ana');
+        mock.timers.tick(10 * 1000);
+    }
+    const locked = await limiter.reserve('ana');
+    assert.equal(locked.allowed, false);
+    assert.ok(locked.retryAfter > 280 && locked.retryAfter <= 300, `retryAfter ${locked.retryAfter}`);
+
+    mock.timers.tick(300 * 1000);
+    for (let i = 0; i < 4; i++) {
+        await fail(limiter, 'ana');
+        mock.timers.tick(10 * 1000);
+    }
+    const relocked = await limiter.reserve('ana');
+    assert.ok(relocked.retryAfter > 580 && relocked.retryAfter <= 600, `retryAfter ${relocked.retryAfter}`);
+
+    // Otras claves no se ven afectadas
+    assert.equal((await limiter.reserve('beto')).allowed, true);
+});
+
+test('reset limpia el historial de la clave', async () => {
+    const limiter = createLimiter({ name: 'reset', maxAttempts: 10 });
+
+    for (let i = 0; i < 3; i++) await fail(limiter, 'ana');
+    await limiter.reset('ana');
+
+    for (let i = 0; i < 3; i++) await fail(limiter, 'ana');
+});
+
+test('un intento liberado no cuenta como fallo', async () => {
+    const limiter = createLimiter({ name: 'release', maxAttempts: 10 });
+
+    for (let i = 0; i < 5; i++) {
+        const result = await limiter.reserve('ana');
+        assert.equal(result.allowed, true);
+        await limiter.release('ana');
+    }
+});
+
+test('pasados los intentos libres solo hay uno en curso por clave', async () => {
+    const limiter = createLimiter({ name: 'in-flight', maxAttempts: 10 });
+    for (let i = 0; i < 3; i++) await fail(limiter, 'ana');
+    mock.timers.tick(1000);
+
+    const first = await limiter.reserve('ana');
+    const second = await limiter.reserve('ana');
+
+    assert.equal(first.allowed, true);
+    assert.equal(second.allowed, false);
+});
+
+test('requestRateLimit cuenta todas las solicitudes de la ventana', async () => {
+    const middleware = requestRateLimit({ name: 'window', maxRequests: 2, windowSeconds: 60 });
+
+    async function call() {
+        const res = {
+            statusCode: 200,
+            headers: {},
+            set(name, value) { this.headers[name] = value; return this; },
+            status(code) { this.statusCode = code; return this; },
+            json() { return this; }
+        };
+        let passed = false;
+        await middleware({ ip: '10.0.0.1' }, res, () => { passed = true; });
+        return passed ? 200 : res.statusCode;
+    }
+
+    assert.deepEqual([await call(), await call(), await call()], [200, 200, 429]);
+
+    mock.timers.tick(60 * 1000);
+    assert.equal(await call(), 200, 'ventana nueva');
+});
+
+test('setCounterStore exige la interfaz completa', () => {
+    assert.throws(() => setCounterStore({ get() {}, set() {} }), /delete\(\)/);
+});
@@ -0,0 +1,87 @@
+/**
+ * Revocación: Issuer Node, registro local y verificación de credenciales
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, newAccount } = require('./helpers');
+const { findRevocation, findRevocationById } = require('../src/revocation-registry');
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function register(prefix) {
+    const { body } = await server.request('POST', '/api/register', { body: newAccount(prefix) });
+    return body;
+}
+
+function revoke(token, credentialId, reason) {
+    return server.request('POST', `/api/credentials/${encodeURIComponent(credentialId)}/revoke`, {
+        token,
+        body: reason ? { reason } : undefined
+    });
+}
+
+function verifyCredential(credential) {
+    return server.request('POST', '/api/verify-credential', { body: { credential } });
+}
+
+test('revocar en el Issuer Node deja el registro y la verificación lo rechaza', async () => {
+    const { session, credential } = await register('revoke-issuer');
+    assert.equal((await verifyCredential(credential)).body.verified, true);
+
+    const { status, body } = await revoke(session.accessToken, credential.id, 'compromised');
+    assert.equal(status, 200);
+    assert.equal(body.issuerRevoked, true);
+    assert.equal(body.revocationNonce, credential.credentialStatus.revocationNonce);
+    assert.equal(body.syncJobId, null);
+
+    const record = findRevocation(credential);
+    assert.equal(record.reason, 'compromised');
+    assert.equal(record.issuerSync, 'done');
+
+    const verified = await verifyCredential(credential);
+    assert.equal(verified.status, 400);
+    assert.equal(verified.body.stage, 'revocation_check');
+});
+
+test('el registro encuentra la revocación por issuer y nonce aunque cambie el id', async () => {
+    const { session, credential } = await register('revoke-nonce');
+    await revoke(session.accessToken, credential.id);
+
+    const copy = { ...credential, id: 'urn:uuid:00000000-0000-4000-8000-000000000000' };
+    assert.equal(findRevocation(copy).credentialId, credential.id);
+    assert.equal(findRevocationById(copy.id), null);
+});
+
+// Cierra el Issuer Node: va al final del archivo
+test('sin Issuer Node la revocación queda pendiente o solo local', async () => {
+    const { session, credential } = await register('revoke-pending');
+    await server.issuer.close();
+
+    const pending = await revoke(session.accessToken, credential.id);
+    assert.equal(pending.status, 200);
+    assert.equal(pending.body.issuerRevoked, false);
+    assert.ok(pending.body.syncJobId, 'la cola reintenta la revocación');
+    assert.equal(findRevocation(credential).issuerSync, 'pending');
+
+    // Credencial local (fallback pending_issuer): nunca estuvo en el nodo
+    const local = await register('revoke-local');
+    assert.equal(local.credential.status, 'pending_issuer');
+
+    const { status, body } = await revoke(local.session.accessToken, local.credential.id);
+    assert.equal(status, 200);
+    assert.equal(body.issuerRevoked, false);
+    assert.equal(body.syncJobId, null);
+    assert.equal(findRevocation(local.credential).issuerSync, 'not_needed');
+
+    const verified = await verifyCredential(local.credential);
+    assert.equal(verified.body.stage, 'revocation_check', 'se rechaza sin consultar el nodo');
+});
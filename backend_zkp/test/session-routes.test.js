@@ -0,0 +1,112 @@
+/**
+ * Sesiones: access token, rotación del refresh token, reuso y logout
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, newAccount } = require('./helpers');
+const { signToken, verifyToken } = require('../src/tokens');
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function register(prefix) {
+    const { body } = await server.request('POST', '/api/register', { body: newAccount(prefix) });
+    return body.session;
+}
+
+function refresh(refreshToken) {
+    return server.request('POST', '/api/token/refresh', { body: { refreshToken } });
+}
+
+function account(token) {
+    return server.request('GET', '/api/account', { token });
+}
+
+test('verifyToken rechaza firmas ajenas y tokens vencidos', () => {
+    const token = signToken({ sub: 'user_1' }, 'secreto', 60);
+
+    assert.equal(verifyToken(token, 'secreto').payload.sub, 'user_1');
+    assert.equal(verifyToken(token, 'otro-secreto').error, 'Firma inválida');
+    assert.equal(verifyToken(signToken({ sub: 'user_1' }, 'secreto', -1), 'secreto').error, 'Token expirado');
+    assert.equal(verifyToken('a.b', 'secreto').error, 'Token mal formado');
+});
+
+test('las rutas de usuario exigen un access token válido', async () => {
+    assert.equal((await account()).status, 401);
+    assert.equal((await account('no.es.token')).status, 401);
+
+    const session = await register('auth');
+    assert.equal((await account(session.accessToken)).status, 200);
+});
+
+test('el refresh token rota en cada uso', async () => {
+    const session = await register('rotate');
+
+    const first = await refresh(session.refreshToken);
+    assert.equal(first.status, 200);
+    assert.notEqual(first.body.session.refreshToken, session.refreshToken);
+    assert.equal(first.body.session.sessionId, session.sessionId);
+
+    const second = await refresh(first.body.session.refreshToken);
+    assert.equal(second.status, 200);
+    assert.equal((await account(second.body.session.accessToken)).status, 200);
+});
+
+test('reusar un refresh token rotado revoca la sesión', async () => {
+    const session = await register('reuse');
+    const { body: rotated } = await refresh(session.refreshToken);
+
+    const reused = await refresh(session.refreshToken);
+    assert.equal(reused.status, 401);
+    assert.match(reused.body.error, /ya utilizado/);
+
+    // La sesión entera queda revocada: el token rotado y el access token dejan de servir
+    assert.equal((await refresh(rotated.session.refreshToken)).status, 401);
+    assert.equal((await account(rotated.session.accessToken)).status, 401);
+});
+
+test('logout cierra la sesión actual y deja las demás', async () => {
+    const credentials = newAccount('logout');
+    await server.request('POST', '/api/register', { body: credentials });
+    const login = () => server.request('POST', '/api/login', {
+        body: { email: credentials.email, password: credentials.password }
+    });
+    const { body: { session: current } } = await login();
+    const { body: { session: other } } = await login();
+
+    const listed = await server.request('GET', '/api/sessions', { token: current.accessToken });
+    assert.equal(listed.status, 200);
+    assert.equal(listed.body.sessions.length, 3, 'registro + dos logins');
+    assert.equal(listed.body.sessions.find(item => item.current).id, current.sessionId);
+    assert.ok(listed.body.sessions.every(item => item.refreshTokenHash === undefined));
+
+    const logout = await server.request('POST', '/api/logout', { token: current.accessToken, body: {} });
+    assert.equal(logout.body.revokedSessions, 1);
+    assert.equal((await account(current.accessToken)).status, 401);
+    assert.equal((await account(other.accessToken)).status, 200);
+
+    const all = await server.request('POST', '/api/logout', { token: other.accessToken, body: { all: true } });
+    assert.equal(all.body.revokedSessions, 2);
+    assert.equal((await account(other.accessToken)).status, 401);
+});
+
+test('no se pueden revocar sesiones de otro usuario', async () => {
+    const mine = await register('owner');
+    const theirs = await register('stranger');
+
+    const { status } = await server.request('DELETE', `/api/sessions/${theirs.sessionId}`, { token: mine.accessToken });
+    assert.equal(status, 404);
+    assert.equal((await account(theirs.accessToken)).status, 200);
+
+    const own = await server.request('DELETE', `/api/sessions/${mine.sessionId}`, { token: mine.accessToken });
+    assert.equal(own.status, 200);
+    assert.equal((await account(mine.accessToken)).status, 401);
+});
@@ -0,0 +1,85 @@
+/**
+ * Desafío SIWE (EIP-4361): un solo uso, expiración y firmante
+ */
+
+const { test, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Wallet } = require('ethers');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backend-zkp-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.STORE_BACKEND = 'memory';
+
+const {
+    SiweNonceLimitError,
+    parseSiweMessage,
+    createSiweChallenge,
+    verifySiweSignature
+} = require('../src/siwe');
+
+const ORIGIN = { domain: 'localhost:3000', uri: 'http://localhost:3000' };
+
+after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function signedChallenge(wallet = Wallet.createRandom()) {
+    const { nonce, message } = createSiweChallenge(wallet.address, ORIGIN);
+    return { wallet, nonce, message, signature: await wallet.signMessage(message) };
+}
+
+test('el mensaje lleva dominio, dirección y nonce', async () => {
+    const { wallet, nonce, message } = await signedChallenge();
+    const parsed = parseSiweMessage(message);
+
+    assert.equal(parsed.domain, 'localhost:3000');
+    assert.equal(parsed.address, wallet.address);
+    assert.equal(parsed.nonce, nonce);
+});
+
+test('el nonce se usa una sola vez', async () => {
+    const { wallet, message, signature } = await signedChallenge();
+
+    assert.deepEqual(verifySiweSignature(message, signature), { valid: true, walletAddress: wallet.address });
+    assert.equal(verifySiweSignature(message, signature).error, 'Nonce desconocido o ya utilizado');
+});
+
+test('un nonce vencido no sirve', async (t) => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    t.after(() => mock.timers.reset());
+
+    const { message, signature } = await signedChallenge();
+    mock.timers.tick(5 * 60 * 1000 + 1);
+
+    assert.equal(verifySiweSignature(message, signature).error, 'Nonce expirado, solicita uno nuevo');
+    // Se borra al detectarlo: ya no existe
+    assert.equal(verifySiweSignature(message, signature).error, 'Nonce desconocido o ya utilizado');
+});
+
+test('rechaza la firma de otra wallet y los mensajes alterados', async () => {
+    const { message } = await signedChallenge();
+    const intruder = Wallet.createRandom();
+
+    assert.equal(
+        verifySiweSignature(message, await intruder.signMessage(message)).error,
+        'La firma no corresponde a la wallet'
+    );
+
+    const altered = message.replace('localhost:3000 wants', 'phishing.example wants');
+    assert.equal(
+        verifySiweSignature(altered, await intruder.signMessage(altered)).error,
+        'El mensaje no coincide con el desafío emitido'
+    );
+});
+
+test('como mucho 5 nonces sin usar por wallet', () => {
+    const wallet = Wallet.createRandom();
+    for (let i = 0; i < 5; i++) {
+        createSiweChallenge(wallet.address, ORIGIN);
+    }
+
+    assert.throws(() => createSiweChallenge(wallet.address, ORIGIN), SiweNonceLimitError);
+});
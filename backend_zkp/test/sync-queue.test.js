@@ -0,0 +1,99 @@
+/**
+ * Cola de sincronización: fallback pending_issuer y reemplazo cuando vuelve el Issuer Node
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, newAccount } = require('./helpers');
+const { startMockIssuerNode } = require('../src/mock-issuer-node');
+
+// El circuito abierto por la caída no debe tapar la vuelta del nodo
+process.env.ISSUER_NODE_BREAKER_RESET_MS = '1';
+
+const ADMIN = { 'x-admin-key': 'test-admin-key' };
+
+let server;
+let issuer;
+
+before(async () => {
+    server = await startTestServer();
+    issuer = server.issuer;
+});
+
+after(async () => {
+    await issuer.close();
+    await server.close();
+});
+
+function admin(method, urlPath) {
+    return server.request(method, urlPath, { headers: ADMIN });
+}
+
+/**
+ * Vuelve a levantar el Issuer Node en el mismo puerto y con el mismo estado
+ */
+async function restartIssuer() {
+    const restarted = await startMockIssuerNode({ port: new URL(server.issuer.url).port });
+    restarted.state.identities = server.issuer.state.identities;
+    restarted.state.nextNonce = server.issuer.state.nextNonce;
+    return { ...restarted, issuerDID: server.issuer.issuerDID };
+}
+
+test('sync-jobs es solo para admin y valida el status', async () => {
+    assert.equal((await server.request('GET', '/api/admin/sync-jobs')).status, 401);
+    assert.equal((await admin('GET', '/api/admin/sync-jobs?status=otro')).status, 400);
+    assert.equal((await admin('GET', '/api/admin/sync-jobs/sync_inexistente')).status, 404);
+    assert.equal((await admin('POST', '/api/admin/sync-jobs/sync_inexistente/retry')).status, 409);
+});
+
+test('sin jobs vencidos el ciclo no consulta el Issuer Node', async () => {
+    const { status, body } = await admin('POST', '/api/admin/sync-jobs/run');
+
+    assert.equal(status, 200);
+    assert.deepEqual([body.issuerReachable, body.processed], [null, 0]);
+});
+
+test('el fallback se encola y se sincroniza cuando vuelve el Issuer Node', async () => {
+    await issuer.close();
+
+    const account = newAccount('sync');
+    const { body: registered } = await server.request('POST', '/api/register', { body: account });
+    assert.equal(registered.credential.status, 'pending_issuer');
+
+    const { body: pending } = await admin('GET', '/api/admin/sync-jobs?status=pending');
+    const job = pending.jobs.find(item => item.result === null && item.reasons.includes('identity'));
+    assert.ok(job, 'el registro deja un job');
+    assert.deepEqual(job.reasons, ['identity', 'credential']);
+
+    // Caído: el ciclo no gasta intentos
+    const down = await admin('POST', '/api/admin/sync-jobs/run');
+    assert.deepEqual([down.body.issuerReachable, down.body.processed], [false, 0]);
+    assert.equal((await admin('GET', `/api/admin/sync-jobs/${job.id}`)).body.job.attempts, 0);
+
+    issuer = await restartIssuer();
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    const up = await admin('POST', '/api/admin/sync-jobs/run');
+    assert.deepEqual([up.body.issuerReachable, up.body.processed], [true, 1]);
+
+    const { body: { job: done } } = await admin('GET', `/api/admin/sync-jobs/${job.id}`);
+    assert.equal(done.status, 'done');
+    assert.equal(done.attempts, 1);
+    assert.equal(done.result.previousDID, registered.did);
+    assert.notEqual(done.result.did, registered.did);
+
+    // El usuario queda con el DID y la credencial del Issuer Node
+    const { body: login } = await server.request('POST', '/api/login', {
+        body: { email: account.email, password: account.password }
+    });
+    assert.equal(login.did, done.result.did);
+    assert.ok(issuer.state.identities.has(done.result.did));
+
+    const { body: wallet } = await server.request('GET', '/api/me/credentials', { token: login.session.accessToken });
+    const current = wallet.credentials.find(entry => entry.id === done.result.credentialId);
+    assert.equal(current.status, 'active');
+    assert.equal(current.credential.credentialSubject.id, done.result.did);
+
+    // Completado: no se puede reintentar
+    assert.equal((await admin('POST', `/api/admin/sync-jobs/${job.id}/retry`)).status, 409);
+});
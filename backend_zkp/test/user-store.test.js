@@ -0,0 +1,102 @@
+/**
+ * Repositorio de usuarios: persistencia en archivo, unicidad y migraciones
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backend-zkp-test-'));
+process.env.DATA_DIR = dataDir;
+
+const {
+    UserConflictError,
+    MemoryUserRepository,
+    FileUserRepository,
+    createUserRepository,
+    migrate,
+    CURRENT_VERSION
+} = require('../src/user-store');
+
+after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function usersFile(name) {
+    return path.join(dataDir, `${name}.json`);
+}
+
+test('el backend de archivo conserva los usuarios al recargar', async () => {
+    const filePath = usersFile('reload');
+    const repository = new FileUserRepository(filePath);
+
+    const emailUser = await repository.saveUser({ name: 'Ana', email: 'Ana@Example.com', did: 'did:iden3:ana' });
+    const walletUser = await repository.saveUser({ walletAddress: '0xAbCdEf0000000000000000000000000000000001', did: 'did:iden3:wallet' });
+    await repository.addCredential(emailUser.id, { id: 'urn:uuid:1', status: 'pending_issuer' });
+
+    const reloaded = new FileUserRepository(filePath);
+
+    assert.equal((await reloaded.getUserByEmail('ana@example.com')).id, emailUser.id);
+    assert.equal((await reloaded.getUserByWallet('0xabcdef0000000000000000000000000000000001')).id, walletUser.id);
+    assert.equal((await reloaded.getUserByDID('did:iden3:wallet')).id, walletUser.id);
+    assert.equal(await reloaded.userExists('ANA@example.com'), true);
+
+    const history = await reloaded.getCredentialHistory(emailUser.id);
+    assert.deepEqual(history.map(entry => [entry.id, entry.status]), [['urn:uuid:1', 'pending_issuer']]);
+});
+
+test('email, wallet y DID no se repiten entre cuentas', async () => {
+    const repository = new MemoryUserRepository();
+    const owner = await repository.saveUser({ email: 'uno@example.com', walletAddress: '0x01', did: 'did:iden3:uno' });
+
+    for (const [field, data] of [
+        ['email', { email: 'UNO@example.com' }],
+        ['walletAddress', { walletAddress: '0X01' }],
+        ['did', { did: 'did:iden3:uno' }]
+    ]) {
+        await assert.rejects(repository.saveUser(data), error => {
+            assert.ok(error instanceof UserConflictError);
+            assert.equal(error.field, field);
+            return true;
+        });
+    }
+
+    // La misma cuenta sí puede volver a guardarse con sus datos
+    const updated = await repository.saveUser({ id: owner.id, email: 'uno@example.com', name: 'Uno' });
+    assert.equal(updated.name, 'Uno');
+    assert.equal(updated.createdAt, owner.createdAt);
+});
+
+test('cambiar el email libera el anterior', async () => {
+    const repository = new MemoryUserRepository();
+    const user = await repository.saveUser({ email: 'viejo@example.com' });
+    await repository.saveUser({ id: user.id, email: 'nuevo@example.com' });
+
+    assert.equal(await repository.userExists('viejo@example.com'), false);
+    const other = await repository.saveUser({ email: 'viejo@example.com' });
+    assert.notEqual(other.id, user.id);
+});
+
+test('las migraciones llevan un archivo antiguo a la versión actual', () => {
+    const doc = migrate({
+        version: 1,
+        users: { user_1: { id: 'user_1', credential: { id: 'urn:uuid:old' }, createdAt: '2024-01-01T00:00:00.000Z' } }
+    });
+
+    assert.equal(doc.version, CURRENT_VERSION);
+    assert.deepEqual(doc.users.user_1.credentials.map(entry => [entry.id, entry.issuedAt]), [
+        ['urn:uuid:old', '2024-01-01T00:00:00.000Z']
+    ]);
+
+    const filePath = usersFile('legacy');
+    fs.writeFileSync(filePath, JSON.stringify({ users: { user_2: { id: 'user_2', email: 'legacy@example.com' } } }));
+    new FileUserRepository(filePath);
+    assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).version, CURRENT_VERSION, 'se reescribe migrado');
+});
+
+test('USER_STORE desconocido es un error', () => {
+    assert.throws(() => createUserRepository({ backend: 'sqlite' }), /USER_STORE desconocido/);
+    assert.ok(createUserRepository({ backend: 'memory' }) instanceof MemoryUserRepository);
+});
@@ -0,0 +1,194 @@
+/**
+ * Proof requests guardados: /api/verifier/queries, /verify-proof y /verify-proofs
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+// Se lee al cargar src/verifier-sessions.js (startTestServer)
+process.env.VERIFIER_SESSION_MAX_PENDING = '3';
+
+const PROOF = { pi_a: ['1', '2', '1'], pi_b: [['1', '2'], ['3', '4'], ['1', '0']], pi_c: ['1', '2', '1'] };
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+function createQuery(body) {
+    return server.request('POST', '/api/verifier/queries', { body });
+}
+
+test('queries guarda el request y devuelve su requestId', async () => {
+    const { status, body } = await createQuery({ credentialSubject: { isVerified: { $eq: true } } });
+
+    assert.equal(status, 200);
+    assert.match(body.requestId, /^[0-9a-f-]{36}$/);
+    assert.ok(Number.isSafeInteger(body.proofRequest.id) && body.proofRequest.id > 0, 'requestID del circuito');
+    assert.ok(Date.parse(body.expiresAt) > Date.now());
+});
+
+test('queries rechaza un query que no cumple el schema', async () => {
+    const { status, body } = await createQuery({ credentialSubject: { isVerified: { $lt: 1 } } });
+
+    assert.equal(status, 400);
+    assert.ok(body.errors.length > 0);
+});
+
+test('queries rechaza un query con más de una condición', async () => {
+    const fields = await createQuery({
+        credentialSubject: { isVerified: { $eq: true }, accountState: { $eq: 'active' } }
+    });
+    assert.equal(fields.status, 400);
+    assert.match(fields.body.errors[0].error, /una sola condición/);
+
+    const operators = await createQuery({
+        credentialSubject: { registrationDate: { $gt: 1, $lt: 2000000000 } }
+    });
+    assert.equal(operators.status, 400);
+    assert.match(operators.body.errors[0].error, /una sola condición/);
+
+    const scope = await createQuery({
+        queries: [{ id: 7, credentialSubject: { isVerified: { $eq: true }, accountState: { $eq: 'active' } } }]
+    });
+    assert.equal(scope.status, 400);
+    assert.equal(scope.body.errors[0].queryId, 7);
+});
+
+test('verify-proof no acepta un requestId desconocido', async () => {
+    const { status } = await server.request('POST', '/verify-proof', {
+        body: {
+            circuitId: 'credentialAtomicQueryMTPV2',
+            proof: PROOF,
+            pub_signals: ['1'],
+            requestId: '00000000-0000-4000-8000-000000000000'
+        }
+    });
+
+    assert.equal(status, 404);
+});
+
+test('verify-proof ignora el proofRequest que manda el cliente', async () => {
+    const { body: created } = await createQuery({ credentialSubject: { isVerified: { $eq: true } } });
+
+    const { status, body } = await server.request('POST', '/verify-proof', {
+        body: {
+            circuitId: 'credentialAtomicQueryMTPV2',
+            proof: PROOF,
+            pub_signals: ['1'],
+            proofRequest: created.proofRequest
+        }
+    });
+
+    assert.equal(status, 400);
+    assert.match(body.details, /requestId/);
+});
+
+test('verify-proofs exige un request con scope', async () => {
+    const { body: single } = await createQuery({ credentialSubject: { isVerified: { $eq: true } } });
+    const wrong = await server.request('POST', '/verify-proofs', {
+        body: { requestId: single.requestId, proofs: [] }
+    });
+    assert.equal(wrong.status, 400);
+
+    const { body: scoped } = await createQuery({
+        queries: [{ type: 'ZKPAuthCredential', credentialSubject: { isVerified: { $eq: true } } }]
+    });
+    const { status, body } = await server.request('POST', '/verify-proofs', {
+        body: { requestId: scoped.requestId, proofs: [] }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.verified, false);
+    assert.deepEqual(body.results[0].errors, ['Falta la prueba de este query']);
+});
+
+test('queries solo deja divulgar los campos permitidos en el servidor', async () => {
+    const rejected = await createQuery({ credentialSubject: { email: {} }, disclosableFields: ['email'] });
+    assert.equal(rejected.status, 400);
+    assert.equal(rejected.body.errors[0].field, 'email');
+
+    const { status, body } = await createQuery({ credentialSubject: { accountState: {} }, disclosableFields: ['email'] });
+    assert.equal(status, 200);
+    assert.deepEqual(body.proofRequest.disclosure, { allowedFields: ['accountState'] });
+});
+
+function createCampaign(id) {
+    return server.request('POST', '/api/admin/nullifier-campaigns', {
+        body: { id },
+        headers: { 'x-admin-key': 'test-admin-key' }
+    });
+}
+
+test('queries V3 usa el nullifier de una campaña registrada y el DID del verifier', async () => {
+    const { body: created } = await createCampaign('votacion-v3');
+    const v3Query = { circuitId: 'credentialAtomicQueryV3', credentialSubject: { isVerified: { $eq: true } } };
+
+    const { status, body } = await createQuery({ ...v3Query, campaign: 'votacion-v3', verifierDID: 'did:iden3:polygon:amoy:x' });
+    assert.equal(status, 200);
+    assert.equal(body.proofRequest.params.nullifierSessionId, created.campaign.nullifierSessionId);
+    assert.notEqual(body.proofRequest.verifierDID, 'did:iden3:polygon:amoy:x', 'el DID del body no cuenta');
+
+    // Otro request de la misma campaña: mismo nullifierSessionId, el nullifier se repite
+    const { body: again } = await createQuery({ ...v3Query, campaign: 'votacion-v3' });
+    assert.equal(again.proofRequest.params.nullifierSessionId, created.campaign.nullifierSessionId);
+});
+
+test('queries V3 rechaza nullifiers elegidos por el cliente', async () => {
+    const v3Query = { circuitId: 'credentialAtomicQueryV3', credentialSubject: { isVerified: { $eq: true } } };
+
+    assert.equal((await createQuery(v3Query)).status, 400, 'sin campaña');
+    assert.equal((await createQuery({ ...v3Query, campaign: 'no-existe' })).status, 400);
+    assert.equal((await createQuery({ ...v3Query, nullifierSessionId: '12345' })).status, 400);
+    assert.equal((await createQuery({
+        queries: [{ ...v3Query, nullifierSessionId: '12345' }]
+    })).status, 400);
+});
+
+test('campañas de nullifier: solo admin', async () => {
+    const { status } = await server.request('POST', '/api/admin/nullifier-campaigns', { body: { id: 'sin-clave' } });
+    assert.equal(status, 401);
+});
+
+test('sesión V3: el scope usa el nullifier fijo de la campaña', async () => {
+    const { body: created } = await createCampaign('login-unico');
+
+    const missing = await server.request('POST', '/api/verifier/sessions', { body: { proofType: 'V3' } });
+    assert.equal(missing.status, 400);
+
+    const { status, body } = await server.request('POST', '/api/verifier/sessions', {
+        body: { scope: ['verification', 'accountState'], proofType: 'V3', campaign: 'login-unico' }
+    });
+
+    assert.equal(status, 201);
+    const { scope } = body.request.body;
+    assert.equal(scope.length, 2);
+    assert.ok(scope.every(item => item.circuitId === 'credentialAtomicQueryV3'));
+    assert.ok(scope.every(item => item.params.nullifierSessionId === created.campaign.nullifierSessionId));
+});
+
+test('sesiones: como mucho VERIFIER_SESSION_MAX_PENDING pendientes', async () => {
+    const statuses = [];
+    for (let i = 0; i < 4; i++) {
+        statuses.push((await server.request('POST', '/api/verifier/sessions', { body: {} })).status);
+    }
+
+    // La sesión V3 de la prueba anterior también está pendiente
+    assert.deepEqual(statuses, [201, 201, 429, 429]);
+});
+
+test('callback limita las llamadas por IP', async () => {
+    const statuses = [];
+    for (let i = 0; i < 61; i++) {
+        statuses.push((await server.request('POST', '/api/verifier/callback?sessionId=x', { body: {} })).status);
+    }
+
+    assert.equal(statuses[0], 400);
+    assert.equal(statuses[60], 429);
+});